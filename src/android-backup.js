@@ -0,0 +1,482 @@
+/**
+ * Android "SMS Backup & Restore" exports as a message source.
+ *
+ * The app writes one XML file per backup (sms-<timestamp>.xml):
+ *
+ *   <smses count="2">
+ *     <sms address="+15551234567" date="1714557600000" type="1" body="Hi" read="1" contact_name="Alice" />
+ *     <mms date="1714557660000" msg_box="2" address="+15551234567~+15557654321" read="1">
+ *       <parts>
+ *         <part seq="-1" ct="application/smil" text="&lt;smil&gt;..." />
+ *         <part seq="0" ct="image/jpeg" cl="IMG_0001.jpg" data="/9j/4AAQ..." />
+ *         <part seq="0" ct="text/plain" text="At the beach" />
+ *       </parts>
+ *       <addrs>
+ *         <addr address="+15550000000" type="137" />
+ *         <addr address="+15551234567" type="151" />
+ *       </addrs>
+ *     </mms>
+ *   </smses>
+ *
+ * Dates are milliseconds since 1970. sms type and mms msg_box are 1 for received and
+ * 2 for sent messages; drafts, outbox, failed and queued messages (3-6) are skipped.
+ * The mms address lists the other people in the conversation ("~"-separated) and the
+ * addr of type 137 is the sender. Missing values are written as "null".
+ *
+ * The exports are imported into a database with the chat.db tables the tools query
+ * (handle, chat, message, attachment and their joins), so an Android source is read by
+ * the same code as a Mac. Importing is incremental: a file is read again only when it
+ * changes, and messages are keyed by a hash of their content, so overlapping backups
+ * (each export normally holds the whole history) add every message once. MMS
+ * attachments are written to files next to the import database.
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { normalizePhone } from './phone.js';
+import { MessageSource } from './message-source.js';
+
+const RECEIVED = 1;
+const SENT = 2;
+const MMS_FROM = 137;
+
+// Parts that hold the layout of an MMS rather than its content
+const MMS_LAYOUT_TYPES = new Set(['application/smil']);
+
+const APPLE_EPOCH_MS = 978307200000n;
+
+// The chat.db tables and columns the tools read; the rest of the Mac schema has no Android counterpart
+const CHAT_DB_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS handle (ROWID INTEGER PRIMARY KEY AUTOINCREMENT UNIQUE, id TEXT NOT NULL,
+     country TEXT, service TEXT NOT NULL, uncanonicalized_id TEXT, UNIQUE (id, service))`,
+  `CREATE TABLE IF NOT EXISTS message (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL,
+     text TEXT, subject TEXT, attributedBody BLOB, handle_id INTEGER DEFAULT 0, service TEXT, date INTEGER,
+     date_read INTEGER DEFAULT 0, date_delivered INTEGER DEFAULT 0, is_from_me INTEGER DEFAULT 0,
+     is_read INTEGER DEFAULT 0, is_sent INTEGER DEFAULT 0, is_delivered INTEGER DEFAULT 0,
+     is_finished INTEGER DEFAULT 1, cache_has_attachments INTEGER DEFAULT 0, item_type INTEGER DEFAULT 0,
+     associated_message_guid TEXT, associated_message_type INTEGER DEFAULT 0, thread_originator_guid TEXT)`,
+  `CREATE TABLE IF NOT EXISTS chat (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL,
+     style INTEGER, chat_identifier TEXT, service_name TEXT, display_name TEXT)`,
+  `CREATE TABLE IF NOT EXISTS chat_handle_join (chat_id INTEGER, handle_id INTEGER, UNIQUE (chat_id, handle_id))`,
+  `CREATE TABLE IF NOT EXISTS chat_message_join (chat_id INTEGER, message_id INTEGER, message_date INTEGER DEFAULT 0,
+     PRIMARY KEY (chat_id, message_id))`,
+  `CREATE TABLE IF NOT EXISTS attachment (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL,
+     created_date INTEGER DEFAULT 0, filename TEXT, uti TEXT, mime_type TEXT, transfer_state INTEGER DEFAULT 0,
+     is_outgoing INTEGER DEFAULT 0, transfer_name TEXT, total_bytes INTEGER DEFAULT 0, is_sticker INTEGER DEFAULT 0)`,
+  `CREATE TABLE IF NOT EXISTS message_attachment_join (message_id INTEGER, attachment_id INTEGER,
+     UNIQUE (message_id, attachment_id))`,
+  `CREATE INDEX IF NOT EXISTS message_idx_handle ON message(handle_id, date)`,
+  `CREATE INDEX IF NOT EXISTS message_idx_date ON message(date)`,
+  `CREATE INDEX IF NOT EXISTS message_idx_associated_message ON message(associated_message_guid)`,
+  `CREATE INDEX IF NOT EXISTS message_idx_thread_originator_guid ON message(thread_originator_guid)`,
+  `CREATE INDEX IF NOT EXISTS chat_message_join_idx_message_id_only ON chat_message_join(message_id)`,
+  `CREATE INDEX IF NOT EXISTS chat_handle_join_idx_handle_id ON chat_handle_join(handle_id)`,
+  `CREATE INDEX IF NOT EXISTS message_attachment_join_idx_message_id ON message_attachment_join(message_id)`,
+  // Which export files have been imported, and in which version
+  `CREATE TABLE IF NOT EXISTS android_import (file TEXT PRIMARY KEY, signature TEXT, messages INTEGER,
+     duplicates INTEGER, imported_at TEXT)`,
+];
+
+// chat.style values
+const GROUP_CHAT = 43;
+const DIRECT_CHAT = 45;
+
+// Milliseconds since 1970 as an Apple timestamp (nanoseconds since 2001), as exact integer text
+function appleTime(ms) {
+  return ((BigInt(Math.round(ms)) - APPLE_EPOCH_MS) * 1000000n).toString();
+}
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// XML character references. Emoji are written as two references, one per UTF-16 surrogate.
+function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] !== '#') return ENTITIES[ref] ?? match;
+    const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    return code <= 0xFFFF ? String.fromCharCode(code) : String.fromCodePoint(code);
+  });
+}
+
+// Attribute value with the app's "null" placeholder read as missing
+function attribute(attrs, name) {
+  const value = attrs[name];
+  return value === undefined || value === 'null' || value === '' ? null : value;
+}
+
+const TAG_NAME = /[^\s/>]+/y;
+const TAG_END = /\s*(\/?)>/y;
+const ATTRIBUTE = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+// The markup starting at buffer[start] ("<"): a start tag { name, attrs, selfClosing },
+// an end tag { name, closing }, or { } for declarations and comments, each with its end
+// offset. null when it runs past the end of the buffer.
+function readTag(buffer, start) {
+  if (buffer[start + 1] === '?' || buffer[start + 1] === '!') {
+    const terminator = buffer.startsWith('<!--', start) ? '-->' : buffer[start + 1] === '?' ? '?>' : '>';
+    const end = buffer.indexOf(terminator, start + 2);
+    return end === -1 ? null : { end: end + terminator.length };
+  }
+  if (buffer[start + 1] === '/') {
+    const end = buffer.indexOf('>', start);
+    return end === -1 ? null : { name: buffer.slice(start + 2, end).trim(), closing: true, end: end + 1 };
+  }
+
+  TAG_NAME.lastIndex = start + 1;
+  const name = TAG_NAME.exec(buffer);
+  if (!name) return null;
+  const attrs = {};
+  let pos = TAG_NAME.lastIndex;
+  for (;;) {
+    TAG_END.lastIndex = pos;
+    const end = TAG_END.exec(buffer);
+    if (end) return { name: name[0], attrs, selfClosing: end[1] === '/', end: TAG_END.lastIndex };
+    ATTRIBUTE.lastIndex = pos;
+    const attr = ATTRIBUTE.exec(buffer);
+    if (!attr) return null;
+    attrs[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+    pos = ATTRIBUTE.lastIndex;
+  }
+}
+
+// Tags of an XML file, read in chunks: exports with MMS media run to gigabytes
+async function* readTags(file) {
+  const stream = fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 1 << 20 });
+  let buffer = '';
+  // A tag that ran past the end of the buffer (a large base64 attachment) is tried
+  // again once the buffer has doubled, not after every chunk
+  let retryAt = 0;
+
+  // Tags complete in the buffer, leaving any unfinished one in it
+  function* completeTags() {
+    let pos = 0;
+    for (;;) {
+      const start = buffer.indexOf('<', pos);
+      if (start === -1) {
+        pos = buffer.length;
+        break;
+      }
+      const tag = readTag(buffer, start);
+      if (!tag) {
+        pos = start;
+        break;
+      }
+      if (tag.name) yield tag;
+      pos = tag.end;
+    }
+    buffer = buffer.slice(pos);
+    retryAt = buffer.length * 2;
+  }
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    if (buffer.length >= retryAt) yield* completeTags();
+  }
+  yield* completeTags();
+  if (buffer.trim()) {
+    throw new Error(`${file} is not a complete SMS Backup & Restore file: it ends inside "${buffer.slice(0, 40)}"`);
+  }
+}
+
+function smsMessage(attrs) {
+  const box = Number(attrs.type);
+  const address = attribute(attrs, 'address');
+  if ((box !== RECEIVED && box !== SENT) || !address) return null;
+  return {
+    kind: 'sms',
+    fromMe: box === SENT,
+    participants: [address],
+    sender: box === SENT ? null : address,
+    date: Number(attrs.date),
+    text: attribute(attrs, 'body'),
+    subject: attribute(attrs, 'subject'),
+    read: attrs.read === '1',
+    attachments: [],
+  };
+}
+
+function mmsMessage({ attrs, parts, addrs }) {
+  const box = Number(attrs.msg_box);
+  const participants = (attribute(attrs, 'address') || '').split('~').map(a => a.trim()).filter(Boolean);
+  if ((box !== RECEIVED && box !== SENT) || participants.length === 0) return null;
+
+  const text = parts
+    .filter(part => part.ct === 'text/plain' && attribute(part, 'text'))
+    .map(part => part.text)
+    .join('\n');
+  const attachments = parts
+    .filter(part => part.ct !== 'text/plain' && !MMS_LAYOUT_TYPES.has(part.ct) && attribute(part, 'data'))
+    .map((part, index) => ({
+      name: attribute(part, 'cl') || attribute(part, 'name') || `part-${index + 1}`,
+      mime: attribute(part, 'ct'),
+      data: part.data,
+    }));
+
+  const from = addrs.find(addr => Number(addr.type) === MMS_FROM);
+  return {
+    kind: 'mms',
+    fromMe: box === SENT,
+    participants,
+    sender: box === SENT ? null : attribute(from || {}, 'address') || participants[0],
+    date: Number(attrs.date),
+    text: text || null,
+    subject: attribute(attrs, 'sub'),
+    read: attrs.read === '1',
+    attachments,
+  };
+}
+
+/**
+ * Messages of an SMS Backup & Restore export, in file order: { kind, fromMe,
+ * participants (the other people in the conversation), sender (null when sent),
+ * date (ms), text, subject, read, attachments: [{ name, mime, data (base64) }] }.
+ * Drafts and unsent messages are left out.
+ */
+export async function* readSmsBackup(file) {
+  let mms = null;
+  for await (const tag of readTags(file)) {
+    if (tag.closing) {
+      if (tag.name === 'mms' && mms) {
+        const message = mmsMessage(mms);
+        mms = null;
+        if (message) yield message;
+      }
+    } else if (tag.name === 'sms') {
+      const message = smsMessage(tag.attrs);
+      if (message) yield message;
+    } else if (tag.name === 'mms') {
+      mms = { attrs: tag.attrs, parts: [], addrs: [] };
+      if (tag.selfClosing) {
+        const message = mmsMessage(mms);
+        mms = null;
+        if (message) yield message;
+      }
+    } else if (mms && tag.name === 'part') {
+      mms.parts.push(tag.attrs);
+    } else if (mms && tag.name === 'addr') {
+      mms.addrs.push(tag.attrs);
+    }
+  }
+}
+
+// Export files named by a setting: the file itself, or the sms-*.xml files in a folder
+// (the app's calls-*.xml call logs sit next to them)
+export function listSmsBackups(paths) {
+  const files = [];
+  for (const entry of paths) {
+    let stat;
+    try {
+      stat = fs.statSync(entry);
+    } catch (error) {
+      throw new Error(`Android backup ${entry} not found`);
+    }
+    if (stat.isDirectory()) {
+      files.push(...fs.readdirSync(entry)
+        .filter(name => /^sms.*\.xml$/i.test(name))
+        .sort()
+        .map(name => path.join(entry, name)));
+    } else {
+      files.push(entry);
+    }
+  }
+  return files;
+}
+
+// An export file, or a folder of them
+export function isSmsBackup(value) {
+  try {
+    return fs.statSync(value).isDirectory()
+      ? fs.readdirSync(value).some(name => /^sms.*\.xml$/i.test(name))
+      : /\.xml$/i.test(value);
+  } catch (error) {
+    return /\.xml$/i.test(value);
+  }
+}
+
+function fileSignature(file) {
+  const stat = fs.statSync(file);
+  return `${stat.size}:${stat.mtimeMs}`;
+}
+
+/**
+ * Import export files into the database at dbPath (created when missing), skipping files
+ * already imported unchanged. Phone numbers are stored in E.164, read in region when
+ * written without a country code. Returns { files, messages, duplicates } for this run.
+ */
+export async function importSmsBackups(files, dbPath, { attachmentsDir, region }) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = await open({ filename: dbPath, driver: sqlite3.Database });
+  // Imported messages are as private as chat.db
+  fs.chmodSync(dbPath, 0o600);
+  const totals = { files: 0, messages: 0, duplicates: 0 };
+
+  try {
+    for (const sql of CHAT_DB_SCHEMA) await db.exec(sql);
+
+    const handles = new Map();
+    const handleFor = async (address) => {
+      const id = normalizePhone(address, region) || address.trim();
+      if (!handles.has(id)) {
+        await db.run(`INSERT OR IGNORE INTO handle (id, service, uncanonicalized_id) VALUES (?, 'SMS', ?)`, [id, address]);
+        handles.set(id, (await db.get(`SELECT ROWID FROM handle WHERE id = ? AND service = 'SMS'`, [id])).ROWID);
+      }
+      return handles.get(id);
+    };
+
+    const chats = new Map();
+    const chatFor = async (handleIds, handleKeys) => {
+      const group = handleIds.length > 1;
+      const identifier = group ? `android:${[...handleKeys].sort().join(',')}` : handleKeys[0];
+      if (!chats.has(identifier)) {
+        const guid = `SMS;${group ? '+' : '-'};${identifier}`;
+        await db.run(
+          `INSERT OR IGNORE INTO chat (guid, style, chat_identifier, service_name) VALUES (?, ?, ?, 'SMS')`,
+          [guid, group ? GROUP_CHAT : DIRECT_CHAT, identifier]
+        );
+        const { ROWID: chatId } = await db.get(`SELECT ROWID FROM chat WHERE guid = ?`, [guid]);
+        for (const handleId of handleIds) {
+          await db.run(`INSERT OR IGNORE INTO chat_handle_join (chat_id, handle_id) VALUES (?, ?)`, [chatId, handleId]);
+        }
+        chats.set(identifier, chatId);
+      }
+      return chats.get(identifier);
+    };
+
+    for (const file of files) {
+      const signature = fileSignature(file);
+      const previous = await db.get(`SELECT signature FROM android_import WHERE file = ?`, [file]);
+      if (previous?.signature === signature) continue;
+
+      let messages = 0;
+      let duplicates = 0;
+      await db.exec('BEGIN');
+      try {
+        for await (const message of readSmsBackup(file)) {
+          const participantIds = [];
+          const participantKeys = [];
+          for (const address of message.participants) {
+            participantIds.push(await handleFor(address));
+            participantKeys.push(normalizePhone(address, region) || address.trim());
+          }
+          const senderId = message.sender ? await handleFor(message.sender) : 0;
+          // The same message in another (overlapping) export has the same guid
+          const guid = `android:${sha1(JSON.stringify([
+            message.kind, [...participantKeys].sort(), message.sender && normalizePhone(message.sender, region),
+            message.fromMe, message.date, message.text,
+            message.attachments.map(a => [a.name, a.data.length]),
+          ]))}`;
+          const date = appleTime(message.date);
+
+          const { changes, lastID: messageId } = await db.run(
+            `INSERT OR IGNORE INTO message (guid, text, subject, handle_id, service, date, date_read, date_delivered,
+               is_from_me, is_read, is_sent, is_delivered, cache_has_attachments)
+             VALUES (?, ?, ?, ?, 'SMS', ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              guid, message.text, message.subject,
+              // Sent messages carry the recipient's handle in one-to-one chats, none in groups
+              message.fromMe ? (participantIds.length === 1 ? participantIds[0] : 0) : senderId,
+              date, message.read && !message.fromMe ? date : 0, date,
+              message.fromMe ? 1 : 0, message.read ? 1 : 0, message.fromMe ? 1 : 0, message.fromMe ? 1 : 0,
+              message.attachments.length > 0 ? 1 : 0,
+            ]
+          );
+          if (changes === 0) {
+            duplicates++;
+            continue;
+          }
+          messages++;
+
+          const chatId = await chatFor(participantIds, participantKeys);
+          await db.run(`INSERT INTO chat_message_join (chat_id, message_id, message_date) VALUES (?, ?, ?)`, [chatId, messageId, date]);
+
+          for (const [index, attachment] of message.attachments.entries()) {
+            const data = Buffer.from(attachment.data, 'base64');
+            const hash = sha1(data);
+            const filename = path.join(attachmentsDir, hash.slice(0, 2), hash, path.basename(attachment.name));
+            if (!fs.existsSync(filename)) {
+              fs.mkdirSync(path.dirname(filename), { recursive: true });
+              fs.writeFileSync(filename, data, { mode: 0o600 });
+            }
+            const { lastID: attachmentId } = await db.run(
+              `INSERT INTO attachment (guid, created_date, filename, mime_type, transfer_state, is_outgoing, transfer_name, total_bytes)
+               VALUES (?, ?, ?, ?, 5, ?, ?, ?)`,
+              [`${guid}/${index}`, Number(BigInt(date) / 1000000000n), filename, attachment.mime,
+                message.fromMe ? 1 : 0, path.basename(attachment.name), data.length]
+            );
+            await db.run(`INSERT INTO message_attachment_join (message_id, attachment_id) VALUES (?, ?)`, [messageId, attachmentId]);
+          }
+        }
+        await db.run(
+          `INSERT OR REPLACE INTO android_import (file, signature, messages, duplicates, imported_at) VALUES (?, ?, ?, ?, ?)`,
+          [file, signature, messages, duplicates, new Date().toISOString()]
+        );
+        await db.exec('COMMIT');
+      } catch (error) {
+        await db.exec('ROLLBACK');
+        throw error;
+      }
+
+      console.error(`Android backup ${path.basename(file)}: imported ${messages} messages, ${duplicates} already imported`);
+      totals.files++;
+      totals.messages += messages;
+      totals.duplicates += duplicates;
+    }
+  } finally {
+    await db.close();
+  }
+  return totals;
+}
+
+export class AndroidMessageSource extends MessageSource {
+  constructor({ name, androidBackups, importPath, attachmentsDir, searchIndexPath }, contacts, region) {
+    super({ name, type: 'android', chatDb: importPath, attachmentsDir, searchIndexPath }, contacts);
+    this.androidBackups = androidBackups;
+    this.region = region;
+    this.files = [];
+    this.signature = null;
+    this.loading = null;
+  }
+
+  // Import export files that are new or changed since the last tool call
+  async ready() {
+    const files = listSmsBackups(this.androidBackups);
+    if (files.length === 0) {
+      throw new Error(`No SMS Backup & Restore files (sms-*.xml) found in ${this.androidBackups.join(', ')}`);
+    }
+    const signature = files.map(file => `${file}=${fileSignature(file)}`).join('\n');
+    if (signature === this.signature) return;
+
+    // Concurrent tool calls share one import
+    if (!this.loading) {
+      this.loading = importSmsBackups(files, this.dbPath, { attachmentsDir: this.attachmentsDir, region: this.region })
+        .then(() => {
+          this.files = files;
+          this.signature = signature;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    await this.loading;
+  }
+
+  // Attachments are imported with their full path
+  attachmentPath(filename) {
+    return filename || null;
+  }
+
+  diagnostics() {
+    return {
+      ...super.diagnostics(),
+      android_backups: this.androidBackups,
+      imported_files: this.files,
+    };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Helpers for rows from the attachment / message_attachment_join tables:
+ * type classification, transfer state labels and on-disk path resolution.
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+
+export const ATTACHMENT_KINDS = ['image', 'video', 'audio', 'pdf', 'document', 'sticker', 'other'];
+
+// attachment.transfer_state values observed in chat.db
+const TRANSFER_STATES = {
+  0: 'pending',
+  1: 'archiving',
+  2: 'waiting',
+  3: 'downloading',
+  4: 'downloaded',
+  5: 'complete',
+  6: 'failed',
+};
+
+// Used when mime_type is NULL, which is common for older and outgoing attachments
+const UTI_KINDS = {
+  'public.jpeg': 'image',
+  'public.png': 'image',
+  'public.heic': 'image',
+  'public.heif': 'image',
+  'com.compuserve.gif': 'image',
+  'public.tiff': 'image',
+  'com.apple.quicktime-movie': 'video',
+  'public.mpeg-4': 'video',
+  'com.apple.m4v-video': 'video',
+  'com.apple.coreaudio-format': 'audio',
+  'public.mpeg-4-audio': 'audio',
+  'com.apple.m4a-audio': 'audio',
+  'public.mp3': 'audio',
+  'com.adobe.pdf': 'pdf',
+};
+
+export function attachmentKind(row) {
+  if (row.is_sticker === 1) return 'sticker';
+
+  const mime = (row.mime_type || '').toLowerCase();
+  if (mime === 'application/pdf') return 'pdf';
+  if (mime.startsWith('image/')) return 'image';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime.startsWith('application/') || mime.startsWith('text/')) return 'document';
+
+  if (row.uti && UTI_KINDS[row.uti]) return UTI_KINDS[row.uti];
+  if (row.uti && (row.uti.startsWith('public.') || row.uti.startsWith('com.'))) return 'document';
+  return 'other';
+}
+
+export function transferStatus(state) {
+  if (state === null || state === undefined) return 'unknown';
+  return TRANSFER_STATES[state] || `state_${state}`;
+}
+
+const MESSAGES_ATTACHMENTS = '~/Library/Messages/Attachments/';
+
+// attachment.filename is stored as "~/Library/Messages/Attachments/..."; attachmentsDir
+// relocates those paths for a copied or archived Messages folder
+export function resolveAttachmentPath(filename, homeDir = os.homedir(), attachmentsDir = null) {
+  if (!filename) return null;
+  if (attachmentsDir && filename.startsWith(MESSAGES_ATTACHMENTS)) {
+    return path.join(attachmentsDir, filename.slice(MESSAGES_ATTACHMENTS.length));
+  }
+  if (filename === '~') return homeDir;
+  if (filename.startsWith('~/')) return path.join(homeDir, filename.slice(2));
+  return filename;
+}
+
+// Shape an attachment row for tool output; resolvedPath is where the message source keeps the file
+export function formatAttachment(row, resolvedPath = resolveAttachmentPath(row.filename)) {
+  return {
+    filename: row.transfer_name || (row.filename ? path.basename(row.filename) : null),
+    kind: attachmentKind(row),
+    mime_type: row.mime_type || null,
+    uti: row.uti || null,
+    size_bytes: row.total_bytes ?? null,
+    transfer_state: row.transfer_state ?? null,
+    transfer_status: transferStatus(row.transfer_state),
+    path: resolvedPath,
+    on_disk: resolvedPath ? fs.existsSync(resolvedPath) : false,
+  };
+}
+
+// Placeholder text for messages that consist only of attachments
+export function describeAttachments(attachments) {
+  if (!attachments || attachments.length === 0) return null;
+  return attachments.map(a => `[${a.kind === 'other' ? 'Attachment' : a.kind}: ${a.filename || 'unnamed'}]`).join(' ');
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark the MCP tools against a generated chat.db.
+ *
+ * Generates a large fixture (see fixtures/generate.js) unless one already
+ * exists for the same size and seed, starts the server on it over stdio and
+ * times each scenario. The server's own per-statement query timings from
+ * get_diagnostics are printed at the end.
+ *
+ *   npm run bench -- --messages 200000 --iterations 10
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { generateFixture, parseArgs } from '../fixtures/generate.js';
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+const CALL_TIMEOUT_MS = 120000;
+
+// Minimal JSON-RPC client for the server's stdio transport
+function startServer(home) {
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, HOME: home },
+    stdio: ['pipe', 'pipe', 'inherit'],
+  });
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = '';
+
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      const request = pending.get(message.id);
+      if (request) {
+        pending.delete(message.id);
+        clearTimeout(request.timer);
+        if (message.error) request.reject(new Error(message.error.message));
+        else request.resolve(message.result);
+      }
+    }
+  });
+
+  const request = (method, params) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`${method} timed out`));
+    }, CALL_TIMEOUT_MS);
+    pending.set(id, { resolve, reject, timer });
+    child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  });
+
+  return {
+    async initialize() {
+      await request('initialize', {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'bench', version: '1.0.0' },
+      });
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+    },
+    async callTool(name, args) {
+      const result = await request('tools/call', { name, arguments: args });
+      const text = result.content.map(c => c.text).join('\n');
+      if (text.startsWith('Error:')) throw new Error(`${name}: ${text}`);
+      return text;
+    },
+    stop() {
+      child.kill();
+    },
+  };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function scenarios(samples) {
+  return [
+    ['list_conversations', { limit: 50 }],
+    ['search_contacts (name)', { query: samples.names[0].split(' ')[0] }, 'search_contacts'],
+    ['search_contacts (phone)', { query: samples.written_phones[0] }, 'search_contacts'],
+    ['read_conversation (name)', { identifier: samples.names[0], limit: 100, days_back: 3650 }, 'read_conversation'],
+    ['read_conversation (person)', { identifier: samples.people[1], limit: 100, days_back: 3650 }, 'read_conversation'],
+    ['read_conversation (group)', { identifier: samples.groups[0], limit: 100, days_back: 3650 }, 'read_conversation'],
+    ['search_and_read', { query: samples.names[2], limit: 30, days_back: 3650 }],
+    ['get_conversation_stats', { identifier: samples.people[0], days_back: 3650 }],
+    ['get_conversation_stats (group)', { identifier: samples.groups[0], days_back: 3650 }, 'get_conversation_stats'],
+    ['analyze_message_sentiment', { identifier: samples.people[0], days_back: 3650, group_by_date: false }],
+    ['list_attachments', { identifier: samples.groups[0], days_back: 3650 }],
+    ['search_messages', { query: 'lease', limit: 20 }],
+  ];
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const iterations = args.iterations || 5;
+  const messages = args.messages || 100000;
+  const seed = args.seed || 1;
+  const home = path.resolve(args.fixture || path.join(os.tmpdir(), `imessage-mcp-bench-${messages}-${seed}`));
+
+  const manifestPath = path.join(home, 'fixture.json');
+  if (!fs.existsSync(manifestPath)) {
+    console.log(`Generating fixture with ${messages} messages in ${home} ...`);
+    const started = Date.now();
+    await generateFixture(home, { messages, seed, people: args.people, groups: args.groups });
+    console.log(`  done in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  console.log(`Fixture: ${manifest.counts.messages} messages, ${manifest.counts.handles} handles, ` +
+    `${manifest.counts.group_chats} groups, ${manifest.counts.people} contacts\n`);
+
+  const server = startServer(home);
+  try {
+    await server.initialize();
+
+    // The first search builds the full-text index; time it on its own
+    const indexStarted = performance.now();
+    await server.callTool('search_messages', { query: 'lease', limit: 1 });
+    console.log(`search index build: ${(performance.now() - indexStarted).toFixed(0)}ms\n`);
+
+    const rows = [];
+    for (const [label, toolArgs, tool = label] of scenarios(manifest.samples)) {
+      const times = [];
+      // One untimed warm-up call, so contacts and prepared statements are loaded
+      await server.callTool(tool, toolArgs);
+      for (let i = 0; i < iterations; i++) {
+        const started = performance.now();
+        await server.callTool(tool, toolArgs);
+        times.push(performance.now() - started);
+      }
+      times.sort((a, b) => a - b);
+      rows.push({
+        scenario: label,
+        median_ms: +percentile(times, 50).toFixed(1),
+        p95_ms: +percentile(times, 95).toFixed(1),
+        min_ms: +times[0].toFixed(1),
+      });
+    }
+    console.table(rows);
+
+    const diagnostics = JSON.parse(await server.callTool('get_diagnostics', {}));
+    const { slowest_statements: slowest, ...database } = diagnostics.messages_database;
+    console.log('\nchat.db connection:');
+    console.log(`  opens ${database.opens}, queries ${database.queries} (${database.total_query_ms}ms), ` +
+      `statement cache ${database.statement_cache_hits} hits / ${database.statement_cache_misses} misses, ` +
+      `busy retries ${database.busy_retries}`);
+    console.log('\nSlowest statements (total time):');
+    console.table(slowest.map(s => ({ ...s, sql: s.sql.slice(0, 90) })));
+  } finally {
+    server.stop();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
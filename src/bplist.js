@@ -0,0 +1,130 @@
+/**
+ * Minimal reader for Apple binary property lists ("bplist00").
+ *
+ * chat.db stores several columns (message_summary_info, payload_data, ...) as
+ * binary plists. This covers the object types those columns use: null/bool,
+ * integers, reals, dates, data, ASCII/UTF-16 strings, UIDs, arrays and dictionaries.
+ */
+
+const APPLE_EPOCH_SECONDS = 978307200;
+
+export class BinaryPlistError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BinaryPlistError';
+  }
+}
+
+function readUInt(buf, offset, size) {
+  switch (size) {
+    case 1: return buf.readUInt8(offset);
+    case 2: return buf.readUInt16BE(offset);
+    case 4: return buf.readUInt32BE(offset);
+    case 8: return Number(buf.readBigUInt64BE(offset));
+    default: throw new BinaryPlistError(`Unsupported integer size ${size}`);
+  }
+}
+
+export function parseBinaryPlist(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  if (buf.length < 40 || buf.toString('latin1', 0, 8) !== 'bplist00') {
+    throw new BinaryPlistError('Not a binary plist');
+  }
+
+  const trailer = buf.length - 32;
+  const offsetSize = buf.readUInt8(trailer + 6);
+  const refSize = buf.readUInt8(trailer + 7);
+  const objectCount = Number(buf.readBigUInt64BE(trailer + 8));
+  const topObject = Number(buf.readBigUInt64BE(trailer + 16));
+  const offsetTable = Number(buf.readBigUInt64BE(trailer + 24));
+
+  const offsets = [];
+  for (let i = 0; i < objectCount; i++) {
+    offsets.push(readUInt(buf, offsetTable + i * offsetSize, offsetSize));
+  }
+
+  const parsing = new Set();
+
+  // Length is the low nibble, or a following integer object when the nibble is 0xF
+  const readLength = (offset, info) => {
+    if (info !== 0x0f) return { length: info, start: offset + 1 };
+    const marker = buf.readUInt8(offset + 1);
+    const size = 1 << (marker & 0x0f);
+    return { length: readUInt(buf, offset + 2, size), start: offset + 2 + size };
+  };
+
+  const readObject = (ref) => {
+    if (ref >= offsets.length) throw new BinaryPlistError(`Object reference ${ref} out of range`);
+    if (parsing.has(ref)) throw new BinaryPlistError('Cyclic object reference');
+    parsing.add(ref);
+
+    const offset = offsets[ref];
+    const marker = buf.readUInt8(offset);
+    const type = marker >> 4;
+    const info = marker & 0x0f;
+    let value;
+
+    switch (type) {
+      case 0x0:
+        value = info === 0x08 ? false : info === 0x09 ? true : null;
+        break;
+      case 0x1: {
+        const size = 1 << info;
+        value = size === 8 ? Number(buf.readBigInt64BE(offset + 1))
+          : size === 16 ? Number(buf.readBigInt64BE(offset + 9))
+            : readUInt(buf, offset + 1, size);
+        break;
+      }
+      case 0x2:
+        value = info === 2 ? buf.readFloatBE(offset + 1) : buf.readDoubleBE(offset + 1);
+        break;
+      case 0x3:
+        value = new Date((buf.readDoubleBE(offset + 1) + APPLE_EPOCH_SECONDS) * 1000);
+        break;
+      case 0x4: {
+        const { length, start } = readLength(offset, info);
+        value = Buffer.from(buf.subarray(start, start + length));
+        break;
+      }
+      case 0x5: {
+        const { length, start } = readLength(offset, info);
+        value = buf.toString('latin1', start, start + length);
+        break;
+      }
+      case 0x6: {
+        const { length, start } = readLength(offset, info);
+        const utf16 = Buffer.from(buf.subarray(start, start + length * 2));
+        utf16.swap16();
+        value = utf16.toString('utf16le');
+        break;
+      }
+      case 0x8:
+        value = { UID: readUInt(buf, offset + 1, info + 1) };
+        break;
+      case 0xa: {
+        const { length, start } = readLength(offset, info);
+        value = [];
+        for (let i = 0; i < length; i++) {
+          value.push(readObject(readUInt(buf, start + i * refSize, refSize)));
+        }
+        break;
+      }
+      case 0xd: {
+        const { length, start } = readLength(offset, info);
+        value = {};
+        for (let i = 0; i < length; i++) {
+          const key = readObject(readUInt(buf, start + i * refSize, refSize));
+          value[String(key)] = readObject(readUInt(buf, start + (length + i) * refSize, refSize));
+        }
+        break;
+      }
+      default:
+        throw new BinaryPlistError(`Unsupported object type 0x${type.toString(16)}`);
+    }
+
+    parsing.delete(ref);
+    return value;
+  };
+
+  return readObject(topObject);
+}
@@ -0,0 +1,408 @@
+/**
+ * Server configuration: database locations, the default phone region, default
+ * tool arguments (limits, date windows), which tools are enabled, and named
+ * message sources that tools select with their "source" argument.
+ *
+ * Settings are layered, later layers winning: built-in defaults, a JSON config
+ * file, IMESSAGE_* environment variables, then command-line flags. The config
+ * file is ~/Library/Application Support/imessage-mcp-server/config.json unless
+ * --config or IMESSAGE_CONFIG names another one. Relative paths in the file are
+ * read from the file's directory; in variables and flags, from the working directory.
+ * A source path that is an iPhone backup folder is read as a backup (see iphone-backup.js),
+ * and an Android SMS Backup & Restore export (or a folder of them) is imported (see android-backup.js).
+ * merge lists sources whose messages read_conversation and get_conversation_stats show
+ * in one timeline with the source's own; the top-level setting applies to the default source.
+ * export_conversation writes transcripts to export_dir unless given another path.
+ * Keyword lexicons in lexicons_dir (default: <data_dir>/lexicons) add to or replace the
+ * built-in ones (see lexicons.js).
+ *
+ *   {
+ *     "chat_db": "~/Library/Messages/chat.db",
+ *     "default_region": "GB",
+ *     "sources": {
+ *       "archive": { "chat_db": "/Volumes/Backup/Messages", "contacts_dir": "/Volumes/Backup/AddressBook" },
+ *       "iphone": { "backup": "~/Library/Application Support/MobileSync/Backup/00008101-000A1B2C3D4E5F6A" },
+ *       "android": { "android_backup": "~/Documents/SMSBackupRestore" },
+ *       "fixture": "./fixture/Library/Messages/chat.db"
+ *     },
+ *     "merge": ["android"],
+ *     "default_source": "default",
+ *     "disabled_tools": ["analyze_message_sentiment"],
+ *     "defaults": { "days_back": 90, "read_conversation": { "limit": 100 } }
+ *   }
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { DEFAULT_REGION, regionInfo } from './phone.js';
+import { isBackupDir } from './iphone-backup.js';
+import { isSmsBackup } from './android-backup.js';
+
+// Name of the source built from chat_db / --db, normally the Mac's own Messages database
+export const DEFAULT_SOURCE = 'default';
+
+export const USAGE = `Usage: imessage-mcp-server [options]
+
+  --config <file>             JSON config file (env IMESSAGE_CONFIG)
+  --db <path>                 chat.db, or the Messages folder holding it, of the default source (IMESSAGE_DB_PATH)
+  --attachments-dir <dir>     Attachments folder of the default source (IMESSAGE_ATTACHMENTS_DIR)
+  --contacts-dir <dir>        AddressBook folder (IMESSAGE_CONTACTS_DIR)
+  --data-dir <dir>            Where the search indexes are kept (IMESSAGE_DATA_DIR)
+  --export-dir <dir>          Where export_conversation writes transcripts (IMESSAGE_EXPORT_DIR)
+  --lexicons-dir <dir>        Keyword lexicon files for analyze_message_sentiment (IMESSAGE_LEXICONS_DIR)
+  --region <code>             Region for numbers without a country code, e.g. GB (IMESSAGE_DEFAULT_REGION)
+  --source <name=path>        Add a named message source: chat.db, a Messages folder, an unencrypted
+                              iPhone backup folder, or an Android SMS Backup & Restore export (sms-*.xml)
+                              or folder of them; repeatable (IMESSAGE_SOURCES, comma-separated)
+  --merge <a,b,...>           Sources merged into the default source's conversations (IMESSAGE_MERGE)
+  --default-source <name>     Source used when a tool call names none (IMESSAGE_DEFAULT_SOURCE)
+  --tools <a,b,...>           Enable only these tools (IMESSAGE_ENABLED_TOOLS)
+  --disable-tools <a,b,...>   Disable these tools (IMESSAGE_DISABLED_TOOLS)
+  --default <[tool.]arg=value>
+                              Default tool argument, e.g. days_back=90 or read_conversation.limit=100;
+                              repeatable (IMESSAGE_DEFAULTS, comma-separated)
+  --help                      Show this help
+`;
+
+const ENV_VARS = {
+  chat_db: 'IMESSAGE_DB_PATH',
+  attachments_dir: 'IMESSAGE_ATTACHMENTS_DIR',
+  contacts_dir: 'IMESSAGE_CONTACTS_DIR',
+  data_dir: 'IMESSAGE_DATA_DIR',
+  export_dir: 'IMESSAGE_EXPORT_DIR',
+  lexicons_dir: 'IMESSAGE_LEXICONS_DIR',
+  default_region: 'IMESSAGE_DEFAULT_REGION',
+  sources: 'IMESSAGE_SOURCES',
+  default_source: 'IMESSAGE_DEFAULT_SOURCE',
+  merge: 'IMESSAGE_MERGE',
+  enabled_tools: 'IMESSAGE_ENABLED_TOOLS',
+  disabled_tools: 'IMESSAGE_DISABLED_TOOLS',
+  defaults: 'IMESSAGE_DEFAULTS',
+};
+
+const FLAGS = {
+  '--db': 'chat_db',
+  '--attachments-dir': 'attachments_dir',
+  '--contacts-dir': 'contacts_dir',
+  '--data-dir': 'data_dir',
+  '--export-dir': 'export_dir',
+  '--lexicons-dir': 'lexicons_dir',
+  '--region': 'default_region',
+  '--source': 'sources',
+  '--default-source': 'default_source',
+  '--merge': 'merge',
+  '--tools': 'enabled_tools',
+  '--disable-tools': 'disabled_tools',
+  '--default': 'defaults',
+};
+
+const PATH_SETTINGS = new Set(['chat_db', 'attachments_dir', 'contacts_dir', 'data_dir', 'export_dir', 'lexicons_dir']);
+const SOURCE_SETTINGS = new Set(['chat_db', 'backup', 'android_backup', 'attachments_dir', 'contacts_dir', 'merge']);
+
+// Source names end up in search index file names
+const SOURCE_NAME = /^[A-Za-z0-9_-]+$/;
+
+function expandPath(value, baseDir, home) {
+  const text = String(value).trim();
+  if (text === '~') return home;
+  if (text.startsWith('~/')) return path.join(home, text.slice(2));
+  return path.resolve(baseDir, text);
+}
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// "100" -> 100, "true" -> true; anything else stays a string
+function parseScalar(text) {
+  const value = text.trim();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+// A message source: a path to chat.db (or its folder, an iPhone backup or Android export), or an object
+// of source settings. android_backup may list several exports.
+function parseSource(name, spec, baseDir, home, origin) {
+  if (!SOURCE_NAME.test(name)) {
+    throw new Error(`Invalid source name "${name}" in ${origin}. Use letters, digits, "-" and "_"`);
+  }
+  const settings = typeof spec === 'string' ? { chat_db: spec } : spec;
+  if (!settings || typeof settings !== 'object' || !(settings.chat_db || settings.backup || settings.android_backup)) {
+    throw new Error(`Source "${name}" in ${origin} needs a chat_db, backup or android_backup path`);
+  }
+  const source = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (!SOURCE_SETTINGS.has(key)) {
+      console.error(`Ignoring unknown setting "${key}" for source "${name}" in ${origin}`);
+      continue;
+    }
+    if (key === 'merge') {
+      source.merge = toList(value);
+    } else if (key === 'android_backup') {
+      source.android_backup = (Array.isArray(value) ? value : [value]).map(item => expandPath(item, baseDir, home));
+    } else {
+      source[key] = expandPath(value, baseDir, home);
+    }
+  }
+  return source;
+}
+
+// "archive=/path/chat.db,old=/other" (variables and flags) or { archive: ... } (config file)
+function parseSources(value, baseDir, home, origin) {
+  const entries = typeof value === 'string'
+    ? toList(value).map(entry => {
+      const eq = entry.indexOf('=');
+      if (eq <= 0) throw new Error(`Invalid source "${entry}" in ${origin}. Use name=path`);
+      return [entry.slice(0, eq).trim(), entry.slice(eq + 1).trim()];
+    })
+    : Object.entries(value || {});
+  return Object.fromEntries(entries.map(([name, spec]) => [name, parseSource(name, spec, baseDir, home, origin)]));
+}
+
+// Default tool arguments as { all: { arg: value }, tools: { tool: { arg: value } } }, from
+// "days_back=90,read_conversation.limit=100" or { days_back: 90, read_conversation: { limit: 100 } }
+function parseDefaults(value, origin) {
+  const defaults = { all: {}, tools: {} };
+  const set = (tool, arg, argValue) => {
+    if (tool) {
+      defaults.tools[tool] = { ...defaults.tools[tool], [arg]: argValue };
+    } else {
+      defaults.all[arg] = argValue;
+    }
+  };
+
+  if (typeof value === 'string') {
+    for (const entry of toList(value)) {
+      const eq = entry.indexOf('=');
+      if (eq <= 0) throw new Error(`Invalid default "${entry}" in ${origin}. Use arg=value or tool.arg=value`);
+      const key = entry.slice(0, eq).trim();
+      const dot = key.indexOf('.');
+      set(dot === -1 ? null : key.slice(0, dot), key.slice(dot + 1), parseScalar(entry.slice(eq + 1)));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [key, argValue] of Object.entries(value)) {
+      if (argValue && typeof argValue === 'object' && !Array.isArray(argValue)) {
+        for (const [arg, toolValue] of Object.entries(argValue)) set(key, arg, toolValue);
+      } else {
+        set(null, key, argValue);
+      }
+    }
+  }
+  return defaults;
+}
+
+// Add one setting to a layer. Sources and defaults accumulate, so flags can repeat.
+function applySetting(layer, key, value, baseDir, home, origin) {
+  if (PATH_SETTINGS.has(key)) {
+    layer[key] = expandPath(value, baseDir, home);
+  } else if (key === 'enabled_tools' || key === 'disabled_tools' || key === 'merge') {
+    layer[key] = toList(value);
+  } else if (key === 'sources') {
+    layer.sources = { ...layer.sources, ...parseSources(value, baseDir, home, origin) };
+  } else if (key === 'defaults') {
+    layer.defaults = mergeDefaults(layer.defaults, parseDefaults(value, origin));
+  } else {
+    layer[key] = String(value).trim();
+  }
+}
+
+function mergeDefaults(base = { all: {}, tools: {} }, extra) {
+  const tools = { ...base.tools };
+  for (const [tool, args] of Object.entries(extra.tools)) tools[tool] = { ...tools[tool], ...args };
+  return { all: { ...base.all, ...extra.all }, tools };
+}
+
+function readConfigFile(file, home) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+
+  const layer = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in ENV_VARS)) {
+      console.error(`Ignoring unknown setting "${key}" in ${file}`);
+      continue;
+    }
+    applySetting(layer, key, value, path.dirname(file), home, file);
+  }
+  return layer;
+}
+
+function readEnv(env, home) {
+  const layer = {};
+  for (const [key, name] of Object.entries(ENV_VARS)) {
+    if (env[name]) applySetting(layer, key, env[name], process.cwd(), home, name);
+  }
+  return layer;
+}
+
+// Flags as "--name value" or "--name=value"; --config is returned separately
+export function parseFlags(argv, home = os.homedir()) {
+  const layer = {};
+  let configFile = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const flag = arg.startsWith('--') && eq !== -1 ? arg.slice(0, eq) : arg;
+    if (flag !== '--config' && !FLAGS[flag]) {
+      throw new Error(`Unknown option: ${arg}\n\n${USAGE}`);
+    }
+    let value;
+    if (flag !== arg) {
+      value = arg.slice(eq + 1);
+    } else {
+      value = argv[++i];
+      if (value === undefined) throw new Error(`Missing value for ${flag}`);
+    }
+
+    if (flag === '--config') {
+      configFile = expandPath(value, process.cwd(), home);
+    } else {
+      applySetting(layer, FLAGS[flag], value, process.cwd(), home, flag);
+    }
+  }
+  return { layer, configFile, help };
+}
+
+// chat.db inside a Messages folder (an archived copy) when given the folder
+function chatDbPath(value) {
+  try {
+    if (fs.statSync(value).isDirectory()) return path.join(value, 'chat.db');
+  } catch (e) {
+    // Not there (yet); used as given and reported when the source is first opened
+  }
+  return value;
+}
+
+/**
+ * Resolve the configuration from the config file, environment and flags.
+ * Throws on unreadable config files and malformed settings; an unknown
+ * region falls back to the default with a warning.
+ */
+export function loadConfig({ argv = [], env = process.env, home = os.homedir() } = {}) {
+  const flags = parseFlags(argv, home);
+  const appDir = path.join(home, 'Library', 'Application Support', 'imessage-mcp-server');
+
+  // An explicitly named config file must exist; the default one is optional
+  let file = flags.configFile || (env.IMESSAGE_CONFIG ? expandPath(env.IMESSAGE_CONFIG, process.cwd(), home) : null);
+  if (!file && fs.existsSync(path.join(appDir, 'config.json'))) file = path.join(appDir, 'config.json');
+
+  const settings = {
+    chat_db: path.join(home, 'Library', 'Messages', 'chat.db'),
+    contacts_dir: path.join(home, 'Library', 'Application Support', 'AddressBook'),
+    data_dir: appDir,
+    export_dir: path.join(home, 'Documents', 'iMessage Exports'),
+    default_region: DEFAULT_REGION,
+    default_source: DEFAULT_SOURCE,
+    sources: {},
+    merge: [],
+    enabled_tools: null,
+    disabled_tools: [],
+    defaults: { all: {}, tools: {} },
+  };
+  for (const layer of [file ? readConfigFile(file, home) : {}, readEnv(env, home), flags.layer]) {
+    for (const [key, value] of Object.entries(layer)) {
+      if (key === 'sources') {
+        for (const [name, source] of Object.entries(value)) {
+          settings.sources[name] = { ...settings.sources[name], ...source };
+        }
+      } else if (key === 'defaults') {
+        settings.defaults = mergeDefaults(settings.defaults, value);
+      } else {
+        settings[key] = value;
+      }
+    }
+  }
+
+  let defaultRegion = settings.default_region.toUpperCase();
+  if (!regionInfo(defaultRegion)) {
+    console.error(`Unknown default region ${defaultRegion}, using ${DEFAULT_REGION}`);
+    defaultRegion = DEFAULT_REGION;
+  }
+
+  // The default source comes from chat_db unless a source of that name is configured
+  const sourceSettings = {
+    [DEFAULT_SOURCE]: { chat_db: settings.chat_db, attachments_dir: settings.attachments_dir, merge: settings.merge },
+    ...settings.sources,
+  };
+  const sources = Object.entries(sourceSettings).map(([name, source]) => {
+    const searchIndexPath = path.join(
+      settings.data_dir,
+      name === DEFAULT_SOURCE ? 'search-index.db' : `search-index-${name}.db`
+    );
+    const merge = source.merge || [];
+    const backupDir = source.backup || (source.chat_db && isBackupDir(source.chat_db) ? source.chat_db : null);
+    if (backupDir) {
+      // Read with the iPhone's own contacts unless contacts_dir says otherwise
+      return { name, type: 'iphone_backup', backupDir, contactsDir: source.contacts_dir || null, searchIndexPath, merge };
+    }
+
+    const androidBackups = source.android_backup || (source.chat_db && isSmsBackup(source.chat_db) ? [source.chat_db] : null);
+    if (androidBackups) {
+      // Exports are imported into a chat.db-shaped database in the data folder
+      return {
+        name,
+        type: 'android',
+        androidBackups,
+        importPath: path.join(settings.data_dir, `android-${name}.db`),
+        attachmentsDir: path.join(settings.data_dir, `android-${name}-attachments`),
+        contactsDir: source.contacts_dir || settings.contacts_dir,
+        searchIndexPath,
+        merge,
+      };
+    }
+
+    const chatDb = chatDbPath(source.chat_db);
+    return {
+      name,
+      type: 'messages',
+      chatDb,
+      // Attachment paths in chat.db point at ~/Library/Messages/Attachments; a copied
+      // Messages folder keeps them next to its chat.db
+      attachmentsDir: source.attachments_dir || path.join(path.dirname(chatDb), 'Attachments'),
+      contactsDir: source.contacts_dir || settings.contacts_dir,
+      searchIndexPath,
+      merge,
+    };
+  });
+
+  if (!sources.some(s => s.name === settings.default_source)) {
+    throw new Error(`Default source "${settings.default_source}" is not configured. Sources: ${sources.map(s => s.name).join(', ')}`);
+  }
+  for (const source of sources) {
+    for (const name of source.merge) {
+      if (name === source.name || !sources.some(s => s.name === name)) {
+        throw new Error(`Source "${source.name}" cannot merge "${name}". Sources: ${sources.map(s => s.name).join(', ')}`);
+      }
+    }
+  }
+
+  return {
+    file,
+    help: flags.help,
+    defaultRegion,
+    dataDir: settings.data_dir,
+    exportDir: settings.export_dir,
+    lexiconsDir: settings.lexicons_dir || path.join(settings.data_dir, 'lexicons'),
+    sources,
+    defaultSource: settings.default_source,
+    enabledTools: settings.enabled_tools,
+    disabledTools: settings.disabled_tools,
+    defaults: settings.defaults,
+  };
+}
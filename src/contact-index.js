@@ -0,0 +1,151 @@
+/**
+ * In-memory contact index over every AddressBook database.
+ *
+ * The whole AddressBook is read once into a PeopleGraph and kept in memory;
+ * lookups never touch SQLite. The modification times of the database files
+ * (and their -wal journals, where Contacts writes first) are checked at most
+ * every few seconds, and the index is rebuilt when they change, so renamed or
+ * new contacts show up without restarting the server.
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs';
+import { PeopleGraph } from './people.js';
+
+const CHECK_INTERVAL_MS = 5000;
+
+export class ContactIndex {
+  constructor(contactsDir, region) {
+    this.contactsDir = contactsDir;
+    this.region = region;
+    this.graph = null;
+    this.signature = null;
+    this.loading = null;
+    this.lastCheckedMs = 0;
+    this.nameCache = new Map(); // handle id -> display name or null, cleared on reload
+    this.stats = {
+      loads: 0,
+      last_loaded_at: null,
+      last_load_ms: null,
+      name_lookups: 0,
+      name_cache_hits: 0,
+    };
+  }
+
+  // The root database plus one per account (iCloud, Exchange, Google, ...) under
+  // Sources/<UUID>/. key identifies the source in person ids ('' for the root).
+  findSources() {
+    const sources = [];
+    const rootPath = path.join(this.contactsDir, 'AddressBook-v22.abcddb');
+    if (fs.existsSync(rootPath)) sources.push({ key: '', path: rootPath });
+
+    const sourcesDir = path.join(this.contactsDir, 'Sources');
+    let entries = [];
+    try {
+      entries = fs.readdirSync(sourcesDir, { withFileTypes: true });
+    } catch (error) {
+      // No per-account sources on this Mac
+    }
+    for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const sourcePath = path.join(sourcesDir, entry.name, 'AddressBook-v22.abcddb');
+      if (fs.existsSync(sourcePath)) {
+        sources.push({ key: entry.name.replace(/[^0-9a-z]/gi, '').slice(0, 8).toLowerCase(), path: sourcePath });
+      }
+    }
+    return sources;
+  }
+
+  // Changes whenever a source is added or removed or any database file is written
+  computeSignature(sources) {
+    return sources.map(source => {
+      const parts = [source.path];
+      for (const file of [source.path, `${source.path}-wal`]) {
+        try {
+          const stat = fs.statSync(file);
+          parts.push(`${stat.mtimeMs}:${stat.size}`);
+        } catch (error) {
+          parts.push('-');
+        }
+      }
+      return parts.join(':');
+    }).join('|');
+  }
+
+  // The current PeopleGraph, reloaded first if the AddressBook changed on disk
+  async get() {
+    const now = Date.now();
+    if (this.graph && now - this.lastCheckedMs < CHECK_INTERVAL_MS) {
+      return this.graph;
+    }
+    this.lastCheckedMs = now;
+
+    const sources = this.findSources();
+    const signature = this.computeSignature(sources);
+    if (this.graph && signature === this.signature) return this.graph;
+
+    // Concurrent tool calls share one reload
+    if (!this.loading) {
+      this.loading = this.load(sources, signature).finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async load(sources, signature) {
+    const started = Date.now();
+    const graph = new PeopleGraph(this.region);
+    if (sources.length === 0) {
+      console.error('Contacts database not found - names will fallback to phone numbers');
+    }
+
+    for (const source of sources) {
+      let db;
+      try {
+        db = await open({ filename: source.path, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+        await graph.addSource({ ...source, db });
+      } catch (error) {
+        console.error(`Failed to load Contacts from ${source.path}:`, error.message);
+      } finally {
+        if (db) await db.close();
+      }
+    }
+
+    this.graph = graph;
+    this.signature = signature;
+    this.nameCache.clear();
+    this.stats.loads++;
+    this.stats.last_loaded_at = new Date().toISOString();
+    this.stats.last_load_ms = Date.now() - started;
+    console.error(`Contacts: loaded ${graph.size} people from ${graph.sources.length} source(s) in ${this.stats.last_load_ms}ms`);
+    return graph;
+  }
+
+  // AddressBook name for a handle id, or null when no card has it
+  async nameFor(handleId) {
+    const graph = await this.get();
+    this.stats.name_lookups++;
+    if (this.nameCache.has(handleId)) {
+      this.stats.name_cache_hits++;
+      return this.nameCache.get(handleId);
+    }
+    const name = graph.findByHandle(handleId)?.name || null;
+    this.nameCache.set(handleId, name);
+    return name;
+  }
+
+  diagnostics() {
+    const { name_lookups: lookups, name_cache_hits: hits } = this.stats;
+    return {
+      loaded: Boolean(this.graph),
+      people: this.graph ? this.graph.size : 0,
+      sources: this.graph ? this.graph.sources.map(s => ({ key: s.key || 'root', path: s.path, cards: s.cards })) : [],
+      check_interval_ms: CHECK_INTERVAL_MS,
+      ...this.stats,
+      name_cache_size: this.nameCache.size,
+      name_cache_hit_rate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+}
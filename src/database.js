@@ -0,0 +1,284 @@
+/**
+ * Shared read-only connection to chat.db.
+ *
+ * Tools used to open chat.db for every call, and helpers opened further
+ * connections of their own, so one read_conversation by name could open the
+ * database five times or more. MessageDatabase keeps a single connection open
+ * for the life of the server and hands out lightweight sessions on it:
+ *
+ * - statements are prepared once per connection and reused (bounded LRU cache)
+ * - every query is timed, per statement shape, for get_diagnostics
+ * - SQLITE_BUSY is retried, with backoff, on a fresh connection
+ * - a chat.db replaced on disk (restored backup, new Mac) is reopened transparently
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import fs from 'fs';
+
+const STATEMENT_CACHE_SIZE = 100;
+const BUSY_TIMEOUT_MS = 2000;
+const RETRY_DELAYS_MS = [50, 200, 500];
+const SLOW_QUERY_MS = 500;
+const RETRYABLE_CODES = new Set(['SQLITE_BUSY', 'SQLITE_LOCKED']);
+
+// One statement shape per call site: whitespace collapsed and IN (?, ?, ...) lists folded
+export function statementShape(sql) {
+  return sql
+    .replace(/\s+/g, ' ')
+    .replace(/\(\s*\?(?:\s*,\s*\?)*\s*\)/g, '(?…)')
+    .trim();
+}
+
+// Identity of the file at path, or null when it does not exist
+function fileIdentity(path) {
+  try {
+    const stat = fs.statSync(path);
+    return `${stat.dev}:${stat.ino}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class Connection {
+  constructor(db, identity) {
+    this.db = db;
+    this.identity = identity;
+    this.statements = new Map(); // sql -> Promise<Statement>, in least recently used order
+    this.sessions = 0;
+    this.retired = false;
+  }
+
+  async statement(sql, stats) {
+    let statement = this.statements.get(sql);
+    if (statement) {
+      stats.statement_cache_hits++;
+      this.statements.delete(sql);
+    } else {
+      stats.statement_cache_misses++;
+      statement = this.db.prepare(sql);
+      // A statement that failed to prepare is not worth keeping
+      statement.catch(() => this.statements.delete(sql));
+    }
+    this.statements.set(sql, statement);
+
+    if (this.statements.size > STATEMENT_CACHE_SIZE) {
+      const [oldestSql, oldest] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      // Finalizing is queued behind any query still running on the statement
+      oldest.then(s => s.finalize()).catch(() => {});
+    }
+    return statement;
+  }
+
+  async close() {
+    const statements = [...this.statements.values()];
+    this.statements.clear();
+    await Promise.allSettled(statements.map(s => s.then(statement => statement.finalize())));
+    await this.db.close();
+  }
+}
+
+// Borrowed use of the shared connection; close() hands it back and never closes the database
+class Session {
+  constructor(database, connection) {
+    this.database = database;
+    this.connection = connection;
+    this.closed = false;
+  }
+
+  all(sql, params = []) {
+    return this.database.query(this, 'all', sql, params);
+  }
+
+  get(sql, params = []) {
+    return this.database.query(this, 'get', sql, params);
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    await this.database.release(this.connection);
+  }
+}
+
+export class MessageDatabase {
+  // onOpen(db) runs on every new connection, before any session uses it
+  constructor(dbPath, { onOpen = null } = {}) {
+    this.dbPath = dbPath;
+    this.onOpen = onOpen;
+    this.current = null;
+    this.opening = null;
+    this.stats = {
+      opens: 0,
+      reopens_after_replace: 0,
+      busy_retries: 0,
+      queries: 0,
+      query_errors: 0,
+      total_query_ms: 0,
+      statement_cache_hits: 0,
+      statement_cache_misses: 0,
+    };
+    this.shapes = new Map(); // statementShape -> { calls, total_ms, max_ms, errors }
+  }
+
+  // A session on the current connection, opening or reopening chat.db as needed
+  async session() {
+    let connection = await this.connection();
+    // Another call may have retired it while this one was waiting
+    while (connection.retired) connection = await this.connection();
+    connection.sessions++;
+    return new Session(this, connection);
+  }
+
+  async connection() {
+    if (this.current && !this.current.retired) {
+      if (fileIdentity(this.dbPath) === this.current.identity) return this.current;
+      console.error('Messages database was replaced on disk, reopening');
+      this.stats.reopens_after_replace++;
+      await this.retire(this.current);
+    }
+
+    // Concurrent tool calls share one open
+    if (!this.opening) {
+      this.opening = this.openConnection().finally(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  async openConnection() {
+    const identity = fileIdentity(this.dbPath);
+    const db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database,
+      mode: sqlite3.OPEN_READONLY,
+    });
+    db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    try {
+      if (this.onOpen) await this.onOpen(db);
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+    this.stats.opens++;
+    this.current = new Connection(db, identity);
+    return this.current;
+  }
+
+  // Stop handing out a connection; it closes once its last session is released
+  async retire(connection) {
+    connection.retired = true;
+    if (this.current === connection) this.current = null;
+    if (connection.sessions === 0) await connection.close();
+  }
+
+  async release(connection) {
+    connection.sessions--;
+    if (connection.retired && connection.sessions === 0) await connection.close();
+  }
+
+  // Move a session whose connection failed onto a fresh one
+  async reconnect(session) {
+    const failed = session.connection;
+    if (!failed.retired) await this.retire(failed);
+    let connection = await this.connection();
+    while (connection.retired) connection = await this.connection();
+    connection.sessions++;
+    session.connection = connection;
+    await this.release(failed);
+  }
+
+  async query(session, method, sql, params) {
+    if (session.closed) throw new Error('Database session used after close()');
+
+    for (let attempt = 0; ; attempt++) {
+      const started = process.hrtime.bigint();
+      try {
+        let result;
+        if (method === 'get' && params.length === 0) {
+          // Only binding resets a statement, so a cached get() without parameters
+          // would continue from the previous caller's row; run it unprepared
+          result = await session.connection.db.get(sql);
+        } else {
+          const statement = await session.connection.statement(sql, this.stats);
+          result = await statement[method](params);
+          // A get() stops after the first row; reset so the statement does not hold a read
+          // transaction open, which would pin an old snapshot of the database
+          if (method === 'get') await statement.reset();
+        }
+        this.record(sql, started, false);
+        return result;
+      } catch (error) {
+        this.record(sql, started, true);
+        const busy = RETRYABLE_CODES.has(error.code);
+        const replaced = !busy && fileIdentity(this.dbPath) !== session.connection.identity;
+        if ((!busy && !replaced) || attempt >= RETRY_DELAYS_MS.length) throw error;
+
+        if (busy) {
+          this.stats.busy_retries++;
+          await sleep(RETRY_DELAYS_MS[attempt]);
+        } else {
+          console.error('Messages database was replaced during a query, reopening');
+          this.stats.reopens_after_replace++;
+        }
+        await this.reconnect(session);
+      }
+    }
+  }
+
+  record(sql, started, failed) {
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    const shape = statementShape(sql);
+    let entry = this.shapes.get(shape);
+    if (!entry) {
+      entry = { calls: 0, total_ms: 0, max_ms: 0, errors: 0 };
+      this.shapes.set(shape, entry);
+    }
+    entry.calls++;
+    entry.total_ms += ms;
+    entry.max_ms = Math.max(entry.max_ms, ms);
+    if (failed) entry.errors++;
+
+    this.stats.queries++;
+    this.stats.total_query_ms += ms;
+    if (failed) this.stats.query_errors++;
+    if (ms > SLOW_QUERY_MS) console.error(`Slow query (${Math.round(ms)}ms): ${shape.slice(0, 200)}`);
+  }
+
+  // Counters plus the statement shapes that took the most time in total
+  diagnostics(top = 10) {
+    const round = ms => Math.round(ms * 100) / 100;
+    const slowest = [...this.shapes.entries()]
+      .sort((a, b) => b[1].total_ms - a[1].total_ms)
+      .slice(0, top)
+      .map(([shape, entry]) => ({
+        sql: shape.length > 200 ? `${shape.slice(0, 200)}…` : shape,
+        calls: entry.calls,
+        total_ms: round(entry.total_ms),
+        avg_ms: round(entry.total_ms / entry.calls),
+        max_ms: round(entry.max_ms),
+        errors: entry.errors,
+      }));
+
+    return {
+      path: this.dbPath,
+      exists: fileIdentity(this.dbPath) !== null,
+      open: Boolean(this.current),
+      active_sessions: this.current ? this.current.sessions : 0,
+      cached_statements: this.current ? this.current.statements.size : 0,
+      ...this.stats,
+      total_query_ms: round(this.stats.total_query_ms),
+      slowest_statements: slowest,
+    };
+  }
+
+  async close() {
+    if (this.current) await this.retire(this.current);
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Who-said-what-after-whom in a conversation: measures that depend on the order
+ * of messages and who sent them rather than on any single message.
+ *
+ * Functions take messages oldest first as { speaker, date_key, ... }, date_key
+ * being Apple nanoseconds as text (see timeline.js), so they work the same for
+ * one chat.db, an import or a merged timeline.
+ */
+
+import { localTime, messageTime, systemTimeZone } from './time.js';
+
+// A message counts as a reply to the one before it when it comes within this long
+export const REPLY_WINDOW_MS = 60 * 60 * 1000;
+
+// Monday of the local week a time (epoch milliseconds) falls in, as YYYY-MM-DD; toLocal
+// is a localTime() function from time.js
+export function weekStart(ms, toLocal = localTime(systemTimeZone())) {
+  const { date, weekday } = toLocal(ms);
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - weekday);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * The message each message answers: the nearest earlier message by someone else,
+ * skipping the author's own run of messages, when it came within windowMs.
+ * Returns a Map of message -> the message it replies to.
+ */
+export function replyTargets(messages, windowMs = REPLY_WINDOW_MS) {
+  const targets = new Map();
+  for (let i = 1; i < messages.length; i++) {
+    const message = messages[i];
+    let j = i - 1;
+    while (j >= 0 && messages[j].speaker === message.speaker) j--;
+    if (j < 0) continue;
+    if (messageTime(message) - messageTime(messages[j]) <= windowMs) targets.set(message, messages[j]);
+  }
+  return targets;
+}
+
+/**
+ * Who escalates: for each participant, how many of their messages drew a hostile reply
+ * (a message isHostile() accepts, from someone else, within windowMs), as a share of what
+ * they sent, who replied that way, and the most recent examples as [trigger, reply] pairs.
+ * Participants whose messages drew the most hostile replies come first.
+ */
+export function escalations(messages, isHostile, { windowMs = REPLY_WINDOW_MS, examples = 3 } = {}) {
+  const byParticipant = new Map();
+  const entryFor = speaker => {
+    if (!byParticipant.has(speaker)) {
+      byParticipant.set(speaker, { participant: speaker, messages: 0, hostile_replies_drawn: 0, replies_from: {}, examples: [] });
+    }
+    return byParticipant.get(speaker);
+  };
+  for (const message of messages) entryFor(message.speaker).messages++;
+
+  for (const [reply, trigger] of replyTargets(messages, windowMs)) {
+    if (!isHostile(reply)) continue;
+    const entry = entryFor(trigger.speaker);
+    entry.hostile_replies_drawn++;
+    entry.replies_from[reply.speaker] = (entry.replies_from[reply.speaker] || 0) + 1;
+    entry.examples.push([trigger, reply]);
+  }
+
+  return [...byParticipant.values()]
+    .map(entry => ({
+      ...entry,
+      rate: entry.messages > 0 ? Number((entry.hostile_replies_drawn / entry.messages).toFixed(3)) : 0,
+      examples: entry.examples.slice(-examples).reverse(),
+    }))
+    .sort((a, b) => b.hostile_replies_drawn - a.hostile_replies_drawn || b.rate - a.rate);
+}
+
+// Gap after which the next message starts a new conversation
+export const SESSION_GAP_HOURS = 6;
+
+// Writing again after this long without a reply counts as a double text
+export const DOUBLE_TEXT_WAIT_MS = 15 * 60 * 1000;
+
+// Linearly interpolated percentile (p from 0 to 1) of a list of numbers; null when empty
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (sorted.length - 1) * p;
+  const low = Math.floor(rank);
+  return sorted[low] + (sorted[Math.ceil(rank)] - sorted[low]) * (rank - low);
+}
+
+const minutes = ms => (ms === null ? null : Number((ms / 60000).toFixed(1)));
+const ratio = (part, whole) => (whole > 0 ? Number((part / whole).toFixed(3)) : 0);
+
+function tally() {
+  return { messages: 0, turns: 0, latencies: [], started: 0, doubleTexts: 0, unanswered: 0 };
+}
+
+function participantSummary(participant, t, sessions) {
+  return {
+    participant,
+    messages: t.messages,
+    replies: t.latencies.length,
+    median_reply_minutes: minutes(percentile(t.latencies, 0.5)),
+    p90_reply_minutes: minutes(percentile(t.latencies, 0.9)),
+    conversations_started: t.started,
+    started_share: ratio(t.started, sessions),
+    double_texts: t.doubleTexts,
+    double_text_rate: ratio(t.doubleTexts, t.turns),
+    unanswered_messages: t.unanswered,
+  };
+}
+
+function sessionSummary(durations, sizes) {
+  return {
+    count: durations.length,
+    median_minutes: minutes(percentile(durations, 0.5)),
+    p90_minutes: minutes(percentile(durations, 0.9)),
+    longest_minutes: minutes(durations.length > 0 ? Math.max(...durations) : null),
+    median_messages: percentile(sizes, 0.5),
+  };
+}
+
+/**
+ * Conversational dynamics of messages oldest first. A conversation (session) starts with the
+ * first message after more than gapHours of silence; whoever sends it started the conversation.
+ * Within a session a message from someone other than the last speaker is a reply, its latency
+ * the time since that last message. A conversation nobody else joined is unanswered, its
+ * messages counted against the starter (the last one only once gapHours have passed by
+ * endMs). Writing again without a reply is a double text: after DOUBLE_TEXT_WAIT_MS within
+ * a conversation, or starting a new one after one's own unanswered one.
+ *
+ * Returns { session_gap_hours, sessions, participants, monthly }: participants with their
+ * reply latency (median and p90 minutes), conversations started, double texts and unanswered
+ * messages; monthly the same per calendar month in timeZone, oldest first, with the change
+ * from the month before.
+ */
+export function conversationDynamics(messages, { gapHours = SESSION_GAP_HOURS, endMs = Date.now(), timeZone = systemTimeZone() } = {}) {
+  const gapMs = gapHours * 60 * 60 * 1000;
+  const toLocal = localTime(timeZone);
+  const monthOf = ms => toLocal(ms).date.slice(0, 7);
+  const overall = new Map();
+  const months = new Map();
+  const monthEntry = month => {
+    if (!months.has(month)) months.set(month, { messages: 0, durations: [], sizes: [], participants: new Map() });
+    return months.get(month);
+  };
+  const count = (speaker, ms, field, value = 1) => {
+    for (const participants of [overall, monthEntry(monthOf(ms)).participants]) {
+      if (!participants.has(speaker)) participants.set(speaker, tally());
+      const t = participants.get(speaker);
+      if (field === 'latencies') t.latencies.push(value);
+      else t[field] += value;
+    }
+  };
+
+  const sessions = [];
+  let session = null;
+  let turn = null;
+  for (const message of messages) {
+    const ms = messageTime(message);
+    monthEntry(monthOf(ms)).messages++;
+    count(message.speaker, ms, 'messages');
+
+    if (!session || ms - session.lastMs > gapMs) {
+      if (turn && !turn.reply) {
+        count(turn.speaker, turn.lastMs, 'unanswered', turn.messages);
+        if (turn.speaker === message.speaker) count(message.speaker, ms, 'doubleTexts');
+      }
+      session = { startMs: ms, lastMs: ms, messages: 0 };
+      sessions.push(session);
+      count(message.speaker, ms, 'started');
+      turn = { speaker: message.speaker, messages: 0, lastMs: ms, reply: false };
+      count(message.speaker, ms, 'turns');
+    } else if (message.speaker !== turn.speaker) {
+      count(message.speaker, ms, 'latencies', ms - turn.lastMs);
+      turn = { speaker: message.speaker, messages: 0, lastMs: ms, reply: true };
+      count(message.speaker, ms, 'turns');
+    } else if (ms - turn.lastMs >= DOUBLE_TEXT_WAIT_MS) {
+      count(message.speaker, ms, 'doubleTexts');
+    }
+    turn.messages++;
+    turn.lastMs = ms;
+    session.lastMs = ms;
+    session.messages++;
+  }
+  if (turn && !turn.reply && endMs - turn.lastMs > gapMs) count(turn.speaker, turn.lastMs, 'unanswered', turn.messages);
+
+  for (const { startMs, lastMs, messages: size } of sessions) {
+    const entry = monthEntry(monthOf(startMs));
+    entry.durations.push(lastMs - startMs);
+    entry.sizes.push(size);
+  }
+
+  const byMessages = (a, b) => b.messages - a.messages;
+  let previous = null;
+  const monthly = [...months.keys()].sort().map(month => {
+    const { messages: total, durations, sizes, participants } = months.get(month);
+    const summary = {
+      month,
+      messages: total,
+      sessions: sessionSummary(durations, sizes),
+      participants: [...participants].map(([name, t]) => participantSummary(name, t, durations.length)).sort(byMessages),
+    };
+    summary.change = previous && {
+      from: previous.month,
+      messages: summary.messages - previous.messages,
+      sessions: summary.sessions.count - previous.sessions.count,
+      median_session_minutes: summary.sessions.median_minutes !== null && previous.sessions.median_minutes !== null
+        ? Number((summary.sessions.median_minutes - previous.sessions.median_minutes).toFixed(1))
+        : null,
+      median_reply_minutes: Object.fromEntries(summary.participants.flatMap(p => {
+        const before = previous.participants.find(q => q.participant === p.participant);
+        if (p.median_reply_minutes === null || !before || before.median_reply_minutes === null) return [];
+        return [[p.participant, Number((p.median_reply_minutes - before.median_reply_minutes).toFixed(1))]];
+      })),
+    };
+    previous = summary;
+    return summary;
+  });
+
+  return {
+    session_gap_hours: gapHours,
+    sessions: sessionSummary(sessions.map(s => s.lastMs - s.startMs), sessions.map(s => s.messages)),
+    participants: [...overall].map(([name, t]) => participantSummary(name, t, sessions.length)).sort(byMessages),
+    monthly,
+  };
+}
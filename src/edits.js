@@ -0,0 +1,85 @@
+/**
+ * Edit and unsend history from message.message_summary_info (iOS 16 / macOS Ventura+).
+ *
+ * The column is a binary plist. Keys used here:
+ *   ec  - edited content: { "<part>": [{ d: date, t: archived NSAttributedString }, ...] }
+ *   rp  - indexes of retracted (unsent) message parts
+ */
+
+import { parseBinaryPlist } from './bplist.js';
+
+const APPLE_EPOCH_MS = 978307200000;
+
+// Format like SQLite datetime(..., 'unixepoch') so dates line up with the rest of the output
+export function formatDate(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Apple timestamps are nanoseconds since 2001 on current macOS, seconds on older rows
+export function appleTimeToMs(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'number' || value <= 0) return null;
+  const seconds = value > 1e11 ? value / 1e9 : value;
+  return APPLE_EPOCH_MS + seconds * 1000;
+}
+
+// Parse message_summary_info; decodeText turns an archived attributedBody into a string
+export function parseMessageSummary(buffer, decodeText) {
+  const summary = parseBinaryPlist(buffer);
+  const editedParts = {};
+
+  for (const [part, events] of Object.entries(summary?.ec || {})) {
+    if (!Array.isArray(events)) continue;
+    editedParts[part] = events.map(event => {
+      const ms = appleTimeToMs(event?.d);
+      return {
+        date: ms === null ? null : formatDate(ms),
+        text: Buffer.isBuffer(event?.t) ? decodeText(event.t) : null,
+      };
+    });
+  }
+
+  const retractedParts = Array.isArray(summary?.rp) ? summary.rp.filter(p => typeof p === 'number') : [];
+  return { editedParts, retractedParts };
+}
+
+// Edit/unsend fields for a message row carrying date_edited, date_retracted and
+// message_summary_info. Returns null for messages that were never edited or unsent.
+export function describeEdits(row, decodeText) {
+  let summary = { editedParts: {}, retractedParts: [] };
+  if (row.message_summary_info) {
+    try {
+      summary = parseMessageSummary(row.message_summary_info, decodeText);
+    } catch (e) {
+      console.error(`message_summary_info decode failed: ${e.message}`);
+    }
+  }
+
+  const editedMs = appleTimeToMs(row.date_edited);
+  const retractedMs = appleTimeToMs(row.date_retracted);
+  const hasText = Boolean(row.text);
+  const result = {};
+
+  // The last event of each edited part is the version currently shown
+  const history = [];
+  for (const events of Object.values(summary.editedParts)) {
+    history.push(...events.slice(0, -1));
+  }
+  history.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+  if (history.length > 0 || (editedMs && !retractedMs && hasText)) {
+    result.edited = true;
+    result.edited_at = editedMs ? formatDate(editedMs) : history[history.length - 1]?.date ?? null;
+    result.edit_history = history;
+  }
+
+  if (retractedMs || (summary.retractedParts.length > 0 && !hasText)) {
+    result.unsent = true;
+    result.unsent_at = retractedMs ? formatDate(retractedMs) : (editedMs ? formatDate(editedMs) : null);
+  } else if (summary.retractedParts.length > 0) {
+    // Some parts of a multi-part message were unsent, the rest is still shown
+    result.unsent_parts = summary.retractedParts;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
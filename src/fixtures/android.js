@@ -0,0 +1,102 @@
+/**
+ * Writes Android "SMS Backup & Restore" XML exports for tests, escaped the way
+ * the app escapes them: markup characters as entities, and characters outside
+ * ASCII as numeric references, one per UTF-16 unit (so emoji become surrogate pairs).
+ *
+ *   writeSmsBackup(file, [
+ *     { address: '+15551234567', date: ms, type: 1 | 2 | 3, body, read },
+ *     { mms: true, addresses: ['+1555...', ...], from, box: 1 | 2, date: ms, text,
+ *       attachments: [{ name, mime, data: Buffer }] },
+ *   ])
+ */
+
+import path from 'path';
+import fs from 'fs';
+
+function escape(value) {
+  if (value === null || value === undefined) return 'null';
+  let out = '';
+  for (const char of String(value)) {
+    if (char === '&') out += '&amp;';
+    else if (char === '<') out += '&lt;';
+    else if (char === '>') out += '&gt;';
+    else if (char === '"') out += '&quot;';
+    else if (char === "'") out += '&apos;';
+    else if (char === '\n') out += '&#10;';
+    else if (char.charCodeAt(0) > 0x7E) {
+      for (let i = 0; i < char.length; i++) out += `&#${char.charCodeAt(i)};`;
+    } else out += char;
+  }
+  return out;
+}
+
+function element(name, attrs, children = null) {
+  const attributes = Object.entries(attrs).map(([key, value]) => `${key}="${escape(value)}"`).join(' ');
+  return children === null ? `<${name} ${attributes} />` : `<${name} ${attributes}>${children}</${name}>`;
+}
+
+function smsElement(message) {
+  return element('sms', {
+    protocol: 0,
+    address: message.address,
+    date: message.date,
+    type: message.type,
+    subject: null,
+    body: message.body,
+    toa: null,
+    sc_toa: null,
+    service_center: null,
+    read: message.read === false ? 0 : 1,
+    status: -1,
+    locked: 0,
+    date_sent: message.type === 1 ? message.date - 2000 : 0,
+    sub_id: 1,
+    readable_date: new Date(message.date).toUTCString(),
+    contact_name: message.contactName || '(Unknown)',
+  });
+}
+
+function mmsElement(message) {
+  const parts = [
+    element('part', { seq: -1, ct: 'application/smil', name: null, cl: 'smil.xml', text: '<smil><body><par dur="5000ms"></par></body></smil>' }),
+    ...(message.attachments || []).map(attachment => element('part', {
+      seq: 0, ct: attachment.mime, name: attachment.name, cl: attachment.name, text: null,
+      data: attachment.data.toString('base64'),
+    })),
+    ...(message.text ? [element('part', { seq: 0, ct: 'text/plain', name: null, cl: 'txt000.txt', text: message.text })] : []),
+  ];
+  const me = message.me || '+15550000000';
+  const sender = message.box === 2 ? me : message.from;
+  const addrs = [
+    element('addr', { address: sender, type: 137, charset: 106 }),
+    ...[me, ...message.addresses].filter(address => address !== sender)
+      .map(address => element('addr', { address, type: 151, charset: 106 })),
+  ];
+  return element('mms', {
+    date: message.date,
+    ct_t: 'application/vnd.wap.multipart.related',
+    msg_box: message.box,
+    address: message.addresses.join('~'),
+    read: 1,
+    m_type: message.box === 2 ? 128 : 132,
+    sub: null,
+    text_only: message.attachments?.length ? 0 : 1,
+    readable_date: new Date(message.date).toUTCString(),
+    contact_name: '(Unknown)',
+  }, `<parts>${parts.join('')}</parts><addrs>${addrs.join('')}</addrs>`);
+}
+
+export function writeSmsBackup(file, messages) {
+  const body = messages.map(message => `  ${message.mms ? mmsElement(message) : smsElement(message)}`).join('\n');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, [
+    `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>`,
+    `<!--File Created By SMS Backup & Restore v10.20.002-->`,
+    `<?xml-stylesheet type="text/xsl" href="sms.xsl"?>`,
+    `<smses count="${messages.length}" backup_set="fixture" backup_date="${Date.now()}" type="full">`,
+    body,
+    `</smses>`,
+    '',
+  ].join('\n'));
+  return file;
+}
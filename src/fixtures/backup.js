@@ -0,0 +1,117 @@
+/**
+ * Turns a generated fixture (see generate.js) into an unencrypted iPhone backup
+ * folder, laid out as Finder / iTunes write it:
+ *   <backup>/Manifest.db       Files table: fileID, domain, relativePath, flags
+ *   <backup>/Manifest.plist    binary plist: IsEncrypted, Lockdown device details
+ *   <backup>/<xx>/<fileID>     sms.db, AddressBook.sqlitedb and attachment files
+ *
+ * sms.db is the fixture's chat.db with attachment paths moved to ~/Library/SMS/,
+ * and the AddressBook is rewritten in the iOS schema (ABPerson / ABMultiValue).
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs';
+import { encodeBinaryPlist } from './encoders.js';
+import { SMS_DB, ADDRESS_BOOK, ATTACHMENTS, backupFileId, backupFilePath } from '../iphone-backup.js';
+
+const MANIFEST_SCHEMA = [
+  `CREATE TABLE Files (fileID TEXT PRIMARY KEY, domain TEXT, relativePath TEXT, flags INTEGER, file BLOB)`,
+  `CREATE INDEX FilesDomainIdx ON Files(domain)`,
+  `CREATE INDEX FilesRelativePathIdx ON Files(relativePath)`,
+  `CREATE TABLE Properties (key TEXT PRIMARY KEY, value BLOB)`,
+];
+
+const IOS_ADDRESS_BOOK_SCHEMA = [
+  `CREATE TABLE ABPerson (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, First TEXT, Last TEXT, Middle TEXT,
+     Nickname TEXT, Organization TEXT, Kind INTEGER DEFAULT 0)`,
+  `CREATE TABLE ABMultiValue (UID INTEGER PRIMARY KEY, record_id INTEGER, property INTEGER, identifier INTEGER,
+     label INTEGER, value TEXT)`,
+  `CREATE INDEX ABMultiValueRecordIDIndex ON ABMultiValue(record_id)`,
+];
+
+// ABMultiValue.property values
+const PHONE_PROPERTY = 3;
+const EMAIL_PROPERTY = 4;
+
+// Files flags: 1 file, 2 directory
+const FILE = 1;
+const DIRECTORY = 2;
+
+async function createDatabase(file, schema) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.rmSync(file, { force: true });
+  const db = await open({ filename: file, driver: sqlite3.Database });
+  for (const sql of schema) await db.exec(sql);
+  return db;
+}
+
+export async function writeBackup(fixtureDir, backupDir, { encrypted = false, deviceName = 'Test iPhone' } = {}) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'fixture.json'), 'utf8'));
+  fs.mkdirSync(backupDir, { recursive: true });
+  const manifest = await createDatabase(path.join(backupDir, 'Manifest.db'), MANIFEST_SCHEMA);
+  const addFile = (location, flags = FILE) => manifest.run(
+    `INSERT INTO Files (fileID, domain, relativePath, flags) VALUES (?, ?, ?, ?)`,
+    [backupFileId(location.domain, location.relativePath), location.domain, location.relativePath, flags]
+  );
+
+  // Messages
+  const smsFile = backupFilePath(backupDir, SMS_DB);
+  fs.mkdirSync(path.dirname(smsFile), { recursive: true });
+  fs.copyFileSync(fixture.chat_db, smsFile);
+  const sms = await open({ filename: smsFile, driver: sqlite3.Database });
+  await sms.run(`UPDATE attachment SET filename = replace(filename, '~/Library/Messages/Attachments/', '~/${ATTACHMENTS.relativePath}')`);
+  const attachments = await sms.all(`SELECT filename, transfer_name FROM attachment WHERE filename IS NOT NULL`);
+  await sms.close();
+  await addFile(SMS_DB);
+
+  // Contacts: every card of every AddressBook source, in one iOS database
+  const addressBook = await createDatabase(backupFilePath(backupDir, ADDRESS_BOOK), IOS_ADDRESS_BOOK_SCHEMA);
+  for (const file of fixture.address_books) {
+    const db = await open({ filename: file, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+    const records = await db.all(`SELECT Z_PK, ZFIRSTNAME, ZMIDDLENAME, ZLASTNAME, ZNICKNAME, ZORGANIZATION FROM ZABCDRECORD ORDER BY Z_PK`);
+    const phones = await db.all(`SELECT ZOWNER, ZFULLNUMBER FROM ZABCDPHONENUMBER ORDER BY Z_PK`);
+    const emails = await db.all(`SELECT ZOWNER, ZADDRESS FROM ZABCDEMAILADDRESS ORDER BY Z_PK`);
+    await db.close();
+
+    for (const record of records) {
+      const { lastID: rowid } = await addressBook.run(
+        `INSERT INTO ABPerson (First, Last, Middle, Nickname, Organization) VALUES (?, ?, ?, ?, ?)`,
+        [record.ZFIRSTNAME, record.ZLASTNAME, record.ZMIDDLENAME, record.ZNICKNAME, record.ZORGANIZATION]
+      );
+      for (const [property, values] of [[PHONE_PROPERTY, phones.filter(p => p.ZOWNER === record.Z_PK).map(p => p.ZFULLNUMBER)],
+        [EMAIL_PROPERTY, emails.filter(e => e.ZOWNER === record.Z_PK).map(e => e.ZADDRESS)]]) {
+        for (const [index, value] of values.entries()) {
+          await addressBook.run(
+            `INSERT INTO ABMultiValue (record_id, property, identifier, label, value) VALUES (?, ?, ?, 1, ?)`,
+            [rowid, property, index, value]
+          );
+        }
+      }
+    }
+  }
+  await addressBook.close();
+  await addFile(ADDRESS_BOOK);
+
+  // Attachment files, with placeholder content
+  await addFile({ domain: ATTACHMENTS.domain, relativePath: ATTACHMENTS.relativePath.replace(/\/$/, '') }, DIRECTORY);
+  for (const attachment of attachments) {
+    const location = { domain: ATTACHMENTS.domain, relativePath: attachment.filename.replace(/^~\//, '') };
+    const file = backupFilePath(backupDir, location);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `fixture attachment ${attachment.transfer_name}\n`);
+    await addFile(location);
+  }
+  await manifest.close();
+
+  fs.writeFileSync(path.join(backupDir, 'Manifest.plist'), encodeBinaryPlist({
+    BackupKeyBag: Buffer.alloc(0),
+    Version: '10.0',
+    Date: new Date(fixture.options.now),
+    IsEncrypted: encrypted,
+    Lockdown: { DeviceName: deviceName, ProductVersion: '17.5.1', ProductType: 'iPhone15,2', BuildVersion: '21F90' },
+  }));
+
+  return { backup_dir: backupDir, sms_db: smsFile, attachments: attachments.length };
+}
@@ -0,0 +1,220 @@
+/**
+ * Writers for the binary formats chat.db stores, the inverse of
+ * typedstream.js and bplist.js: archived NSAttributedString
+ * (message.attributedBody) and binary property lists
+ * (message.message_summary_info). Only what fixtures need is supported.
+ */
+
+const APPLE_EPOCH_SECONDS = 978307200;
+
+// typedstream tags, see typedstream.js
+const TAG_INT16 = 0x81;
+const TAG_INT32 = 0x82;
+const TAG_NEW = 0x84;
+const TAG_NIL = 0x85;
+const TAG_END = 0x86;
+const REFERENCE_BASE = 0x92;
+
+class TypedStreamWriter {
+  constructor() {
+    this.bytes = [];
+    this.strings = []; // shared strings, referenced by index after first use
+    this.objects = []; // objects and classes share one reference table
+  }
+
+  int(value) {
+    if (value >= -0x6e && value <= 0x7f) {
+      this.bytes.push(value & 0xff);
+    } else if (value >= -0x8000 && value <= 0xffff) {
+      this.bytes.push(TAG_INT16, value & 0xff, (value >> 8) & 0xff);
+    } else {
+      this.bytes.push(TAG_INT32, value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff);
+    }
+  }
+
+  raw(buffer) {
+    this.int(buffer.length);
+    this.bytes.push(...buffer);
+  }
+
+  shared(string) {
+    const index = this.strings.indexOf(string);
+    if (index >= 0) {
+      this.bytes.push(REFERENCE_BASE + index);
+      return;
+    }
+    this.strings.push(string);
+    this.bytes.push(TAG_NEW);
+    this.raw(Buffer.from(string, 'latin1'));
+  }
+
+  // A class and its superclass chain, each written once and referenced afterwards
+  classChain(names) {
+    if (names.length === 0) {
+      this.bytes.push(TAG_NIL);
+      return;
+    }
+    const key = `class:${names[0]}`;
+    const index = this.objects.indexOf(key);
+    if (index >= 0) {
+      this.bytes.push(REFERENCE_BASE + index);
+      return;
+    }
+    this.bytes.push(TAG_NEW);
+    this.objects.push(key);
+    this.shared(names[0]);
+    this.int(names[0] === 'NSString' ? 1 : 0); // class version
+    this.classChain(names.slice(1));
+  }
+
+  object(classes, writeBody) {
+    this.bytes.push(TAG_NEW);
+    this.objects.push({});
+    this.classChain(classes);
+    writeBody();
+    this.bytes.push(TAG_END);
+  }
+
+  string(text) {
+    this.object(['NSString', 'NSObject'], () => {
+      this.shared('+');
+      this.raw(Buffer.from(text, 'utf8'));
+    });
+  }
+
+  value(value) {
+    this.shared('@');
+    if (typeof value === 'number') {
+      this.object(['NSNumber', 'NSValue', 'NSObject'], () => {
+        this.shared('i');
+        this.int(value);
+      });
+    } else {
+      this.string(String(value));
+    }
+  }
+
+  dictionary(entries) {
+    this.object(['NSDictionary', 'NSObject'], () => {
+      this.shared('i');
+      this.int(entries.length);
+      for (const [key, value] of entries) {
+        this.value(key);
+        this.value(value);
+      }
+    });
+  }
+}
+
+// Archived NSAttributedString as Messages writes it to attributedBody.
+// runs: [{ length, attributes }] with lengths in UTF-16 code units (JavaScript
+// string length); the default is one run covering the text as message part 0.
+export function encodeAttributedBody(text, runs = null) {
+  const writer = new TypedStreamWriter();
+  writer.bytes.push(0x04);
+  writer.raw(Buffer.from('streamtyped', 'latin1'));
+  writer.int(1000); // system version
+
+  writer.shared('@');
+  writer.object(['NSMutableAttributedString', 'NSAttributedString', 'NSObject'], () => {
+    writer.shared('@');
+    writer.string(text);
+    const attributeRuns = runs || [{ length: text.length, attributes: { __kIMMessagePartAttributeName: 0 } }];
+    attributeRuns.forEach((run, index) => {
+      writer.shared('iI');
+      writer.int(index + 1);
+      writer.int(run.length);
+      writer.shared('@');
+      writer.dictionary(Object.entries(run.attributes || {}));
+    });
+  });
+  return Buffer.from(writer.bytes);
+}
+
+// Binary property list (bplist00). Supports null, booleans, integers, floats,
+// Dates, strings, Buffers (data), arrays and plain objects (dictionaries).
+export function encodeBinaryPlist(root) {
+  const objects = [];
+
+  const add = (value) => {
+    const ref = objects.length;
+    objects.push(null);
+    if (Array.isArray(value)) {
+      objects[ref] = { kind: 'array', refs: value.map(add) };
+    } else if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+      const keys = Object.keys(value).map(add);
+      const values = Object.values(value).map(add);
+      objects[ref] = { kind: 'dict', refs: [...keys, ...values], count: keys.length };
+    } else {
+      objects[ref] = { kind: 'scalar', value };
+    }
+    return ref;
+  };
+  add(root);
+  if (objects.length > 0xffff) throw new Error('Too many objects for a 2-byte reference size');
+
+  const marker = (type, length) => (length < 15
+    ? Buffer.from([(type << 4) | length])
+    : Buffer.concat([Buffer.from([(type << 4) | 0x0f, 0x12]), uint32(length)]));
+  const refs = list => Buffer.from(list.flatMap(ref => [ref >> 8, ref & 0xff]));
+
+  const encode = (object) => {
+    if (object.kind === 'array') return Buffer.concat([marker(0xa, object.refs.length), refs(object.refs)]);
+    if (object.kind === 'dict') return Buffer.concat([marker(0xd, object.count), refs(object.refs)]);
+
+    const { value } = object;
+    if (value === null || value === undefined) return Buffer.from([0x00]);
+    if (value === false) return Buffer.from([0x08]);
+    if (value === true) return Buffer.from([0x09]);
+    if (Buffer.isBuffer(value)) return Buffer.concat([marker(0x4, value.length), value]);
+    if (value instanceof Date) {
+      const buffer = Buffer.alloc(9);
+      buffer[0] = 0x33;
+      buffer.writeDoubleBE(value.getTime() / 1000 - APPLE_EPOCH_SECONDS, 1);
+      return buffer;
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      const buffer = Buffer.alloc(9);
+      buffer[0] = 0x13;
+      buffer.writeBigInt64BE(BigInt(value), 1);
+      return buffer;
+    }
+    if (typeof value === 'number') {
+      const buffer = Buffer.alloc(9);
+      buffer[0] = 0x23;
+      buffer.writeDoubleBE(value, 1);
+      return buffer;
+    }
+    const string = String(value);
+    // ASCII strings are stored as bytes, anything else as UTF-16 big-endian
+    if (/^[\x00-\x7f]*$/.test(string)) return Buffer.concat([marker(0x5, string.length), Buffer.from(string, 'latin1')]);
+    const utf16 = Buffer.from(string, 'utf16le');
+    utf16.swap16();
+    return Buffer.concat([marker(0x6, utf16.length / 2), utf16]);
+  };
+
+  const chunks = [Buffer.from('bplist00', 'latin1')];
+  const offsets = [];
+  let position = 8;
+  for (const object of objects) {
+    const bytes = encode(object);
+    offsets.push(position);
+    chunks.push(bytes);
+    position += bytes.length;
+  }
+
+  const offsetTable = Buffer.concat(offsets.map(uint32));
+  const trailer = Buffer.alloc(32);
+  trailer[6] = 4; // offset size
+  trailer[7] = 2; // reference size
+  trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+  trailer.writeBigUInt64BE(0n, 16); // top object
+  trailer.writeBigUInt64BE(BigInt(position), 24);
+  return Buffer.concat([...chunks, offsetTable, trailer]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value, 0);
+  return buffer;
+}
@@ -0,0 +1,669 @@
+#!/usr/bin/env node
+
+/**
+ * Synthetic chat.db and AddressBook generator.
+ *
+ * Writes a home-directory layout the server can be pointed at with HOME:
+ *   <out>/Library/Messages/chat.db
+ *   <out>/Library/Application Support/AddressBook/AddressBook-v22.abcddb
+ *   <out>/Library/Application Support/AddressBook/Sources/<UUID>/AddressBook-v22.abcddb
+ * plus <out>/fixture.json describing what was generated (person ids, handle
+ * and message ROWIDs, sample names to query). Output is deterministic for a
+ * given seed, apart from dates, which are relative to options.now.
+ *
+ * Two kinds of content can be combined:
+ * - random traffic (people, strangers, groups, messages) for benchmarks
+ * - scripted contacts and conversations for tests:
+ *
+ *   contacts: [{ key: 'alice', first: 'Alice', last: 'Smith', nickname, organization,
+ *                phones: ['(555) 123-4567'], emails: ['alice@example.com'],
+ *                sms: true,           // an SMS handle next to the iMessage one
+ *                source: '<UUID>',    // card in Sources/<UUID>/ instead of the root database
+ *                card: false }]       // handles only, no AddressBook card
+ *   conversations: [{ key: 'family', with: ['alice', 'bob'], name: 'Family',   // group chat
+ *                     messages: [{ id: 'dinner', from: 'alice' | 'me', text, ago: minutes,
+ *                                  plain: true,          // message.text instead of attributedBody
+ *                                  reactions: [{ from, type: 'loved', removed }],
+ *                                  attachments: [{ name, mime, uti, bytes, sticker }],
+ *                                  edits: ['earlier version', ...], unsent: true,
+ *                                  replyTo: '<id of an earlier message>', undecodable: true }] }]
+ *
+ *   node fixtures/generate.js --out /tmp/imessage-fixture --messages 100000
+ *
+ * --backup <dir> also writes the fixture as an iPhone backup (see backup.js).
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { normalizePhone } from '../phone.js';
+import { personId } from '../people.js';
+import { encodeAttributedBody, encodeBinaryPlist } from './encoders.js';
+import { writeBackup } from './backup.js';
+
+// Seconds between the Unix epoch and Apple's 2001-01-01 reference date
+const APPLE_EPOCH_OFFSET = 978307200;
+
+const FIRST_NAMES = ['Alice', 'Ben', 'Carol', 'David', 'Emma', 'Frank', 'Grace', 'Henry', 'Isla', 'Jack',
+  'Kate', 'Liam', 'Maya', 'Noah', 'Olivia', 'Paul', 'Quinn', 'Rosa', 'Sam', 'Tara', 'Uma', 'Victor',
+  'Wendy', 'Xavier', 'Yara', 'Zoe'];
+const LAST_NAMES = ['Smith', 'Jones', 'Garcia', 'Brown', 'Miller', 'Davis', 'Wilson', 'Moore', 'Taylor',
+  'Anderson', 'Thomas', 'Martin', 'Lee', 'Clark', 'Lewis', 'Walker', 'Hall', 'Young', 'King', 'Wright'];
+const GROUP_NAMES = ['Family', 'Work Team', 'Book Club', 'Weekend Plans', 'Soccer Parents', 'Roommates', ''];
+const PHRASES = [
+  'Are we still on for tonight?', 'Running ten minutes late', 'Sounds good to me', 'Can you call me when you get a chance',
+  'Did you see the game last night', 'I love that idea', 'Thanks so much!', 'On my way', 'Happy birthday!!',
+  'That is so frustrating', 'I am really angry about the lease', 'Let me check and get back to you',
+  'Dinner at 7?', 'Haha that is hilarious', 'Ugh, traffic is terrible', 'Can you pick up milk',
+  'I hate when that happens', 'Miss you, see you soon', 'What time does it start?', 'Just landed',
+];
+const ATTACHMENTS = [
+  { name: 'IMG_{n}.heic', uti: 'public.heic', mime: 'image/heic', bytes: 2400000 },
+  { name: 'IMG_{n}.MOV', uti: 'com.apple.quicktime-movie', mime: 'video/quicktime', bytes: 18000000 },
+  { name: 'Audio Message.caf', uti: 'com.apple.coreaudio-format', mime: null, bytes: 40000 },
+  { name: 'Lease-{n}.pdf', uti: 'com.adobe.pdf', mime: 'application/pdf', bytes: 350000 },
+];
+
+export const DEFAULTS = {
+  seed: 1,
+  people: 200,        // AddressBook cards, each with one or more handles
+  strangers: 40,      // handles with no contact card
+  groups: 30,
+  messages: 20000,
+  days: 730,          // messages are spread over this many days before now
+  attachmentRate: 0.03,
+  attributedBodyRate: 0.5, // share of random messages stored only as attributedBody, as on macOS Ventura+
+  region: 'US',            // region for scripted phone numbers without a country code
+  now: Date.now(),
+  contacts: [],
+  conversations: [],
+};
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  random.pick = list => list[Math.floor(random() * list.length)];
+  return random;
+}
+
+// Apple nanosecond timestamp as a decimal string: the values exceed 2^53 and node-sqlite3
+// cannot bind a BigInt, but INTEGER columns store integer-looking text as an exact integer
+export function toAppleTime(ms) {
+  return ((BigInt(Math.round(ms)) - BigInt(APPLE_EPOCH_OFFSET * 1000)) * 1000000n).toString();
+}
+
+function guid(random) {
+  const hex = n => Array.from({ length: n }, () => random.int(0, 15).toString(16)).join('').toUpperCase();
+  return `${hex(8)}-${hex(4)}-${hex(4)}-${hex(4)}-${hex(12)}`;
+}
+
+// The way people type numbers into Contacts, all for the same +1 NANP number
+function writtenPhone(random, digits) {
+  const [area, exchange, line] = [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)];
+  return random.pick([
+    `(${area}) ${exchange}-${line}`,
+    `+1 ${area} ${exchange} ${line}`,
+    `${area}.${exchange}.${line}`,
+    `1-${area}-${exchange}-${line}`,
+  ]);
+}
+
+const CHAT_SCHEMA = [
+  `CREATE TABLE handle (ROWID INTEGER PRIMARY KEY AUTOINCREMENT UNIQUE, id TEXT NOT NULL, country TEXT,
+     service TEXT NOT NULL, uncanonicalized_id TEXT, person_centric_id TEXT, UNIQUE (id, service))`,
+  `CREATE TABLE message (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL, text TEXT,
+     replace INTEGER DEFAULT 0, service_center TEXT, handle_id INTEGER DEFAULT 0, subject TEXT, country TEXT,
+     attributedBody BLOB, version INTEGER DEFAULT 0, type INTEGER DEFAULT 0, service TEXT, account TEXT,
+     account_guid TEXT, error INTEGER DEFAULT 0, date INTEGER, date_read INTEGER, date_delivered INTEGER,
+     is_delivered INTEGER DEFAULT 0, is_finished INTEGER DEFAULT 0, is_emote INTEGER DEFAULT 0,
+     is_from_me INTEGER DEFAULT 0, is_empty INTEGER DEFAULT 0, is_delayed INTEGER DEFAULT 0,
+     is_auto_reply INTEGER DEFAULT 0, is_prepared INTEGER DEFAULT 0, is_read INTEGER DEFAULT 0,
+     is_system_message INTEGER DEFAULT 0, is_sent INTEGER DEFAULT 0, has_dd_results INTEGER DEFAULT 0,
+     cache_has_attachments INTEGER DEFAULT 0, item_type INTEGER DEFAULT 0, other_handle INTEGER DEFAULT 0,
+     group_title TEXT, group_action_type INTEGER DEFAULT 0, associated_message_guid TEXT,
+     associated_message_type INTEGER DEFAULT 0, balloon_bundle_id TEXT, payload_data BLOB,
+     expressive_send_style_id TEXT, associated_message_range_location INTEGER DEFAULT 0,
+     associated_message_range_length INTEGER DEFAULT 0, thread_originator_guid TEXT,
+     thread_originator_part TEXT, date_retracted INTEGER DEFAULT 0, date_edited INTEGER DEFAULT 0,
+     message_summary_info BLOB, part_count INTEGER DEFAULT 0)`,
+  `CREATE TABLE chat (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL, style INTEGER,
+     state INTEGER, account_id TEXT, properties BLOB, chat_identifier TEXT, service_name TEXT,
+     room_name TEXT, account_login TEXT, is_archived INTEGER DEFAULT 0, last_addressed_handle TEXT,
+     display_name TEXT, group_id TEXT, is_filtered INTEGER DEFAULT 0, successful_query INTEGER)`,
+  `CREATE TABLE chat_handle_join (chat_id INTEGER REFERENCES chat (ROWID) ON DELETE CASCADE,
+     handle_id INTEGER REFERENCES handle (ROWID) ON DELETE CASCADE, UNIQUE(chat_id, handle_id))`,
+  `CREATE TABLE chat_message_join (chat_id INTEGER REFERENCES chat (ROWID) ON DELETE CASCADE,
+     message_id INTEGER REFERENCES message (ROWID) ON DELETE CASCADE, message_date INTEGER DEFAULT 0,
+     PRIMARY KEY (chat_id, message_id))`,
+  `CREATE TABLE attachment (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL,
+     created_date INTEGER DEFAULT 0, start_date INTEGER DEFAULT 0, filename TEXT, uti TEXT, mime_type TEXT,
+     transfer_state INTEGER DEFAULT 0, is_outgoing INTEGER DEFAULT 0, user_info BLOB, transfer_name TEXT,
+     total_bytes INTEGER DEFAULT 0, is_sticker INTEGER DEFAULT 0, hide_attachment INTEGER DEFAULT 0)`,
+  `CREATE TABLE message_attachment_join (message_id INTEGER REFERENCES message (ROWID) ON DELETE CASCADE,
+     attachment_id INTEGER REFERENCES attachment (ROWID) ON DELETE CASCADE, UNIQUE(message_id, attachment_id))`,
+  `CREATE INDEX message_idx_handle ON message(handle_id, date)`,
+  `CREATE INDEX message_idx_date ON message(date)`,
+  `CREATE INDEX message_idx_associated_message ON message(associated_message_guid)`,
+  `CREATE INDEX message_idx_thread_originator_guid ON message(thread_originator_guid)`,
+  `CREATE INDEX chat_message_join_idx_message_date_id_chat_id ON chat_message_join(chat_id, message_date, message_id)`,
+  `CREATE INDEX chat_message_join_idx_message_id_only ON chat_message_join(message_id)`,
+  `CREATE INDEX chat_handle_join_idx_handle_id ON chat_handle_join(handle_id)`,
+  `CREATE INDEX message_attachment_join_idx_message_id ON message_attachment_join(message_id)`,
+];
+
+const ADDRESS_BOOK_SCHEMA = [
+  `CREATE TABLE ZABCDRECORD (Z_PK INTEGER PRIMARY KEY, Z_ENT INTEGER, Z_OPT INTEGER, ZFIRSTNAME VARCHAR,
+     ZLASTNAME VARCHAR, ZMIDDLENAME VARCHAR, ZNICKNAME VARCHAR, ZORGANIZATION VARCHAR, ZUNIQUEID VARCHAR,
+     ZMODIFICATIONDATE TIMESTAMP)`,
+  `CREATE TABLE ZABCDPHONENUMBER (Z_PK INTEGER PRIMARY KEY, Z_ENT INTEGER, Z_OPT INTEGER, ZOWNER INTEGER,
+     ZFULLNUMBER VARCHAR, ZLABEL VARCHAR, ZORDERINGINDEX INTEGER)`,
+  `CREATE TABLE ZABCDEMAILADDRESS (Z_PK INTEGER PRIMARY KEY, Z_ENT INTEGER, Z_OPT INTEGER, ZOWNER INTEGER,
+     ZADDRESS VARCHAR, ZLABEL VARCHAR, ZORDERINGINDEX INTEGER)`,
+  `CREATE INDEX ZABCDPHONENUMBER_ZOWNER_INDEX ON ZABCDPHONENUMBER (ZOWNER)`,
+  `CREATE INDEX ZABCDEMAILADDRESS_ZOWNER_INDEX ON ZABCDEMAILADDRESS (ZOWNER)`,
+];
+
+async function createDatabase(file, schema) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (const suffix of ['', '-wal', '-shm']) fs.rmSync(`${file}${suffix}`, { force: true });
+  const db = await open({ filename: file, driver: sqlite3.Database });
+  for (const sql of schema) await db.exec(sql);
+  return db;
+}
+
+// Random contacts in the same shape as options.contacts
+function randomContacts(random, options) {
+  const contacts = [];
+  const total = options.people + options.strangers;
+  for (let i = 0; i < total; i++) {
+    let digits;
+    do {
+      digits = `${random.int(2, 9)}${random.int(0, 9)}${random.int(0, 9)}555${String(random.int(0, 9999)).padStart(4, '0')}`;
+    } while (options.usedNumbers.has(`+1${digits}`));
+    options.usedNumbers.add(`+1${digits}`);
+
+    const first = random.pick(FIRST_NAMES);
+    const last = random.pick(LAST_NAMES);
+    const card = i < options.people;
+    contacts.push({
+      key: `random-${i + 1}`,
+      first,
+      last,
+      phones: [writtenPhone(random, digits)],
+      emails: card && random() < 0.35 ? [`${first}.${last}${i}@example.com`.toLowerCase()] : [],
+      sms: random() < 0.4,
+      card,
+    });
+  }
+  return contacts;
+}
+
+// AddressBook cards and chat.db handles for every contact. Contacts that share a number
+// or email (the same person synced from two accounts) share its handles.
+function planPeople(contacts, region) {
+  const nextPk = new Map(); // source -> next Z_PK
+  const handles = new Map(); // "<id>/<service>" -> handle plan
+  const people = new Map(); // contact key -> person plan
+
+  for (const contact of contacts) {
+    if (!contact.key) throw new Error('Every fixture contact needs a key');
+    if (people.has(contact.key) || contact.key === 'me') throw new Error(`Duplicate contact key: ${contact.key}`);
+    const source = contact.source || '';
+    const card = contact.card !== false;
+    let pk = null;
+    if (card) {
+      pk = nextPk.get(source) || 1;
+      nextPk.set(source, pk + 1);
+    }
+
+    const ids = [];
+    for (const phone of contact.phones || []) {
+      const id = normalizePhone(phone, contact.country || region) || String(phone).replace(/[^\d+]/g, '');
+      ids.push([id, 'iMessage']);
+      if (contact.sms) ids.push([id, 'SMS']);
+    }
+    for (const email of contact.emails || []) ids.push([email.toLowerCase(), 'iMessage']);
+
+    const person = {
+      ...contact,
+      source,
+      pk,
+      person: pk ? personId(source.replace(/[^0-9a-z]/gi, '').slice(0, 8).toLowerCase(), pk) : null,
+      handles: [],
+    };
+    for (const [id, service] of ids) {
+      const key = `${id}/${service}`;
+      if (!handles.has(key)) {
+        handles.set(key, { id, service, country: (contact.country || region).toLowerCase(), rowid: null });
+      }
+      person.handles.push(handles.get(key));
+    }
+    people.set(contact.key, person);
+  }
+  return { people, handles: [...handles.values()] };
+}
+
+async function writeAddressBooks(outDir, people) {
+  const bySource = new Map();
+  for (const person of people.values()) {
+    if (!person.pk) continue;
+    if (!bySource.has(person.source)) bySource.set(person.source, []);
+    bySource.get(person.source).push(person);
+  }
+  if (!bySource.has('')) bySource.set('', []);
+
+  const addressBookDir = path.join(outDir, 'Library', 'Application Support', 'AddressBook');
+  const files = [];
+  for (const [source, cards] of bySource) {
+    const file = source
+      ? path.join(addressBookDir, 'Sources', source, 'AddressBook-v22.abcddb')
+      : path.join(addressBookDir, 'AddressBook-v22.abcddb');
+    const db = await createDatabase(file, ADDRESS_BOOK_SCHEMA);
+    await db.exec('BEGIN');
+    let phonePk = 0;
+    let emailPk = 0;
+    for (const person of cards) {
+      await db.run(
+        `INSERT INTO ZABCDRECORD (Z_PK, Z_ENT, ZFIRSTNAME, ZMIDDLENAME, ZLASTNAME, ZNICKNAME, ZORGANIZATION, ZUNIQUEID)
+         VALUES (?, 19, ?, ?, ?, ?, ?, ?)`,
+        [person.pk, person.first || null, person.middle || null, person.last || null,
+          person.nickname || null, person.organization || null, `${person.key}:ABPerson`]
+      );
+      for (const phone of person.phones || []) {
+        await db.run(`INSERT INTO ZABCDPHONENUMBER (Z_PK, ZOWNER, ZFULLNUMBER, ZLABEL) VALUES (?, ?, ?, '_$!<Mobile>!$_')`,
+          [++phonePk, person.pk, phone]);
+      }
+      for (const email of person.emails || []) {
+        await db.run(`INSERT INTO ZABCDEMAILADDRESS (Z_PK, ZOWNER, ZADDRESS, ZLABEL) VALUES (?, ?, ?, '_$!<Home>!$_')`,
+          [++emailPk, person.pk, email]);
+      }
+    }
+    await db.exec('COMMIT');
+    await db.close();
+    files.push(file);
+  }
+  return files;
+}
+
+// Attributes of one message part, plus the file transfer for attachment placeholders
+function bodyRuns(text, attachments) {
+  const runs = attachments.map((attachment, part) => ({
+    length: 1,
+    attributes: {
+      __kIMMessagePartAttributeName: part,
+      __kIMFileTransferGUIDAttributeName: attachment.guid,
+      __kIMFilenameAttributeName: attachment.name,
+    },
+  }));
+  const rest = text.length - attachments.length;
+  if (rest > 0) runs.push({ length: rest, attributes: { __kIMMessagePartAttributeName: attachments.length } });
+  return runs;
+}
+
+// Message rows (plus attachment rows) for one scripted message, its reactions and edits
+function planScriptedMessage(random, chat, message, date, people) {
+  const sender = message.from === 'me' ? null : people.get(message.from);
+  if (message.from !== 'me' && !sender) throw new Error(`Unknown sender "${message.from}"`);
+  const senderHandle = handle => (handle === null ? (chat.group ? 0 : chat.handles[0].rowid) : handle.rowid);
+  const handleOf = person => (chat.group ? person.handles.find(h => chat.handles.includes(h)) || person.handles[0] : chat.handles[0]);
+
+  const attachments = (message.attachments || []).map(attachment => ({
+    guid: guid(random),
+    name: attachment.name,
+    uti: attachment.uti || null,
+    mime: attachment.mime === undefined ? null : attachment.mime,
+    bytes: attachment.bytes || 0,
+    sticker: attachment.sticker ? 1 : 0,
+    transferState: attachment.transferState ?? 5,
+  }));
+  const text = `${'￼'.repeat(attachments.length)}${message.text || ''}`;
+  const row = {
+    guid: message.guid || guid(random),
+    chat,
+    date,
+    from: sender ? handleOf(sender) : null,
+    fromMe: !sender,
+    text: message.plain ? text : null,
+    attributedBody: message.plain ? null : encodeAttributedBody(text, bodyRuns(text, attachments)),
+    isRead: message.unread ? 0 : 1,
+    attachments,
+    handleFor: senderHandle,
+    scriptId: message.id || null,
+  };
+
+  if (message.undecodable) {
+    row.text = null;
+    row.attributedBody = Buffer.from('not a typedstream');
+  }
+  if (message.edits?.length) {
+    const editedAt = date + 120000;
+    row.dateEdited = toAppleTime(editedAt);
+    const versions = [...message.edits, text];
+    row.summary = encodeBinaryPlist({
+      ec: {
+        0: versions.map((version, i) => ({
+          d: new Date(i === versions.length - 1 ? editedAt : date + i * 1000),
+          t: encodeAttributedBody(version),
+        })),
+      },
+    });
+  }
+  if (message.unsent) {
+    row.text = null;
+    row.attributedBody = null;
+    row.dateEdited = toAppleTime(date + 60000);
+    row.dateRetracted = row.dateEdited;
+    row.summary = encodeBinaryPlist({ rp: [0] });
+  }
+
+  const rows = [row];
+  (message.reactions || []).forEach((reaction, i) => {
+    const reactor = reaction.from === 'me' ? null : people.get(reaction.from);
+    if (reaction.from !== 'me' && !reactor) throw new Error(`Unknown reaction sender "${reaction.from}"`);
+    const type = REACTION_CODES[reaction.type];
+    if (type === undefined) throw new Error(`Unknown reaction type "${reaction.type}"`);
+    const quoted = (message.text || '').slice(0, 40);
+    rows.push({
+      guid: guid(random),
+      chat,
+      date: date + (reaction.after ?? i + 1) * 60000,
+      from: reactor ? handleOf(reactor) : null,
+      fromMe: !reactor,
+      text: `${REACTION_VERBS[reaction.type]} “${quoted}”`,
+      attributedBody: null,
+      isRead: 1,
+      attachments: [],
+      handleFor: senderHandle,
+      associatedType: (reaction.removed ? 3000 : 2000) + type,
+      associatedGuid: `p:0/${row.guid}`,
+    });
+  });
+  return rows;
+}
+
+const REACTION_CODES = { loved: 0, liked: 1, disliked: 2, laughed: 3, emphasized: 4, questioned: 5 };
+const REACTION_VERBS = {
+  loved: 'Loved', liked: 'Liked', disliked: 'Disliked', laughed: 'Laughed at', emphasized: 'Emphasized', questioned: 'Questioned',
+};
+
+// Scripted conversations: options.conversations, each { key, with, name, via, service, messages }
+function planConversations(random, options, people, chatsByHandle) {
+  const chats = [];
+  const rows = [];
+  const scriptedIds = new Map(); // message id -> guid, for replyTo
+
+  for (const conversation of options.conversations) {
+    const members = [].concat(conversation.with).map(key => {
+      const person = people.get(key);
+      if (!person) throw new Error(`Unknown contact "${key}" in conversation ${conversation.key}`);
+      return person;
+    });
+
+    let chat;
+    if (members.length === 1 && !conversation.group) {
+      const person = members[0];
+      const handle = conversation.via
+        ? person.handles.find(h => h.id === conversation.via && (!conversation.service || h.service === conversation.service))
+        : person.handles[0];
+      if (!handle) throw new Error(`${person.key} has no handle ${conversation.via}`);
+      chat = chatsByHandle.get(handle);
+    } else {
+      chat = {
+        group: true,
+        guid: `iMessage;+;chat${900000 + chats.length}`,
+        identifier: `chat${900000 + chats.length}`,
+        service: 'iMessage',
+        displayName: conversation.name || '',
+        handles: members.map(m => m.handles[0]),
+        rowid: null,
+      };
+      chats.push(chat);
+    }
+    chat.key = conversation.key;
+
+    let last = options.now - 86400000; // scripted messages default to starting a day ago
+    for (const message of conversation.messages || []) {
+      const date = message.at ? Date.parse(message.at)
+        : message.ago !== undefined ? options.now - message.ago * 60000
+          : last + 60000;
+      last = date;
+      const planned = planScriptedMessage(random, chat, message, date, people);
+      if (message.replyTo) {
+        const original = scriptedIds.get(message.replyTo);
+        if (!original) throw new Error(`replyTo "${message.replyTo}" must name an earlier message id`);
+        planned[0].threadGuid = original;
+      }
+      if (message.id) scriptedIds.set(message.id, planned[0].guid);
+      rows.push(...planned);
+    }
+  }
+  return { chats, rows };
+}
+
+// Unscripted traffic: options.messages rows spread over options.days across the random chats
+function planBulkMessages(random, options, directChats, groupChats) {
+  const rows = [];
+  const start = options.now - options.days * 86400000;
+  const step = (options.now - start) / Math.max(options.messages, 1);
+  for (let i = 0; i < options.messages; i++) {
+    const chat = random() < 0.75 || groupChats.length === 0 ? random.pick(directChats) : random.pick(groupChats);
+    const fromMe = random() < 0.45;
+    const hasAttachment = random() < options.attachmentRate;
+    const attachments = [];
+    if (hasAttachment) {
+      const kind = random.pick(ATTACHMENTS);
+      const name = kind.name.replace('{n}', String(1000 + i));
+      attachments.push({ guid: guid(random), name, uti: kind.uti, mime: kind.mime, bytes: kind.bytes, sticker: 0, transferState: 5 });
+    }
+    const text = hasAttachment ? '￼' : random.pick(PHRASES);
+    const encoded = !hasAttachment && random() < options.attributedBodyRate;
+    rows.push({
+      guid: guid(random),
+      chat,
+      date: start + i * step + random() * step,
+      from: fromMe ? null : random.pick(chat.handles),
+      fromMe,
+      text: encoded ? null : text,
+      attributedBody: encoded ? encodeAttributedBody(text) : null,
+      isRead: 1,
+      attachments,
+      handleFor: handle => (handle === null ? (chat.group ? 0 : chat.handles[0].rowid) : handle.rowid),
+    });
+  }
+  return rows;
+}
+
+export async function generateFixture(outDir, overrides = {}) {
+  const given = Object.entries(overrides).filter(([, value]) => value !== undefined);
+  const options = { ...DEFAULTS, ...Object.fromEntries(given) };
+  const random = createRandom(options.seed);
+
+  const scripted = options.contacts || [];
+  options.conversations = options.conversations || [];
+  options.usedNumbers = new Set(scripted.flatMap(c => (c.phones || []).map(p => normalizePhone(p, options.region))));
+  const { people, handles } = planPeople([...scripted, ...randomContacts(random, options)], options.region);
+  delete options.usedNumbers;
+
+  const addressBooks = await writeAddressBooks(outDir, people);
+
+  const chatFile = path.join(outDir, 'Library', 'Messages', 'chat.db');
+  const db = await createDatabase(chatFile, CHAT_SCHEMA);
+  await db.exec('BEGIN');
+
+  const insertHandle = await db.prepare(`INSERT INTO handle (id, country, service, uncanonicalized_id) VALUES (?, ?, ?, ?)`);
+  for (const handle of handles) {
+    ({ lastID: handle.rowid } = await insertHandle.run([handle.id, handle.country, handle.service, handle.id]));
+  }
+  await insertHandle.finalize();
+
+  // One 1:1 chat per handle, as Messages keeps them
+  const directChats = handles.map(handle => ({
+    group: false,
+    guid: `${handle.service};-;${handle.id}`,
+    identifier: handle.id,
+    service: handle.service,
+    displayName: '',
+    handles: [handle],
+    rowid: null,
+  }));
+  const chatsByHandle = new Map(directChats.map(chat => [chat.handles[0], chat]));
+
+  const randomPeople = [...people.values()].filter(p => p.key.startsWith('random-'));
+  const groupChats = [];
+  for (let g = 0; g < options.groups && randomPeople.length > 0; g++) {
+    const members = new Set();
+    const size = Math.min(random.int(2, 7), randomPeople.length);
+    while (members.size < size) members.add(random.pick(randomPeople));
+    groupChats.push({
+      group: true,
+      guid: `iMessage;+;chat${100000000 + g}`,
+      identifier: `chat${100000000 + g}`,
+      service: 'iMessage',
+      displayName: random.pick(GROUP_NAMES),
+      handles: [...members].map(m => m.handles[0]),
+      rowid: null,
+    });
+  }
+  const conversations = planConversations(random, options, people, chatsByHandle);
+
+  const insertChat = await db.prepare(
+    `INSERT INTO chat (guid, style, chat_identifier, service_name, display_name) VALUES (?, ?, ?, ?, ?)`
+  );
+  const joinHandle = await db.prepare(`INSERT INTO chat_handle_join (chat_id, handle_id) VALUES (?, ?)`);
+  for (const chat of [...directChats, ...groupChats, ...conversations.chats]) {
+    ({ lastID: chat.rowid } = await insertChat.run([
+      chat.guid, chat.group ? 43 : 45, chat.identifier, chat.service, chat.displayName,
+    ]));
+    for (const handle of chat.handles) await joinHandle.run([chat.rowid, handle.rowid]);
+  }
+  await Promise.all([insertChat, joinHandle].map(s => s.finalize()));
+
+  // Messages in date order, so ROWIDs grow with time as in a real database
+  const rows = [...planBulkMessages(random, options, directChats, groupChats), ...conversations.rows];
+  rows.sort((a, b) => a.date - b.date);
+
+  const insertMessage = await db.prepare(
+    `INSERT INTO message (guid, text, attributedBody, handle_id, service, date, date_read, date_delivered,
+       is_from_me, is_read, is_sent, is_delivered, is_finished, cache_has_attachments,
+       associated_message_type, associated_message_guid, thread_originator_guid, thread_originator_part,
+       date_edited, date_retracted, message_summary_info)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const joinMessage = await db.prepare(`INSERT INTO chat_message_join (chat_id, message_id, message_date) VALUES (?, ?, ?)`);
+  const insertAttachment = await db.prepare(
+    `INSERT INTO attachment (guid, created_date, filename, uti, mime_type, transfer_state, is_outgoing, transfer_name,
+       total_bytes, is_sticker)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const joinAttachment = await db.prepare(`INSERT INTO message_attachment_join (message_id, attachment_id) VALUES (?, ?)`);
+
+  const scriptedMessages = {};
+  let attachmentCount = 0;
+  for (const row of rows) {
+    const date = toAppleTime(row.date);
+    const { lastID: messageId } = await insertMessage.run([
+      row.guid, row.text, row.attributedBody, row.handleFor(row.from), row.chat.service, date,
+      row.fromMe ? 0 : date, date, row.fromMe ? 1 : 0, row.fromMe ? 0 : row.isRead, row.fromMe ? 1 : 0,
+      row.fromMe ? 1 : 0, row.attachments.length > 0 ? 1 : 0,
+      row.associatedType || 0, row.associatedGuid || null,
+      row.threadGuid || null, row.threadGuid ? '0:0:1' : null,
+      row.dateEdited || 0, row.dateRetracted || 0, row.summary || null,
+    ]);
+    await joinMessage.run([row.chat.rowid, messageId, date]);
+    if (row.scriptId) scriptedMessages[row.scriptId] = { message_id: messageId, guid: row.guid };
+
+    for (const attachment of row.attachments) {
+      const filename = `~/Library/Messages/Attachments/${attachment.guid.slice(0, 2).toLowerCase()}/${attachment.guid}/${attachment.name}`;
+      const { lastID: attachmentId } = await insertAttachment.run([
+        attachment.guid, Number(BigInt(date) / 1000000000n), filename, attachment.uti, attachment.mime,
+        attachment.transferState, row.fromMe ? 1 : 0, attachment.name, attachment.bytes, attachment.sticker,
+      ]);
+      await joinAttachment.run([messageId, attachmentId]);
+      attachmentCount++;
+    }
+  }
+  await Promise.all([insertMessage, joinMessage, insertAttachment, joinAttachment].map(s => s.finalize()));
+  await db.exec('COMMIT');
+  await db.close();
+
+  // What the generated data contains, for benchmarks and tests to query
+  const allPeople = [...people.values()];
+  const carded = allPeople.filter(p => p.pk && p.key.startsWith('random-'));
+  const manifest = {
+    options: { ...options, contacts: undefined, conversations: undefined, now: new Date(options.now).toISOString() },
+    chat_db: chatFile,
+    address_books: addressBooks,
+    counts: {
+      people: allPeople.filter(p => p.pk).length,
+      strangers: allPeople.filter(p => !p.pk).length,
+      handles: handles.length,
+      direct_chats: directChats.length,
+      group_chats: groupChats.length + conversations.chats.length,
+      messages: rows.length,
+      attachments: attachmentCount,
+    },
+    // Scripted contacts, chats and messages by key
+    people: Object.fromEntries(scripted.map(({ key }) => {
+      const person = people.get(key);
+      return [key, { person: person.person, handles: person.handles.map(h => ({ id: h.id, service: h.service, handle_id: h.rowid })) }];
+    })),
+    chats: Object.fromEntries([...directChats, ...conversations.chats].filter(c => c.key).map(chat => [chat.key, {
+      chat_id: chat.rowid,
+      identifier: chat.group ? `group:${chat.rowid}` : chat.identifier,
+    }])),
+    messages: scriptedMessages,
+    samples: {
+      names: carded.slice(0, 5).map(p => `${p.first} ${p.last}`),
+      people: carded.slice(0, 5).map(p => p.person),
+      phones: carded.slice(0, 5).map(p => p.handles[0].id),
+      written_phones: carded.slice(0, 5).map(p => p.phones[0]),
+      emails: carded.filter(p => p.emails.length > 0).slice(0, 5).map(p => p.emails[0]),
+      groups: groupChats.slice(0, 5).map(g => `group:${g.rowid}`),
+    },
+  };
+  fs.writeFileSync(path.join(outDir, 'fixture.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// --name value pairs; numbers are parsed, everything else is kept as a string
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)$/.exec(argv[i]);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    args[key] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  }
+  return args;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { out, scenario, backup, ...overrides } = parseArgs(process.argv.slice(2));
+  if (!out) {
+    console.error('Usage: node fixtures/generate.js --out <dir> [--messages N] [--people N] [--groups N] [--seed N] ' +
+      '[--scenario file.json] [--backup <iPhone backup dir>]');
+    process.exit(1);
+  }
+  // A scenario file holds { contacts, conversations } and any other options
+  const options = scenario ? { ...JSON.parse(fs.readFileSync(scenario, 'utf8')), ...overrides } : overrides;
+  const started = Date.now();
+  const manifest = await generateFixture(path.resolve(out), options);
+  console.log(`Generated ${manifest.counts.messages} messages, ${manifest.counts.handles} handles, ` +
+    `${manifest.counts.group_chats} groups in ${Date.now() - started}ms -> ${path.resolve(out)}`);
+  if (backup) {
+    const written = await writeBackup(path.resolve(out), path.resolve(backup));
+    console.log(`Wrote an iPhone backup with ${written.attachments} attachments -> ${written.backup_dir}`);
+  }
+}
@@ -14,13 +14,58 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { decodeAttributedBody, scanForString, ATTACHMENT_CHAR } from './typedstream.js';
+import { ATTACHMENT_KINDS, attachmentKind, formatAttachment, describeAttachments } from './attachments.js';
+import { foldReactions, reactionName, excludeReactionsSql, reactionTargetSql } from './reactions.js';
+import { describeEdits } from './edits.js';
+import { toLiteralQuery } from './search-index.js';
+import { MessageSource } from './message-source.js';
+import { BackupMessageSource, BackupContactIndex } from './iphone-backup.js';
+import { AndroidMessageSource } from './android-backup.js';
+import { mergeTimelines, DUPLICATE_WINDOW_NS } from './timeline.js';
+import { SESSION_GAP_HOURS, conversationDynamics, escalations, weekStart } from './dynamics.js';
+import { activityRhythm, asciiHeatmap } from './rhythm.js';
+import { groupBy, localTime, messageTime, systemTimeZone } from './time.js';
+import { EXPORT_FORMATS, renderTranscript, transcriptFileName, uniquePath } from './transcript.js';
+import { HOSTILE_THRESHOLD, scoreText, summarizeScores } from './sentiment.js';
+import { DEFAULT_LEXICON, compileLexicon, loadLexicons, matchLexicons } from './lexicons.js';
+import { loadConfig, USAGE } from './config.js';
+import { parsePersonId } from './people.js';
+import { ContactIndex } from './contact-index.js';
+import { regionInfo, formatPhone, handleMatchKey } from './phone.js';
+
+// Edit/unsend columns added in macOS Ventura; selected as NULL on older databases
+const EDIT_COLUMNS = ['date_edited', 'date_retracted', 'message_summary_info'];
+
+// Messages read per page while export_conversation walks a conversation
+const EXPORT_PAGE_SIZE = 500;
+
+// Messages shown per speaker as the most negative (or heaviest keyword matches) in analyze_message_sentiment
+const WORST_MESSAGES = 3;
+
+// Most messages one call returns per list (get_message_context counts each side)
+const MAX_PAGE_SIZE = 500;
+
+// A count argument clamped to 0..max; fractions and non-numbers are rejected rather than
+// passed on to a SQL LIMIT
+function clampCount(name, value, max = MAX_PAGE_SIZE) {
+  if (!Number.isInteger(value)) throw new Error(`${name} must be a whole number, got ${JSON.stringify(value)}`);
+  return Math.min(Math.max(value, 0), max);
+}
+
+// Tool argument description with its "(default: ...)" note updated to a configured value
+function withDefaultNote(description, value) {
+  const note = `default: ${value}`;
+  if (/default: [^)]*\)$/.test(description)) return description.replace(/default: [^)]*\)$/, `${note})`);
+  return `${description} (${note})`;
+}
 
-class iMessageMCPServer {
+export class iMessageMCPServer {
  // Add this helper method to the iMessageMCPServer class
   calculateAppleTimestamp(daysBack) {
     // Apple timestamps are nanoseconds since January 1, 2001 00:00:00 UTC
@@ -38,7 +83,76 @@ class iMessageMCPServer {
     return threshold;
   }
 
-  constructor() {
+  // Convert an ISO-8601 date/time string to an Apple timestamp (nanoseconds since 2001-01-01)
+  appleTimestampFromDate(value) {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+      throw new Error(`Invalid date: ${value}. Use ISO-8601, e.g. 2023-03-01 or 2023-03-01T18:00:00Z`);
+    }
+    return (ms / 1000 - 978307200) * 1000000000;
+  }
+
+  // Date window plus optional cursor, as a SQL condition on message columns (alias m or none).
+  // since overrides days_back; with only until given, days_back counts back from until.
+  dateRangeFilter(alias, { since = null, until = null, daysBack = 60, cursor = null } = {}) {
+    const col = alias ? `${alias}.` : '';
+    const upper = until ? this.appleTimestampFromDate(until) : null;
+    let lower;
+    if (since) {
+      lower = this.appleTimestampFromDate(since);
+    } else if (upper !== null) {
+      lower = upper - daysBack * 24 * 60 * 60 * 1000000000;
+    } else {
+      lower = this.calculateAppleTimestamp(daysBack);
+    }
+
+    const clauses = [`${col}date > ?`];
+    const params = [lower];
+    if (upper !== null) {
+      clauses.push(`${col}date < ?`);
+      params.push(upper);
+    }
+    if (cursor) {
+      const { date, rowid } = this.decodeCursor(cursor);
+      clauses.push(`(${col}date < ? OR (${col}date = ? AND ${col}ROWID < ?))`);
+      params.push(date, date, rowid);
+    }
+
+    const toReadable = ns => new Date(ns / 1000000 + 978307200000).toISOString();
+    return {
+      sql: clauses.join(' AND '),
+      params,
+      range: { since: toReadable(lower), until: upper !== null ? toReadable(upper) : null },
+    };
+  }
+
+  // Opaque paging cursor: the position (date, ROWID) of the last message returned, and
+  // on merged timelines the source it came from, as ROWIDs only order one database.
+  // The date travels as text because Apple nanosecond timestamps exceed Number precision.
+  encodeCursor(row, source = null) {
+    return Buffer.from(JSON.stringify({ d: String(row.date_key), r: row.ROWID, ...(source && { s: source }) })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { d, r, s = null } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!/^\d+$/.test(d) || !Number.isInteger(r) || (s !== null && typeof s !== 'string')) throw new Error('bad fields');
+      return { date: d, rowid: r, source: s };
+    } catch (e) {
+      throw new Error('Invalid cursor. Pass the next_cursor value from a previous response unchanged.');
+    }
+  }
+
+  // Rows fetched with LIMIT limit + 1, newest first: trim to limit and derive next_cursor
+  // (naming the source of rows from a merged timeline). An empty page has nowhere to continue from.
+  paginate(rows, limit) {
+    const page = rows.slice(0, limit);
+    if (rows.length <= limit || page.length === 0) return { rows: page, nextCursor: null };
+    const last = page[page.length - 1];
+    return { rows: page, nextCursor: this.encodeCursor(last, last.source) };
+  }
+
+  constructor(config = loadConfig()) {
     this.server = new Server(
       {
         name: 'imessage-mcp-server',
@@ -51,189 +165,523 @@ class iMessageMCPServer {
       }
     );
 
-    this.dbPath = path.join(os.homedir(), 'Library', 'Messages', 'chat.db');
-    this.contactsDbPath = path.join(os.homedir(), 'Library', 'Application Support', 'AddressBook', 'AddressBook-v22.abcddb');
-    this.contactNameCache = new Map(); // Cache for contact name lookups
+    this.config = config;
+    // Region for phone numbers written without a country code (ISO 3166 code, e.g. "GB")
+    this.defaultRegion = config.defaultRegion;
+
+    // Named message sources, each with one read-only chat.db connection shared by every
+    // tool call. Sources reading the same AddressBook share its in-memory contact index;
+    // iPhone backups read the phone's own contacts unless given an AddressBook folder.
+    const contactIndexes = new Map();
+    const contactsFor = (contactsDir) => {
+      if (!contactIndexes.has(contactsDir)) {
+        contactIndexes.set(contactsDir, new ContactIndex(contactsDir, this.defaultRegion));
+      }
+      return contactIndexes.get(contactsDir);
+    };
+    this.sources = new Map(config.sources.map(source => {
+      if (source.type === 'iphone_backup') {
+        const contacts = source.contactsDir
+          ? contactsFor(source.contactsDir)
+          : new BackupContactIndex(source.backupDir, this.defaultRegion);
+        return [source.name, new BackupMessageSource(source, contacts)];
+      }
+      if (source.type === 'android') {
+        return [source.name, new AndroidMessageSource(source, contactsFor(source.contactsDir), this.defaultRegion)];
+      }
+      return [source.name, new MessageSource(source, contactsFor(source.contactsDir))];
+    }));
+    for (const { name, merge } of config.sources) {
+      this.sources.get(name).merged = merge.map(other => this.sources.get(other));
+    }
+    this.defaultSource = config.defaultSource;
+    // Source selected by the tool call being handled
+    this.callContext = new AsyncLocalStorage();
+    this.configureTools();
     this.setupToolHandlers();
   }
 
-  setupToolHandlers() {
-    // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'search_and_read',
-            description: 'Search for contacts/groups by name or phone and read their messages (most efficient)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'Search query (contact name, phone number, email, or group name)',
-                },
-                include_groups: {
-                  type: 'boolean',
-                  description: 'Include group chats in search (default: true)',
-                  default: true,
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Max messages per conversation (default: 30)',
-                  default: 30,
-                },
-                days_back: {
-                  type: 'number',
-                  description: 'Days to look back (default: 30)',
-                  default: 30,
-                },
-                format: {
-                  type: 'string',
-                  enum: ['minimal', 'compact', 'full'],
-                  description: 'Output format (default: compact)',
-                  default: 'compact',
-                }
-              },
-              required: ['query'],
+  // Every tool the server implements, before configuration is applied
+  toolDefinitions() {
+    return [
+      {
+        name: 'search_and_read',
+        description: 'Search for contacts/groups by name or phone and read their messages (most efficient)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query (contact name, phone number, email, or group name)',
+            },
+            include_groups: {
+              type: 'boolean',
+              description: 'Include group chats in search (default: true)',
+              default: true,
+            },
+            limit: {
+              type: 'number',
+              description: 'Max messages per conversation, up to 500 (default: 30)',
+              default: 30,
             },
+            days_back: {
+              type: 'number',
+              description: 'Days to look back (default: 30)',
+              default: 30,
+            },
+            since: {
+              type: 'string',
+              description: 'Start of date range, ISO-8601 (overrides days_back)',
+            },
+            until: {
+              type: 'string',
+              description: 'End of date range, ISO-8601 (default: now)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'next_cursor from a previous response, to continue with older messages',
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact', 'full'],
+              description: 'Output format (default: compact)',
+              default: 'compact',
+            }
           },
-          {
-            name: 'search_contacts',
-            description: 'Search for contacts in iMessage by name, phone, or email (returns contact info only)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'Search query (name, phone number, or email)',
-                },
-              },
-              required: ['query'],
+          required: ['query'],
+        },
+      },
+      {
+        name: 'search_messages',
+        description: 'Full-text search of message content across all conversations (phrases, prefixes, ranked snippets)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Words to find. Use "quotes" for phrases, lease* for prefixes, AND/OR/NOT to combine',
+            },
+            identifier: {
+              type: 'string',
+              description: 'Only search conversations with this contact (name, phone, email, "person:ID") or "group:ID"',
+            },
+            since: {
+              type: 'string',
+              description: 'Only messages after this ISO-8601 date',
+            },
+            until: {
+              type: 'string',
+              description: 'Only messages before this ISO-8601 date',
+            },
+            days_back: {
+              type: 'number',
+              description: 'Only messages from the last N days (ignored when since is given; default: all time)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Max results, up to 500 (default: 20)',
+              default: 20,
+            },
+            offset: {
+              type: 'number',
+              description: 'Results to skip, use next_offset from the previous page (default: 0)',
+              default: 0,
             },
+            rebuild_index: {
+              type: 'boolean',
+              description: 'Rebuild the search index from scratch first, e.g. to pick up edited messages (default: false)',
+              default: false,
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact'],
+              description: 'Output format (default: compact)',
+              default: 'compact',
+            }
           },
-          {
-            name: 'read_conversation',
-            description: 'Read messages from specific contact or group by identifier',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                identifier: {
-                  type: 'string',
-                  description: 'Phone number, email, contact name, or "group:ID" for group chats',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Max messages (default: 50)',
-                  default: 50,
-                },
-                days_back: {
-                  type: 'number',
-                  description: 'Days back (default: 60)',
-                  default: 60,
-                },
-                include_sent: {
-                  type: 'boolean',
-                  description: 'Include messages sent by you (default: true)',
-                  default: true,
-                },
-                format: {
-                  type: 'string',
-                  enum: ['minimal', 'compact', 'full'],
-                  description: 'Output format (default: compact)',
-                  default: 'compact',
-                }
-              },
-              required: ['identifier'],
+          required: ['query'],
+        },
+      },
+      {
+        name: 'list_conversations',
+        description: 'List all conversations with display name, participants, last message, last activity and unread count',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['all', 'group', 'individual'],
+              description: 'Only list group chats or one-to-one conversations (default: all)',
+              default: 'all',
+            },
+            sort: {
+              type: 'string',
+              enum: ['recent', 'unread', 'messages'],
+              description: 'Sort by last activity, unread count or total messages (default: recent)',
+              default: 'recent',
             },
+            unread_only: {
+              type: 'boolean',
+              description: 'Only conversations with unread messages (default: false)',
+              default: false,
+            },
+            limit: {
+              type: 'number',
+              description: 'Conversations per page, up to 500 (default: 25)',
+              default: 25,
+            },
+            offset: {
+              type: 'number',
+              description: 'Conversations to skip, use next_offset from the previous page (default: 0)',
+              default: 0,
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact'],
+              description: 'Output format (default: compact)',
+              default: 'compact',
+            }
           },
-          {
-            name: 'get_conversation_stats',
-            description: 'Get statistics about a conversation (individual or group)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                identifier: {
-                  type: 'string',
-                  description: 'Phone number, email, contact name, or "group:ID" for group chats',
-                },
-                days_back: {
-                  type: 'number',
-                  description: 'Number of days to analyze (default: 60)',
-                  default: 60,
-                },
-              },
-              required: ['identifier'],
+        },
+      },
+      {
+        name: 'search_contacts',
+        description: 'Search for contacts in iMessage by name, phone, or email (returns contact info only)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query (name, phone number, or email)',
             },
           },
-          {
-            name: 'analyze_message_sentiment',
-            description: 'Analyze messages for sentiment, hostility, or specific keywords',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                identifier: {
-                  type: 'string',
-                  description: 'Phone number, email, contact name, or "group:ID" for group chats',
-                },
-                keywords: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Keywords to search for (default: common hostile keywords)',
-                },
-                days_back: {
-                  type: 'number',
-                  description: 'Number of days to analyze (default: 60)',
-                  default: 60,
-                },
-                group_by_date: {
-                  type: 'boolean',
-                  description: 'Group results by date (default: true)',
-                  default: true,
-                },
-              },
-              required: ['identifier'],
+          required: ['query'],
+        },
+      },
+      {
+        name: 'read_conversation',
+        description: 'Read messages from specific contact or group by identifier (one timeline with any merged sources, e.g. an Android export)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifier: {
+              type: 'string',
+              description: 'Phone number, email, contact name, "person:ID" from search_contacts, or "group:ID" for group chats',
+            },
+            limit: {
+              type: 'number',
+              description: 'Max messages, up to 500 (default: 50)',
+              default: 50,
+            },
+            days_back: {
+              type: 'number',
+              description: 'Days back (default: 60)',
+              default: 60,
             },
+            since: {
+              type: 'string',
+              description: 'Start of date range, ISO-8601 (overrides days_back)',
+            },
+            until: {
+              type: 'string',
+              description: 'End of date range, ISO-8601 (default: now)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'next_cursor from a previous response, to continue with older messages',
+            },
+            include_sent: {
+              type: 'boolean',
+              description: 'Include messages sent by you (default: true)',
+              default: true,
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact', 'full'],
+              description: 'Output format (default: compact)',
+              default: 'compact',
+            },
+            threaded: {
+              type: 'boolean',
+              description: 'Nest inline replies under the message they answer (default: false)',
+              default: false,
+            }
           },
-        ],
+          required: ['identifier'],
+        },
+      },
+      {
+        name: 'read_thread',
+        description: 'Read one inline-reply thread given the GUID of any message in it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            guid: {
+              type: 'string',
+              description: 'GUID of the thread originator or any reply (the "thread" or "reply_to" value from read_conversation)',
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact'],
+              description: 'Output format (default: compact)',
+              default: 'compact',
+            }
+          },
+          required: ['guid'],
+        },
+      },
+      {
+        name: 'export_conversation',
+        description: 'Write the complete transcript of a conversation (individual or group) to a file: Markdown, self-contained HTML with reactions, replies and image thumbnails inline (prints to PDF from a browser), CSV or JSONL. Returns the file path and a summary, not the messages',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifier: {
+              type: 'string',
+              description: 'Phone number, email, contact name, "person:ID" from search_contacts, or "group:ID" for group chats',
+            },
+            format: {
+              type: 'string',
+              enum: Object.keys(EXPORT_FORMATS),
+              description: 'File format (default: markdown)',
+              default: 'markdown',
+            },
+            since: {
+              type: 'string',
+              description: 'Start of date range, ISO-8601 (overrides days_back)',
+            },
+            until: {
+              type: 'string',
+              description: 'End of date range, ISO-8601 (default: now)',
+            },
+            days_back: {
+              type: 'number',
+              description: 'Days back when no since date is given (default: 365)',
+              default: 365,
+            },
+            include_sent: {
+              type: 'boolean',
+              description: 'Include messages you sent (default: true)',
+              default: true,
+            },
+            path: {
+              type: 'string',
+              description: 'File or folder to write to; relative paths are inside the export folder (default: a file in the export folder named after the conversation and today\'s date)',
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace the file at path if it exists (default: false)',
+              default: false,
+            },
+          },
+          required: ['identifier'],
+        },
+      },
+      {
+        name: 'get_conversation_stats',
+        description: 'Get statistics about a conversation (individual or group), counting merged sources once per message: counts, reactions, dynamics (reply times per side, who starts conversations, double texts, unanswered messages, conversation lengths, month over month) and rhythm (hour-by-weekday heatmaps, late-night share, longest daily streaks and gaps) in a local time zone',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifier: {
+              type: 'string',
+              description: 'Phone number, email, contact name, "person:ID" from search_contacts, or "group:ID" for group chats',
+            },
+            days_back: {
+              type: 'number',
+              description: 'Number of days to analyze (default: 60)',
+              default: 60,
+            },
+            since: {
+              type: 'string',
+              description: 'Start of date range, ISO-8601 (overrides days_back)',
+            },
+            until: {
+              type: 'string',
+              description: 'End of date range, ISO-8601 (default: now)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'Only count messages older than this read_conversation next_cursor',
+            },
+            session_gap_hours: {
+              type: 'number',
+              description: 'Hours of silence after which the next message starts a new conversation (default: 6)',
+              default: 6,
+            },
+            time_zone: {
+              type: 'string',
+              description: 'IANA time zone for the activity heatmaps, e.g. "Europe/London" (default: this computer\'s time zone)',
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact'],
+              description: 'Output format; minimal is a text summary with ASCII heatmaps (default: compact)',
+              default: 'compact',
+            }
+          },
+          required: ['identifier'],
+        },
+      },
+      {
+        name: 'analyze_message_sentiment',
+        description: 'Score messages for sentiment (compound score per message, breakdown and weekly trend per participant, daily trend, who escalates) with a local lexicon that understands negation, intensifiers, emoji and emphasis, or find messages matching keyword lexicons (hostility, threats, self-harm, affection, apology, financial-pressure, or your own)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifier: {
+              type: 'string',
+              description: 'Phone number, email, contact name, "person:ID" from search_contacts, or "group:ID" for group chats',
+            },
+            scoring: {
+              type: 'string',
+              enum: ['lexicon', 'keywords'],
+              description: 'lexicon: sentiment scores for every message, yours included; keywords: received messages matching keyword lexicons (default: lexicon, or keywords when keywords or lexicons are given)',
+            },
+            lexicons: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Keyword lexicons to match, e.g. ["threats", "self-harm"]; each match reports its lexicon, version, term and category (keyword scoring; default: hostility unless keywords are given)',
+            },
+            keywords: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Extra words or phrases to find, matched as whole words (keyword scoring)',
+            },
+            only_negative: {
+              type: 'boolean',
+              description: 'With lexicon scoring and group_by_date false, list only negative messages (default: true)',
+              default: true,
+            },
+            days_back: {
+              type: 'number',
+              description: 'Number of days to analyze (default: 60)',
+              default: 60,
+            },
+            group_by_date: {
+              type: 'boolean',
+              description: 'Group results by date (default: true)',
+              default: true,
+            },
+            since: {
+              type: 'string',
+              description: 'Start of date range, ISO-8601 (overrides days_back)',
+            },
+            until: {
+              type: 'string',
+              description: 'End of date range, ISO-8601 (default: now)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'next_cursor from a previous response, to continue with older matches (group_by_date: false)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Max matching messages per page when group_by_date is false, up to 500 (default: 100)',
+              default: 100,
+            },
+          },
+          required: ['identifier'],
+        },
+      },
+      {
+        name: 'get_message_context',
+        description: 'Show the messages just before and after one message in the same chat (e.g. a hit from analyze_message_sentiment)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message_id: {
+              type: 'string',
+              description: 'Message ROWID (message_id / message_ids from other tools) or message GUID. With a source named next to the id, pass it as source too',
+            },
+            before: {
+              type: 'number',
+              description: 'Messages to include before it, up to 500 (default: 5)',
+              default: 5,
+            },
+            after: {
+              type: 'number',
+              description: 'Messages to include after it, up to 500 (default: 5)',
+              default: 5,
+            },
+            format: {
+              type: 'string',
+              enum: ['minimal', 'compact'],
+              description: 'Output format (default: compact)',
+              default: 'compact',
+            }
+          },
+          required: ['message_id'],
+        },
+      },
+      {
+        name: 'list_attachments',
+        description: 'List photos, videos, voice memos, documents and stickers in a conversation',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifier: {
+              type: 'string',
+              description: 'Phone number, email, contact name, "person:ID" from search_contacts, or "group:ID" for group chats',
+            },
+            type: {
+              type: 'string',
+              enum: ATTACHMENT_KINDS,
+              description: 'Only return attachments of this kind (default: all)',
+            },
+            since: {
+              type: 'string',
+              description: 'Start of date range, ISO-8601 (overrides days_back)',
+            },
+            until: {
+              type: 'string',
+              description: 'End of date range, ISO-8601 (default: now)',
+            },
+            days_back: {
+              type: 'number',
+              description: 'Days back when no since date is given (default: 365)',
+              default: 365,
+            },
+            limit: {
+              type: 'number',
+              description: 'Max attachments, up to 500 (default: 100)',
+              default: 100,
+            },
+          },
+          required: ['identifier'],
+        },
+      },
+      {
+        name: 'get_diagnostics',
+        description: 'Show the configuration (message sources, enabled tools, default arguments), database locations, the default phone region, contact cache statistics (people loaded, reloads, cache hit rate) and chat.db query timings (slowest statements, statement cache, busy retries)',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+    ];
+  }
+
+  setupToolHandlers() {
+    // List available tools
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: this.tools,
       };
     });
 
     // Handle tool calls
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       try {
-        const { name, arguments: args } = request.params;
-
-        switch (name) {
-          case 'search_and_read':
-            return await this.searchAndRead(
-              args.query,
-              args.include_groups,
-              args.limit,
-              args.days_back,
-              args.format
-            );
-          case 'search_contacts':
-            return await this.searchContacts(args.query);
-          case 'read_conversation':
-            return await this.readConversation(
-              args.identifier,
-              args.limit,
-              args.days_back,
-              args.include_sent,
-              args.format
-            );
-          case 'get_conversation_stats':
-            return await this.getConversationStatsEnhanced(args.identifier, args.days_back);
-          case 'analyze_message_sentiment':
-            return await this.analyzeMessageSentimentEnhanced(
-              args.identifier,
-              args.keywords,
-              args.days_back,
-              args.group_by_date
-            );
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        const { name } = request.params;
+        const tool = this.tools.find(t => t.name === name);
+        if (!tool) {
+          const known = this.toolDefinitions().some(t => t.name === name);
+          throw new Error(known ? `Tool ${name} is disabled in the server configuration` : `Unknown tool: ${name}`);
         }
+        const args = this.withDefaultArguments(tool, request.params.arguments || {});
+        const source = this.selectSource(args.source);
+        return await this.callContext.run({ source }, () => this.callTool(name, args));
       } catch (error) {
         return {
           content: [
@@ -247,46 +695,231 @@ class iMessageMCPServer {
     });
   }
 
+  async callTool(name, args) {
+    switch (name) {
+      case 'search_and_read':
+        return await this.searchAndRead(
+          args.query,
+          args.include_groups,
+          args.limit,
+          args.days_back,
+          args.format,
+          args.since,
+          args.until,
+          args.cursor
+        );
+      case 'search_messages':
+        return await this.searchMessages(
+          args.query,
+          args.identifier,
+          args.since,
+          args.until,
+          args.days_back,
+          args.limit,
+          args.offset,
+          args.rebuild_index,
+          args.format
+        );
+      case 'list_conversations':
+        return await this.listConversations(
+          args.type,
+          args.sort,
+          args.limit,
+          args.offset,
+          args.unread_only,
+          args.format
+        );
+      case 'search_contacts':
+        return await this.searchContacts(args.query);
+      case 'read_conversation':
+        return await this.readConversation(
+          args.identifier,
+          args.limit,
+          args.days_back,
+          args.include_sent,
+          args.format,
+          args.threaded,
+          args.since,
+          args.until,
+          args.cursor
+        );
+      case 'read_thread':
+        return await this.readThread(args.guid, args.format);
+      case 'export_conversation':
+        return await this.exportConversation(
+          args.identifier,
+          args.format,
+          args.since,
+          args.until,
+          args.days_back,
+          args.include_sent,
+          args.path,
+          args.overwrite
+        );
+      case 'get_conversation_stats':
+        return await this.getConversationStatsEnhanced(
+          args.identifier,
+          args.days_back,
+          args.since,
+          args.until,
+          args.cursor,
+          args.session_gap_hours,
+          args.time_zone,
+          args.format
+        );
+      case 'analyze_message_sentiment':
+        return await this.analyzeMessageSentimentEnhanced(
+          args.identifier,
+          args.keywords,
+          args.days_back,
+          args.group_by_date,
+          args.since,
+          args.until,
+          args.cursor,
+          args.limit,
+          args.scoring,
+          args.only_negative,
+          args.lexicons
+        );
+      case 'get_message_context':
+        return await this.getMessageContext(args.message_id, args.before, args.after, args.format);
+      case 'list_attachments':
+        return await this.listAttachments(
+          args.identifier,
+          args.type,
+          args.since,
+          args.until,
+          args.days_back,
+          args.limit
+        );
+      case 'get_diagnostics':
+        return await this.getDiagnostics();
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Apply the configuration to the tool list once: drop disabled tools, check configured
+  // default arguments against each tool's schema (ignoring, with a warning, any that do not fit)
+  // and, with several message sources, add a source argument to every tool
+  configureTools() {
+    const definitions = this.toolDefinitions();
+    const names = new Set(definitions.map(t => t.name));
+    const { enabledTools, disabledTools, defaults } = this.config;
+    for (const name of [...(enabledTools || []), ...disabledTools, ...Object.keys(defaults.tools)]) {
+      if (!names.has(name)) console.error(`Configuration names unknown tool ${name}`);
+    }
+
+    this.toolDefaults = new Map();
+    this.tools = definitions
+      .filter(tool => (!enabledTools || enabledTools.includes(tool.name)) && !disabledTools.includes(tool.name))
+      .map(tool => {
+        const properties = { ...tool.inputSchema.properties };
+        const argDefaults = {};
+        const configured = [
+          ...Object.entries(defaults.all).filter(([arg]) => arg in properties),
+          ...Object.entries(defaults.tools[tool.name] || {}),
+        ];
+        for (const [arg, value] of configured) {
+          const property = properties[arg];
+          const fits = property && (property.enum ? property.enum.includes(value) : typeof value === property.type);
+          if (!fits) {
+            console.error(`Ignoring default ${tool.name}.${arg}=${JSON.stringify(value)}: not a valid value for this tool`);
+            continue;
+          }
+          argDefaults[arg] = value;
+          properties[arg] = { ...property, default: value, description: withDefaultNote(property.description, value) };
+        }
+        this.toolDefaults.set(tool.name, argDefaults);
+
+        if (this.sources.size > 1) {
+          properties.source = {
+            type: 'string',
+            enum: [...this.sources.keys()],
+            description: `Message source to read (default: ${this.defaultSource})`,
+            default: this.defaultSource,
+          };
+        }
+        return { ...tool, inputSchema: { ...tool.inputSchema, properties } };
+      });
+  }
+
+  // Tool arguments with configured defaults filled in where the call leaves them out
+  withDefaultArguments(tool, args) {
+    const given = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+    return { ...this.toolDefaults.get(tool.name), ...given };
+  }
+
+  selectSource(name) {
+    if (name === undefined || name === null || name === '') return this.sources.get(this.defaultSource);
+    const source = this.sources.get(name);
+    if (!source) {
+      throw new Error(`Unknown source: ${name}. Configured sources: ${[...this.sources.keys()].join(', ')}`);
+    }
+    return source;
+  }
+
+  // Message source of the tool call being handled; the default source outside of one
+  activeSource() {
+    return this.callContext.getStore()?.source || this.sources.get(this.defaultSource);
+  }
+
+  // Run fn with another message source active
+  inSource(source, fn) {
+    return this.callContext.run({ ...this.callContext.getStore(), source }, fn);
+  }
+
+  // A session on the active source's shared connection; db.close() hands it back without closing chat.db
   async openDatabase() {
+    const source = this.activeSource();
+    await source.ready();
     try {
-      const db = await open({
-        filename: this.dbPath,
-        driver: sqlite3.Database,
-        mode: sqlite3.OPEN_READONLY,
-      });
-      return db;
+      return await source.database.session();
     } catch (error) {
-      throw new Error(`Failed to open iMessage database: ${error.message}. 
+      throw new Error(`Failed to open iMessage database ${source.dbPath}: ${error.message}. 
         Make sure Claude Desktop has Full Disk Access in System Settings.`);
     }
   }
 
   async searchContacts(query) {
+    const graph = await this.getPeopleGraph();
     const db = await this.openDatabase();
     
     try {
-      const contacts = await db.all(
-        `SELECT ROWID, id, service, country 
-         FROM handle 
-         WHERE id LIKE ? OR id LIKE ?
-         ORDER BY id`,
-        [`%${query}%`, `%${query.replace(/[^0-9]/g, '')}%`]
-      );
+      const contacts = await this.matchHandles(db, query);
+      const allHandles = await db.all(`SELECT ROWID, id, country FROM handle`);
 
       await db.close();
 
+      // People matched by name, plus the people behind any matched handle
+      const people = new Map(graph.findByName(query).map(p => [p.id, p]));
+      const direct = graph.get(query) || graph.findByHandle(query);
+      if (direct) people.set(direct.id, direct);
+      for (const contact of contacts) {
+        const person = graph.findByHandle(contact.id, this.handleRegion(contact));
+        if (person) people.set(person.id, person);
+      }
+
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
               query,
+              people: [...people.values()].map(person => ({
+                identifier: person.id,
+                name: this.personLabel(person),
+                phones: person.phones,
+                emails: person.emails,
+                handles: allHandles.filter(h => graph.findByHandle(h.id, this.handleRegion(h)) === person).map(h => h.id),
+              })),
               contacts_found: contacts.length,
               contacts: contacts.map(contact => ({
                 handle_id: contact.ROWID,
                 identifier: contact.id,
                 service: contact.service,
                 country: contact.country,
+                person: graph.findByHandle(contact.id, this.handleRegion(contact))?.id || null,
               })),
             }, null, 2),
           },
@@ -303,14 +936,7 @@ class iMessageMCPServer {
     
     try {
       // Clean phone number for searching
-      const cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
-      
-      const handles = await db.all(
-        `SELECT ROWID, id, service 
-         FROM handle 
-         WHERE id LIKE ? OR id LIKE ? OR id LIKE ?`,
-        [`%${phoneNumber}%`, `%${cleanNumber}%`, `%+${cleanNumber}%`]
-      );
+      const handles = await this.matchHandles(db, phoneNumber);
 
       await db.close();
       return handles.map(h => h.ROWID);
@@ -366,26 +992,12 @@ class iMessageMCPServer {
 
       console.error(`Messages found: ${messages.length}`);
 
-      // Process attributedBody for messages with empty text
-      const processedMessages = messages.map(msg => {
-        let finalText = msg.text;
-        
-        // If text is empty but attributedBody exists, try to decode it
-        if ((!finalText || finalText.trim() === '') && msg.attributedBody) {
-          try {
-            const bodyText = this.extractTextFromAttributedBody(msg.attributedBody);
-            if (bodyText) {
-              finalText = bodyText;
-            }
-          } catch (e) {
-            // If decoding fails, leave text as is
-          }
-        }
-
+      const { rows, undecodable } = this.decodeMessageRows(messages);
+      const processedMessages = rows.map(msg => {
         return {
           id: msg.ROWID,
           date: msg.date_readable,
-          text: finalText || '[No text content]',
+          text: msg.text || '[No text content]',
           contact_id: msg.contact_id,
           is_from_me: msg.is_from_me === 1,
           service: msg.service,
@@ -404,6 +1016,7 @@ class iMessageMCPServer {
               phone_number: phoneNumber,
               handle_ids_found: handleIds,
               messages_found: processedMessages.length,
+              undecodable_messages: undecodable,
               date_range_days: daysBack,
               threshold_used: threshold,
               messages: processedMessages,
@@ -491,241 +1104,280 @@ class iMessageMCPServer {
     }
   }
 
-  async analyzeMessageSentiment(phoneNumber, keywords = null, daysBack = 60, groupByDate = true) {
-    // Default hostile keywords if none provided
-    const defaultKeywords = [
-      'fuck', 'shit', 'hate', 'angry', 'mad', 'stupid', 'idiot', 'asshole', 'bitch',
-      'damn', 'pissed', 'annoyed', 'irritated', 'disgusted', 'sick of', 'tired of',
-      'done with', 'over it', 'shut up', 'leave me alone', 'cruel', 'attacking',
-      'breaking point', 'hell', 'horrible', 'terrible', 'awful', 'worst', 'pathetic',
-      'loser', 'useless', 'worthless', 'disappointed', 'betrayed', 'hurt', 'pain'
-    ];
-
-    const searchKeywords = keywords || defaultKeywords;
-    const handleIds = await this.findHandleIds(phoneNumber);
-    
-    if (handleIds.length === 0) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `No contacts found for: ${phoneNumber}`,
-          },
-        ],
-      };
-    }
+  // Decode the typedstream archive in attributedBody into text plus attribute runs
+  decodeAttributedBody(attributedBody) {
+    if (!attributedBody) return null;
 
-    const db = await this.openDatabase();
-    
     try {
-      const daysBackMs = daysBack * 24 * 60 * 60 * 1000 * 1000000;
-      const now = Date.now() * 1000000;
-      const threshold = now - daysBackMs;
+      return decodeAttributedBody(attributedBody);
+    } catch (e) {
+      console.error(`attributedBody decode failed: ${e.message}`);
+      const text = scanForString(attributedBody);
+      return text === null ? null : { text, runs: [], mentions: [], links: [], attachments: [], parts: [] };
+    }
+  }
 
-      // Build keyword search condition
-      const keywordConditions = searchKeywords.map(() => 'LOWER(message.text) LIKE ?').join(' OR ');
-      const keywordParams = searchKeywords.map(kw => `%${kw.toLowerCase()}%`);
+  // Plain message text from attributedBody, without attachment placeholders
+  extractTextFromAttributedBody(attributedBody) {
+    const decoded = this.decodeAttributedBody(attributedBody);
+    if (!decoded) return null;
 
-      if (groupByDate) {
-        // Group by date
-        const dailyAnalysis = await db.all(
-          `SELECT 
-             DATE(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as message_date,
-             COUNT(*) as total_messages_with_keywords,
-             GROUP_CONCAT(text, ' | ') as sample_messages
-           FROM message 
-           LEFT JOIN handle ON message.handle_id = handle.ROWID 
-           WHERE handle.ROWID IN (${handleIds.map(() => '?').join(',')})
-             AND message.date > ?
-             AND message.is_from_me = 0
-             AND message.text IS NOT NULL 
-             AND message.text != ''
-             AND (${keywordConditions})
-           GROUP BY DATE(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch'))
-           ORDER BY message_date DESC`,
-          [...handleIds, threshold, ...keywordParams]
-        );
+    const text = decoded.text.split(ATTACHMENT_CHAR).join('').trim();
+    return text || null;
+  }
 
-        await db.close();
+  // Select optional message columns, falling back to NULL where this macOS version lacks them
+  optionalColumns(alias, names) {
+    const col = alias ? `${alias}.` : '';
+    return names
+      .map(name => (this.activeSource().messageColumns?.has(name) ? `${col}${name}` : `NULL as ${name}`))
+      .join(', ');
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                phone_number: phoneNumber,
-                analysis_type: 'sentiment_by_date',
-                keywords_searched: searchKeywords,
-                period_days: daysBack,
-                days_with_hostile_messages: dailyAnalysis.length,
-                total_hostile_messages: dailyAnalysis.reduce((sum, day) => sum + day.total_messages_with_keywords, 0),
-                daily_breakdown: dailyAnalysis.map(day => ({
-                  date: day.message_date,
-                  hostile_message_count: day.total_messages_with_keywords,
-                  sample_messages: day.sample_messages.split(' | ').slice(0, 3), // First 3 samples
-                })),
-              }, null, 2),
-            },
-          ],
-        };
-      } else {
-        // Get all matching messages
-        const hostileMessages = await db.all(
-          `SELECT 
-             datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
-             text,
-             handle.id as contact_id
-           FROM message 
-           LEFT JOIN handle ON message.handle_id = handle.ROWID 
-           WHERE handle.ROWID IN (${handleIds.map(() => '?').join(',')})
-             AND message.date > ?
-             AND message.is_from_me = 0
-             AND message.text IS NOT NULL 
-             AND message.text != ''
-             AND (${keywordConditions})
-           ORDER BY message.date DESC`,
-          [...handleIds, threshold, ...keywordParams]
-        );
+  // SQL condition matching timeline rows: content in text, attributedBody or attachments,
+  // or an unsent message, excluding tapbacks (those are folded onto their target by withReactions)
+  messageContentFilter(alias = '') {
+    const col = alias ? `${alias}.` : '';
+    const unsent = this.activeSource().messageColumns?.has('date_retracted')
+      ? ` OR ${col}date_retracted > 0 OR ${col}date_edited > 0`
+      : '';
+    return `(((${col}text IS NOT NULL AND ${col}text != '') OR ${col}attributedBody IS NOT NULL OR ${col}cache_has_attachments = 1${unsent})
+      AND ${excludeReactionsSql(alias)})`;
+  }
 
-        await db.close();
+  // SQL condition leaving out unsent messages, which only have the "[Message unsent]" placeholder
+  // left (see describeEdits())
+  notUnsentFilter(alias = '') {
+    const col = alias ? `${alias}.` : '';
+    return this.activeSource().messageColumns?.has('date_retracted') ? `COALESCE(${col}date_retracted, 0) = 0` : '1 = 1';
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                phone_number: phoneNumber,
-                analysis_type: 'all_hostile_messages',
-                keywords_searched: searchKeywords,
-                period_days: daysBack,
-                total_hostile_messages: hostileMessages.length,
-                messages: hostileMessages,
-              }, null, 2),
-            },
-          ],
-        };
+  // Single place where message rows get their final text: message.text when present,
+  // otherwise the decoded attributedBody. Edit history and unsends are decoded here too.
+  // Rows whose body could not be decoded are counted.
+  decodeMessageRows(rows) {
+    let undecodable = 0;
+    const decodeText = body => this.extractTextFromAttributedBody(body);
+
+    const decodedRows = rows.map(row => {
+      const { attributedBody, message_summary_info, date_edited, date_retracted, ...rest } = row;
+      let text = row.text ? row.text.split(ATTACHMENT_CHAR).join('').trim() || null : null;
+
+      if (!text && attributedBody) {
+        const decoded = this.decodeAttributedBody(attributedBody);
+        if (decoded) {
+          text = decoded.text.split(ATTACHMENT_CHAR).join('').trim() || null;
+        } else {
+          undecodable++;
+        }
       }
-    } catch (error) {
-      await db.close();
-      throw error;
-    }
-  }
 
-  // Simple attributedBody text extraction
-  // Note: This is a basic implementation. Full implementation would require proper typedstream parsing
-  extractTextFromAttributedBody(attributedBody) {
-    if (!attributedBody) return null;
-    
-    try {
-      // Convert Buffer to string and look for text patterns
-      const bodyStr = attributedBody.toString('utf8');
-      
-      // Simple pattern matching for common text content
-      // This is a basic approach - a full implementation would parse the typedstream format
-      const textMatch = bodyStr.match(/[\x20-\x7E]{3,}/g);
-      if (textMatch) {
-        return textMatch.join(' ').trim();
-      }
-    } catch (e) {
-      // If extraction fails, return null
+      const edits = (date_edited || date_retracted || message_summary_info)
+        ? describeEdits({ text, date_edited, date_retracted, message_summary_info }, decodeText)
+        : null;
+      if (!text && edits?.unsent) text = '[Message unsent]';
+
+      return { ...rest, text, edits };
+    });
+
+    return { rows: decodedRows, undecodable };
+  }
+
+  // Attachments for a batch of messages, keyed by message ROWID
+  async getAttachmentsForMessages(db, messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    const rows = await db.all(
+      `SELECT maj.message_id, a.*
+       FROM message_attachment_join maj
+       JOIN attachment a ON a.ROWID = maj.attachment_id
+       WHERE maj.message_id IN (${messageIds.map(() => '?').join(',')})
+       ORDER BY a.ROWID`,
+      messageIds
+    );
+
+    for (const row of rows) {
+      if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+      byMessage.get(row.message_id).push(formatAttachment(row, this.activeSource().attachmentPath(row.filename)));
     }
-    
-    return null;
+    return byMessage;
   }
 
-  // === CONTACT NAME RESOLUTION ===
-  
-  async openContactsDatabase() {
-    try {
-      if (!fs.existsSync(this.contactsDbPath)) {
-        console.error('Contacts database not found - names will fallback to phone numbers');
-        return null;
+  // Add attachment info to decoded rows and fill in text for attachment-only messages
+  async withAttachments(db, rows) {
+    const attachments = await this.getAttachmentsForMessages(db, rows.map(r => r.ROWID));
+    return rows.map(row => {
+      const files = attachments.get(row.ROWID) || [];
+      return {
+        ...row,
+        text: row.text || describeAttachments(files),
+        attachments: files,
+      };
+    });
+  }
+
+  // Standing tapbacks for the given message GUIDs, keyed by target GUID
+  async getReactionsForMessages(db, guids) {
+    if (guids.length === 0) return new Map();
+
+    const rows = await db.all(
+      `SELECT 
+         m.associated_message_type,
+         m.associated_message_guid,
+         m.is_from_me,
+         m.date,
+         datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
+         h.id as sender
+       FROM message m
+       LEFT JOIN handle h ON m.handle_id = h.ROWID
+       WHERE m.associated_message_type BETWEEN 2000 AND 3999
+         AND ${reactionTargetSql('m')} IN (${guids.map(() => '?').join(',')})`,
+      guids
+    );
+
+    return foldReactions(rows.map(row => ({ ...row, sender_key: row.is_from_me === 1 ? 'me' : row.sender })));
+  }
+
+  // Fold tapbacks onto the messages they target as reactions: [{ type, by, date }]
+  async withReactions(db, rows) {
+    const standing = await this.getReactionsForMessages(db, rows.map(r => r.guid).filter(Boolean));
+    const result = [];
+    for (const row of rows) {
+      const reactions = [];
+      for (const reaction of standing.get(row.guid) || []) {
+        reactions.push({
+          type: reactionName(reaction.associated_message_type),
+          by: reaction.is_from_me === 1 ? 'You' : await this.resolveContactName(reaction.sender),
+          date: reaction.date_readable,
+        });
       }
-      
-      const db = await open({
-        filename: this.contactsDbPath,
-        driver: sqlite3.Database,
-        mode: sqlite3.OPEN_READONLY,
-      });
-      return db;
-    } catch (error) {
-      console.error('Failed to open Contacts database:', error.message);
-      return null;
+      result.push({ ...row, reactions });
     }
+    return result;
   }
 
-  async resolveContactName(phoneOrEmail) {
-    // Check cache first
-    if (this.contactNameCache.has(phoneOrEmail)) {
-      return this.contactNameCache.get(phoneOrEmail);
-    }
+  // Reactions given and received per participant within a message scope (SQL condition on alias m)
+  // range is a dateRangeFilter('m', ...) result
+  async getReactionStats(db, scopeSql, scopeParams, range) {
+    const rows = await db.all(
+      `SELECT m.associated_message_type, m.associated_message_guid, m.is_from_me, m.date, h.id as sender
+       FROM message m
+       LEFT JOIN handle h ON m.handle_id = h.ROWID
+       WHERE ${scopeSql} AND ${range.sql} AND m.associated_message_type BETWEEN 2000 AND 3999`,
+      [...scopeParams, ...range.params]
+    );
+    const standing = foldReactions(rows.map(row => ({ ...row, sender_key: row.is_from_me === 1 ? 'me' : row.sender })));
+    if (standing.size === 0) return [];
+
+    const targetGuids = [...standing.keys()];
+    const targets = await db.all(
+      `SELECT m.guid, m.is_from_me, h.id as sender
+       FROM message m
+       LEFT JOIN handle h ON m.handle_id = h.ROWID
+       WHERE m.guid IN (${targetGuids.map(() => '?').join(',')})`,
+      targetGuids
+    );
+    const authors = new Map(targets.map(t => [t.guid, t.is_from_me === 1 ? null : t.sender]));
+
+    const byParticipant = new Map();
+    const entry = async (handle) => {
+      const name = handle ? await this.resolveContactName(handle) : 'You';
+      if (!byParticipant.has(name)) byParticipant.set(name, { participant: name, given: 0, received: 0, given_by_type: {} });
+      return byParticipant.get(name);
+    };
 
-    const contactsDb = await this.openContactsDatabase();
-    if (!contactsDb) {
-      // Fallback to cleaned phone number
-      const cleaned = this.formatPhoneForDisplay(phoneOrEmail);
-      this.contactNameCache.set(phoneOrEmail, cleaned);
-      return cleaned;
+    for (const [guid, reactions] of standing) {
+      for (const reaction of reactions) {
+        const giver = await entry(reaction.is_from_me === 1 ? null : reaction.sender);
+        const type = reactionName(reaction.associated_message_type);
+        giver.given++;
+        giver.given_by_type[type] = (giver.given_by_type[type] || 0) + 1;
+        if (authors.has(guid)) (await entry(authors.get(guid))).received++;
+      }
     }
 
-    try {
-      // Clean phone number for searching
-      const cleanPhone = phoneOrEmail.replace(/[^0-9]/g, '');
-      
-      // Search contacts database for name
-      const contact = await contactsDb.get(
-        `SELECT ZFIRSTNAME, ZLASTNAME 
-         FROM ZABCDRECORD r
-         JOIN ZABCDPHONENUMBER p ON r.Z_PK = p.ZOWNER
-         WHERE p.ZFULLNUMBER LIKE ? OR p.ZFULLNUMBER LIKE ? OR p.ZFULLNUMBER LIKE ?
-         LIMIT 1`,
-        [`%${phoneOrEmail}%`, `%${cleanPhone}%`, `%+${cleanPhone}%`]
+    return [...byParticipant.values()].sort((a, b) => b.given - a.given);
+  }
+
+  // Count inline replies (thread_originator_guid) pointing at each row
+  async withThreads(db, rows) {
+    const guids = rows.map(r => r.guid).filter(Boolean);
+    const counts = new Map();
+    if (guids.length > 0) {
+      const replyCounts = await db.all(
+        `SELECT thread_originator_guid, COUNT(*) as replies
+         FROM message
+         WHERE thread_originator_guid IN (${guids.map(() => '?').join(',')})
+           AND ${excludeReactionsSql()}
+         GROUP BY thread_originator_guid`,
+        guids
       );
+      for (const row of replyCounts) counts.set(row.thread_originator_guid, row.replies);
+    }
+    return rows.map(row => ({ ...row, reply_count: counts.get(row.guid) || 0 }));
+  }
+
+  // Thread markers for a processed message: originators carry their GUID, replies point at theirs
+  threadFields(msg) {
+    return {
+      ...(msg.reply_count > 0 && { thread: msg.guid, reply_count: msg.reply_count }),
+      ...(msg.thread_originator_guid && { reply_to: msg.thread_originator_guid }),
+    };
+  }
 
-      let displayName;
-      if (contact && (contact.ZFIRSTNAME || contact.ZLASTNAME)) {
-        displayName = `${contact.ZFIRSTNAME || ''} ${contact.ZLASTNAME || ''}`.trim();
+  // Nest replies (newest-first input) under their originator in chronological order.
+  // Replies whose originator is outside the window stay top-level with reply_to set.
+  nestThreads(messages) {
+    const originators = new Map(messages.filter(m => m.thread).map(m => [m.thread, m]));
+    const result = [];
+    for (const msg of messages) {
+      const originator = msg.reply_to ? originators.get(msg.reply_to) : null;
+      if (originator) {
+        const { reply_to, ...reply } = msg;
+        (originator.replies ||= []).unshift(reply);
       } else {
-        displayName = this.formatPhoneForDisplay(phoneOrEmail);
+        result.push(msg);
       }
-
-      await contactsDb.close();
-      this.contactNameCache.set(phoneOrEmail, displayName);
-      return displayName;
-    } catch (error) {
-      await contactsDb.close();
-      const fallback = this.formatPhoneForDisplay(phoneOrEmail);
-      this.contactNameCache.set(phoneOrEmail, fallback);
-      return fallback;
     }
+    return result;
+  }
+
+  // === CONTACT NAME RESOLUTION ===
+  
+  // Current people graph; the contact index reloads it when the AddressBook changes
+  async getPeopleGraph() {
+    return this.activeSource().contacts.get();
+  }
+
+  async resolveContactName(phoneOrEmail) {
+    return (await this.activeSource().contacts.nameFor(phoneOrEmail)) || this.formatPhoneForDisplay(phoneOrEmail);
   }
 
-  // Search contacts by name (reverse lookup)
+  // Search contacts by name (reverse lookup); one entry per person with all their phones and emails
   async findContactsByName(name) {
-    const contactsDb = await this.openContactsDatabase();
-    if (!contactsDb) return [];
+    return (await this.getPeopleGraph()).findByName(name);
+  }
 
-    try {
-      const contacts = await contactsDb.all(
-        `SELECT r.ZFIRSTNAME, r.ZLASTNAME, p.ZFULLNUMBER as phone, e.ZADDRESS as email
-         FROM ZABCDRECORD r
-         LEFT JOIN ZABCDPHONENUMBER p ON r.Z_PK = p.ZOWNER
-         LEFT JOIN ZABCDEMAILADDRESS e ON r.Z_PK = e.ZOWNER
-         WHERE (r.ZFIRSTNAME LIKE ? OR r.ZLASTNAME LIKE ? OR 
-                (r.ZFIRSTNAME || ' ' || r.ZLASTNAME) LIKE ?)
-         LIMIT 10`,
-        [`%${name}%`, `%${name}%`, `%${name}%`]
-      );
+  // Display name for a person, falling back to their first phone number or email
+  personLabel(person) {
+    return person.name || this.formatPhoneForDisplay(person.phones[0] || person.emails[0]);
+  }
 
-      await contactsDb.close();
-      return contacts.filter(c => c.phone || c.email).map(c => ({
-        name: `${c.ZFIRSTNAME || ''} ${c.ZLASTNAME || ''}`.trim(),
-        phone: c.phone,
-        email: c.email
-      }));
+  // chat.db handle ROWIDs whose phone number or email belongs to one of the given people
+  async findHandleIdsForPeople(people) {
+    if (people.length === 0) return [];
+    const graph = await this.getPeopleGraph();
+    const ids = new Set(people.map(p => p.id));
+    const db = await this.openDatabase();
+
+    try {
+      const handles = await db.all(`SELECT ROWID, id, country FROM handle`);
+      await db.close();
+      return handles.filter(h => ids.has(graph.findByHandle(h.id, this.handleRegion(h))?.id)).map(h => h.ROWID);
     } catch (error) {
-      await contactsDb.close();
-      return [];
+      await db.close();
+      throw error;
     }
   }
 
@@ -737,110 +1389,118 @@ class iMessageMCPServer {
       return phoneOrEmail.split('@')[0];
     }
     
-    // Format phone number nicely
-    const digits = phoneOrEmail.replace(/\D/g, '');
-    if (digits.length === 10) {
-      return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-    } else if (digits.length === 11 && digits.startsWith('1')) {
-      return `(${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
+    // National style for the default region, +<country code> otherwise
+    return formatPhone(phoneOrEmail, this.defaultRegion);
+  }
+
+  // Region to read a handle's number in: its own country (set on iMessage handles) or the default
+  handleRegion(handle) {
+    const country = handle.country ? handle.country.toUpperCase() : null;
+    return country && regionInfo(country) ? country : this.defaultRegion;
+  }
+
+  // Handles matching a phone number (compared in E.164) or email (case-insensitive).
+  // Other text, like "gmail.com" or a partial address, matches email handles by substring.
+  async matchHandles(db, phoneOrEmail) {
+    const handles = await db.all(`SELECT ROWID, id, service, country FROM handle ORDER BY id`);
+    const key = handleMatchKey(phoneOrEmail, this.defaultRegion);
+    if (key) {
+      const exact = handles.filter(h => handleMatchKey(h.id, this.handleRegion(h)) === key);
+      if (exact.length > 0 || !key.startsWith('e:')) return exact;
     }
-    
-    return phoneOrEmail;
+
+    const needle = String(phoneOrEmail).trim().toLowerCase();
+    if (needle.length < 3) return [];
+    return handles.filter(h => h.id.includes('@') && h.id.toLowerCase().includes(needle));
   }
 
   // === ENHANCED TOOL METHODS ===
 
   // Primary method: Search contacts/groups and immediately read messages
-  async searchAndRead(query, includeGroups = true, limit = 30, daysBack = 30, format = 'compact') {
+  async searchAndRead(query, includeGroups = true, limit = 30, daysBack = 30, format = 'compact', since = null, until = null, cursor = null) {
+    limit = clampCount('limit', limit);
     const db = await this.openDatabase();
     
     try {
-      const threshold = this.calculateAppleTimestamp(daysBack);
+      const range = this.dateRangeFilter('', { since, until, daysBack, cursor });
+      const groupRange = this.dateRangeFilter('m', { since, until, daysBack, cursor });
       const results = [];
 
-      // First, try to find contacts by name
-      const contactMatches = await this.findContactsByName(query);
-      
-      // Search individual contacts (both by name matches and direct phone/email search)
-      const searchTerms = [query];
-      
-      // Add phone numbers and emails from name matches
-      for (const contact of contactMatches) {
-        if (contact.phone) searchTerms.push(contact.phone);
-        if (contact.email) searchTerms.push(contact.email);
-      }
+      const graph = await this.getPeopleGraph();
+
+      // Group handles by person (or by handle id when not in Contacts) to avoid duplicates
+      const contactGroups = new Map(); // Key: person:ID or handle id, Value: { person, handleIds }
+      const addHandles = (key, person, handleIds) => {
+        if (!contactGroups.has(key)) {
+          contactGroups.set(key, { person, handleIds: [] });
+        }
+        // Only add if not already in the list (avoid duplicates even within grouping)
+        const group = contactGroups.get(key);
+        for (const id of handleIds) {
+          if (!group.handleIds.includes(id)) group.handleIds.push(id);
+        }
+      };
 
-      // Remove duplicates
-      const uniqueSearchTerms = [...new Set(searchTerms)];
+      // First, people matched by name (or an explicit person:ID) with all of their handles
+      const isPersonId = parsePersonId(query) !== null;
+      const people = isPersonId ? [graph.get(query)].filter(Boolean) : await this.findContactsByName(query);
+      for (const person of people) {
+        addHandles(person.id, person, await this.findHandleIdsForPeople([person]));
+      }
 
-      // Group handles by contact identifier to avoid duplicates
-      const contactGroups = new Map(); // Key: contact identifier, Value: array of handle ROWIDs
-      
-      for (const searchTerm of uniqueSearchTerms) {
-        const cleanNumber = searchTerm.replace(/[^0-9]/g, '');
-        
-        const handles = await db.all(
-          `SELECT ROWID, id, service FROM handle 
-           WHERE id LIKE ? OR id LIKE ? OR id LIKE ?
-           LIMIT 10`, // Reasonable limit to prevent massive queries
-          [`%${searchTerm}%`, `%${cleanNumber}%`, `%+${cleanNumber}%`]
-        );
+      // Then direct phone/email search; a handle on a contact card pulls in that person
+      if (!isPersonId) {
+        // Reasonable limit to prevent massive queries
+        const handles = (await this.matchHandles(db, query)).slice(0, 10);
 
-        // Group handles by contact identifier
         for (const handle of handles) {
-          if (!contactGroups.has(handle.id)) {
-            contactGroups.set(handle.id, []);
-          }
-          // Only add if not already in the list (avoid duplicates even within grouping)
-          if (!contactGroups.get(handle.id).includes(handle.ROWID)) {
-            contactGroups.get(handle.id).push(handle.ROWID);
+          const person = graph.findByHandle(handle.id, this.handleRegion(handle));
+          if (person) {
+            addHandles(person.id, person, await this.findHandleIdsForPeople([person]));
+          } else {
+            addHandles(handle.id, null, [handle.ROWID]);
           }
         }
       }
 
       // Process each unique contact only once
-      for (const [contactId, handleIds] of contactGroups) {
+      for (const [contactId, { person, handleIds }] of contactGroups) {
         console.error(`Processing contact ${contactId} with ${handleIds.length} handles: ${handleIds}`);
         
         if (handleIds.length > 0) {
           const messages = await db.all(
             `SELECT 
+               ROWID,
+               guid,
+               CAST(date AS TEXT) as date_key,
                datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
                text,
                attributedBody,
+               ${this.optionalColumns('', EDIT_COLUMNS)},
                is_from_me,
                service
              FROM message 
              WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
-               AND date > ? AND text IS NOT NULL AND text != ''
-             ORDER BY date DESC LIMIT ?`,
-            [...handleIds, threshold, limit]
+               AND ${range.sql} AND ${this.messageContentFilter()}
+             ORDER BY date DESC, ROWID DESC LIMIT ?`,
+            [...handleIds, ...range.params, limit + 1]
           );
 
           if (messages.length > 0) {
-            // Process attributedBody for messages with empty text
-            const processedMessages = messages.map(msg => {
-              let finalText = msg.text;
-              
-              if ((!finalText || finalText.trim() === '') && msg.attributedBody) {
-                try {
-                  const bodyText = this.extractTextFromAttributedBody(msg.attributedBody);
-                  if (bodyText) finalText = bodyText;
-                } catch (e) {
-                  // If decoding fails, leave text as is
-                }
-              }
-
-              return {
-                date: msg.date_readable,
-                text: finalText || '[No text content]',
-                is_from_me: msg.is_from_me === 1,
-                service: msg.service,
-              };
-            });
+            const page = this.paginate(messages, limit);
+            const { rows, undecodable } = this.decodeMessageRows(page.rows);
+            const processedMessages = (await this.withReactions(db, await this.withAttachments(db, rows))).map(msg => ({
+              date: msg.date_readable,
+              text: msg.text || '[No text content]',
+              is_from_me: msg.is_from_me === 1,
+              service: msg.service,
+              ...msg.edits,
+              ...(msg.attachments.length > 0 && { attachments: msg.attachments }),
+              ...(msg.reactions.length > 0 && { reactions: msg.reactions }),
+            }));
 
             // Get display name for this contact
-            const displayName = await this.resolveContactName(contactId);
+            const displayName = person ? this.personLabel(person) : await this.resolveContactName(contactId);
             
             // Create single result entry for this unique contact
             results.push({
@@ -849,6 +1509,8 @@ class iMessageMCPServer {
               identifier: contactId,
               handles: handleIds.length,  // Accurate handle count
               count: processedMessages.length,
+              undecodable,
+              next_cursor: page.nextCursor,
               messages: processedMessages
             });
           }
@@ -859,7 +1521,7 @@ class iMessageMCPServer {
       if (includeGroups) {
         const groups = await db.all(
           `SELECT ROWID, display_name, chat_identifier FROM chat 
-           WHERE display_name LIKE ? OR chat_identifier LIKE ?
+           WHERE (display_name LIKE ? OR chat_identifier LIKE ?) AND style = 43
            LIMIT 5`,
           [`%${query}%`, `%${query}%`]
         );
@@ -867,43 +1529,40 @@ class iMessageMCPServer {
         for (const group of groups) {
           const messages = await db.all(
             `SELECT 
+               m.ROWID,
+               m.guid,
+               CAST(m.date AS TEXT) as date_key,
                datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
                m.text,
                m.attributedBody,
+               ${this.optionalColumns('m', EDIT_COLUMNS)},
                h.id as sender,
                m.is_from_me,
                m.service
              FROM chat_message_join cmj
              JOIN message m ON cmj.message_id = m.ROWID
              LEFT JOIN handle h ON m.handle_id = h.ROWID
-             WHERE cmj.chat_id = ? AND m.date > ? AND m.text IS NOT NULL AND m.text != ''
-             ORDER BY m.date DESC LIMIT ?`,
-            [group.ROWID, threshold, limit]
+             WHERE cmj.chat_id = ? AND ${groupRange.sql} AND ${this.messageContentFilter('m')}
+             ORDER BY m.date DESC, m.ROWID DESC LIMIT ?`,
+            [group.ROWID, ...groupRange.params, limit + 1]
           );
 
           if (messages.length > 0) {
             // Process messages and resolve sender names
+            const page = this.paginate(messages, limit);
+            const { rows, undecodable } = this.decodeMessageRows(page.rows);
             const processedMessages = [];
-            for (const msg of messages) {
-              let finalText = msg.text;
-              
-              if ((!finalText || finalText.trim() === '') && msg.attributedBody) {
-                try {
-                  const bodyText = this.extractTextFromAttributedBody(msg.attributedBody);
-                  if (bodyText) finalText = bodyText;
-                } catch (e) {
-                  // If decoding fails, leave text as is
-                }
-              }
-
+            for (const msg of await this.withReactions(db, await this.withAttachments(db, rows))) {
               const senderName = msg.is_from_me === 1 ? 'You' : await this.resolveContactName(msg.sender);
-
               processedMessages.push({
                 date: msg.date_readable,
-                text: finalText || '[No text content]',
+                text: msg.text || '[No text content]',
                 sender: senderName,
                 is_from_me: msg.is_from_me === 1,
                 service: msg.service,
+                ...msg.edits,
+                ...(msg.attachments.length > 0 && { attachments: msg.attachments }),
+                ...(msg.reactions.length > 0 && { reactions: msg.reactions }),
               });
             }
 
@@ -912,6 +1571,8 @@ class iMessageMCPServer {
               name: group.display_name || `Group ${group.ROWID}`,
               id: group.ROWID,
               count: processedMessages.length,
+              undecodable,
+              next_cursor: page.nextCursor,
               messages: processedMessages
             });
           }
@@ -927,7 +1588,7 @@ class iMessageMCPServer {
       }
 
       // Format output based on requested format
-      return this.formatSearchResults(results, format, query);
+      return this.formatSearchResults(results, format, query, range.range);
 
     } catch (error) {
       await db.close();
@@ -940,14 +1601,7 @@ class iMessageMCPServer {
     const db = await this.openDatabase();
     
     try {
-      const cleanNumber = phoneOrEmail.replace(/[^0-9]/g, '');
-      
-      const handles = await db.all(
-        `SELECT ROWID, id, service 
-         FROM handle 
-         WHERE id LIKE ? OR id LIKE ? OR id LIKE ?`,
-        [`%${phoneOrEmail}%`, `%${cleanNumber}%`, `%+${cleanNumber}%`]
-      );
+      const handles = await this.matchHandles(db, phoneOrEmail);
 
       await db.close();
       return handles.map(h => h.ROWID);
@@ -957,7 +1611,7 @@ class iMessageMCPServer {
     }
   }
 
-  formatSearchResults(results, format, query) {
+  formatSearchResults(results, format, query, dateRange) {
     if (format === 'minimal') {
       // Ultra-compact output with emojis
       const output = results.map(r => {
@@ -973,7 +1627,9 @@ class iMessageMCPServer {
           return `  ${time} ${sender}: ${m.text}`;
         }).join('\n');
 
-        return `${header}\n${messagePreview}`;
+        const undecodableNote = r.undecodable > 0 ? `\n  ⚠️ ${r.undecodable} message(s) could not be decoded` : '';
+        const moreNote = r.next_cursor ? `\n  … older messages: cursor ${r.next_cursor}` : '';
+        return `${header}${undecodableNote}\n${messagePreview}${moreNote}`;
       }).join('\n\n');
 
       return { content: [{ type: 'text', text: output }] };
@@ -985,12 +1641,15 @@ class iMessageMCPServer {
           type: 'text', 
           text: JSON.stringify({
             query,
+            date_range: dateRange,
             found: results.length,
             conversations: results.map(r => ({
               type: r.type,
               name: r.type === 'group' ? r.name : r.contact,
               identifier: r.type === 'group' ? `group:${r.id}` : r.identifier,
               message_count: r.count,
+              undecodable_messages: r.undecodable,
+              next_cursor: r.next_cursor,
               recent_messages: r.messages.slice(0, 10) // Show recent messages
             }))
           }, null, 2)
@@ -1002,19 +1661,95 @@ class iMessageMCPServer {
     return {
       content: [{ 
         type: 'text', 
-        text: JSON.stringify({ query, results }, null, 2)
+        text: JSON.stringify({ query, date_range: dateRange, results }, null, 2)
       }]
     };
   }
 
   // Enhanced read conversation method supporting both individuals and groups
-  async readConversation(identifier, limit = 50, daysBack = 60, includeSent = true, format = 'compact') {
+  async readConversation(identifier, limit = 50, daysBack = 60, includeSent = true, format = 'compact', threaded = false, since = null, until = null, cursor = null) {
+    limit = clampCount('limit', limit);
+    const { conversationInfo, nextCursor, dateRange } = await this.readConversationPage(
+      identifier, { limit, daysBack, includeSent, since, until, cursor }
+    );
+    const { undecodable } = conversationInfo;
+
+    const messageCount = conversationInfo.messages.length;
+    if (threaded) {
+      conversationInfo.messages = this.nestThreads(conversationInfo.messages);
+    }
+
+    // Format output based on requested format
+    if (format === 'minimal') {
+      const header = conversationInfo.type === 'group' ? 
+        `📱 ${conversationInfo.name} (${messageCount} msgs)` : 
+        `👤 ${conversationInfo.contact} (${messageCount} msgs, ${conversationInfo.handles} handles)`;
+      const undecodableNote = undecodable > 0 ? `\n  ⚠️ ${undecodable} message(s) could not be decoded` : '';
+      const moreNote = nextCursor ? `\n  … older messages: cursor ${nextCursor}` : '';
+      
+      const formatLine = (m, indent) => {
+        const time = new Date(m.date).toLocaleString('en-US', {
+          month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        const sender = conversationInfo.type === 'group' ? 
+          m.sender : (m.is_from_me ? 'You' : conversationInfo.contact);
+        return `${indent}${time} ${sender}: ${m.text}`;
+      };
+      const messageList = conversationInfo.messages.map(m => [
+        formatLine(m, '  '),
+        ...(m.replies || []).map(r => formatLine(r, '    ↳ ')),
+      ].join('\n')).join('\n');
+
+      return {
+        content: [{ type: 'text', text: `${header}${undecodableNote}\n${messageList}${moreNote}` }]
+      };
+    }
+
+    if (format === 'compact') {
+      return {
+        content: [{ 
+          type: 'text', 
+          text: JSON.stringify({
+            conversation: conversationInfo.type === 'group' ? conversationInfo.name : conversationInfo.contact,
+            type: conversationInfo.type,
+            ...(conversationInfo.person && { person: conversationInfo.person }),
+            message_count: messageCount,
+            ...(conversationInfo.sources && {
+              sources: conversationInfo.sources,
+              duplicates_merged: conversationInfo.duplicates_merged,
+            }),
+            undecodable_messages: undecodable,
+            period_days: daysBack,
+            date_range: dateRange,
+            next_cursor: nextCursor,
+            messages: conversationInfo.messages
+          }, null, 2)
+        }]
+      };
+    }
+
+    // Full format
+    return {
+      content: [{ 
+        type: 'text', 
+        text: JSON.stringify({ ...conversationInfo, date_range: dateRange, next_cursor: nextCursor }, null, 2)
+      }]
+    };
+  }
+
+  // One page of a conversation, newest first: { conversationInfo, nextCursor, dateRange }.
+  // Group messages carry their sender; individual ones are read from the active source
+  // and the sources merged into it as one timeline.
+  async readConversationPage(identifier, { limit, daysBack, includeSent, since, until, cursor }) {
+    limit = clampCount('limit', limit);
     const db = await this.openDatabase();
-    
+
     try {
-      const threshold = this.calculateAppleTimestamp(daysBack);
       let messages;
       let conversationInfo;
+      let undecodable = 0;
+      let nextCursor = null;
+      let dateRange;
 
       if (identifier.startsWith('group:')) {
         // Group conversation
@@ -1026,46 +1761,49 @@ class iMessageMCPServer {
         );
 
         const sentFilter = includeSent ? '' : 'AND m.is_from_me = 0';
+        const range = this.dateRangeFilter('m', { since, until, daysBack, cursor });
+        dateRange = range.range;
 
         messages = await db.all(
           `SELECT 
+             m.ROWID,
+             m.guid,
+             m.thread_originator_guid,
+             CAST(m.date AS TEXT) as date_key,
              datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
              m.text,
              m.attributedBody,
+             ${this.optionalColumns('m', EDIT_COLUMNS)},
              h.id as sender,
              m.is_from_me,
              m.service
            FROM chat_message_join cmj
            JOIN message m ON cmj.message_id = m.ROWID
            LEFT JOIN handle h ON m.handle_id = h.ROWID
-           WHERE cmj.chat_id = ? AND m.date > ? AND m.text IS NOT NULL AND m.text != ''
+           WHERE cmj.chat_id = ? AND ${range.sql} AND ${this.messageContentFilter('m')}
            ${sentFilter}
-           ORDER BY m.date DESC LIMIT ?`,
-          [chatId, threshold, limit]
+           ORDER BY m.date DESC, m.ROWID DESC LIMIT ?`,
+          [chatId, ...range.params, limit + 1]
         );
+        ({ rows: messages, nextCursor } = this.paginate(messages, limit));
 
         // Process messages and resolve sender names
+        const decoded = this.decodeMessageRows(messages);
+        undecodable = decoded.undecodable;
         const processedMessages = [];
-        for (const msg of messages) {
-          let finalText = msg.text;
-          
-          if ((!finalText || finalText.trim() === '') && msg.attributedBody) {
-            try {
-              const bodyText = this.extractTextFromAttributedBody(msg.attributedBody);
-              if (bodyText) finalText = bodyText;
-            } catch (e) {
-              // If decoding fails, leave text as is
-            }
-          }
-
+        for (const msg of await this.withThreads(db, await this.withReactions(db, await this.withAttachments(db, decoded.rows)))) {
           const senderName = msg.is_from_me === 1 ? 'You' : await this.resolveContactName(msg.sender);
 
           processedMessages.push({
             date: msg.date_readable,
-            text: finalText || '[No text content]',
+            text: msg.text || '[No text content]',
             sender: senderName,
             is_from_me: msg.is_from_me === 1,
             service: msg.service,
+            ...msg.edits,
+            ...(msg.attachments.length > 0 && { attachments: msg.attachments }),
+            ...(msg.reactions.length > 0 && { reactions: msg.reactions }),
+            ...this.threadFields(msg),
           });
         }
 
@@ -1073,143 +1811,248 @@ class iMessageMCPServer {
           type: 'group',
           name: groupInfo?.display_name || `Group ${chatId}`,
           id: chatId,
+          undecodable,
           messages: processedMessages
         };
       } else {
-        // Individual conversation - try name resolution first
-        let handleIds = [];
-        
-        // If it looks like a name, try to find by contact name
-        if (!/[@+\d\-\(\)]/.test(identifier)) {
-          const contactMatches = await this.findContactsByName(identifier);
-          for (const contact of contactMatches) {
-            if (contact.phone) {
-              const phoneHandles = await this.findHandleIdsForContact(contact.phone);
-              handleIds.push(...phoneHandles);
-            }
-            if (contact.email) {
-              const emailHandles = await this.findHandleIdsForContact(contact.email);
-              handleIds.push(...emailHandles);
-            }
-          }
-        }
-        
-        // If no handles found by name, try direct phone/email lookup
-        if (handleIds.length === 0) {
-          handleIds = await this.findHandleIdsForContact(identifier);
-        }
-        
-        if (handleIds.length === 0) {
-          throw new Error(`Contact not found: ${identifier}`);
-        }
-
-        // Remove duplicates
-        handleIds = [...new Set(handleIds)];
+        // Individual conversation: a person, contact name, phone number or email, read from
+        // the active source and the sources merged into it as one timeline
+        const resolved = await this.resolveAcrossSources(identifier);
+        const merging = this.activeSource().merged.length > 0;
 
         const sentFilter = includeSent ? '' : 'AND is_from_me = 0';
+        const range = this.dateRangeFilter('', { since, until, daysBack });
+        dateRange = range.range;
 
-        messages = await db.all(
-          `SELECT 
-             datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
-             text,
-             attributedBody,
-             is_from_me,
-             service
-           FROM message 
-           WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
-             AND date > ? AND text IS NOT NULL AND text != ''
-             ${sentFilter}
-           ORDER BY date DESC LIMIT ?`,
-          [...handleIds, threshold, limit]
-        );
-
-        // Process attributedBody for messages with empty text
-        const processedMessages = messages.map(msg => {
-          let finalText = msg.text;
-          
-          if ((!finalText || finalText.trim() === '') && msg.attributedBody) {
-            try {
-              const bodyText = this.extractTextFromAttributedBody(msg.attributedBody);
-              if (bodyText) finalText = bodyText;
-            } catch (e) {
-              // If decoding fails, leave text as is
-            }
-          }
-
-          return {
-            date: msg.date_readable,
-            text: finalText || '[No text content]',
-            is_from_me: msg.is_from_me === 1,
-            service: msg.service,
-          };
-        });
+        const merged = await this.readMergedPage(resolved, range, sentFilter, limit, cursor);
+        ({ rows: messages, nextCursor } = merged);
 
-        const contactName = await this.resolveContactName(identifier);
+        undecodable = messages.filter(msg => msg.undecodable).length;
+        const processedMessages = messages.map(msg => ({
+          date: msg.date_readable,
+          text: msg.text || '[No text content]',
+          is_from_me: msg.is_from_me === 1,
+          service: msg.service,
+          ...(merging && { source: msg.source }),
+          ...msg.edits,
+          ...(msg.attachments.length > 0 && { attachments: msg.attachments }),
+          ...(msg.reactions.length > 0 && { reactions: msg.reactions }),
+          ...this.threadFields(msg),
+        }));
+
+        const person = resolved.find(r => r.person)?.person || null;
+        const contactName = person ? this.personLabel(person) : await this.resolveContactName(identifier);
         conversationInfo = {
           type: 'individual',
           contact: contactName,
-          handles: handleIds.length,
+          ...(person && { person: person.id }),
+          handles: resolved.reduce((sum, r) => sum + r.handleIds.length, 0),
+          ...(merging && { sources: resolved.map(r => r.source.name), duplicates_merged: merged.duplicates }),
+          undecodable,
           messages: processedMessages
         };
       }
 
       await db.close();
+      return { conversationInfo, nextCursor, dateRange };
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+  }
 
-      // Format output based on requested format
-      if (format === 'minimal') {
-        const header = conversationInfo.type === 'group' ? 
-          `📱 ${conversationInfo.name} (${conversationInfo.messages.length} msgs)` : 
-          `👤 ${conversationInfo.contact} (${conversationInfo.messages.length} msgs, ${conversationInfo.handles} handles)`;
-        
-        const messageList = conversationInfo.messages.map(m => {
-          const time = new Date(m.date).toLocaleString('en-US', {
-            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
-          });
-          const sender = conversationInfo.type === 'group' ? 
-            m.sender : (m.is_from_me ? 'You' : conversationInfo.contact);
-          return `  ${time} ${sender}: ${m.text}`;
-        }).join('\n');
+  // One page of the timeline merged from resolveAcrossSources() results, newest first, with
+  // the cursor of its last message when more follow. Each source continues from its own
+  // side of the cursor. Its messages shown within DUPLICATE_WINDOW_NS before the cursor
+  // are read again so that copies of them on this page are still dropped.
+  async readMergedPage(resolved, range, sentFilter, limit, cursor, { details = true } = {}) {
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const cursorSource = position ? Math.max(0, resolved.findIndex(r => r.source.name === position.source)) : 0;
+    const timelines = [];
+    for (const [index, { source, handleIds }] of resolved.entries()) {
+      const timeline = { source: source.name, rows: [], shown: [] };
+      await this.inSource(source, async () => {
+        if (!position) {
+          timeline.rows = await this.readHandleMessages(handleIds, range, sentFilter, limit, { details });
+          return;
+        }
+        const after = this.mergedCursorFilter(position, index - cursorSource);
+        const windowEnd = String(BigInt(position.date) + DUPLICATE_WINDOW_NS);
+        timeline.rows = await this.readHandleMessages(handleIds,
+          { sql: `${range.sql} AND ${after.sql}`, params: [...range.params, ...after.params] }, sentFilter, limit, { details });
+        timeline.shown = await this.readHandleMessages(handleIds,
+          { sql: `${range.sql} AND NOT ${after.sql} AND date <= ?`, params: [...range.params, ...after.params, windowEnd] }, sentFilter, limit, { details });
+      });
+      timeline.partial = timeline.rows.length > limit;
+      timelines.push(timeline);
+    }
 
-        return {
-          content: [{ type: 'text', text: `${header}\n${messageList}` }]
-        };
-      }
+    const merged = mergeTimelines(timelines);
+    const rows = merged.rows.slice(0, limit);
+    const more = (merged.rows.length > limit || merged.partial) && rows.length > 0;
+    return { rows, nextCursor: more ? this.encodeCursor(rows[rows.length - 1], rows[rows.length - 1].source) : null, duplicates: merged.duplicates };
+  }
 
-      if (format === 'compact') {
-        return {
-          content: [{ 
-            type: 'text', 
-            text: JSON.stringify({
-              conversation: conversationInfo.type === 'group' ? conversationInfo.name : conversationInfo.contact,
-              type: conversationInfo.type,
-              message_count: conversationInfo.messages.length,
-              period_days: daysBack,
-              messages: conversationInfo.messages
-            }, null, 2)
-          }]
-        };
-      }
+  // The messages of one source after a merged-timeline cursor. At the cursor's date,
+  // sources earlier in precedence come before the cursor's source and later ones after
+  // it; within the cursor's source ROWID decides. order is the source's index minus the
+  // cursor source's index. alias qualifies the columns, as in dateRangeFilter().
+  mergedCursorFilter(position, order, alias = '') {
+    const col = alias ? `${alias}.` : '';
+    if (order < 0) return { sql: `${col}date < ?`, params: [position.date] };
+    if (order > 0) return { sql: `${col}date <= ?`, params: [position.date] };
+    return { sql: `(${col}date < ? OR (${col}date = ? AND ${col}ROWID < ?))`, params: [position.date, position.date, position.rowid] };
+  }
 
-      // Full format
-      return {
-        content: [{ 
-          type: 'text', 
-          text: JSON.stringify(conversationInfo, null, 2)
-        }]
-      };
+  // The newest limit + 1 messages of the given handles in the active source, decoded, with
+  // attachments, reactions and reply counts unless details is false (then an attachment-only
+  // message has no text). Rows whose body could not be decoded are flagged.
+  async readHandleMessages(handleIds, range, sentFilter, limit, { details = true } = {}) {
+    const db = await this.openDatabase();
+
+    try {
+      const rows = await db.all(
+        `SELECT 
+           ROWID,
+           guid,
+           thread_originator_guid,
+           CAST(date AS TEXT) as date_key,
+           datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
+           text,
+           attributedBody,
+           ${this.optionalColumns('', EDIT_COLUMNS)},
+           is_from_me,
+           service
+         FROM message 
+         WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
+           AND ${range.sql} AND ${this.messageContentFilter()}
+           ${sentFilter}
+         ORDER BY date DESC, ROWID DESC LIMIT ?`,
+        [...handleIds, ...range.params, limit + 1]
+      );
 
+      const decoded = rows.map(row => {
+        const { rows: [decodedRow], undecodable } = this.decodeMessageRows([row]);
+        return { ...decodedRow, undecodable: undecodable > 0 };
+      });
+      const result = details ? await this.withThreads(db, await this.withReactions(db, await this.withAttachments(db, decoded))) : decoded;
+      await db.close();
+      return result;
     } catch (error) {
       await db.close();
       throw error;
     }
   }
 
+  // Write a whole conversation (every page of the date range) to a transcript file and
+  // return its path with a summary. Existing files are only replaced with overwrite.
+  async exportConversation(identifier, format = 'markdown', since = null, until = null, daysBack = 365, includeSent = true, outputPath = null, overwrite = false) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    let info = null;
+    let dateRange;
+    let cursor = null;
+    let duplicates = 0;
+    let undecodable = 0;
+    const pages = [];
+    do {
+      const page = await this.readConversationPage(
+        identifier, { limit: EXPORT_PAGE_SIZE, daysBack, includeSent, since, until, cursor }
+      );
+      info = info || page.conversationInfo;
+      dateRange = dateRange || page.dateRange;
+      duplicates += page.conversationInfo.duplicates_merged || 0;
+      undecodable += page.conversationInfo.undecodable;
+      pages.push(page.conversationInfo.messages);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    const title = info.type === 'group' ? info.name : info.contact;
+    const messages = pages.flat().reverse().map(msg => ({
+      ...msg,
+      sender: msg.sender || (msg.is_from_me ? 'You' : info.contact),
+    }));
+
+    const exportedAt = new Date();
+    const exportDir = this.config.exportDir;
+    let file;
+    if (!outputPath) {
+      file = uniquePath(path.join(exportDir, transcriptFileName(title, format, exportedAt)));
+    } else {
+      const expanded = outputPath.startsWith('~/') ? path.join(os.homedir(), outputPath.slice(2)) : outputPath;
+      file = path.resolve(exportDir, expanded);
+      const isDir = /[\\/]$/.test(outputPath) || (fs.existsSync(file) && fs.statSync(file).isDirectory());
+      if (isDir) {
+        file = uniquePath(path.join(file, transcriptFileName(title, format, exportedAt)));
+      } else if (fs.existsSync(file) && !overwrite) {
+        throw new Error(`${file} already exists. Pass overwrite: true to replace it, or another path`);
+      }
+    }
+
+    const { content, thumbnails } = renderTranscript({
+      title,
+      type: info.type,
+      person: info.person || null,
+      date_range: dateRange,
+      exported_at: exportedAt.toISOString(),
+      sources: info.sources || null,
+      messages,
+    }, format);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Transcripts are as private as the messages they hold
+    fs.writeFileSync(file, content, { mode: 0o600 });
+
+    const participants = {};
+    for (const msg of messages) participants[msg.sender] = (participants[msg.sender] || 0) + 1;
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          conversation: title,
+          type: info.type,
+          ...(info.person && { person: info.person }),
+          format,
+          path: file,
+          size_bytes: Buffer.byteLength(content),
+          message_count: messages.length,
+          date_range: dateRange,
+          first_message: messages[0]?.date || null,
+          last_message: messages[messages.length - 1]?.date || null,
+          messages_by_sender: participants,
+          attachments: messages.reduce((sum, msg) => sum + (msg.attachments?.length || 0), 0),
+          ...(format === 'html' && { thumbnails_embedded: thumbnails }),
+          ...(info.sources && { sources: info.sources, duplicates_merged: duplicates }),
+          undecodable_messages: undecodable,
+        }, null, 2)
+      }]
+    };
+  }
+
   // Enhanced conversation stats supporting both individuals and groups  
-  async getConversationStatsEnhanced(identifier, daysBack = 60) {
+  // Aggregates cover the whole window, so next_cursor is always null here; a cursor
+  // only moves the upper bound (e.g. stats for everything older than a page).
+  // dynamics (see conversationDynamics() in dynamics.js) splits conversations at sessionGapHours of silence;
+  // rhythm (see activityRhythm() in rhythm.js) buckets messages by local hour and weekday in timeZone.
+  // Both leave out unsent messages.
+  async getConversationStatsEnhanced(identifier, daysBack = 60, since = null, until = null, cursor = null, sessionGapHours = SESSION_GAP_HOURS, timeZone = null, format = 'compact') {
+    if (!(sessionGapHours > 0)) {
+      throw new Error(`Invalid session_gap_hours: ${sessionGapHours}. Use a number of hours above 0`);
+    }
+    const zone = timeZone || systemTimeZone();
+    localTime(zone); // throws on an unknown zone before the database is opened
     const db = await this.openDatabase();
     
     try {
-      const threshold = this.calculateAppleTimestamp(daysBack);
+      const range = this.dateRangeFilter('m', { since, until, daysBack, cursor });
+      const plainRange = this.dateRangeFilter('', { since, until, daysBack, cursor });
+      const dynamicsOf = messages => conversationDynamics(messages, {
+        gapHours: sessionGapHours,
+        endMs: range.range.until ? Date.parse(range.range.until) : Date.now(),
+        timeZone: zone,
+      });
 
       if (identifier.startsWith('group:')) {
         // Group stats
@@ -1227,20 +2070,22 @@ class iMessageMCPServer {
              COUNT(*) as message_count,
              COUNT(CASE WHEN m.is_from_me = 1 THEN 1 END) as sent_by_you,
              MIN(datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as first_message,
-             MAX(datetime(m.date/1000000000 + strftime('%s', '2001-01-1'), 'unixepoch')) as last_message
+             MAX(datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as last_message
            FROM chat_message_join cmj
            JOIN message m ON cmj.message_id = m.ROWID
            LEFT JOIN handle h ON m.handle_id = h.ROWID
-           WHERE cmj.chat_id = ? AND m.date > ?
+           WHERE cmj.chat_id = ? AND ${range.sql} AND ${excludeReactionsSql('m')}
            GROUP BY h.id
            ORDER BY message_count DESC`,
-          [chatId, threshold]
+          [chatId, ...range.params]
         );
 
         // Resolve participant names
         const participantStats = [];
+        const names = new Map();
         for (const stat of stats) {
           const name = stat.participant ? await this.resolveContactName(stat.participant) : 'You';
+          names.set(stat.participant, name);
           participantStats.push({
             participant: name,
             messages: stat.message_count,
@@ -1250,8 +2095,33 @@ class iMessageMCPServer {
           });
         }
 
+        const reactions = await this.getReactionStats(
+          db,
+          'm.ROWID IN (SELECT message_id FROM chat_message_join WHERE chat_id = ?)',
+          [chatId],
+          range
+        );
+
+        const timeline = await db.all(
+          `SELECT CAST(m.date AS TEXT) as date_key, h.id as participant
+           FROM chat_message_join cmj
+           JOIN message m ON cmj.message_id = m.ROWID
+           LEFT JOIN handle h ON m.handle_id = h.ROWID
+           WHERE cmj.chat_id = ? AND ${range.sql} AND ${excludeReactionsSql('m')} AND ${this.notUnsentFilter('m')}
+           ORDER BY m.date ASC, m.ROWID ASC`,
+          [chatId, ...range.params]
+        );
+        const messages = timeline.map(row => ({ ...row, speaker: names.get(row.participant) }));
+        const dynamics = dynamicsOf(messages);
+        const rhythm = activityRhythm(messages, { timeZone: zone });
+
         await db.close();
 
+        if (format === 'minimal') {
+          const name = groupInfo?.display_name || `Group ${chatId}`;
+          return this.formatStatsMinimal(`📱 ${name} (${timeline.length} msgs)`, dynamics, rhythm);
+        }
+
         return {
           content: [{ 
             type: 'text', 
@@ -1259,68 +2129,90 @@ class iMessageMCPServer {
               group: groupInfo?.display_name || `Group ${chatId}`,
               type: 'group',
               period_days: daysBack,
+              date_range: range.range,
+              next_cursor: null,
               participants: participantStats,
               totals: {
                 total_messages: participantStats.reduce((sum, p) => sum + p.messages, 0),
                 total_participants: participantStats.length,
                 most_active: participantStats[0]?.participant || 'None'
-              }
+              },
+              dynamics,
+              rhythm,
+              reactions
             }, null, 2)
           }]
         };
       } else {
-        // Individual stats - use existing logic but with name resolution
-        let handleIds = [];
-        
-        // Try name resolution first
-        if (!/[@+\d\-\(\)]/.test(identifier)) {
-          const contactMatches = await this.findContactsByName(identifier);
-          for (const contact of contactMatches) {
-            if (contact.phone) {
-              const phoneHandles = await this.findHandleIdsForContact(contact.phone);
-              handleIds.push(...phoneHandles);
-            }
-            if (contact.email) {
-              const emailHandles = await this.findHandleIdsForContact(contact.email);
-              handleIds.push(...emailHandles);
-            }
-          }
-        }
-        
-        if (handleIds.length === 0) {
-          handleIds = await this.findHandleIdsForContact(identifier);
-        }
-        
-        if (handleIds.length === 0) {
-          throw new Error(`Contact not found: ${identifier}`);
-        }
+        // Individual stats, over the active source and the sources merged into it
+        const resolved = await this.resolveAcrossSources(identifier);
+        const person = resolved.find(r => r.person)?.person || null;
+
+        const contactName = person ? this.personLabel(person) : await this.resolveContactName(identifier);
+
+        let stats;
+        let reactions;
+        let timeline;
+        if (this.activeSource().merged.length === 0) {
+          const [{ handleIds }] = resolved;
+          stats = await db.get(
+            `SELECT 
+               COUNT(*) as total_messages,
+               COUNT(CASE WHEN is_from_me = 0 THEN 1 END) as received_messages,
+               COUNT(CASE WHEN is_from_me = 1 THEN 1 END) as sent_messages,
+               MIN(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as first_message,
+               MAX(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as last_message
+             FROM message 
+             WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
+               AND ${plainRange.sql} AND ${excludeReactionsSql()}`,
+            [...handleIds, ...plainRange.params]
+          );
 
-        const stats = await db.get(
-          `SELECT 
-             COUNT(*) as total_messages,
-             COUNT(CASE WHEN is_from_me = 0 THEN 1 END) as received_messages,
-             COUNT(CASE WHEN is_from_me = 1 THEN 1 END) as sent_messages,
-             MIN(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as first_message,
-             MAX(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as last_message
-           FROM message 
-           WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
-             AND date > ?`,
-          [...handleIds, threshold]
-        );
+          reactions = await this.getReactionStats(
+            db,
+            `m.handle_id IN (${handleIds.map(() => '?').join(',')})`,
+            handleIds,
+            range
+          );
 
-        const contactName = await this.resolveContactName(identifier);
+          timeline = await db.all(
+            `SELECT CAST(date AS TEXT) as date_key, is_from_me
+             FROM message
+             WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
+               AND ${plainRange.sql} AND ${excludeReactionsSql()} AND ${this.notUnsentFilter()}
+             ORDER BY date ASC, ROWID ASC`,
+            [...handleIds, ...plainRange.params]
+          );
+        } else {
+          let rows;
+          ({ stats, reactions, rows } = await this.mergedConversationStats(resolved, { since, until, daysBack, cursor }));
+          timeline = [...rows].reverse().filter(row => !row.edits?.unsent);
+        }
+        const messages = timeline.map(row => ({ ...row, speaker: row.is_from_me === 1 ? 'You' : contactName }));
+        const dynamics = dynamicsOf(messages);
+        const rhythm = activityRhythm(messages, { timeZone: zone });
 
         await db.close();
 
+        if (format === 'minimal') {
+          return this.formatStatsMinimal(`👤 ${contactName} (${timeline.length} msgs)`, dynamics, rhythm);
+        }
+
         return {
           content: [{ 
             type: 'text', 
             text: JSON.stringify({
               contact: contactName,
               type: 'individual',
-              handles: handleIds.length,
+              ...(person && { person: person.id }),
+              handles: resolved.reduce((sum, r) => sum + r.handleIds.length, 0),
               period_days: daysBack,
-              stats: stats
+              date_range: range.range,
+              next_cursor: null,
+              stats: stats,
+              dynamics,
+              rhythm,
+              reactions
             }, null, 2)
           }]
         };
@@ -1332,30 +2224,131 @@ class iMessageMCPServer {
     }
   }
 
-  // Enhanced sentiment analysis supporting both individuals and groups
-  async analyzeMessageSentimentEnhanced(identifier, keywords = null, daysBack = 60, groupByDate = true) {
-    // Default hostile keywords if none provided
-    const defaultKeywords = [
-      'fuck', 'shit', 'hate', 'angry', 'mad', 'stupid', 'idiot', 'asshole', 'bitch',
-      'damn', 'pissed', 'annoyed', 'irritated', 'disgusted', 'sick of', 'tired of',
-      'done with', 'over it', 'shut up', 'leave me alone', 'cruel', 'attacking',
-      'breaking point', 'hell', 'horrible', 'terrible', 'awful', 'worst', 'pathetic',
-      'loser', 'useless', 'worthless', 'disappointed', 'betrayed', 'hurt', 'pain'
+  // Text summary of get_conversation_stats: a line per participant and their ASCII heatmaps
+  formatStatsMinimal(header, dynamics, rhythm) {
+    const span = range => (range ? `${range.days}d (${range.from}${range.days > 1 ? ` to ${range.to}` : ''})` : 'none');
+    const percent = ratio => `${Math.round(ratio * 100)}%`;
+    const lines = [
+      header,
+      `  ${rhythm.time_zone}, ${rhythm.active_days} active day${rhythm.active_days === 1 ? '' : 's'}, longest streak ${span(rhythm.longest_streak)}, longest gap ${span(rhythm.longest_gap)}`,
+      `  Late night (${rhythm.late_night_hours}): ${percent(rhythm.late_night_ratio)}${rhythm.peak ? `, busiest ${rhythm.peak.weekday} ${rhythm.peak.hour}:00` : ''}`,
+      ...dynamics.participants.map(p => {
+        const reply = p.median_reply_minutes === null ? 'no replies' : `replies in ${p.median_reply_minutes}m (p90 ${p.p90_reply_minutes}m)`;
+        return `  ${p.participant}: ${p.messages} msgs, ${reply}, started ${percent(p.started_share)}, ${p.double_texts} double texts, ${p.unanswered_messages} unanswered`;
+      }),
+      '',
+      asciiHeatmap(rhythm.heatmap),
     ];
+    if (rhythm.participants.length > 1) {
+      for (const p of rhythm.participants) {
+        lines.push('', `${p.participant} (${p.messages} msgs, late night ${percent(p.late_night_ratio)})`, asciiHeatmap(p.heatmap));
+      }
+    }
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  }
 
-    const searchKeywords = keywords || defaultKeywords;
-    const db = await this.openDatabase();
+  // Conversation stats for handles resolved in several sources (see resolveAcrossSources):
+  // counted over the merged timeline, so a message in two sources counts once. rows is
+  // that timeline, newest first. A cursor bounds each source from its own side, as in
+  // readMergedPage().
+  async mergedConversationStats(resolved, { since, until, daysBack, cursor }) {
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const cursorSource = position ? Math.max(0, resolved.findIndex(r => r.source.name === position.source)) : 0;
+    const bounded = (alias, index) => {
+      const range = this.dateRangeFilter(alias, { since, until, daysBack });
+      if (!position) return range;
+      const after = this.mergedCursorFilter(position, index - cursorSource, alias);
+      return { ...range, sql: `${range.sql} AND ${after.sql}`, params: [...range.params, ...after.params] };
+    };
+    const timelines = [];
+    const reactionLists = [];
+    for (const [index, { source, handleIds }] of resolved.entries()) {
+      const range = bounded('m', index);
+      const plainRange = bounded('', index);
+      await this.inSource(source, async () => {
+        const db = await this.openDatabase();
+        try {
+          const rows = await db.all(
+            `SELECT ROWID, CAST(date AS TEXT) as date_key, text, attributedBody,
+               ${this.optionalColumns('', EDIT_COLUMNS)}, is_from_me
+             FROM message
+             WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
+               AND ${plainRange.sql} AND ${excludeReactionsSql()}`,
+            [...handleIds, ...plainRange.params]
+          );
+          timelines.push({ source: source.name, rows: this.decodeMessageRows(rows).rows });
+          reactionLists.push(await this.getReactionStats(
+            db,
+            `m.handle_id IN (${handleIds.map(() => '?').join(',')})`,
+            handleIds,
+            range
+          ));
+          await db.close();
+        } catch (error) {
+          await db.close();
+          throw error;
+        }
+      });
+    }
+
+    const { rows, duplicates } = mergeTimelines(timelines);
+    const readable = dateKey => new Date(Number(BigInt(dateKey) / 1000000n) + 978307200000).toISOString().slice(0, 19).replace('T', ' ');
+    const stats = {
+      total_messages: rows.length,
+      received_messages: rows.filter(r => r.is_from_me !== 1).length,
+      sent_messages: rows.filter(r => r.is_from_me === 1).length,
+      first_message: rows.length > 0 ? readable(rows[rows.length - 1].date_key) : null,
+      last_message: rows.length > 0 ? readable(rows[0].date_key) : null,
+      by_source: Object.fromEntries(timelines.map(t => [t.source, rows.filter(r => r.source === t.source).length])),
+      duplicates_merged: duplicates,
+    };
+
+    // The same participant's reactions in each source, added up
+    const byParticipant = new Map();
+    for (const entry of reactionLists.flat()) {
+      const total = byParticipant.get(entry.participant);
+      if (!total) {
+        byParticipant.set(entry.participant, { ...entry, given_by_type: { ...entry.given_by_type } });
+        continue;
+      }
+      total.given += entry.given;
+      total.received += entry.received;
+      for (const [type, count] of Object.entries(entry.given_by_type)) {
+        total.given_by_type[type] = (total.given_by_type[type] || 0) + count;
+      }
+    }
+    const reactions = [...byParticipant.values()].sort((a, b) => b.given - a.given);
+
+    return { stats, reactions, rows };
+  }
+
+  // Enhanced sentiment analysis supporting both individuals and groups
+  // Lexicon scoring rates every message (see sentiment.js); keyword scoring lists received
+  // messages matching keyword lexicons (see lexicons.js). In list mode (groupByDate false) messages
+  // are paged with limit/cursor; the daily breakdown is an aggregate over the whole window and
+  // never has a next_cursor.
+  async analyzeMessageSentimentEnhanced(identifier, keywords = null, daysBack = 60, groupByDate = true, since = null, until = null, cursor = null, limit = 100, scoring = null, onlyNegative = true, lexicons = null) {
+    const mode = scoring || (keywords?.length || lexicons?.length ? 'keywords' : 'lexicon');
+    if (mode !== 'lexicon' && mode !== 'keywords') {
+      throw new Error(`Unknown scoring: ${scoring}. Use lexicon or keywords`);
+    }
+    if (mode === 'lexicon' && (keywords?.length || lexicons?.length)) {
+      throw new Error('keywords and lexicons only apply to keyword scoring. Use scoring: keywords');
+    }
+    const keywordLexicons = mode === 'keywords' ? this.selectLexicons(lexicons, keywords) : [];
+    limit = clampCount('limit', limit);
+
+    const db = await this.openDatabase();
     
     try {
-      const threshold = this.calculateAppleTimestamp(daysBack);
+      const range = this.dateRangeFilter('m', { since, until, daysBack, cursor });
 
-      // Build keyword search condition
-      const keywordConditions = searchKeywords.map(() => 'LOWER(m.text) LIKE ?').join(' OR ');
-      const keywordParams = searchKeywords.map(kw => `%${kw.toLowerCase()}%`);
-
-      let results;
       let conversationName;
+      let type;
+      let readBatch; // (cursor, size) -> { rows: decoded, newest first, undecodable, nextCursor }
+      let merging = null;
 
+      // Matching and scoring happen after decoding so attributedBody-only messages are included
       if (identifier.startsWith('group:')) {
         // Group sentiment analysis
         const chatId = parseInt(identifier.replace('group:', ''));
@@ -1366,141 +2359,1006 @@ class iMessageMCPServer {
         );
 
         conversationName = groupInfo?.display_name || `Group ${chatId}`;
+        type = 'group';
 
-        if (groupByDate) {
-          const dailyAnalysis = await db.all(
-            `SELECT 
-               DATE(datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as message_date,
-               COUNT(*) as hostile_messages,
-               GROUP_CONCAT(h.id || ': ' || m.text, ' | ') as sample_messages
-             FROM chat_message_join cmj
-             JOIN message m ON cmj.message_id = m.ROWID
-             LEFT JOIN handle h ON m.handle_id = h.ROWID
-             WHERE cmj.chat_id = ? AND m.date > ?
-               AND m.is_from_me = 0 AND m.text IS NOT NULL AND m.text != ''
-               AND (${keywordConditions})
-             GROUP BY DATE(datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch'))
-             ORDER BY message_date DESC`,
-            [chatId, threshold, ...keywordParams]
-          );
-
-          results = {
-            type: 'group',
-            analysis_type: 'sentiment_by_date',
-            daily_breakdown: dailyAnalysis
-          };
-        } else {
-          const hostileMessages = await db.all(
+        readBatch = async (batchCursor, size) => {
+          const batchRange = this.dateRangeFilter('m', { since, until, daysBack, cursor: batchCursor });
+          const page = this.paginate(await db.all(
             `SELECT 
+               m.ROWID,
+               m.guid,
+               CAST(m.date AS TEXT) as date_key,
                datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
                m.text,
+               m.attributedBody,
+               ${this.optionalColumns('m', EDIT_COLUMNS)},
+               m.is_from_me,
                h.id as sender
              FROM chat_message_join cmj
              JOIN message m ON cmj.message_id = m.ROWID
              LEFT JOIN handle h ON m.handle_id = h.ROWID
-             WHERE cmj.chat_id = ? AND m.date > ?
-               AND m.is_from_me = 0 AND m.text IS NOT NULL AND m.text != ''
-               AND (${keywordConditions})
-             ORDER BY m.date DESC`,
-            [chatId, threshold, ...keywordParams]
-          );
+             WHERE cmj.chat_id = ? AND ${batchRange.sql} AND ${this.messageContentFilter('m')}
+             ORDER BY m.date DESC, m.ROWID DESC LIMIT ?`,
+            [chatId, ...batchRange.params, size + 1]
+          ), size);
+          return { ...this.decodeMessageRows(page.rows), nextCursor: page.nextCursor };
+        };
+      } else {
+        // Individual sentiment analysis, over the active source and the sources merged into it
+        const resolved = await this.resolveAcrossSources(identifier);
+        const person = resolved.find(r => r.person)?.person || null;
+
+        conversationName = person ? this.personLabel(person) : await this.resolveContactName(identifier);
+        type = 'individual';
+        if (this.activeSource().merged.length > 0) {
+          merging = { sources: resolved.map(r => r.source.name), duplicates_merged: 0 };
+        }
 
-          // Resolve sender names
-          const processedMessages = [];
-          for (const msg of hostileMessages) {
-            const senderName = await this.resolveContactName(msg.sender);
-            processedMessages.push({
-              date: msg.date_readable,
-              text: msg.text,
-              sender: senderName
-            });
-          }
+        const plainRange = this.dateRangeFilter('', { since, until, daysBack });
+        readBatch = async (batchCursor, size) => {
+          // Without details, like the group query: attachment descriptions are not scored
+          const page = await this.readMergedPage(resolved, plainRange, '', size, batchCursor, { details: false });
+          if (merging) merging.duplicates_merged += page.duplicates;
+          return { rows: page.rows, undecodable: page.rows.filter(msg => msg.undecodable).length, nextCursor: page.nextCursor };
+        };
+      }
 
-          results = {
-            type: 'group',
-            analysis_type: 'all_hostile_messages',
-            messages: processedMessages
-          };
+      // The breakdowns cover the whole window, read in pages of EXPORT_PAGE_SIZE. A page of
+      // listed messages is read limit at a time until one more than it returns is listed.
+      const listed = mode === 'lexicon'
+        ? row => !onlyNegative || row.score.label === 'negative'
+        : row => row.matches.length > 0;
+      const batchSize = groupByDate ? EXPORT_PAGE_SIZE : Math.max(limit, 1);
+
+      // Every message is attributed to a resolved participant, so a group member writing
+      // from two handles is one speaker
+      const names = new Map();
+      const rows = [];
+      let undecodable = 0;
+      let listedCount = 0;
+      let batchCursor = cursor;
+      do {
+        const batch = await readBatch(batchCursor, batchSize);
+        undecodable += batch.undecodable;
+        for (const msg of batch.rows) {
+          // An unsent message has only the "[Message unsent]" placeholder left to score
+          if (!msg.text || msg.edits?.unsent) continue;
+          let speaker;
+          if (msg.is_from_me === 1) {
+            speaker = 'You';
+          } else if (type === 'group') {
+            if (!names.has(msg.sender)) names.set(msg.sender, await this.resolveContactName(msg.sender));
+            speaker = names.get(msg.sender);
+          } else {
+            speaker = conversationName;
+          }
+          // Rows name their source only when several are merged, for messageRef(). Each is
+          // scored (or matched against the lexicons, if someone else sent it) here, once.
+          const row = { ...msg, source: merging ? msg.source : undefined, speaker };
+          if (mode === 'lexicon') row.score = scoreText(msg.text);
+          else row.matches = msg.is_from_me === 1 ? [] : matchLexicons(msg.text, keywordLexicons);
+          rows.push(row);
+          if (!groupByDate && listed(row)) listedCount++;
         }
+        batchCursor = batch.nextCursor;
+      } while (batchCursor && (groupByDate || listedCount <= limit));
+
+      let results;
+      let nextCursor = null;
+      if (mode === 'lexicon') {
+        ({ results, nextCursor } = this.lexiconSentiment(rows, { type, groupByDate, limit, onlyNegative }));
       } else {
-        // Individual sentiment analysis - use existing logic with name resolution
-        let handleIds = [];
-        
-        if (!/[@+\d\-\(\)]/.test(identifier)) {
-          const contactMatches = await this.findContactsByName(identifier);
-          for (const contact of contactMatches) {
-            if (contact.phone) {
-              const phoneHandles = await this.findHandleIdsForContact(contact.phone);
-              handleIds.push(...phoneHandles);
-            }
-            if (contact.email) {
-              const emailHandles = await this.findHandleIdsForContact(contact.email);
-              handleIds.push(...emailHandles);
-            }
-          }
+        ({ results, nextCursor } = this.keywordSentiment(rows, { type, groupByDate, limit }));
+      }
+
+      await db.close();
+
+      return {
+        content: [{ 
+          type: 'text', 
+          text: JSON.stringify({
+            conversation: conversationName,
+            scoring: mode,
+            ...(mode === 'keywords' && {
+              lexicons: keywordLexicons.map(lexicon => ({
+                name: lexicon.name,
+                version: lexicon.version,
+                terms: lexicon.terms.length,
+                origin: lexicon.builtIn ? 'built-in' : lexicon.origin,
+              })),
+            }),
+            period_days: daysBack,
+            date_range: range.range,
+            ...merging,
+            undecodable_messages: undecodable,
+            next_cursor: nextCursor,
+            ...results
+          }, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+  }
+
+  // Keyword lexicons for one call: the named ones, read again from lexicons_dir so edited
+  // files apply without a restart, plus ad-hoc keywords as a lexicon of their own. With
+  // neither, the default hostility lexicon.
+  selectLexicons(names, keywords) {
+    const selected = [];
+    if (keywords?.length) {
+      selected.push(compileLexicon({ name: 'keywords', version: 'ad hoc', terms: keywords.map(String) }, 'the keywords argument'));
+    }
+    const wanted = names?.length ? names : selected.length ? [] : [DEFAULT_LEXICON];
+    if (wanted.length === 0) return selected;
+
+    const { lexicons, errors } = loadLexicons(this.config.lexiconsDir);
+    for (const name of wanted) {
+      const key = String(name).toLowerCase();
+      // A broken file in lexicons_dir is reported rather than quietly falling back to the built-in
+      const failed = errors.find(error => error.name === key);
+      if (failed) throw new Error(`Lexicon "${name}" could not be loaded: ${failed.error}`);
+      if (!lexicons.has(key)) {
+        throw new Error(`Unknown lexicon: ${name}. Available: ${[...lexicons.keys()].join(', ')}`);
+      }
+      selected.push(lexicons.get(key));
+    }
+    return selected;
+  }
+
+  // Lexicon scores for decoded rows (newest first, with speaker and score): an overall summary, a
+  // breakdown per speaker with their worst messages and weekly trend, a daily trend and who
+  // escalates, or (groupByDate false) a page of scored messages.
+  lexiconSentiment(scored, { type, groupByDate, limit, onlyNegative }) {
+    const summary = summarizeScores(scored.map(msg => msg.score));
+
+    const messageEntry = msg => ({
+      ...this.messageRef(msg),
+      guid: msg.guid,
+      date: msg.date_readable,
+      sender: msg.speaker,
+      text: msg.text,
+      compound: msg.score.compound,
+      label: msg.score.label,
+      terms: msg.score.terms,
+    });
+
+    if (!groupByDate) {
+      const listed = onlyNegative ? scored.filter(msg => msg.score.label === 'negative') : scored;
+      const page = this.paginate(listed, limit);
+      // With more to come, the summary stops at the last message listed, where the next page starts
+      const read = page.nextCursor ? scored.slice(0, scored.indexOf(page.rows[page.rows.length - 1]) + 1) : scored;
+      return {
+        results: { type, analysis_type: 'scored_messages', summary: summarizeScores(read.map(msg => msg.score)), messages: page.rows.map(messageEntry) },
+        nextCursor: page.nextCursor,
+      };
+    }
+
+    // A speaker's most negative messages, for a quick look at what drove their score
+    const worstMessages = group => [...group]
+      .filter(msg => msg.score.label === 'negative')
+      .sort((a, b) => a.score.compound - b.score.compound)
+      .slice(0, WORST_MESSAGES)
+      .map(msg => {
+        const { date, text, compound } = messageEntry(msg);
+        return { ...this.messageRef(msg), date, text, compound };
+      });
+    // Oldest first, like the daily trend; weeks in the computer's time zone, as in get_conversation_stats
+    const toLocal = localTime(systemTimeZone());
+    const weeklyTrend = group => [...groupBy(group, msg => weekStart(messageTime(msg), toLocal))].reverse().map(([week, messages]) => {
+      const { messages: count, average_compound, negative } = summarizeScores(messages.map(msg => msg.score));
+      return { week_start: week, messages: count, average_compound, negative_messages: negative };
+    });
+
+    const bySpeaker = [...groupBy(scored, msg => msg.speaker)].map(([speaker, group]) => ({
+      speaker,
+      ...summarizeScores(group.map(msg => msg.score)),
+      worst_messages: worstMessages(group),
+      weekly_trend: weeklyTrend(group),
+    })).sort((a, b) => b.messages - a.messages);
+
+    // Oldest day first; message_ids (negative messages) can be passed to get_message_context
+    const dailyTrend = [...groupBy(scored, msg => msg.date_readable.slice(0, 10))].reverse().map(([day, group]) => {
+      const { messages, average_compound, negative } = summarizeScores(group.map(msg => msg.score));
+      return {
+        date: day,
+        messages,
+        average_compound,
+        negative_messages: negative,
+        message_ids: group.filter(msg => msg.score.label === 'negative').map(msg => this.messageIdOf(msg)),
+      };
+    });
+
+    const escalation = this.escalationView(scored, msg => msg.score.compound <= HOSTILE_THRESHOLD, msg => ({ compound: msg.score.compound }));
+
+    return {
+      results: { type, analysis_type: 'sentiment_by_date', summary, by_speaker: bySpeaker, daily_trend: dailyTrend, escalation },
+      nextCursor: null,
+    };
+  }
+
+  // Keyword lexicon matches in what others sent (rows newest first, with speaker and matches): per day, per
+  // speaker with their heaviest messages and weekly trend, and who escalates; or (groupByDate
+  // false) a page of matching messages with the lexicon and term behind each match.
+  keywordSentiment(rows, { type, groupByDate, limit }) {
+    const toLocal = localTime(systemTimeZone());
+    const matched = new Map();
+    for (const msg of rows) {
+      if (msg.matches.length > 0) matched.set(msg, msg.matches);
+    }
+    const matchedMessages = [...matched.keys()];
+    const weightOf = msg => matched.get(msg).reduce((sum, match) => sum + match.weight, 0);
+    const messagesByLexicon = group => {
+      const counts = {};
+      for (const msg of group) {
+        for (const lexicon of new Set(matched.get(msg).map(match => match.lexicon))) {
+          counts[lexicon] = (counts[lexicon] || 0) + 1;
         }
-        
-        if (handleIds.length === 0) {
-          handleIds = await this.findHandleIdsForContact(identifier);
+      }
+      return counts;
+    };
+
+    if (!groupByDate) {
+      const page = this.paginate(matchedMessages, limit);
+      return {
+        results: {
+          type,
+          analysis_type: 'matched_messages',
+          messages: page.rows.map(msg => ({
+            ...this.messageRef(msg),
+            guid: msg.guid,
+            date: msg.date_readable,
+            text: msg.text,
+            ...(type === 'group' && { sender: msg.speaker }),
+            weight: weightOf(msg),
+            matches: matched.get(msg),
+          })),
+        },
+        nextCursor: page.nextCursor,
+      };
+    }
+
+    const total = group => group.reduce((sum, msg) => sum + weightOf(msg), 0);
+    const bySpeaker = [...groupBy(matchedMessages, msg => msg.speaker)].map(([speaker, group]) => ({
+      speaker,
+      matched_messages: group.length,
+      weight: total(group),
+      messages_by_lexicon: messagesByLexicon(group),
+      worst_messages: [...group].sort((a, b) => weightOf(b) - weightOf(a)).slice(0, WORST_MESSAGES).map(msg => ({
+        ...this.messageRef(msg),
+        date: msg.date_readable,
+        text: msg.text,
+        weight: weightOf(msg),
+        terms: matched.get(msg).map(match => match.term),
+      })),
+      weekly_trend: [...groupBy(group, msg => weekStart(messageTime(msg), toLocal))].reverse().map(([week, messages]) => ({
+        week_start: week,
+        matched_messages: messages.length,
+        weight: total(messages),
+      })),
+    })).sort((a, b) => b.weight - a.weight);
+
+    // message_ids can be passed to get_message_context to see the surrounding conversation
+    const dailyBreakdown = [...groupBy(matchedMessages, msg => msg.date_readable.slice(0, 10))].map(([day, group]) => ({
+      message_date: day,
+      matched_messages: group.length,
+      weight: total(group),
+      messages_by_lexicon: messagesByLexicon(group),
+      sample_messages: group.map(msg => (type === 'group' ? `${msg.speaker}: ${msg.text}` : msg.text)).join(' | '),
+      message_ids: group.map(msg => this.messageIdOf(msg)),
+    }));
+
+    const escalation = this.escalationView(rows, msg => matched.has(msg), msg => ({ weight: weightOf(msg) }));
+
+    return {
+      results: { type, analysis_type: 'sentiment_by_date', by_speaker: bySpeaker, daily_breakdown: dailyBreakdown, escalation },
+      nextCursor: null,
+    };
+  }
+
+  // A message's id for get_message_context. Messages of a merged timeline also name their
+  // source, as each source numbers its messages itself: pass it as get_message_context's source.
+  messageRef(msg) {
+    return { message_id: msg.ROWID, ...(msg.source && { source: msg.source }) };
+  }
+
+  // An entry of a message_ids list: the bare id, or messageRef() on a merged timeline
+  messageIdOf(msg) {
+    return msg.source ? this.messageRef(msg) : msg.ROWID;
+  }
+
+  // Who escalates (see escalations() in dynamics.js) over rows newest first, with each example
+  // as the message and the hostile reply it drew; detail(reply) adds the reply's score
+  escalationView(rows, isHostile, detail) {
+    const brief = msg => ({ ...this.messageRef(msg), date: msg.date_readable, sender: msg.speaker, text: msg.text });
+    return escalations([...rows].reverse(), isHostile).map(entry => ({
+      ...entry,
+      examples: entry.examples.map(([trigger, reply]) => ({ message: brief(trigger), hostile_reply: { ...brief(reply), ...detail(reply) } })),
+    }));
+  }
+
+  // Read one inline-reply thread given the GUID of its originator or any reply
+  async readThread(guid, format = 'compact') {
+    const db = await this.openDatabase();
+
+    try {
+      const anchor = await db.get(
+        `SELECT guid, thread_originator_guid FROM message WHERE guid = ?`,
+        [guid]
+      );
+      if (!anchor) {
+        throw new Error(`Message not found: ${guid}`);
+      }
+      const originatorGuid = anchor.thread_originator_guid || anchor.guid;
+
+      const messages = await db.all(
+        `SELECT 
+           m.ROWID,
+           m.guid,
+           m.thread_originator_guid,
+           datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
+           m.text,
+           m.attributedBody,
+           ${this.optionalColumns('m', EDIT_COLUMNS)},
+           h.id as sender,
+           m.is_from_me,
+           m.service,
+           c.ROWID as chat_id,
+           c.display_name,
+           c.chat_identifier,
+           c.style
+         FROM message m
+         LEFT JOIN handle h ON m.handle_id = h.ROWID
+         LEFT JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+         LEFT JOIN chat c ON c.ROWID = cmj.chat_id
+         WHERE (m.guid = ? OR m.thread_originator_guid = ?) AND ${excludeReactionsSql('m')}
+         ORDER BY m.date ASC`,
+        [originatorGuid, originatorGuid]
+      );
+
+      const { rows, undecodable } = this.decodeMessageRows(messages);
+      const processedMessages = [];
+      for (const msg of await this.withReactions(db, await this.withAttachments(db, rows))) {
+        processedMessages.push({
+          guid: msg.guid,
+          date: msg.date_readable,
+          text: msg.text || '[No text content]',
+          sender: msg.is_from_me === 1 ? 'You' : await this.resolveContactName(msg.sender),
+          is_from_me: msg.is_from_me === 1,
+          service: msg.service,
+          ...msg.edits,
+          ...(msg.attachments.length > 0 && { attachments: msg.attachments }),
+          ...(msg.reactions.length > 0 && { reactions: msg.reactions }),
+        });
+      }
+
+      const chat = messages.find(m => m.chat_id);
+      let conversation = null;
+      let identifier = null;
+      if (chat) {
+        // chat.style 43 is a group chat, 45 a one-to-one conversation
+        const isGroup = chat.style === 43;
+        identifier = isGroup ? `group:${chat.chat_id}` : chat.chat_identifier;
+        conversation = chat.display_name || (isGroup ? `Group ${chat.chat_id}` : await this.resolveContactName(chat.chat_identifier));
+      }
+
+      await db.close();
+
+      const originator = processedMessages.find(m => m.guid === originatorGuid) || null;
+      const replies = processedMessages.filter(m => m.guid !== originatorGuid);
+
+      if (format === 'minimal') {
+        const formatLine = (m, indent) => {
+          const time = new Date(m.date).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+          });
+          return `${indent}${time} ${m.sender}: ${m.text}`;
+        };
+        const lines = [
+          `🧵 ${conversation || 'Unknown conversation'} (${replies.length} replies)`,
+          originator ? formatLine(originator, '  ') : '  [Original message not found]',
+          ...replies.map(r => formatLine(r, '    ↳ ')),
+        ];
+        return { content: [{ type: 'text', text: lines.join('\n') }] };
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            thread: originatorGuid,
+            conversation,
+            identifier,
+            reply_count: replies.length,
+            undecodable_messages: undecodable,
+            originator,
+            replies,
+          }, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+  }
+
+  // Messages immediately before and after one message (by ROWID or GUID) in the same chat
+  async getMessageContext(messageId, before = 5, after = 5, format = 'compact') {
+    before = clampCount('before', before);
+    after = clampCount('after', after);
+    const db = await this.openDatabase();
+
+    try {
+      const byRowid = /^\d+$/.test(String(messageId));
+      const anchor = await db.get(
+        `SELECT 
+           m.ROWID,
+           m.guid,
+           CAST(m.date AS TEXT) as date_key,
+           m.handle_id,
+           c.ROWID as chat_id,
+           c.display_name,
+           c.chat_identifier,
+           c.style
+         FROM message m
+         LEFT JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+         LEFT JOIN chat c ON c.ROWID = cmj.chat_id
+         WHERE ${byRowid ? 'm.ROWID = ?' : 'm.guid = ?'}`,
+        [byRowid ? Number(messageId) : String(messageId)]
+      );
+      if (!anchor) {
+        throw new Error(`Message not found: ${messageId}`);
+      }
+
+      // Messages missing from chat_message_join fall back to the sender's handle
+      const scopeSql = anchor.chat_id
+        ? 'm.ROWID IN (SELECT message_id FROM chat_message_join WHERE chat_id = ?)'
+        : 'm.handle_id = ?';
+      const scopeParams = [anchor.chat_id || anchor.handle_id];
+
+      const columns = `
+           m.ROWID,
+           m.guid,
+           datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
+           m.text,
+           m.attributedBody,
+           ${this.optionalColumns('m', EDIT_COLUMNS)},
+           h.id as sender,
+           m.is_from_me,
+           m.service`;
+
+      const earlier = await db.all(
+        `SELECT ${columns}
+         FROM message m
+         LEFT JOIN handle h ON m.handle_id = h.ROWID
+         WHERE ${scopeSql} AND (m.date < ? OR (m.date = ? AND m.ROWID < ?))
+           AND ${this.messageContentFilter('m')}
+         ORDER BY m.date DESC, m.ROWID DESC LIMIT ?`,
+        [...scopeParams, anchor.date_key, anchor.date_key, anchor.ROWID, before]
+      );
+      const target = await db.all(
+        `SELECT ${columns}
+         FROM message m
+         LEFT JOIN handle h ON m.handle_id = h.ROWID
+         WHERE m.ROWID = ?`,
+        [anchor.ROWID]
+      );
+      const later = await db.all(
+        `SELECT ${columns}
+         FROM message m
+         LEFT JOIN handle h ON m.handle_id = h.ROWID
+         WHERE ${scopeSql} AND (m.date > ? OR (m.date = ? AND m.ROWID > ?))
+           AND ${this.messageContentFilter('m')}
+         ORDER BY m.date ASC, m.ROWID ASC LIMIT ?`,
+        [...scopeParams, anchor.date_key, anchor.date_key, anchor.ROWID, after]
+      );
+
+      const { rows, undecodable } = this.decodeMessageRows([...earlier.reverse(), ...target, ...later]);
+      const processedMessages = [];
+      for (const msg of await this.withReactions(db, await this.withAttachments(db, rows))) {
+        processedMessages.push({
+          message_id: msg.ROWID,
+          guid: msg.guid,
+          date: msg.date_readable,
+          text: msg.text || '[No text content]',
+          sender: msg.is_from_me === 1 ? 'You' : await this.resolveContactName(msg.sender),
+          is_from_me: msg.is_from_me === 1,
+          service: msg.service,
+          ...(msg.ROWID === anchor.ROWID && { is_target: true }),
+          ...msg.edits,
+          ...(msg.attachments.length > 0 && { attachments: msg.attachments }),
+          ...(msg.reactions.length > 0 && { reactions: msg.reactions }),
+        });
+      }
+
+      let conversation = null;
+      let identifier = null;
+      if (anchor.chat_id) {
+        // chat.style 43 is a group chat, 45 a one-to-one conversation
+        const isGroup = anchor.style === 43;
+        identifier = isGroup ? `group:${anchor.chat_id}` : anchor.chat_identifier;
+        conversation = anchor.display_name || (isGroup ? `Group ${anchor.chat_id}` : await this.resolveContactName(anchor.chat_identifier));
+      }
+
+      await db.close();
+
+      if (format === 'minimal') {
+        const lines = processedMessages.map(m => {
+          const time = new Date(m.date).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+          });
+          return `${m.is_target ? '▶ ' : '  '}${time} ${m.sender}: ${m.text}`;
+        });
+        const undecodableNote = undecodable > 0 ? `\n  ⚠️ ${undecodable} message(s) could not be decoded` : '';
+        return {
+          content: [{ type: 'text', text: `💬 ${conversation || 'Unknown conversation'} (context for message ${anchor.ROWID})${undecodableNote}\n${lines.join('\n')}` }]
+        };
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            conversation,
+            identifier,
+            target_message_id: anchor.ROWID,
+            target_guid: anchor.guid,
+            before: earlier.length,
+            after: later.length,
+            undecodable_messages: undecodable,
+            messages: processedMessages,
+          }, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+  }
+
+  // Enumerate every chat with recency, unread count, participants and a last-message preview
+  async listConversations(type = 'all', sort = 'recent', limit = 25, offset = 0, unreadOnly = false, format = 'compact') {
+    const orderBy = {
+      recent: 'last_date DESC',
+      unread: 'unread DESC, last_date DESC',
+      messages: 'message_count DESC, last_date DESC',
+    }[sort];
+    if (!orderBy) {
+      throw new Error(`Unknown sort: ${sort}. Use recent, unread or messages`);
+    }
+    limit = clampCount('limit', limit);
+    offset = clampCount('offset', offset, Number.MAX_SAFE_INTEGER);
+
+    const graph = await this.getPeopleGraph();
+    const db = await this.openDatabase();
+
+    try {
+      // chat.style 43 is a group chat, 45 a one-to-one conversation
+      const styleFilter = { group: 'WHERE c.style = 43', individual: 'WHERE c.style = 45' }[type] || '';
+      const unreadFilter = unreadOnly ? 'HAVING unread > 0' : '';
+
+      const chatsSql = `SELECT 
+           c.ROWID as chat_id,
+           c.style,
+           c.chat_identifier,
+           c.display_name,
+           c.service_name,
+           MAX(m.date) as last_date,
+           datetime(MAX(m.date)/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as last_activity,
+           COUNT(m.ROWID) as message_count,
+           SUM(CASE WHEN m.is_from_me = 0 AND m.is_read = 0 AND IFNULL(m.item_type, 0) = 0
+                     AND ${excludeReactionsSql('m')} THEN 1 ELSE 0 END) as unread
+         FROM chat c
+         LEFT JOIN chat_message_join cmj ON cmj.chat_id = c.ROWID
+         LEFT JOIN message m ON m.ROWID = cmj.message_id
+         ${styleFilter}
+         GROUP BY c.ROWID
+         ${unreadFilter}`;
+
+      const { total } = await db.get(`SELECT COUNT(*) as total FROM (${chatsSql})`);
+      const chats = await db.all(
+        `${chatsSql}
+         ORDER BY last_date IS NULL, ${orderBy}
+         LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+
+      const chatIds = chats.map(c => c.chat_id);
+      const participantRows = chatIds.length === 0 ? [] : await db.all(
+        `SELECT chj.chat_id, h.id
+         FROM chat_handle_join chj
+         JOIN handle h ON h.ROWID = chj.handle_id
+         WHERE chj.chat_id IN (${chatIds.map(() => '?').join(',')})
+         ORDER BY h.id`,
+        chatIds
+      );
+
+      const conversations = [];
+      for (const chat of chats) {
+        const handles = [...new Set(participantRows.filter(p => p.chat_id === chat.chat_id).map(p => p.id))];
+        const participants = [];
+        for (const handle of handles) participants.push(await this.resolveContactName(handle));
+
+        const lastRows = await db.all(
+          `SELECT 
+             m.ROWID,
+             m.text,
+             m.attributedBody,
+             ${this.optionalColumns('m', EDIT_COLUMNS)},
+             m.is_from_me,
+             h.id as sender
+           FROM chat_message_join cmj
+           JOIN message m ON cmj.message_id = m.ROWID
+           LEFT JOIN handle h ON m.handle_id = h.ROWID
+           WHERE cmj.chat_id = ? AND ${this.messageContentFilter('m')}
+           ORDER BY m.date DESC LIMIT 1`,
+          [chat.chat_id]
+        );
+        const [last] = await this.withAttachments(db, this.decodeMessageRows(lastRows).rows);
+
+        const isGroup = chat.style === 43;
+        const person = isGroup ? null : graph.findByHandle(chat.chat_identifier);
+        const name = chat.display_name ||
+          (isGroup ? participants.join(', ') || `Group ${chat.chat_id}` : await this.resolveContactName(chat.chat_identifier));
+        const preview = last?.text ? (last.text.length > 120 ? `${last.text.slice(0, 117)}...` : last.text) : null;
+
+        conversations.push({
+          name,
+          type: isGroup ? 'group' : 'individual',
+          identifier: isGroup ? `group:${chat.chat_id}` : chat.chat_identifier,
+          ...(person && { person: person.id }),
+          service: chat.service_name,
+          participants,
+          last_activity: chat.last_activity,
+          unread: chat.unread || 0,
+          message_count: chat.message_count,
+          last_message: last ? {
+            sender: last.is_from_me === 1 ? 'You' : (isGroup ? await this.resolveContactName(last.sender) : name),
+            text: preview,
+          } : null,
+        });
+      }
+
+      await db.close();
+
+      // An empty page would hand back the same offset forever
+      const nextOffset = chats.length > 0 && offset + chats.length < total ? offset + chats.length : null;
+
+      if (format === 'minimal') {
+        const lines = conversations.map(c => {
+          const icon = c.type === 'group' ? '📱' : '👤';
+          const unread = c.unread > 0 ? ` • ${c.unread} unread` : '';
+          const last = c.last_message ? `\n    ${c.last_message.sender}: ${c.last_message.text || '[No text content]'}` : '';
+          return `${icon} ${c.name} [${c.identifier}] ${c.last_activity || 'no messages'}${unread}${last}`;
+        });
+        const footer = nextOffset !== null ? `\n(${total} total, next offset ${nextOffset})` : `\n(${total} total)`;
+        return { content: [{ type: 'text', text: `${lines.join('\n')}${footer}` }] };
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            total_conversations: total,
+            offset,
+            limit,
+            next_offset: nextOffset,
+            sort,
+            type_filter: type,
+            conversations,
+          }, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+  }
+
+  // Bring the sidecar full-text index up to date with chat.db
+  async updateSearchIndex(db) {
+    const { max } = await db.get(`SELECT MAX(ROWID) as max FROM message`);
+    // A replaced chat.db gets a new inode, which forces a rebuild
+    const source = this.activeSource();
+    const sourceKey = `${source.dbPath}#${fs.statSync(source.dbPath).ino}`;
+
+    // Indexable messages matching condition in ROWID order, decoded; unsent ones keep no text
+    const readRows = async (condition, params, { extraColumns = '', limit = null } = {}) => {
+      const rows = await db.all(
+        `SELECT 
+           m.ROWID,
+           m.guid,
+           m.text,
+           m.attributedBody,
+           ${this.optionalColumns('m', EDIT_COLUMNS)},
+           m.handle_id,
+           h.id as handle,
+           m.is_from_me,
+           m.date,
+           MIN(cmj.chat_id) as chat_id${extraColumns}
+         FROM message m
+         LEFT JOIN handle h ON m.handle_id = h.ROWID
+         LEFT JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+         WHERE ${condition} AND ${this.messageContentFilter('m')}
+         GROUP BY m.ROWID
+         ORDER BY m.ROWID
+         ${limit ? 'LIMIT ?' : ''}`,
+        limit ? [...params, limit] : params
+      );
+      return this.decodeMessageRows(rows).rows.map(row => ({
+        ...row,
+        text: row.edits?.unsent ? null : row.text,
+      }));
+    };
+
+    // Edits and unsends are only recorded on macOS Ventura and later
+    const columns = source.messageColumns;
+    const fetchChanged = columns?.has('date_edited') && columns.has('date_retracted')
+      ? (sinceChange, upToRowid) => {
+        const changed = 'MAX(COALESCE(m.date_edited, 0), COALESCE(m.date_retracted, 0))';
+        return readRows(`m.ROWID <= ? AND ${changed} > CAST(? AS INTEGER)`, [upToRowid, sinceChange],
+          { extraColumns: `, CAST(${changed} AS TEXT) as changed` });
+      }
+      : null;
+
+    return source.searchIndex.update(sourceKey, max || 0,
+      (afterRowid, batchSize) => readRows('m.ROWID > ?', [afterRowid], { limit: batchSize }),
+      fetchChanged);
+  }
+
+  // Full-text search across every conversation using the sidecar FTS5 index
+  async searchMessages(query, identifier = null, since = null, until = null, daysBack = null, limit = 20, offset = 0, rebuild = false, format = 'compact') {
+    limit = clampCount('limit', limit);
+    offset = clampCount('offset', offset, Number.MAX_SAFE_INTEGER);
+    const db = await this.openDatabase();
+    const { searchIndex } = this.activeSource();
+
+    try {
+      if (rebuild) {
+        await searchIndex.open();
+        await searchIndex.clear();
+      }
+      const indexUpdate = await this.updateSearchIndex(db);
+
+      const filters = {};
+      if (since) filters.since = this.appleTimestampFromDate(since);
+      else if (daysBack) filters.since = this.calculateAppleTimestamp(daysBack);
+      if (until) filters.until = this.appleTimestampFromDate(until);
+      if (identifier?.startsWith('group:')) {
+        filters.chatId = parseInt(identifier.replace('group:', ''));
+      } else if (identifier) {
+        filters.handleIds = await this.resolveIdentifierHandles(identifier);
+      }
+
+      let found;
+      try {
+        found = await searchIndex.search(query, filters, limit, offset);
+      } catch (error) {
+        if (!/fts5|syntax error|unterminated|no such column/i.test(error.message)) throw error;
+        found = await searchIndex.search(toLiteralQuery(query), filters, limit, offset);
+      }
+
+      const chatIds = [...new Set(found.rows.map(r => r.chat_id).filter(id => id !== null))];
+      const chats = chatIds.length === 0 ? [] : await db.all(
+        `SELECT ROWID, display_name, chat_identifier, style FROM chat WHERE ROWID IN (${chatIds.map(() => '?').join(',')})`,
+        chatIds
+      );
+      const chatById = new Map(chats.map(c => [c.ROWID, c]));
+
+      const results = [];
+      for (const row of found.rows) {
+        const chat = chatById.get(row.chat_id);
+        // chat.style 43 is a group chat, 45 a one-to-one conversation
+        const isGroup = chat?.style === 43;
+        results.push({
+          message_id: row.message_id,
+          guid: row.guid,
+          date: row.date_readable,
+          conversation: chat
+            ? chat.display_name || (isGroup ? `Group ${chat.ROWID}` : await this.resolveContactName(chat.chat_identifier))
+            : null,
+          identifier: chat ? (isGroup ? `group:${chat.ROWID}` : chat.chat_identifier) : row.handle,
+          sender: row.is_from_me === 1 ? 'You' : await this.resolveContactName(row.handle),
+          snippet: row.snippet,
+          rank: Math.round(row.rank * 1000) / 1000,
+        });
+      }
+
+      await db.close();
+
+      // An empty page would hand back the same offset forever
+      const nextOffset = results.length > 0 && offset + results.length < found.total ? offset + results.length : null;
+
+      if (format === 'minimal') {
+        const lines = results.map(r => {
+          const time = new Date(r.date).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+          });
+          return `🔎 ${time} ${r.conversation || r.identifier} — ${r.sender}: ${r.snippet}`;
+        });
+        const footer = nextOffset !== null ? `(${found.total} matches, next offset ${nextOffset})` : `(${found.total} matches)`;
+        return { content: [{ type: 'text', text: [...lines, footer].join('\n') }] };
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            query,
+            total_matches: found.total,
+            offset,
+            next_offset: nextOffset,
+            index: { newly_indexed: indexUpdate.indexed, refreshed: indexUpdate.refreshed, last_rowid: indexUpdate.last_rowid, rebuilt: indexUpdate.rebuilt },
+            results,
+          }, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+  }
+
+  // Handle ROWIDs for a "person:ID", contact name, phone number or email. A phone number or
+  // email on an AddressBook card brings in every other handle of that person, so their
+  // SMS, iMessage and email conversations read as one. person is set when exactly one matched.
+  async resolveIdentifier(identifier) {
+    const graph = await this.getPeopleGraph();
+    let people = [];
+    let handleIds = [];
+
+    if (parsePersonId(identifier) !== null) {
+      const person = graph.get(identifier);
+      if (!person) {
+        throw new Error(`Person not found: ${identifier}`);
+      }
+      people = [person];
+    } else if (!/[@+\d\-\(\)]/.test(identifier)) {
+      people = await this.findContactsByName(identifier);
+    }
+    handleIds = await this.findHandleIdsForPeople(people);
+
+    if (handleIds.length === 0 && parsePersonId(identifier) === null) {
+      handleIds = await this.findHandleIdsForContact(identifier);
+      const person = graph.findByHandle(identifier);
+      if (person) {
+        people = [person];
+        handleIds.push(...await this.findHandleIdsForPeople(people));
+      }
+    }
+
+    if (handleIds.length === 0) {
+      throw new Error(`Contact not found: ${identifier}`);
+    }
+
+    return { handleIds: [...new Set(handleIds)], person: people.length === 1 ? people[0] : null };
+  }
+
+  async resolveIdentifierHandles(identifier) {
+    return (await this.resolveIdentifier(identifier)).handleIds;
+  }
+
+  // resolveIdentifier in the active source and each source merged into it: [{ source, handleIds,
+  // person }] for the sources where the identifier matches someone, throwing when none does.
+  // A person found in the active source is looked up in a source with its own AddressBook
+  // by their phone numbers and emails, since person ids differ between AddressBooks.
+  async resolveAcrossSources(identifier) {
+    const active = this.activeSource();
+    const notFound = error => /^(Contact|Person) not found/.test(error.message);
+    const resolved = [];
+    let activeError = null;
+    try {
+      resolved.push({ source: active, ...await this.resolveIdentifier(identifier) });
+    } catch (error) {
+      if (!notFound(error) || active.merged.length === 0) throw error;
+      activeError = error;
+    }
+
+    const person = resolved[0]?.person;
+    for (const source of active.merged) {
+      const found = await this.inSource(source, async () => {
+        if (person && source.contacts !== active.contacts) {
+          const handleIds = [];
+          for (const address of [...person.phones, ...person.emails]) {
+            handleIds.push(...await this.findHandleIdsForContact(address));
+          }
+          return handleIds.length > 0 ? { handleIds: [...new Set(handleIds)], person } : null;
         }
-        
-        if (handleIds.length === 0) {
-          throw new Error(`Contact not found: ${identifier}`);
+        try {
+          return await this.resolveIdentifier(person ? person.id : identifier);
+        } catch (error) {
+          if (notFound(error)) return null;
+          throw error;
         }
+      });
+      if (found) resolved.push({ source, ...found });
+    }
 
-        conversationName = await this.resolveContactName(identifier);
+    if (resolved.length === 0) throw activeError;
+    return resolved;
+  }
 
-        if (groupByDate) {
-          const dailyAnalysis = await db.all(
-            `SELECT 
-               DATE(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch')) as message_date,
-               COUNT(*) as hostile_messages,
-               GROUP_CONCAT(text, ' | ') as sample_messages
-             FROM message 
-             WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
-               AND date > ? AND is_from_me = 0 AND text IS NOT NULL AND text != ''
-               AND (${keywordConditions})
-             GROUP BY DATE(datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch'))
-             ORDER BY message_date DESC`,
-            [...handleIds, threshold, ...keywordParams]
-          );
+  // List attachments in a conversation, filtered by kind and date range
+  async listAttachments(identifier, type = null, since = null, until = null, daysBack = 365, limit = 100) {
+    if (type && !ATTACHMENT_KINDS.includes(type)) {
+      throw new Error(`Unknown attachment type: ${type}. Use one of: ${ATTACHMENT_KINDS.join(', ')}`);
+    }
 
-          results = {
-            type: 'individual',
-            analysis_type: 'sentiment_by_date',
-            daily_breakdown: dailyAnalysis
-          };
-        } else {
-          const hostileMessages = await db.all(
-            `SELECT 
-               datetime(date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
-               text
-             FROM message 
-             WHERE handle_id IN (${handleIds.map(() => '?').join(',')})
-               AND date > ? AND is_from_me = 0 AND text IS NOT NULL AND text != ''
-               AND (${keywordConditions})
-             ORDER BY date DESC`,
-            [...handleIds, threshold, ...keywordParams]
-          );
+    limit = clampCount('limit', limit);
+    const range = this.dateRangeFilter('m', { since, until, daysBack });
+    const db = await this.openDatabase();
 
-          results = {
-            type: 'individual',
-            analysis_type: 'all_hostile_messages',
-            messages: hostileMessages
-          };
-        }
+    try {
+
+      let conversationName;
+      let scopeSql;
+      let scopeParams;
+
+      if (identifier.startsWith('group:')) {
+        const chatId = parseInt(identifier.replace('group:', ''));
+        const groupInfo = await db.get(`SELECT display_name FROM chat WHERE ROWID = ?`, [chatId]);
+        conversationName = groupInfo?.display_name || `Group ${chatId}`;
+        scopeSql = 'm.ROWID IN (SELECT message_id FROM chat_message_join WHERE chat_id = ?)';
+        scopeParams = [chatId];
+      } else {
+        const { handleIds, person } = await this.resolveIdentifier(identifier);
+        conversationName = person ? this.personLabel(person) : await this.resolveContactName(identifier);
+        scopeSql = `m.handle_id IN (${handleIds.map(() => '?').join(',')})`;
+        scopeParams = handleIds;
+      }
+
+      const rows = await db.all(
+        `SELECT 
+           a.*,
+           m.ROWID as message_id,
+           m.is_from_me,
+           h.id as sender,
+           datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable
+         FROM message_attachment_join maj
+         JOIN attachment a ON a.ROWID = maj.attachment_id
+         JOIN message m ON m.ROWID = maj.message_id
+         LEFT JOIN handle h ON m.handle_id = h.ROWID
+         WHERE ${scopeSql} AND ${range.sql}
+         ORDER BY m.date DESC`,
+        [...scopeParams, ...range.params]
+      );
+
+      const matching = type ? rows.filter(row => attachmentKind(row) === type) : rows;
+      const byKind = {};
+      for (const row of matching) {
+        const kind = attachmentKind(row);
+        byKind[kind] = (byKind[kind] || 0) + 1;
+      }
+
+      const attachments = [];
+      for (const row of matching.slice(0, limit)) {
+        attachments.push({
+          date: row.date_readable,
+          message_id: row.message_id,
+          sender: row.is_from_me === 1 ? 'You' : await this.resolveContactName(row.sender),
+          ...formatAttachment(row, this.activeSource().attachmentPath(row.filename)),
+        });
       }
 
       await db.close();
 
       return {
-        content: [{ 
-          type: 'text', 
+        content: [{
+          type: 'text',
           text: JSON.stringify({
             conversation: conversationName,
-            keywords_searched: searchKeywords,
-            period_days: daysBack,
-            ...results
+            type_filter: type || 'all',
+            date_range: range.range,
+            total_attachments: matching.length,
+            by_kind: byKind,
+            total_bytes: matching.reduce((sum, row) => sum + (row.total_bytes || 0), 0),
+            attachments,
           }, null, 2)
         }]
       };
@@ -1511,13 +3369,78 @@ class iMessageMCPServer {
     }
   }
 
+  // Keyword lexicons available to analyze_message_sentiment, with any files that failed to load
+  lexiconDiagnostics() {
+    const { lexicons, errors } = loadLexicons(this.config.lexiconsDir);
+    return {
+      available: [...lexicons.values()].map(lexicon => ({
+        name: lexicon.name,
+        version: lexicon.version,
+        terms: lexicon.terms.length,
+        origin: lexicon.builtIn ? 'built-in' : lexicon.origin,
+      })),
+      errors: errors.map(({ file, error }) => ({ file, error })),
+    };
+  }
+
+  async getDiagnostics() {
+    const source = this.activeSource();
+    // Loads the contact index on first use, or picks up AddressBook changes
+    await source.contacts.get();
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          source: source.name,
+          messages_database: source.database.diagnostics(),
+          search_index: {
+            path: source.searchIndexPath,
+            exists: fs.existsSync(source.searchIndexPath),
+          },
+          default_region: this.defaultRegion,
+          contacts: source.contacts.diagnostics(),
+          config: {
+            file: this.config.file,
+            default_source: this.defaultSource,
+            export_dir: this.config.exportDir,
+            lexicons_dir: this.config.lexiconsDir,
+            lexicons: this.lexiconDiagnostics(),
+            sources: [...this.sources.values()].map(s => ({ ...s.diagnostics(), chat_db_exists: fs.existsSync(s.dbPath) })),
+            tools: this.tools.map(t => t.name),
+            default_arguments: Object.fromEntries([...this.toolDefaults].filter(([, args]) => Object.keys(args).length > 0)),
+          },
+        }, null, 2)
+      }]
+    };
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('iMessage MCP Server running on stdio');
   }
+
+  // Disconnect and release every source's chat.db connection and search index
+  async close() {
+    await this.server.close();
+    for (const source of this.sources.values()) await source.close();
+  }
 }
 
-// Run the server
-const server = new iMessageMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+// Run the server when started directly; tests import the class and connect their own transport
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  let config;
+  try {
+    config = loadConfig({ argv: process.argv.slice(2) });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  if (config.help) {
+    console.error(USAGE);
+    process.exit(0);
+  }
+  const server = new iMessageMCPServer(config);
+  server.run().catch(console.error);
+}
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Unencrypted iPhone backups (Finder / iTunes) as a message source.
+ *
+ * A backup folder stores every file of the phone under its fileID, the SHA-1
+ * of "<domain>-<relativePath>", in a subfolder named by the first two hex
+ * digits. Manifest.db (plain SQLite) lists the domain, path and fileID of each
+ * file; Manifest.plist says whether the backup is encrypted and which device it is.
+ *
+ * - messages: HomeDomain Library/SMS/sms.db, which has the chat.db schema
+ * - contacts: HomeDomain Library/AddressBook/AddressBook.sqlitedb (iOS schema, see people.js)
+ * - attachments: MediaDomain Library/SMS/Attachments/..., recorded in sms.db
+ *   as "~/Library/SMS/Attachments/..." and looked up in Manifest.db
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { parseBinaryPlist } from './bplist.js';
+import { ContactIndex } from './contact-index.js';
+import { MessageSource } from './message-source.js';
+
+export const SMS_DB = { domain: 'HomeDomain', relativePath: 'Library/SMS/sms.db' };
+export const ADDRESS_BOOK = { domain: 'HomeDomain', relativePath: 'Library/AddressBook/AddressBook.sqlitedb' };
+export const ATTACHMENTS = { domain: 'MediaDomain', relativePath: 'Library/SMS/Attachments/' };
+
+export function backupFileId(domain, relativePath) {
+  return crypto.createHash('sha1').update(`${domain}-${relativePath}`).digest('hex');
+}
+
+export function backupFilePath(backupDir, { domain, relativePath }) {
+  const fileId = backupFileId(domain, relativePath);
+  return path.join(backupDir, fileId.slice(0, 2), fileId);
+}
+
+export function isBackupDir(dir) {
+  return fs.existsSync(path.join(dir, 'Manifest.db')) || fs.existsSync(path.join(dir, 'Manifest.plist'));
+}
+
+// Device and encryption details from Manifest.plist (binary, or XML in some older backups)
+export function readBackupInfo(backupDir) {
+  let data;
+  try {
+    data = fs.readFileSync(path.join(backupDir, 'Manifest.plist'));
+  } catch (error) {
+    return { encrypted: false, device_name: null, ios_version: null, product_type: null, date: null };
+  }
+
+  if (data.toString('latin1', 0, 8) !== 'bplist00') {
+    const xml = data.toString('utf8');
+    const string = key => new RegExp(`<key>${key}</key>\\s*<string>([^<]*)</string>`).exec(xml)?.[1] || null;
+    return {
+      encrypted: /<key>IsEncrypted<\/key>\s*<true\s*\/>/.test(xml),
+      device_name: string('DeviceName'),
+      ios_version: string('ProductVersion'),
+      product_type: string('ProductType'),
+      date: /<key>Date<\/key>\s*<date>([^<]*)<\/date>/.exec(xml)?.[1] || null,
+    };
+  }
+
+  const manifest = parseBinaryPlist(data);
+  const lockdown = manifest.Lockdown || {};
+  return {
+    encrypted: manifest.IsEncrypted === true,
+    device_name: lockdown.DeviceName || null,
+    ios_version: lockdown.ProductVersion || null,
+    product_type: lockdown.ProductType || null,
+    date: manifest.Date instanceof Date ? manifest.Date.toISOString() : null,
+  };
+}
+
+// The iPhone's own contacts, as stored in the backup
+export class BackupContactIndex extends ContactIndex {
+  constructor(backupDir, region) {
+    super(backupDir, region);
+    this.addressBookPath = backupFilePath(backupDir, ADDRESS_BOOK);
+  }
+
+  findSources() {
+    return fs.existsSync(this.addressBookPath) ? [{ key: '', path: this.addressBookPath, schema: 'ios' }] : [];
+  }
+}
+
+export class BackupMessageSource extends MessageSource {
+  constructor({ name, backupDir, searchIndexPath }, contacts) {
+    super({ name, type: 'iphone_backup', chatDb: backupFilePath(backupDir, SMS_DB), attachmentsDir: null, searchIndexPath }, contacts);
+    this.backupDir = backupDir;
+    this.manifestPath = path.join(backupDir, 'Manifest.db');
+    this.info = null;
+    this.attachments = new Map(); // relativePath under MediaDomain -> file in the backup
+    this.signature = null;
+    this.loading = null;
+  }
+
+  // Check the backup can be read and load its attachment list, again whenever
+  // Manifest.db changes (a new backup written over this one)
+  async ready() {
+    let stat;
+    try {
+      stat = fs.statSync(this.manifestPath);
+    } catch (error) {
+      throw new Error(`${this.backupDir} is not a readable iPhone backup: Manifest.db not found`);
+    }
+    const signature = `${stat.mtimeMs}:${stat.size}`;
+    if (signature === this.signature) return;
+
+    // Concurrent tool calls share one load
+    if (!this.loading) {
+      this.loading = this.loadManifest(signature).finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async loadManifest(signature) {
+    const info = readBackupInfo(this.backupDir);
+    if (info.encrypted) {
+      throw new Error(`The iPhone backup in ${this.backupDir} is encrypted. Only unencrypted backups can be read; ` +
+        'turn off "Encrypt local backup" in Finder and back up again');
+    }
+
+    const db = await open({ filename: this.manifestPath, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+    let rows;
+    try {
+      const sms = await db.get(`SELECT fileID FROM Files WHERE domain = ? AND relativePath = ?`, [SMS_DB.domain, SMS_DB.relativePath]);
+      if (!sms) throw new Error(`The iPhone backup in ${this.backupDir} has no Messages database (Library/SMS/sms.db)`);
+      rows = await db.all(
+        `SELECT fileID, relativePath FROM Files WHERE domain = ? AND relativePath LIKE ? AND flags = 1`,
+        [ATTACHMENTS.domain, `${ATTACHMENTS.relativePath}%`]
+      );
+    } finally {
+      await db.close();
+    }
+
+    this.info = info;
+    this.attachments = new Map(rows.map(r => [r.relativePath, path.join(this.backupDir, r.fileID.slice(0, 2), r.fileID)]));
+    this.signature = signature;
+    console.error(`iPhone backup ${this.name}: ${info.device_name || 'unknown device'}, ${this.attachments.size} attachment files`);
+  }
+
+  // sms.db records attachments as "~/Library/SMS/Attachments/..." (or the absolute
+  // /var/mobile/... path); null when the backup does not include the file
+  attachmentPath(filename) {
+    if (!filename) return null;
+    const relativePath = filename.replace(/^(?:~|\/private\/var\/mobile|\/var\/mobile)\//, '');
+    return this.attachments.get(relativePath) || null;
+  }
+
+  diagnostics() {
+    return {
+      ...super.diagnostics(),
+      backup: {
+        path: this.backupDir,
+        ...this.info,
+        attachment_files: this.attachments.size,
+      },
+    };
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Keyword lexicons for analyze_message_sentiment's keyword scoring: named, versioned
+ * lists of words, phrases and patterns, each with a weight and a category.
+ *
+ * Built-in lexicons live in src/lexicons/. Any *.json file in lexicons_dir adds a
+ * lexicon or replaces the built-in one of the same name:
+ *
+ *   {
+ *     "name": "hostility",
+ *     "version": "2.1.0",
+ *     "description": "Our own list",
+ *     "terms": [
+ *       { "term": "sick of", "weight": 2, "category": "dismissal" },
+ *       { "term": "shut (the f\\w* )?up", "regex": true, "weight": 3 }
+ *     ]
+ *   }
+ *
+ * Plain terms match whole words and phrases case-insensitively ("mad" does not match
+ * "made", and any run of spaces matches the space in "sick of"). Terms with "regex": true
+ * are JavaScript regular expressions, also case-insensitive and also kept from starting or
+ * ending inside a word. weight defaults to 1 and category to the lexicon's name.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+export const BUILTIN_LEXICONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'lexicons');
+
+// Lexicon used when keyword scoring is asked for without keywords or lexicons
+export const DEFAULT_LEXICON = 'hostility';
+
+const LEXICON_NAME = /^[a-z0-9_-]+$/;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A match may not start or end inside a word; an edge that is not a letter or digit (an emoji,
+// "$") can sit anywhere
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+const START = `(?:(?<!${WORD_CHAR})|(?!${WORD_CHAR}))`;
+const END = `(?:(?!${WORD_CHAR})|(?<!${WORD_CHAR}))`;
+
+// Case-insensitive pattern for a term; "’" in text is matched as "'"
+function termPattern(term, regex) {
+  const body = regex ? term : escapeRegExp(term.toLowerCase().replace(/[‘’]/g, "'")).replace(/\s+/g, '\\s+');
+  return new RegExp(`${START}(?:${body})${END}`, 'iu');
+}
+
+/**
+ * Validate a parsed lexicon and compile its terms. origin names the file in errors;
+ * fallbackName is used when the lexicon has no name of its own.
+ */
+export function compileLexicon(raw, origin, fallbackName = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Lexicon ${origin} must contain a JSON object`);
+  }
+  const name = String(raw.name || fallbackName || '').toLowerCase();
+  if (!LEXICON_NAME.test(name)) {
+    throw new Error(`Invalid lexicon name "${name}" in ${origin}. Use letters, digits, "-" and "_"`);
+  }
+  if (raw.version === undefined || raw.version === null || raw.version === '') {
+    throw new Error(`Lexicon "${name}" in ${origin} needs a version`);
+  }
+  if (!Array.isArray(raw.terms) || raw.terms.length === 0) {
+    throw new Error(`Lexicon "${name}" in ${origin} needs a non-empty terms list`);
+  }
+
+  const terms = raw.terms.map((entry, i) => {
+    const spec = typeof entry === 'string' ? { term: entry } : entry;
+    if (!spec || typeof spec.term !== 'string' || !spec.term.trim()) {
+      throw new Error(`Term ${i + 1} of lexicon "${name}" in ${origin} needs a "term" string`);
+    }
+    const weight = spec.weight === undefined ? 1 : Number(spec.weight);
+    if (!Number.isFinite(weight)) {
+      throw new Error(`Term "${spec.term}" of lexicon "${name}" in ${origin} has a non-numeric weight`);
+    }
+    let pattern;
+    try {
+      pattern = termPattern(spec.term.trim(), spec.regex === true);
+    } catch (error) {
+      throw new Error(`Term "${spec.term}" of lexicon "${name}" in ${origin} is not a valid regex: ${error.message}`);
+    }
+    return { term: spec.term.trim(), weight, category: String(spec.category || name), regex: spec.regex === true, pattern };
+  });
+
+  return {
+    name,
+    version: String(raw.version),
+    description: raw.description ? String(raw.description) : null,
+    origin,
+    terms,
+  };
+}
+
+// Lexicons from the *.json files of one folder, and an error per file that failed to load
+function readLexiconDir(dir) {
+  const lexicons = [];
+  const errors = [];
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (e) {
+    // No lexicons folder: nothing to add
+    return { lexicons, errors };
+  }
+  for (const file of files) {
+    const fullPath = path.join(dir, file);
+    try {
+      const raw = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+      lexicons.push(compileLexicon(raw, fullPath, path.basename(file, '.json')));
+    } catch (error) {
+      errors.push({ file: fullPath, name: path.basename(file, '.json').toLowerCase(), error: error.message });
+    }
+  }
+  return { lexicons, errors };
+}
+
+/**
+ * The built-in lexicons overlaid with those in userDir, as { lexicons: Map(name -> lexicon), errors }.
+ * A file that fails to load is reported in errors and leaves any built-in of its name in place.
+ */
+export function loadLexicons(userDir = null) {
+  const builtIn = readLexiconDir(BUILTIN_LEXICONS_DIR);
+  const user = userDir ? readLexiconDir(userDir) : { lexicons: [], errors: [] };
+  const lexicons = new Map();
+  for (const lexicon of builtIn.lexicons) lexicons.set(lexicon.name, { ...lexicon, builtIn: true });
+  for (const lexicon of user.lexicons) lexicons.set(lexicon.name, { ...lexicon, builtIn: false });
+  return { lexicons, errors: [...builtIn.errors, ...user.errors] };
+}
+
+/**
+ * Matches of the given lexicons in a text, in lexicon then term order, as
+ * [{ lexicon, version, term, category, weight, matched }]; matched is the text that matched.
+ */
+export function matchLexicons(text, lexicons) {
+  const normalized = String(text || '').replace(/[‘’]/g, "'");
+  const matches = [];
+  for (const lexicon of lexicons) {
+    for (const term of lexicon.terms) {
+      const found = normalized.match(term.pattern);
+      if (!found) continue;
+      matches.push({
+        lexicon: lexicon.name,
+        version: lexicon.version,
+        term: term.term,
+        category: term.category,
+        weight: term.weight,
+        matched: found[0],
+      });
+    }
+  }
+  return matches;
+}
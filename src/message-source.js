@@ -0,0 +1,61 @@
+/**
+ * A named message source: one chat.db (the Mac's own, an exported copy, an
+ * archived Messages folder, a test fixture) with its own shared connection,
+ * search index and attachments folder, plus the contact index that names its handles.
+ * iPhone backups and Android exports are sources too (iphone-backup.js, android-backup.js).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { MessageDatabase } from './database.js';
+import { SearchIndex } from './search-index.js';
+import { resolveAttachmentPath } from './attachments.js';
+
+export class MessageSource {
+  constructor({ name, type = 'messages', chatDb, attachmentsDir, searchIndexPath }, contacts) {
+    this.name = name;
+    this.type = type;
+    this.dbPath = chatDb;
+    this.attachmentsDir = attachmentsDir;
+    this.contacts = contacts;
+    this.messageColumns = null; // Columns of the message table, which vary by macOS version
+    this.database = new MessageDatabase(chatDb, {
+      onOpen: async (db) => {
+        const columns = await db.all(`PRAGMA table_info(message)`);
+        this.messageColumns = new Set(columns.map(c => c.name));
+      },
+    });
+    this.searchIndexPath = searchIndexPath;
+    this.searchIndex = new SearchIndex(searchIndexPath);
+    // Sources whose messages read_conversation and get_conversation_stats fold into this one's
+    this.merged = [];
+  }
+
+  // Called before each tool call uses the source; throws when it cannot be read
+  async ready() {}
+
+  // Where the file of an attachment row (attachment.filename) is on disk
+  attachmentPath(filename) {
+    return resolveAttachmentPath(filename, os.homedir(), this.attachmentsDir);
+  }
+
+  diagnostics() {
+    return {
+      name: this.name,
+      type: this.type,
+      chat_db: this.dbPath,
+      attachments_dir: this.attachmentsDir,
+      contacts_dir: this.contacts.contactsDir,
+      search_index: {
+        path: this.searchIndexPath,
+        exists: fs.existsSync(this.searchIndexPath),
+      },
+      ...(this.merged.length > 0 && { merged_sources: this.merged.map(s => s.name) }),
+    };
+  }
+
+  async close() {
+    await this.database.close();
+    await this.searchIndex.close();
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Person identity graph built from the macOS AddressBook.
+ *
+ * Each ZABCDRECORD row (Z_PK) is one person that owns all of its phone numbers
+ * and email addresses. chat.db handles are attached to a person by matching
+ * handle.id against those (phone numbers in E.164, see phone.js), so a contact
+ * who texts from a phone number and iMessages from an email is a single entity.
+ *
+ * Contacts are spread over several databases: the AddressBook root plus one per
+ * account under Sources/<UUID>/. Cards from different sources that share a phone
+ * number or email are merged into one person.
+ *
+ * Tools take a person as "person:<Z_PK>" (root database) or
+ * "person:<source>-<Z_PK>", where <source> is the start of the source UUID.
+ *
+ * iPhone backups hold the iOS AddressBook instead (ABPerson, with phones and
+ * emails in ABMultiValue); its cards are read into the same shape, keyed by ROWID.
+ */
+
+import { DEFAULT_REGION, handleMatchKey } from './phone.js';
+
+export const PERSON_PREFIX = 'person:';
+
+export function personId(sourceKey, pk) {
+  return sourceKey ? `${PERSON_PREFIX}${sourceKey}-${pk}` : `${PERSON_PREFIX}${pk}`;
+}
+
+// "person:12" / "person:3f2a1b0c-12" -> normalized id, anything else -> null
+export function parsePersonId(identifier) {
+  const match = /^person:(?:([0-9a-z]+)-)?(\d+)$/i.exec(String(identifier || '').trim());
+  return match ? personId(match[1]?.toLowerCase(), Number(match[2])) : null;
+}
+
+// "First Middle Last (Nickname)", falling back to the nickname, then the organization
+export function displayName(record) {
+  const full = [record.ZFIRSTNAME, record.ZMIDDLENAME, record.ZLASTNAME].filter(Boolean).join(' ');
+  if (full && record.ZNICKNAME) return `${full} (${record.ZNICKNAME})`;
+  return full || record.ZNICKNAME || record.ZORGANIZATION || null;
+}
+
+// Lowercased names a search should find the card by
+function searchableNames(record) {
+  return [
+    [record.ZFIRSTNAME, record.ZMIDDLENAME, record.ZLASTNAME].filter(Boolean).join(' '),
+    [record.ZFIRSTNAME, record.ZLASTNAME].filter(Boolean).join(' '),
+    record.ZNICKNAME,
+    record.ZORGANIZATION,
+  ].filter(Boolean).map(name => name.toLowerCase());
+}
+
+// Cards, phone numbers and emails of the macOS (Core Data) and iOS AddressBook schemas.
+// iOS keeps phone numbers (property 3) and emails (property 4) in ABMultiValue.
+const ADDRESS_BOOK_QUERIES = {
+  mac: {
+    records: `SELECT Z_PK, ZFIRSTNAME, ZMIDDLENAME, ZLASTNAME, ZNICKNAME, ZORGANIZATION FROM ZABCDRECORD ORDER BY Z_PK`,
+    phones: `SELECT ZOWNER, ZFULLNUMBER FROM ZABCDPHONENUMBER WHERE ZFULLNUMBER IS NOT NULL ORDER BY Z_PK`,
+    emails: `SELECT ZOWNER, ZADDRESS FROM ZABCDEMAILADDRESS WHERE ZADDRESS IS NOT NULL ORDER BY Z_PK`,
+  },
+  ios: {
+    records: `SELECT ROWID as Z_PK, First as ZFIRSTNAME, Middle as ZMIDDLENAME, Last as ZLASTNAME,
+                Nickname as ZNICKNAME, Organization as ZORGANIZATION
+              FROM ABPerson ORDER BY ROWID`,
+    phones: `SELECT record_id as ZOWNER, value as ZFULLNUMBER FROM ABMultiValue WHERE property = 3 AND value IS NOT NULL ORDER BY UID`,
+    emails: `SELECT record_id as ZOWNER, value as ZADDRESS FROM ABMultiValue WHERE property = 4 AND value IS NOT NULL ORDER BY UID`,
+  },
+};
+
+export class PeopleGraph {
+  // Numbers written without a country code are read in region
+  constructor(region = DEFAULT_REGION) {
+    this.region = region;
+    this.people = new Map();   // person id -> person
+    this.aliases = new Map();  // id of a card merged into another person -> that person's id
+    this.byHandle = new Map(); // handleMatchKey -> person
+    this.sources = [];         // { key, path, cards }
+  }
+
+  // Add the cards of one AddressBook database; key is '' for the root database,
+  // schema 'ios' for the AddressBook of an iPhone backup
+  async addSource({ key = '', path = null, db, schema = 'mac' }) {
+    const queries = ADDRESS_BOOK_QUERIES[schema];
+    const records = await db.all(queries.records);
+    const phones = await db.all(queries.phones);
+    const emails = await db.all(queries.emails);
+
+    const byPk = new Map(records.map(r => [r.Z_PK, r]));
+    const cards = new Set();
+    for (const { ZOWNER, ZFULLNUMBER } of phones) {
+      if (this.attach(key, byPk.get(ZOWNER), 'phones', ZFULLNUMBER)) cards.add(ZOWNER);
+    }
+    for (const { ZOWNER, ZADDRESS } of emails) {
+      if (this.attach(key, byPk.get(ZOWNER), 'emails', ZADDRESS)) cards.add(ZOWNER);
+    }
+    this.sources.push({ key, path, cards: cards.size });
+  }
+
+  // Records without any phone or email (groups, empty cards) never become people
+  attach(sourceKey, record, field, value) {
+    if (!record) return false;
+    const id = personId(sourceKey, record.Z_PK);
+    let person = this.get(id);
+    if (!person) {
+      person = {
+        id,
+        name: displayName(record),
+        names: searchableNames(record),
+        phones: [],
+        emails: [],
+        sources: [sourceKey],
+      };
+      this.people.set(id, person);
+    }
+    const key = handleMatchKey(value, this.region);
+    this.addValue(person, field, value);
+    if (!key) return true;
+    const owner = this.byHandle.get(key);
+    if (!owner) {
+      this.byHandle.set(key, person);
+    } else if (owner !== person && !owner.sources.some(s => person.sources.includes(s))) {
+      // The same contact synced from another account
+      this.merge(owner, person);
+    }
+    // Otherwise the same number on two cards of one source belongs to the first card
+    return true;
+  }
+
+  // Keep one spelling of each number or address ("(555) 123-4567" and "+15551234567" are the same)
+  addValue(person, field, value) {
+    const key = handleMatchKey(value, this.region);
+    const known = key ? person[field].some(v => handleMatchKey(v, this.region) === key) : person[field].includes(value);
+    if (!known) person[field].push(value);
+  }
+
+  merge(into, from) {
+    for (const field of ['phones', 'emails']) {
+      for (const value of from[field]) this.addValue(into, field, value);
+    }
+    for (const field of ['names', 'sources']) {
+      for (const value of from[field]) {
+        if (!into[field].includes(value)) into[field].push(value);
+      }
+    }
+    // The fuller card wins, e.g. one that also has a middle name or nickname
+    if ((from.name || '').length > (into.name || '').length) into.name = from.name;
+
+    for (const [key, person] of this.byHandle) {
+      if (person === from) this.byHandle.set(key, into);
+    }
+    for (const [alias, target] of this.aliases) {
+      if (target === from.id) this.aliases.set(alias, into.id);
+    }
+    this.aliases.set(from.id, into.id);
+    this.people.delete(from.id);
+  }
+
+  get size() {
+    return this.people.size;
+  }
+
+  // Person by id, following merges; a bare number means a card in the root database
+  get(identifier) {
+    const id = typeof identifier === 'number' ? personId('', identifier) : parsePersonId(identifier);
+    if (id === null) return null;
+    return this.people.get(id) || this.people.get(this.aliases.get(id)) || null;
+  }
+
+  // region overrides the default for handles that carry their own (handle.country)
+  findByHandle(handleId, region = this.region) {
+    const key = handleMatchKey(handleId, region);
+    return key ? this.byHandle.get(key) || null : null;
+  }
+
+  // Case-insensitive substring match on full name, nickname or organization
+  findByName(name) {
+    const needle = String(name || '').trim().toLowerCase();
+    if (!needle) return [];
+    return [...this.people.values()]
+      .filter(person => person.names.some(n => n.includes(needle)))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+}
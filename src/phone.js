@@ -0,0 +1,137 @@
+/**
+ * Phone number normalization to E.164 ("+<country code><national number>").
+ *
+ * chat.db stores handles mostly as E.164 but older SMS handles and AddressBook
+ * cards hold whatever was typed ("(555) 123-4567", "07700 900123", "0049 30 1234567").
+ * Numbers without a country code are read in a default region. Matching on the
+ * normalized form replaces substring matching on digits, which confused short
+ * queries with unrelated numbers and missed international formats.
+ */
+
+export const DEFAULT_REGION = 'US';
+
+// Country calling code, trunk prefix dialled before national numbers (if any),
+// and the international call prefix for each supported default region
+export const REGIONS = {
+  US: { code: '1', trunk: '1', intl: '011' },
+  CA: { code: '1', trunk: '1', intl: '011' },
+  GB: { code: '44', trunk: '0', intl: '00' },
+  IE: { code: '353', trunk: '0', intl: '00' },
+  AU: { code: '61', trunk: '0', intl: '0011' },
+  NZ: { code: '64', trunk: '0', intl: '00' },
+  DE: { code: '49', trunk: '0', intl: '00' },
+  AT: { code: '43', trunk: '0', intl: '00' },
+  CH: { code: '41', trunk: '0', intl: '00' },
+  FR: { code: '33', trunk: '0', intl: '00' },
+  BE: { code: '32', trunk: '0', intl: '00' },
+  NL: { code: '31', trunk: '0', intl: '00' },
+  IT: { code: '39', trunk: null, intl: '00' },
+  ES: { code: '34', trunk: null, intl: '00' },
+  PT: { code: '351', trunk: null, intl: '00' },
+  SE: { code: '46', trunk: '0', intl: '00' },
+  NO: { code: '47', trunk: null, intl: '00' },
+  DK: { code: '45', trunk: null, intl: '00' },
+  FI: { code: '358', trunk: '0', intl: '00' },
+  PL: { code: '48', trunk: null, intl: '00' },
+  IL: { code: '972', trunk: '0', intl: '00' },
+  AE: { code: '971', trunk: '0', intl: '00' },
+  IN: { code: '91', trunk: '0', intl: '00' },
+  SG: { code: '65', trunk: null, intl: '000' },
+  HK: { code: '852', trunk: null, intl: '001' },
+  JP: { code: '81', trunk: '0', intl: '010' },
+  KR: { code: '82', trunk: '0', intl: '001' },
+  CN: { code: '86', trunk: '0', intl: '00' },
+  PH: { code: '63', trunk: '0', intl: '00' },
+  BR: { code: '55', trunk: '0', intl: '00' },
+  MX: { code: '52', trunk: null, intl: '00' },
+  ZA: { code: '27', trunk: '0', intl: '00' },
+};
+
+// Every country calling code is 1-3 digits; these are the ones formatPhone can split off
+const COUNTRY_CODES = new Set(Object.values(REGIONS).map(r => r.code));
+
+// E.164 allows at most 15 digits; anything under 8 is a short code or a fragment
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+export function isEmail(value) {
+  return typeof value === 'string' && value.includes('@');
+}
+
+export function regionInfo(region) {
+  return REGIONS[String(region || '').toUpperCase()] || null;
+}
+
+// E.164 form of a phone number, or null when it is not a full number
+// (emails, SMS short codes, partial numbers)
+export function normalizePhone(value, region = DEFAULT_REGION) {
+  if (value === null || value === undefined || isEmail(String(value))) return null;
+  // Drop extensions ("x123", "ext. 4") before collecting digits, and the "(0)" trunk hint in "+44 (0)20 ..."
+  const text = String(value).trim()
+    .replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '')
+    .replace(/^(\+\d{1,3})\s*\(0\)/, '$1');
+  if (/[a-z]/i.test(text)) return null;
+
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return null;
+
+  const info = regionInfo(region) || REGIONS[DEFAULT_REGION];
+  let international;
+  if (text.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith(info.intl)) {
+    international = digits.slice(info.intl.length);
+  } else if (info.intl !== '00' && digits.startsWith('00')) {
+    // 00 is understood as the international prefix almost everywhere
+    international = digits.slice(2);
+  } else {
+    if (info.code === '1') {
+      // NANP: 10-digit national numbers, optionally with the leading 1
+      if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+      if (digits.length !== 10) return null;
+    } else if (info.trunk && digits.startsWith(info.trunk)) {
+      digits = digits.slice(info.trunk.length);
+    }
+    international = info.code + digits;
+  }
+
+  if (international.length < MIN_DIGITS || international.length > MAX_DIGITS) return null;
+  return `+${international}`;
+}
+
+// Key used to compare handles, AddressBook entries and queries: E.164 for phone numbers,
+// lowercased address for emails, bare digits for short codes. null when there is nothing to match.
+export function handleMatchKey(value, region = DEFAULT_REGION) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (isEmail(text)) return `e:${text.toLowerCase()}`;
+  const e164 = normalizePhone(text, region);
+  if (e164) return `p:${e164}`;
+  const digits = text.replace(/\D/g, '');
+  return /^[\d\s()+\-.]+$/.test(text) && digits ? `s:${digits}` : null;
+}
+
+// Human-readable phone number: national style for numbers in the default region,
+// "+<code> <national number>" otherwise. Unparseable input is returned unchanged.
+export function formatPhone(value, region = DEFAULT_REGION) {
+  const e164 = normalizePhone(value, region);
+  if (!e164) return value;
+
+  const info = regionInfo(region) || REGIONS[DEFAULT_REGION];
+  const digits = e164.slice(1);
+
+  if (digits.startsWith('1') && digits.length === 11) {
+    const national = `(${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
+    return info.code === '1' ? national : `+1 ${national}`;
+  }
+
+  let code = null;
+  for (let length = 1; length <= 3 && !code; length++) {
+    if (COUNTRY_CODES.has(digits.slice(0, length))) code = digits.slice(0, length);
+  }
+  if (!code) return e164;
+
+  const national = digits.slice(code.length);
+  if (code === info.code) return `${info.trunk || ''}${national}`;
+  return `+${code} ${national}`;
+}
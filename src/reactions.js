@@ -0,0 +1,85 @@
+/**
+ * Tapback (reaction) handling.
+ *
+ * Reactions are stored as their own message rows with associated_message_type
+ * 2000-2007 (added) or 3000-3007 (removed) and associated_message_guid pointing
+ * at the target message as "p:<part>/<guid>" or "bp:<guid>".
+ */
+
+export const REACTION_TYPES = {
+  0: 'loved',
+  1: 'liked',
+  2: 'disliked',
+  3: 'laughed',
+  4: 'emphasized',
+  5: 'questioned',
+  6: 'emoji',
+  7: 'sticker',
+};
+
+export function isReaction(associatedMessageType) {
+  return associatedMessageType >= 2000 && associatedMessageType <= 3999;
+}
+
+export function isReactionRemoval(associatedMessageType) {
+  return associatedMessageType >= 3000 && associatedMessageType <= 3999;
+}
+
+export function reactionName(associatedMessageType) {
+  return REACTION_TYPES[associatedMessageType % 1000] || `reaction_${associatedMessageType % 1000}`;
+}
+
+// GUID of the message a reaction targets, without the part prefix
+export function reactionTargetGuid(associatedMessageGuid) {
+  if (!associatedMessageGuid) return null;
+  const slash = associatedMessageGuid.indexOf('/');
+  if (slash !== -1) return associatedMessageGuid.slice(slash + 1);
+  if (associatedMessageGuid.startsWith('bp:')) return associatedMessageGuid.slice(3);
+  return associatedMessageGuid;
+}
+
+// Replay reaction rows (oldest first) into the reactions still standing on each target.
+// A sender holds at most one tapback per message, so a new one replaces the previous,
+// and a removal (3xxx) clears the matching add (2xxx).
+// Rows need: associated_message_type, associated_message_guid, sender_key, date;
+// the returned entries keep the whole row so callers can shape them.
+export function foldReactions(rows) {
+  const ordered = [...rows].sort((a, b) => a.date - b.date);
+  const byTarget = new Map();
+
+  for (const row of ordered) {
+    const target = reactionTargetGuid(row.associated_message_guid);
+    if (!target) continue;
+    if (!byTarget.has(target)) byTarget.set(target, new Map());
+    const standing = byTarget.get(target);
+
+    if (isReactionRemoval(row.associated_message_type)) {
+      const current = standing.get(row.sender_key);
+      if (current && current.associated_message_type % 1000 === row.associated_message_type % 1000) {
+        standing.delete(row.sender_key);
+      }
+    } else {
+      standing.set(row.sender_key, row);
+    }
+  }
+
+  const result = new Map();
+  for (const [target, standing] of byTarget) {
+    if (standing.size > 0) result.set(target, [...standing.values()]);
+  }
+  return result;
+}
+
+// SQL condition excluding reaction rows from a timeline or count
+export function excludeReactionsSql(alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `IFNULL(${col}associated_message_type, 0) NOT BETWEEN 2000 AND 3999`;
+}
+
+// SQL expression equivalent to reactionTargetGuid(), for matching reactions to targets in a query
+export function reactionTargetSql(alias = '') {
+  const col = `${alias ? `${alias}.` : ''}associated_message_guid`;
+  return `(CASE WHEN instr(${col}, '/') > 0 THEN substr(${col}, instr(${col}, '/') + 1)
+            WHEN ${col} LIKE 'bp:%' THEN substr(${col}, 4)
+            ELSE ${col} END)`;
+}
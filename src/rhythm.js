@@ -0,0 +1,101 @@
+/**
+ * When a conversation happens: hour-of-day by weekday heatmaps, late-night share,
+ * and the longest runs of days with and without messages, all in a local time zone
+ * (the computer's own unless another IANA zone is given).
+ *
+ * Functions take messages as { speaker, date_key } (Apple nanoseconds as text, see
+ * time.js), in any order.
+ */
+
+import { WEEKDAYS, groupBy, localTime, messageTime, systemTimeZone } from './time.js';
+
+// Late night runs from LATE_NIGHT_START:00 to LATE_NIGHT_END:00 local time
+export const LATE_NIGHT_START = 23;
+export const LATE_NIGHT_END = 5;
+
+// Heatmap cells from no messages ('.') to the busiest hour ('@')
+const SHADES = '.:-=+*#%@';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isLateNight = hour => hour >= LATE_NIGHT_START || hour < LATE_NIGHT_END;
+
+const dayNumber = date => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+const dateOf = number => new Date(number * DAY_MS).toISOString().slice(0, 10);
+
+// Longest run of consecutive active days and longest run of silent days between the first
+// and last active day, from sorted distinct 'YYYY-MM-DD' dates
+function streaks(dates) {
+  if (dates.length === 0) return { active_days: 0, longest_streak: null, longest_gap: null };
+  const days = dates.map(dayNumber);
+  let streak = { days: 1, from: days[0], to: days[0] };
+  let longest = streak;
+  let gap = null;
+  for (let i = 1; i < days.length; i++) {
+    const silent = days[i] - days[i - 1] - 1;
+    if (silent === 0) {
+      streak = { ...streak, days: streak.days + 1, to: days[i] };
+    } else {
+      if (!gap || silent > gap.days) gap = { days: silent, from: days[i - 1] + 1, to: days[i] - 1 };
+      streak = { days: 1, from: days[i], to: days[i] };
+    }
+    if (streak.days > longest.days) longest = streak;
+  }
+  const span = range => range && { days: range.days, from: dateOf(range.from), to: dateOf(range.to) };
+  return { active_days: days.length, longest_streak: span(longest), longest_gap: span(gap) };
+}
+
+// Heatmap, totals, late-night share and streaks of one set of local times
+function summarize(times) {
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  let lateNight = 0;
+  for (const { weekday, hour } of times) {
+    heatmap[weekday][hour]++;
+    if (isLateNight(hour)) lateNight++;
+  }
+
+  let peak = null;
+  heatmap.forEach((hours, weekday) => hours.forEach((count, hour) => {
+    if (count > 0 && (!peak || count > peak.messages)) peak = { weekday: WEEKDAYS[weekday], hour, messages: count };
+  }));
+
+  return {
+    messages: times.length,
+    heatmap,
+    by_weekday: Object.fromEntries(WEEKDAYS.map((day, i) => [day, heatmap[i].reduce((sum, count) => sum + count, 0)])),
+    by_hour: heatmap[0].map((_, hour) => heatmap.reduce((sum, hours) => sum + hours[hour], 0)),
+    peak,
+    late_night_messages: lateNight,
+    late_night_ratio: times.length > 0 ? Number((lateNight / times.length).toFixed(3)) : 0,
+    ...streaks([...new Set(times.map(t => t.date))].sort()),
+  };
+}
+
+/**
+ * Activity rhythm of a conversation in timeZone: heatmap[weekday][hour] message counts
+ * (weekday 0 = Monday), totals by weekday and hour, the busiest hour, the late-night share
+ * and the longest daily streak and gap, for the whole conversation and per participant.
+ */
+export function activityRhythm(messages, { timeZone = systemTimeZone() } = {}) {
+  const toLocal = localTime(timeZone);
+  const times = messages.map(message => ({ speaker: message.speaker, ...toLocal(messageTime(message)) }));
+  return {
+    time_zone: timeZone,
+    late_night_hours: `${String(LATE_NIGHT_START).padStart(2, '0')}:00-${String(LATE_NIGHT_END).padStart(2, '0')}:00`,
+    ...summarize(times),
+    participants: [...groupBy(times, t => t.speaker)]
+      .map(([participant, own]) => ({ participant, ...summarize(own) }))
+      .sort((a, b) => b.messages - a.messages),
+  };
+}
+
+/**
+ * A heatmap as text: one row per weekday, one column per hour, shaded from '.' (none)
+ * to '@' (the busiest hour of this heatmap).
+ */
+export function asciiHeatmap(heatmap) {
+  const max = Math.max(0, ...heatmap.flat());
+  const shade = count => SHADES[Math.ceil((count / (max || 1)) * (SHADES.length - 1))];
+  const header = `    ${'0'.padEnd(6)}${'6'.padEnd(6)}${'12'.padEnd(6)}${'18'.padEnd(5)}23`;
+  return [header, ...heatmap.map((hours, weekday) => `${WEEKDAYS[weekday]} ${hours.map(shade).join('')}`)].join('\n');
+}
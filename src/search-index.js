@@ -0,0 +1,252 @@
+/**
+ * Sidecar full-text index over chat.db.
+ *
+ * chat.db is only ever opened read-only, so message text (including decoded
+ * attributedBody) is copied into a separate SQLite file with an FTS5 table.
+ * The index is brought up to date incrementally from the last indexed ROWID
+ * before every search, and rebuilt when the source database is replaced.
+ * Messages edited or unsent since the last update are indexed again, so
+ * searches never find text its sender took back.
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs';
+
+const SCHEMA_VERSION = '1';
+const BATCH_SIZE = 2000;
+
+export class SearchIndex {
+  constructor(indexPath) {
+    this.indexPath = indexPath;
+    this.db = null;
+    this.updating = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    this.db = await open({
+      filename: this.indexPath,
+      driver: sqlite3.Database,
+      mode: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
+    });
+    // The index holds message text, keep it private to the user
+    fs.chmodSync(this.indexPath, 0o600);
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+      CREATE TABLE IF NOT EXISTS messages (
+        rowid INTEGER PRIMARY KEY,
+        guid TEXT,
+        chat_id INTEGER,
+        handle_id INTEGER,
+        handle TEXT,
+        is_from_me INTEGER,
+        date INTEGER,
+        text TEXT
+      );
+      CREATE INDEX IF NOT EXISTS messages_date ON messages(date);
+      CREATE INDEX IF NOT EXISTS messages_chat ON messages(chat_id);
+      CREATE INDEX IF NOT EXISTS messages_handle ON messages(handle_id);
+      CREATE VIRTUAL TABLE IF NOT EXISTS message_fts USING fts5(
+        text,
+        content='messages',
+        content_rowid='rowid',
+        tokenize='unicode61 remove_diacritics 2'
+      );
+    `);
+    return this.db;
+  }
+
+  async close() {
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+    }
+  }
+
+  async getMeta(key) {
+    const row = await this.db.get(`SELECT value FROM meta WHERE key = ?`, [key]);
+    return row ? row.value : null;
+  }
+
+  async setMeta(key, value) {
+    await this.db.run(
+      `INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+      [key, String(value)]
+    );
+  }
+
+  async clear() {
+    await this.db.exec(`
+      DELETE FROM messages;
+      INSERT INTO message_fts(message_fts) VALUES ('delete-all');
+      DELETE FROM meta;
+    `);
+  }
+
+  async insert(row) {
+    await this.db.run(
+      `INSERT INTO messages (rowid, guid, chat_id, handle_id, handle, is_from_me, date, text)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.ROWID, row.guid, row.chat_id, row.handle_id, row.handle, row.is_from_me, row.date, row.text]
+    );
+    await this.db.run(`INSERT INTO message_fts(rowid, text) VALUES (?, ?)`, [row.ROWID, row.text]);
+  }
+
+  // Drop a message from the index; the FTS table needs the text it was indexed with
+  async remove(rowid) {
+    const indexed = await this.db.get(`SELECT text FROM messages WHERE rowid = ?`, [rowid]);
+    if (!indexed) return;
+    await this.db.run(`INSERT INTO message_fts(message_fts, rowid, text) VALUES ('delete', ?, ?)`, [rowid, indexed.text]);
+    await this.db.run(`DELETE FROM messages WHERE rowid = ?`, [rowid]);
+  }
+
+  // Index messages newer than the last indexed ROWID. fetchRows(afterRowid, batchSize)
+  // returns decoded rows { ROWID, guid, chat_id, handle_id, handle, is_from_me, date, text }
+  // in ascending ROWID order; sourceMaxRowid detects a replaced or truncated chat.db.
+  // fetchChanged(sinceChange, upToRowid) returns the same rows, each with changed (its
+  // latest edit or unsend as Apple nanoseconds in text), for messages up to upToRowid
+  // edited or unsent after sinceChange; their text (null once unsent) replaces the indexed one.
+  async update(sourceKey, sourceMaxRowid, fetchRows, fetchChanged = null) {
+    if (this.updating) return this.updating;
+
+    this.updating = (async () => {
+      await this.open();
+
+      const lastRowid = Number(await this.getMeta('last_rowid') || 0);
+      const needsRebuild = (await this.getMeta('schema_version')) !== SCHEMA_VERSION ||
+        (await this.getMeta('source')) !== sourceKey ||
+        sourceMaxRowid < lastRowid;
+
+      let cursor = lastRowid;
+      let refreshed = 0;
+      if (needsRebuild) {
+        console.error('Search index: rebuilding from scratch');
+        await this.clear();
+        await this.setMeta('schema_version', SCHEMA_VERSION);
+        await this.setMeta('source', sourceKey);
+        cursor = 0;
+      }
+
+      // Before new messages, so the change mark only covers what was indexed earlier
+      if (fetchChanged && cursor > 0) {
+        const lastChange = await this.getMeta('last_change') || '0';
+        const changed = await fetchChanged(lastChange, cursor);
+        if (changed.length > 0) {
+          await this.db.exec('BEGIN');
+          try {
+            let mark = BigInt(lastChange);
+            for (const row of changed) {
+              await this.remove(row.ROWID);
+              if (row.text) await this.insert(row);
+              if (BigInt(row.changed) > mark) mark = BigInt(row.changed);
+              refreshed++;
+            }
+            await this.setMeta('last_change', mark);
+            await this.db.exec('COMMIT');
+          } catch (error) {
+            await this.db.exec('ROLLBACK');
+            throw error;
+          }
+        }
+      }
+
+      let indexed = 0;
+      for (;;) {
+        const rows = await fetchRows(cursor, BATCH_SIZE);
+        if (rows.length === 0) break;
+
+        await this.db.exec('BEGIN');
+        try {
+          for (const row of rows) {
+            if (!row.text) continue;
+            await this.insert(row);
+            indexed++;
+          }
+          cursor = rows[rows.length - 1].ROWID;
+          await this.setMeta('last_rowid', cursor);
+          await this.db.exec('COMMIT');
+        } catch (error) {
+          await this.db.exec('ROLLBACK');
+          throw error;
+        }
+      }
+
+      if (indexed > 0) console.error(`Search index: added ${indexed} messages (last ROWID ${cursor})`);
+      if (refreshed > 0) console.error(`Search index: refreshed ${refreshed} edited or unsent messages`);
+      return { indexed, refreshed, last_rowid: cursor, rebuilt: needsRebuild };
+    })();
+
+    try {
+      return await this.updating;
+    } finally {
+      this.updating = null;
+    }
+  }
+
+  // Run an FTS5 query. filters: { since, until, chatId, handleIds } with dates as Apple timestamps
+  async search(query, filters = {}, limit = 20, offset = 0) {
+    await this.open();
+
+    const conditions = ['message_fts MATCH ?'];
+    const params = [query];
+    if (filters.since !== undefined) {
+      conditions.push('m.date > ?');
+      params.push(filters.since);
+    }
+    if (filters.until !== undefined) {
+      conditions.push('m.date < ?');
+      params.push(filters.until);
+    }
+    if (filters.chatId !== undefined) {
+      conditions.push('m.chat_id = ?');
+      params.push(filters.chatId);
+    }
+    if (filters.handleIds) {
+      conditions.push(`m.handle_id IN (${filters.handleIds.map(() => '?').join(',')})`);
+      params.push(...filters.handleIds);
+    }
+    const where = conditions.join(' AND ');
+
+    const { total } = await this.db.get(
+      `SELECT COUNT(*) as total FROM message_fts JOIN messages m ON m.rowid = message_fts.rowid WHERE ${where}`,
+      params
+    );
+    const rows = await this.db.all(
+      `SELECT
+         m.rowid as message_id,
+         m.guid,
+         m.chat_id,
+         m.handle,
+         m.is_from_me,
+         datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch') as date_readable,
+         snippet(message_fts, 0, '**', '**', '…', 16) as snippet,
+         bm25(message_fts) as rank
+       FROM message_fts
+       JOIN messages m ON m.rowid = message_fts.rowid
+       WHERE ${where}
+       ORDER BY rank
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total, rows };
+  }
+}
+
+// FTS5 syntax errors come from unbalanced quotes or bare operators; quote every term instead
+export function toLiteralQuery(query) {
+  return query
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(term => {
+      const prefix = term.endsWith('*');
+      const bare = (prefix ? term.slice(0, -1) : term).replace(/"/g, '""');
+      return `"${bare}"${prefix ? '*' : ''}`;
+    })
+    .join(' ');
+}
@@ -0,0 +1,100 @@
+/**
+ * Word lists for the sentiment engine (sentiment.js), in the style of VADER.
+ *
+ * VALENCE rates words, emoticons and emoji from -4 (most negative) to +4 (most
+ * positive); entries are lowercase, emoji without variation selectors or skin tones.
+ * There is no stemming, so the common inflections are listed. BOOSTERS scale the
+ * word after them up (positive) or down (negative); NEGATIONS flip it.
+ */
+
+export const VALENCE = {
+  // Positive
+  'accept': 1.0, 'accepted': 1.1, 'adorable': 2.2, 'adore': 2.6, 'adored': 2.9, 'agree': 1.5, 'agreed': 1.1,
+  'alright': 1.0, 'amazing': 2.8, 'amazed': 2.2, 'appreciate': 1.7, 'appreciated': 2.3, 'awesome': 3.1,
+  'beautiful': 2.9, 'best': 3.2, 'better': 1.9, 'bless': 1.8, 'blessed': 2.9, 'brave': 2.4, 'brilliant': 2.8,
+  'calm': 1.3, 'care': 2.2, 'cared': 1.8, 'caring': 2.2, 'celebrate': 2.7, 'charming': 2.8, 'cheer': 2.3,
+  'cheerful': 2.5, 'cheers': 2.1, 'clever': 2.0, 'comfort': 1.5, 'congrats': 2.4, 'congratulations': 2.9,
+  'cool': 1.3, 'cute': 2.0, 'delight': 2.9, 'delighted': 3.1, 'delightful': 2.8, 'easy': 1.9, 'enjoy': 2.2,
+  'enjoyed': 2.3, 'excellent': 2.7, 'excited': 1.4, 'exciting': 2.2, 'fabulous': 2.4, 'fantastic': 2.6,
+  'fav': 2.0, 'favorite': 2.0, 'favourite': 2.0, 'fine': 0.8, 'forgive': 1.1, 'forgiven': 1.6, 'free': 2.3,
+  'friend': 2.2, 'friendly': 2.2, 'fun': 2.3, 'funny': 1.9, 'generous': 2.3, 'gentle': 1.9, 'glad': 2.0,
+  'good': 1.9, 'gorgeous': 3.0, 'grateful': 2.0, 'great': 3.1, 'happier': 2.4, 'happiest': 3.2, 'happy': 2.7,
+  'haha': 2.0, 'hahaha': 2.6, 'heartwarming': 2.8, 'hehe': 1.4, 'helpful': 1.8, 'hope': 1.9, 'hopeful': 1.8,
+  'hug': 2.1, 'hugs': 2.2, 'impressed': 2.1, 'impressive': 2.3, 'incredible': 2.4, 'kind': 2.4, 'kindness': 2.6,
+  'kiss': 1.8, 'kisses': 2.3, 'laugh': 2.6, 'laughing': 2.2, 'liked': 1.8, 'lmao': 2.0, 'lol': 1.8,
+  'love': 3.2, 'loved': 2.9, 'lovely': 2.8, 'loves': 2.7, 'loving': 2.9, 'lucky': 1.8, 'marvelous': 2.9,
+  'nice': 1.8, 'ok': 1.2, 'okay': 0.9, 'peace': 2.5, 'perfect': 2.7, 'pleasant': 2.3,
+  'please': 1.3, 'pleased': 1.9, 'proud': 2.1, 'relax': 1.9, 'relaxed': 2.2, 'relief': 2.1,
+  'relieved': 1.6, 'respect': 2.1, 'rofl': 2.7, 'safe': 1.9, 'smart': 1.7, 'smile': 1.5, 'smiling': 2.1,
+  'sorry': -0.3, 'special': 1.7, 'splendid': 2.8, 'success': 2.7, 'support': 1.7,
+  'supportive': 1.2, 'sure': 1.3, 'sweet': 2.0, 'sweetheart': 3.3, 'terrific': 2.1, 'thank': 1.5,
+  'thanks': 1.9, 'thankful': 2.7, 'thx': 1.5, 'trust': 2.3, 'welcome': 2.0, 'win': 2.8, 'wonderful': 2.7,
+  'wow': 2.8, 'yay': 2.4, 'yes': 1.7, 'yummy': 2.4,
+
+  // Negative
+  'abandon': -1.9, 'abandoned': -2.0, 'abuse': -3.2, 'abused': -2.3, 'abusive': -3.2, 'afraid': -2.2,
+  'aggressive': -0.6, 'agony': -1.8, 'alone': -1.0, 'annoy': -1.9, 'annoyed': -1.6, 'annoying': -1.7,
+  'angry': -2.3, 'anger': -2.7, 'angrier': -2.3, 'anxious': -1.0, 'apathetic': -1.2, 'argue': -1.4,
+  'argument': -1.5, 'arrogant': -2.2, 'ashamed': -2.1, 'asshole': -2.5, 'attack': -2.1, 'attacked': -2.0,
+  'attacking': -2.1, 'awful': -2.0, 'bad': -2.5, 'betray': -3.2, 'betrayed': -3.0, 'bitch': -2.8,
+  'bitter': -1.8, 'blame': -1.4, 'blamed': -2.1, 'bored': -1.1, 'boring': -1.3, 'bother': -1.4,
+  'bothered': -1.2, 'broke': -1.8, 'broken': -2.1, 'bs': -1.6, 'bullshit': -2.8, 'careless': -1.5,
+  'cheat': -2.0, 'cheated': -1.9, 'cheater': -2.5, 'crap': -1.6, 'crazy': -1.4, 'creep': -1.5,
+  'cried': -1.6, 'cruel': -2.8, 'cry': -2.1, 'crying': -2.1, 'damn': -1.7, 'damned': -1.6, 'dead': -3.3,
+  'depressed': -2.3, 'depressing': -1.6, 'despise': -1.4, 'destroy': -2.5, 'destroyed': -3.4,
+  'difficult': -1.5, 'disappoint': -2.3, 'disappointed': -1.9, 'disappointing': -2.2, 'disgust': -2.9,
+  'disgusted': -2.4, 'disgusting': -2.4, 'dislike': -1.6, 'dumb': -2.3, 'embarrassed': -1.5, 'evil': -3.4,
+  'exhausted': -1.5, 'fail': -2.5, 'failed': -2.3, 'failure': -2.3, 'fake': -2.1, 'fault': -1.7,
+  'fear': -2.2, 'fight': -1.6, 'fighting': -1.5, 'frustrated': -2.4, 'frustrating': -1.9,
+  'frustration': -2.1, 'fuck': -2.5, 'fucked': -3.4, 'fucking': -1.8, 'furious': -2.7, 'gross': -2.1,
+  'guilty': -1.8, 'harm': -2.5, 'hate': -2.7, 'hated': -3.2, 'hateful': -2.2, 'hates': -1.9,
+  'hating': -2.3, 'hatred': -3.2, 'hell': -3.6, 'helpless': -2.0, 'hopeless': -2.0, 'horrible': -2.5,
+  'hostile': -1.6, 'humiliated': -2.6, 'hurt': -2.4, 'hurting': -1.7, 'hurts': -2.1, 'idiot': -2.3,
+  'idiots': -2.6, 'ignore': -1.5, 'ignored': -1.3, 'ignoring': -1.7, 'insult': -2.3, 'insulted': -2.3,
+  'irritated': -2.0, 'irritating': -2.0, 'jealous': -2.0, 'jerk': -2.2, 'kill': -3.7, 'lazy': -1.5,
+  'liar': -2.8, 'lie': -1.6, 'lied': -1.6, 'lies': -1.8, 'lonely': -1.5, 'lose': -1.7, 'loser': -2.4,
+  'lost': -1.3, 'mad': -2.2, 'mess': -1.5, 'miserable': -2.2, 'moron': -2.2, 'nasty': -2.6,
+  'nervous': -1.1, 'pain': -2.3, 'painful': -1.9, 'pathetic': -2.3, 'pissed': -3.2, 'problem': -1.7,
+  'problems': -1.7, 'rage': -2.6, 'rude': -2.0, 'ruin': -2.8, 'ruined': -2.4, 'sad': -2.1, 'scared': -1.9,
+  'selfish': -2.1, 'shame': -2.1, 'shit': -2.6, 'shitty': -2.5, 'shut': -0.8, 'sick': -2.3, 'sob': -1.0,
+  'stress': -1.8, 'stressed': -1.4, 'stupid': -2.4, 'suck': -1.9, 'sucks': -1.5, 'suffer': -2.5,
+  'terrible': -2.1, 'threat': -2.4, 'threaten': -2.5, 'tired': -1.9, 'toxic': -2.3, 'trouble': -1.7,
+  'ugly': -2.3, 'unfair': -2.1, 'unhappy': -1.8, 'upset': -1.6, 'useless': -1.8, 'violent': -2.9,
+  'waste': -1.8, 'weak': -1.9, 'weird': -0.7, 'whatever': -0.5, 'worried': -1.2, 'worry': -1.9,
+  'worse': -2.1, 'worst': -3.1, 'worthless': -1.9, 'wrong': -2.1, 'wtf': -2.8, 'yell': -1.8,
+  'yelled': -1.7, 'yelling': -1.6, 'ugh': -1.8, 'smh': -1.3,
+
+  // Emoticons
+  ':)': 2.0, ':-)': 1.3, ':d': 2.3, ':-d': 2.3, ';)': 0.9, ';-)': 1.0, ':p': 1.0, ':-p': 1.5, 'xd': 2.0,
+  '<3': 1.9, ':(': -1.9, ':-(': -1.5, ":'(": -2.2, ':/': -1.4, ':-/': -1.2, '>:(': -1.6, '</3': -3.0,
+
+  // Emoji
+  '😀': 2.0, '😁': 2.0, '😂': 2.2, '🤣': 2.4, '😃': 2.1, '😄': 2.2, '😅': 1.0, '😆': 1.9, '😉': 1.2,
+  '😊': 2.3, '😍': 3.0, '🥰': 3.0, '😘': 2.5, '🙂': 1.2, '🤗': 2.1, '😎': 1.5, '👍': 1.6, '👏': 1.8,
+  '🙏': 1.4, '🎉': 2.4, '❤': 2.9, '💕': 2.8, '💖': 2.8, '💯': 1.8, '😇': 2.1, '🥳': 2.6, '✨': 1.2,
+  '😐': -0.3, '🙄': -1.4, '😒': -1.6, '😔': -1.7, '😕': -1.2, '🙁': -1.5, '☹': -1.8, '😞': -2.0,
+  '😟': -1.7, '😢': -2.2, '😭': -2.2, '😩': -2.0, '😫': -2.0, '😤': -1.9, '😠': -2.5, '😡': -2.9,
+  '🤬': -3.2, '💔': -2.7, '👎': -1.8, '🖕': -3.1, '😱': -1.6, '😰': -1.7, '😨': -1.8, '🤮': -2.3,
+};
+
+export const BOOSTER_INCREMENT = 0.293;
+export const BOOSTER_DECREMENT = -0.293;
+
+export const BOOSTERS = Object.fromEntries([
+  ...['absolutely', 'amazingly', 'awfully', 'completely', 'considerably', 'deeply', 'effing', 'enormously',
+    'entirely', 'especially', 'exceptionally', 'extremely', 'fabulously', 'freaking', 'fricking', 'friggin',
+    'fully', 'greatly', 'hella', 'highly', 'hugely', 'incredibly', 'intensely', 'majorly', 'more', 'most',
+    'particularly', 'purely', 'quite', 'really', 'remarkably', 'so', 'soo', 'sooo', 'substantially',
+    'super', 'thoroughly', 'totally', 'tremendously', 'unbelievably', 'unusually', 'utterly', 'very']
+    .map(word => [word, BOOSTER_INCREMENT]),
+  ...['almost', 'barely', 'hardly', 'kinda', 'less', 'little', 'marginally', 'occasionally', 'partly',
+    'scarcely', 'slightly', 'somewhat', 'sorta']
+    .map(word => [word, BOOSTER_DECREMENT]),
+]);
+
+export const NEGATIONS = new Set([
+  'aint', 'arent', 'cannot', 'cant', 'couldnt', 'darent', 'didnt', 'doesnt', 'dont', 'hadnt', 'hasnt',
+  'havent', 'isnt', 'mightnt', 'mustnt', 'neednt', 'neither', 'never', 'none', 'nope', 'nor', 'not',
+  'nothing', 'nowhere', 'oughtnt', 'shant', 'shouldnt', 'wasnt', 'werent', 'without', 'wont', 'wouldnt',
+  'rarely', 'seldom', 'despite',
+]);
@@ -0,0 +1,179 @@
+/**
+ * Local sentiment scoring in the spirit of VADER (Hutto & Gilbert, 2014): a rated
+ * lexicon (sentiment-lexicon.js) applied to word-boundary tokens, with the rules
+ * that make it work on short informal text:
+ *
+ * - negation: "not", "never", "don't", ... up to three words before flips and damps a word
+ * - intensifiers: "very", "so", "slightly", ... before a word scale it up or down
+ * - emphasis: a word in ALL CAPS among lowercase words, and "!" / "??" at the end
+ * - contrast: after "but" words count more, before it less
+ * - emoji and emoticons are rated like words
+ *
+ * scoreText() returns a compound score from -1 (most negative) to +1, the share of
+ * positive, negative and neutral words, and the rated terms with their final valence.
+ */
+
+import { VALENCE, BOOSTERS, NEGATIONS } from './sentiment-lexicon.js';
+
+// Compound scores within this distance of 0 are neutral
+export const NEUTRAL_THRESHOLD = 0.05;
+
+// Compound scores at or below this are strongly negative: hostile, for the escalation view
+export const HOSTILE_THRESHOLD = -0.5;
+
+const CAPS_INCREMENT = 0.733;
+const NEGATION_SCALAR = -0.74;
+const NORMALIZE_ALPHA = 15;
+const EXCLAMATION_INCREMENT = 0.292;
+const QUESTION_INCREMENT = 0.18;
+
+const EMOJI = /\p{Extended_Pictographic}[\uFE0F\u{1F3FB}-\u{1F3FF}]*/gu;
+const EMOJI_MODIFIERS = /[\uFE0F\u{1F3FB}-\u{1F3FF}]/gu;
+const WORD_EDGES = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+// A negation followed by one of these is an idiom, not a negation: "can't wait", "not only"
+const IDIOM_AFTER_NEGATION = new Set(['wait', 'only']);
+
+const round = (value, places = 4) => Number(value.toFixed(places));
+
+/**
+ * Tokens of a message as [{ word, key }]: words stripped of surrounding punctuation,
+ * emoticons kept whole, emoji split off the words they are typed against. key is the
+ * lowercase lexicon key ("can’t" -> "can't", "❤️" -> "❤").
+ */
+export function tokenize(text) {
+  const tokens = [];
+  const spaced = String(text || '').replace(/[‘’]/g, "'").replace(EMOJI, ' $& ');
+  for (const raw of spaced.split(/\s+/)) {
+    if (!raw) continue;
+    const lower = raw.toLowerCase();
+    if (/^\p{Extended_Pictographic}/u.test(raw)) {
+      tokens.push({ word: raw, key: raw.replace(EMOJI_MODIFIERS, '') });
+    } else if (VALENCE[lower] !== undefined && !/^[\p{L}\p{N}']+$/u.test(raw)) {
+      tokens.push({ word: raw, key: lower });
+    } else {
+      const word = raw.replace(WORD_EDGES, '');
+      if (word) tokens.push({ word, key: word.toLowerCase() });
+    }
+  }
+  return tokens;
+}
+
+function isShouting(word) {
+  return word.length > 1 && /\p{L}/u.test(word) && word === word.toUpperCase();
+}
+
+function isNegation(key) {
+  return NEGATIONS.has(key.replace(/'/g, '')) || key.endsWith("n't");
+}
+
+// Intensifier effect of the word before a rated word, signed to follow its valence
+function boost(token, valence, capsDiffer) {
+  let scalar = BOOSTERS[token.key] || 0;
+  if (scalar === 0) return 0;
+  if (valence < 0) scalar = -scalar;
+  if (capsDiffer && isShouting(token.word)) scalar += valence > 0 ? CAPS_INCREMENT : -CAPS_INCREMENT;
+  return scalar;
+}
+
+function valenceAt(tokens, i, capsDiffer, lexicon) {
+  const token = tokens[i];
+  let valence = lexicon[token.key];
+  if (valence === undefined || BOOSTERS[token.key] !== undefined) return 0;
+  // "kind of" is a hedge, not kindness
+  if (token.key === 'kind' && tokens[i + 1]?.key === 'of') return 0;
+
+  if (capsDiffer && isShouting(token.word)) valence += valence > 0 ? CAPS_INCREMENT : -CAPS_INCREMENT;
+
+  // Look back up to three words: intensifiers fade with distance, any negation flips
+  for (let distance = 1; distance <= 3 && i - distance >= 0; distance++) {
+    const before = tokens[i - distance];
+    if (lexicon[before.key] !== undefined && BOOSTERS[before.key] === undefined) continue;
+    valence += boost(before, valence, capsDiffer) * [1, 0.95, 0.9][distance - 1];
+    if (isNegation(before.key) && !IDIOM_AFTER_NEGATION.has(tokens[i - distance + 1].key)) {
+      // "never so good" intensifies rather than negates
+      const emphatic = distance > 1 && before.key === 'never' && ['so', 'this'].includes(tokens[i - distance + 1].key);
+      valence *= emphatic ? 1.25 : NEGATION_SCALAR;
+    }
+  }
+  return valence;
+}
+
+function punctuationEmphasis(text) {
+  const exclamations = Math.min((text.match(/!/g) || []).length, 4);
+  const questions = (text.match(/\?/g) || []).length;
+  const questionEmphasis = questions > 3 ? 0.96 : questions > 1 ? questions * QUESTION_INCREMENT : 0;
+  return exclamations * EXCLAMATION_INCREMENT + questionEmphasis;
+}
+
+export function sentimentLabel(compound) {
+  if (compound >= NEUTRAL_THRESHOLD) return 'positive';
+  if (compound <= -NEUTRAL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Score one message: { compound, positive, negative, neutral, label, terms }, where
+ * positive/negative/neutral are shares of the text and terms lists the rated words as
+ * { term, valence } after negation, intensifiers and emphasis.
+ */
+export function scoreText(text, lexicon = VALENCE) {
+  const tokens = tokenize(text);
+  const shouting = tokens.filter(t => isShouting(t.word)).length;
+  const capsDiffer = shouting > 0 && shouting < tokens.filter(t => /\p{L}/u.test(t.word)).length;
+
+  const valences = tokens.map((_, i) => valenceAt(tokens, i, capsDiffer, lexicon));
+  const but = tokens.findIndex(t => t.key === 'but');
+  if (but !== -1) {
+    valences.forEach((valence, i) => {
+      if (i < but) valences[i] = valence * 0.5;
+      else if (i > but) valences[i] = valence * 1.5;
+    });
+  }
+
+  const terms = tokens
+    .map((token, i) => ({ term: token.key, valence: round(valences[i], 3) }))
+    .filter(term => term.valence !== 0);
+  if (terms.length === 0) {
+    return { compound: 0, positive: 0, negative: 0, neutral: tokens.length > 0 ? 1 : 0, label: 'neutral', terms };
+  }
+
+  const emphasis = punctuationEmphasis(String(text));
+  let sum = valences.reduce((total, valence) => total + valence, 0);
+  if (sum > 0) sum += emphasis;
+  else if (sum < 0) sum -= emphasis;
+  const compound = Math.max(-1, Math.min(1, sum / Math.sqrt(sum * sum + NORMALIZE_ALPHA)));
+
+  // Shares: each rated word counts its valence plus one, unrated words count one
+  let positive = 0;
+  let negative = 0;
+  let neutral = 0;
+  for (const valence of valences) {
+    if (valence > 0) positive += valence + 1;
+    else if (valence < 0) negative += valence - 1;
+    else neutral += 1;
+  }
+  if (positive > -negative) positive += emphasis;
+  else if (positive < -negative) negative -= emphasis;
+  const total = positive - negative + neutral;
+
+  return {
+    compound: round(compound),
+    positive: round(positive / total, 3),
+    negative: round(-negative / total, 3),
+    neutral: round(neutral / total, 3),
+    label: sentimentLabel(compound),
+    terms,
+  };
+}
+
+// Message count, mean compound score and count per label for a list of scores
+export function summarizeScores(scores) {
+  const summary = { messages: scores.length, average_compound: 0, positive: 0, neutral: 0, negative: 0 };
+  for (const score of scores) {
+    summary.average_compound += score.compound;
+    summary[score.label]++;
+  }
+  if (scores.length > 0) summary.average_compound = round(summary.average_compound / scores.length);
+  return summary;
+}
@@ -0,0 +1,232 @@
+/**
+ * End-to-end tests of Android SMS Backup & Restore exports: imported as a source
+ * of their own, and merged into the Mac's conversations with duplicates dropped.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { startFixtureServer } from './helpers.js';
+import { writeSmsBackup } from '../fixtures/android.js';
+import { readSmsBackup } from '../android-backup.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const BOB = '+44 7700 900123';
+const ALICE = '(555) 123-4567';
+const PHOTO = Buffer.from('fixture android photo\n');
+
+let exportDir;
+let fixture;
+let call;
+let now;
+
+// Bob moved to Android: most of his history is only in the export, and one message
+// ("Cheers from London", 2 hours ago on the Mac) is in both
+function bobExport() {
+  return [
+    { address: '00447700900123', date: now - 120 * MINUTE - 30 * 1000, type: 1, body: 'Cheers from London' },
+    { address: BOB, date: now - 10 * DAY, type: 1, body: 'Old Android message about the match' },
+    { address: BOB, date: now - 9 * DAY, type: 2, body: 'See you at the pub 🍺 & bring <cash>' },
+    { address: BOB, date: now - 9 * DAY + MINUTE, type: 3, body: 'Unsent draft' },
+    {
+      mms: true, addresses: [BOB], from: BOB, box: 1, date: now - 8 * DAY, text: 'Match photo',
+      attachments: [{ name: 'IMG_20240501.jpg', mime: 'image/jpeg', data: PHOTO }],
+    },
+    { mms: true, addresses: [BOB, ALICE], from: BOB, box: 1, date: now - 7 * DAY, text: 'Group hello from Android' },
+    { address: '+44 7700 900999', date: now - 3 * DAY, type: 1, body: 'Only ever texted your Android' },
+  ];
+}
+
+before(async () => {
+  now = Date.now();
+  exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-android-'));
+  writeSmsBackup(path.join(exportDir, 'sms-20240601000000.xml'), bobExport());
+  fs.writeFileSync(path.join(exportDir, 'calls-20240601000000.xml'), '<calls count="0"></calls>\n');
+
+  fixture = await startFixtureServer({}, { argv: ['--source', `android=${exportDir}`, '--merge', 'android'] });
+  call = fixture.call;
+});
+
+after(async () => {
+  await fixture.close();
+  fs.rmSync(exportDir, { recursive: true, force: true });
+});
+
+test('read_conversation shows one timeline across the Mac and the Android export', async () => {
+  const result = await call('read_conversation', { identifier: 'Bob', days_back: 30 });
+  assert.equal(result.conversation, 'Bob Jones');
+  assert.deepEqual(result.sources, ['default', 'android']);
+  assert.equal(result.duplicates_merged, 1);
+  assert.deepEqual(result.messages.map(m => [m.source, m.text, m.is_from_me]), [
+    ['default', 'Cheers from London', false],
+    ['default', 'Who is bringing drinks?', false],
+    ['android', 'Group hello from Android', false],
+    ['android', 'Match photo', false],
+    ['android', 'See you at the pub 🍺 & bring <cash>', true],
+    ['android', 'Old Android message about the match', false],
+  ]);
+
+  const photo = result.messages.find(m => m.text === 'Match photo').attachments[0];
+  assert.equal(photo.filename, 'IMG_20240501.jpg');
+  assert.equal(photo.kind, 'image');
+  assert.equal(photo.on_disk, true);
+  assert.deepEqual(fs.readFileSync(photo.path), PHOTO);
+});
+
+test('paging walks the merged timeline', async () => {
+  const first = await call('read_conversation', { identifier: 'Bob', days_back: 30, limit: 4 });
+  const second = await call('read_conversation', { identifier: 'Bob', days_back: 30, limit: 4, cursor: first.next_cursor });
+  assert.deepEqual([...first.messages, ...second.messages].map(m => m.text), [
+    'Cheers from London', 'Who is bringing drinks?', 'Group hello from Android', 'Match photo',
+    'See you at the pub 🍺 & bring <cash>', 'Old Android message about the match',
+  ]);
+  assert.equal(second.next_cursor, null);
+});
+
+test('paging one message at a time keeps each message once', async () => {
+  // "Cheers from London" ends the first page; its Android copy, 30 seconds older, is
+  // past the cursor and must still be dropped on the second
+  const texts = [];
+  let cursor;
+  do {
+    const page = await call('read_conversation', { identifier: 'Bob', days_back: 30, limit: 1, ...(cursor && { cursor }) });
+    texts.push(...page.messages.map(m => m.text));
+    cursor = page.next_cursor;
+  } while (cursor && texts.length < 20);
+  assert.deepEqual(texts, [
+    'Cheers from London', 'Who is bringing drinks?', 'Group hello from Android', 'Match photo',
+    'See you at the pub 🍺 & bring <cash>', 'Old Android message about the match',
+  ]);
+});
+
+test('get_conversation_stats counts each message once', async () => {
+  const result = await call('get_conversation_stats', { identifier: 'Bob', days_back: 30 });
+  assert.equal(result.handles, 2);
+  assert.equal(result.stats.total_messages, 6);
+  assert.equal(result.stats.sent_messages, 1);
+  assert.equal(result.stats.received_messages, 5);
+  assert.deepEqual(result.stats.by_source, { default: 2, android: 4 });
+  assert.equal(result.stats.duplicates_merged, 1);
+  assert.deepEqual(result.reactions.map(r => [r.participant, r.given]), [['Bob Jones', 1], ['You', 0]]);
+});
+
+test('get_conversation_stats bounds each source by a merged cursor from its own side', async () => {
+  // A default-source cursor at the instant of "Group hello from Android": the Android
+  // message sorts after the default source at that date, so it is still to come whatever
+  // the ROWIDs of the two databases
+  const page = await call('read_conversation', { identifier: 'Bob', days_back: 30, limit: 3 });
+  const position = JSON.parse(Buffer.from(page.next_cursor, 'base64url').toString());
+  assert.equal(position.s, 'android');
+  const cursor = Buffer.from(JSON.stringify({ d: position.d, r: 0, s: 'default' })).toString('base64url');
+
+  const result = await call('get_conversation_stats', { identifier: 'Bob', days_back: 30, cursor });
+  assert.equal(result.stats.total_messages, 4);
+  assert.deepEqual(result.stats.by_source, { default: 0, android: 4 });
+});
+
+test('analyze_message_sentiment scores the merged timeline a page at a time', async () => {
+  const args = { identifier: 'Bob', days_back: 30, group_by_date: false, only_negative: false };
+  const whole = await call('analyze_message_sentiment', args);
+  assert.deepEqual(whole.sources, ['default', 'android']);
+  assert.equal(whole.duplicates_merged, 1);
+  assert.deepEqual(whole.messages.map(m => m.text), [
+    'Cheers from London', 'Who is bringing drinks?', 'Group hello from Android', 'Match photo',
+    'See you at the pub 🍺 & bring <cash>', 'Old Android message about the match',
+  ]);
+
+  const pages = [];
+  let cursor;
+  do {
+    const page = await call('analyze_message_sentiment', { ...args, limit: 2, ...(cursor && { cursor }) });
+    pages.push(page);
+    cursor = page.next_cursor;
+  } while (cursor && pages.length < 10);
+  assert.deepEqual(pages.flatMap(p => p.messages.map(m => m.message_id)), whole.messages.map(m => m.message_id));
+  assert.equal(pages.reduce((sum, p) => sum + p.summary.messages, 0), whole.summary.messages, 'each page summarizes its own messages');
+});
+
+test('merged sentiment hits name their source for get_message_context', async () => {
+  const scored = await call('analyze_message_sentiment', { identifier: 'Bob', days_back: 30, group_by_date: false, only_negative: false });
+  const photo = scored.messages.find(m => m.text === 'Match photo');
+  assert.equal(photo.source, 'android');
+  assert.equal(scored.messages.find(m => m.text === 'Who is bringing drinks?').source, 'default');
+
+  const context = await call('get_message_context', { message_id: String(photo.message_id), source: photo.source, before: 0, after: 0 });
+  assert.deepEqual(context.messages.map(m => [m.text, m.is_target]), [['Match photo', true]]);
+
+  const daily = await call('analyze_message_sentiment', { identifier: 'Bob', days_back: 30, keywords: ['match'] });
+  assert.deepEqual(daily.daily_breakdown.flatMap(d => d.message_ids).map(id => id.source), ['android', 'android']);
+  assert.deepEqual(daily.by_speaker[0].worst_messages.map(m => m.source), ['android', 'android']);
+});
+
+test('people only in the Android export are found through the merge', async () => {
+  const result = await call('read_conversation', { identifier: '+447700900999', days_back: 30 });
+  assert.deepEqual(result.sources, ['android']);
+  assert.deepEqual(result.messages.map(m => m.text), ['Only ever texted your Android']);
+  await assert.rejects(call('read_conversation', { identifier: '+447700900888' }), /Contact not found/);
+});
+
+test('the export is a source of its own for every tool', async () => {
+  const bob = await call('read_conversation', { identifier: 'Bob', source: 'android', days_back: 30 });
+  assert.equal(bob.conversation, 'Bob Jones', 'named from the Mac AddressBook');
+  assert.equal(bob.sources, undefined);
+  assert.deepEqual(bob.messages.map(m => m.text), [
+    'Cheers from London', 'Group hello from Android', 'Match photo',
+    'See you at the pub 🍺 & bring <cash>', 'Old Android message about the match',
+  ]);
+
+  const { conversations } = await call('list_conversations', { source: 'android', type: 'group' });
+  assert.equal(conversations.length, 1);
+  assert.equal(conversations[0].participants.length, 2);
+
+  const search = await call('search_messages', { query: 'match', source: 'android' });
+  assert.equal(search.total_matches, 2);
+});
+
+test('new exports are imported incrementally, without repeating messages', async () => {
+  // A video larger than the chunks the export is read in
+  const video = Buffer.alloc(3 * 1024 * 1024, 7);
+  writeSmsBackup(path.join(exportDir, 'sms-20240608000000.xml'), [
+    ...bobExport(),
+    {
+      mms: true, addresses: [BOB], from: BOB, box: 1, date: now - 30 * MINUTE, text: 'Newest from Android',
+      attachments: [{ name: 'VID_20240607.mp4', mime: 'video/mp4', data: video }],
+    },
+    {
+      mms: true, addresses: [BOB], from: BOB, box: 1, date: now - 40 * MINUTE,
+      attachments: [{ name: 'IMG_20240607.jpg', mime: 'image/jpeg', data: PHOTO }],
+    },
+  ]);
+
+  const result = await call('read_conversation', { identifier: 'Bob', days_back: 30 });
+  assert.equal(result.messages[0].text, 'Newest from Android');
+  assert.equal(result.messages[0].attachments[0].size_bytes, video.length);
+  assert.equal(result.messages.length, 8);
+  assert.equal(result.messages[1].text, '[image: IMG_20240607.jpg]');
+
+  const diagnostics = await call('get_diagnostics', { source: 'android' });
+  const android = diagnostics.config.sources.find(s => s.name === 'android');
+  assert.equal(android.type, 'android');
+  assert.equal(android.imported_files.length, 2);
+  assert.deepEqual(diagnostics.config.sources.find(s => s.name === 'default').merged_sources, ['android']);
+});
+
+test('analyze_message_sentiment does not score attachment descriptions', async () => {
+  // The photo sent without text (added by the incremental import above) has nothing to score
+  const result = await call('analyze_message_sentiment', { identifier: 'Bob', days_back: 30, group_by_date: false, only_negative: false });
+  assert.equal(result.messages.length, 7);
+  assert.ok(!result.messages.some(m => m.text.startsWith('[')));
+  assert.equal(result.summary.messages, 7);
+});
+
+test('a truncated export is reported', async () => {
+  const file = path.join(exportDir, 'broken', 'sms-broken.xml');
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, '<smses count="1">\n  <sms address="+15551234567" date="1" type="1" body="cut o');
+  await assert.rejects(async () => {
+    for await (const message of readSmsBackup(file)) assert.fail(`unexpected ${message.text}`);
+  }, /not a complete SMS Backup & Restore file/);
+});
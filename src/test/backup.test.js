@@ -0,0 +1,136 @@
+/**
+ * End-to-end tests of an iPhone backup as a message source: sms.db, the iOS
+ * AddressBook and attachments are all found through the backup's Manifest.db.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { startFixtureServer } from './helpers.js';
+import { generateFixture } from '../fixtures/generate.js';
+import { writeBackup } from '../fixtures/backup.js';
+import { backupFilePath, ATTACHMENTS, SMS_DB } from '../iphone-backup.js';
+
+const phone = {
+  contacts: [
+    { key: 'dave', first: 'Dave', last: 'Miller', phones: ['+1 555 010 2000'] },
+    { key: 'erin', first: 'Erin', last: 'Park', emails: ['erin@example.net'] },
+  ],
+  conversations: [
+    {
+      key: 'dave',
+      with: 'dave',
+      messages: [
+        { id: 'hello', from: 'dave', text: 'Sent from my old iPhone', ago: 3000 },
+        {
+          id: 'receipt',
+          from: 'me',
+          text: 'Here is the receipt',
+          attachments: [{ name: 'IMG_0420.jpeg', mime: 'image/jpeg', uti: 'public.jpeg', bytes: 5000 }],
+          reactions: [{ from: 'dave', type: 'liked' }],
+        },
+        { id: 'angry', from: 'dave', text: 'I hate waiting for refunds, so frustrating' },
+      ],
+    },
+    { key: 'erin', with: 'erin', messages: [{ id: 'lunch', from: 'erin', text: 'Lunch tomorrow?', ago: 100 }] },
+  ],
+};
+
+let workDir;
+let backupDir;
+let fixture;
+let call;
+let ids;
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-backup-'));
+  const phoneManifest = await generateFixture(path.join(workDir, 'phone'), {
+    people: 0, strangers: 0, groups: 0, messages: 0, ...phone,
+  });
+  ids = phoneManifest.messages;
+  backupDir = path.join(workDir, 'Backup', '00008101-000A1B2C3D4E5F6A');
+  await writeBackup(path.join(workDir, 'phone'), backupDir);
+  await writeBackup(path.join(workDir, 'phone'), path.join(workDir, 'Encrypted'), { encrypted: true });
+
+  fixture = await startFixtureServer({}, {
+    argv: ['--source', `iphone=${backupDir}`, '--source', `locked=${path.join(workDir, 'Encrypted')}`],
+  });
+  call = fixture.call;
+});
+
+after(async () => {
+  await fixture.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('search_and_read finds people from the iPhone contacts', async () => {
+  const result = await call('search_and_read', { query: 'Dave', source: 'iphone' });
+  const [conversation] = result.conversations;
+  assert.equal(conversation.name, 'Dave Miller');
+  assert.deepEqual(conversation.recent_messages.map(m => m.text).sort(), [
+    'Here is the receipt', 'I hate waiting for refunds, so frustrating', 'Sent from my old iPhone',
+  ]);
+
+  // Only the backup knows Dave
+  await assert.rejects(call('read_conversation', { identifier: 'Dave' }), /Contact not found/);
+});
+
+test('read_conversation reads the backup by name, email and person id', async () => {
+  const erin = await call('read_conversation', { identifier: 'erin@example.net', source: 'iphone' });
+  assert.equal(erin.conversation, 'Erin Park');
+  assert.deepEqual(erin.messages.map(m => m.text), ['Lunch tomorrow?']);
+
+  const { people } = await call('search_contacts', { query: 'Miller', source: 'iphone' });
+  assert.deepEqual(people.map(p => [p.identifier, p.name]), [['person:1', 'Dave Miller']]);
+  const dave = await call('read_conversation', { identifier: 'person:1', source: 'iphone' });
+  const receipt = dave.messages.find(m => m.text === 'Here is the receipt');
+  assert.deepEqual(receipt.reactions.map(r => [r.type, r.by]), [['liked', 'Dave Miller']]);
+});
+
+test('attachments resolve to files in the backup through Manifest.db', async () => {
+  const result = await call('list_attachments', { identifier: 'Dave', source: 'iphone' });
+  assert.equal(result.total_attachments, 1);
+  const [attachment] = result.attachments;
+  assert.equal(attachment.filename, 'IMG_0420.jpeg');
+  assert.equal(attachment.on_disk, true);
+
+  // sms.db names the file by its place on the phone; the backup stores it under that path's hash
+  const sms = await open({ filename: backupFilePath(backupDir, SMS_DB), driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+  const { filename } = await sms.get(`SELECT filename FROM attachment WHERE transfer_name = 'IMG_0420.jpeg'`);
+  await sms.close();
+  assert.match(filename, /^~\/Library\/SMS\/Attachments\//);
+  assert.equal(attachment.path, backupFilePath(backupDir, { domain: ATTACHMENTS.domain, relativePath: filename.slice(2) }));
+  assert.equal(fs.readFileSync(attachment.path, 'utf8'), 'fixture attachment IMG_0420.jpeg\n');
+
+  const { messages } = await call('read_conversation', { identifier: 'Dave', source: 'iphone' });
+  assert.equal(messages.find(m => m.text === 'Here is the receipt').attachments[0].path, attachment.path);
+});
+
+test('stats and sentiment work against the backup', async () => {
+  const stats = await call('get_conversation_stats', { identifier: 'Dave', source: 'iphone' });
+  assert.equal(stats.stats.total_messages, 3);
+  assert.equal(stats.stats.sent_messages, 1);
+
+  const sentiment = await call('analyze_message_sentiment', { identifier: 'Dave', source: 'iphone', group_by_date: false });
+  assert.deepEqual(sentiment.messages.map(m => m.message_id), [ids.angry.message_id]);
+});
+
+test('get_diagnostics describes the backup', async () => {
+  const result = await call('get_diagnostics', { source: 'iphone' });
+  assert.equal(result.messages_database.path, backupFilePath(backupDir, SMS_DB));
+  const source = result.config.sources.find(s => s.name === 'iphone');
+  assert.equal(source.type, 'iphone_backup');
+  assert.equal(source.backup.device_name, 'Test iPhone');
+  assert.equal(source.backup.ios_version, '17.5.1');
+  assert.equal(source.backup.encrypted, false);
+  assert.equal(source.backup.attachment_files, 1);
+  assert.equal(result.contacts.people, 2);
+});
+
+test('encrypted backups are refused with an explanation', async () => {
+  await assert.rejects(call('read_conversation', { identifier: 'Dave', source: 'locked' }), /is encrypted\. Only unencrypted backups can be read/);
+});
@@ -0,0 +1,194 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { loadConfig } from '../config.js';
+
+let home;
+const appDir = () => path.join(home, 'Library', 'Application Support', 'imessage-mcp-server');
+
+before(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-config-'));
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function writeConfig(file, settings) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(settings));
+  return file;
+}
+
+test('defaults to the Mac Messages and AddressBook folders', () => {
+  const config = loadConfig({ env: {}, home });
+  assert.equal(config.file, null);
+  assert.equal(config.defaultRegion, 'US');
+  assert.equal(config.defaultSource, 'default');
+  assert.equal(config.enabledTools, null);
+  assert.deepEqual(config.disabledTools, []);
+  assert.deepEqual(config.defaults, { all: {}, tools: {} });
+  assert.equal(config.exportDir, path.join(home, 'Documents', 'iMessage Exports'));
+  assert.equal(config.lexiconsDir, path.join(appDir(), 'lexicons'));
+  assert.deepEqual(config.sources, [{
+    name: 'default',
+    type: 'messages',
+    chatDb: path.join(home, 'Library', 'Messages', 'chat.db'),
+    attachmentsDir: path.join(home, 'Library', 'Messages', 'Attachments'),
+    contactsDir: path.join(home, 'Library', 'Application Support', 'AddressBook'),
+    searchIndexPath: path.join(appDir(), 'search-index.db'),
+    merge: [],
+  }]);
+});
+
+test('reads the config file, with paths relative to it', () => {
+  const dir = path.join(home, 'configs');
+  const file = writeConfig(path.join(dir, 'server.json'), {
+    chat_db: './copy/chat.db',
+    contacts_dir: '~/Contacts',
+    default_region: 'gb',
+    sources: {
+      archive: { chat_db: '/archive/Messages/chat.db', contacts_dir: '/archive/AddressBook' },
+      fixture: 'fixture/chat.db',
+    },
+    enabled_tools: ['read_conversation', 'search_messages'],
+    defaults: { days_back: 90, read_conversation: { limit: 100, format: 'minimal' } },
+  });
+
+  const config = loadConfig({ argv: ['--config', file], env: {}, home });
+  assert.equal(config.file, file);
+  assert.equal(config.defaultRegion, 'GB');
+  assert.deepEqual(config.enabledTools, ['read_conversation', 'search_messages']);
+  assert.deepEqual(config.defaults, { all: { days_back: 90 }, tools: { read_conversation: { limit: 100, format: 'minimal' } } });
+
+  const byName = Object.fromEntries(config.sources.map(s => [s.name, s]));
+  assert.deepEqual(Object.keys(byName), ['default', 'archive', 'fixture']);
+  assert.equal(byName.default.chatDb, path.join(dir, 'copy', 'chat.db'));
+  assert.equal(byName.default.contactsDir, path.join(home, 'Contacts'));
+  assert.equal(byName.archive.contactsDir, '/archive/AddressBook');
+  assert.equal(byName.archive.attachmentsDir, '/archive/Messages/Attachments');
+  assert.equal(byName.archive.searchIndexPath, path.join(appDir(), 'search-index-archive.db'));
+  assert.equal(byName.fixture.chatDb, path.join(dir, 'fixture', 'chat.db'));
+  assert.equal(byName.fixture.contactsDir, path.join(home, 'Contacts'), 'sources share the main AddressBook by default');
+});
+
+test('finds the config file in the application support folder', () => {
+  const file = writeConfig(path.join(appDir(), 'config.json'), { default_region: 'DE' });
+  try {
+    const config = loadConfig({ env: {}, home });
+    assert.equal(config.file, file);
+    assert.equal(config.defaultRegion, 'DE');
+  } finally {
+    fs.rmSync(file);
+  }
+});
+
+test('environment variables override the file and flags override both', () => {
+  const file = writeConfig(path.join(home, 'layers.json'), {
+    default_region: 'GB',
+    disabled_tools: ['list_attachments'],
+    defaults: { limit: 10, read_conversation: { limit: 20 } },
+  });
+  const env = {
+    IMESSAGE_CONFIG: file,
+    IMESSAGE_DEFAULT_REGION: 'DE',
+    IMESSAGE_DISABLED_TOOLS: 'get_diagnostics, list_attachments',
+    IMESSAGE_DEFAULTS: 'read_conversation.limit=30,threaded=true',
+  };
+
+  const fromEnv = loadConfig({ env, home });
+  assert.equal(fromEnv.defaultRegion, 'DE');
+  assert.deepEqual(fromEnv.disabledTools, ['get_diagnostics', 'list_attachments']);
+  assert.deepEqual(fromEnv.defaults, { all: { limit: 10, threaded: true }, tools: { read_conversation: { limit: 30 } } });
+
+  const fromFlags = loadConfig({ argv: ['--region=fr', '--default', 'read_conversation.limit=40', '--default', 'limit=5'], env, home });
+  assert.equal(fromFlags.defaultRegion, 'FR');
+  assert.deepEqual(fromFlags.defaults, { all: { limit: 5, threaded: true }, tools: { read_conversation: { limit: 40 } } });
+});
+
+test('adds named sources from flags and variables', () => {
+  const messagesDir = path.join(home, 'Archived Messages');
+  fs.mkdirSync(messagesDir, { recursive: true });
+
+  const config = loadConfig({
+    argv: ['--source', `archive=${messagesDir}`, '--source', 'test=/tmp/fixture/chat.db', '--default-source', 'archive'],
+    env: { IMESSAGE_SOURCES: 'old=/old/chat.db', IMESSAGE_DB_PATH: '/copy/chat.db' },
+    home,
+  });
+  assert.equal(config.defaultSource, 'archive');
+  const byName = Object.fromEntries(config.sources.map(s => [s.name, s]));
+  assert.deepEqual(Object.keys(byName).sort(), ['archive', 'default', 'old', 'test']);
+  assert.equal(byName.default.chatDb, '/copy/chat.db');
+  assert.equal(byName.archive.chatDb, path.join(messagesDir, 'chat.db'), 'a Messages folder means the chat.db in it');
+  assert.equal(byName.archive.attachmentsDir, path.join(messagesDir, 'Attachments'));
+});
+
+test('a folder with a Manifest.db is read as an iPhone backup', () => {
+  const backupDir = path.join(home, 'Backup', '00008101-000A1B2C3D4E5F6A');
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(path.join(backupDir, 'Manifest.db'), '');
+
+  const byName = Object.fromEntries(loadConfig({ argv: ['--source', `phone=${backupDir}`], env: {}, home }).sources.map(s => [s.name, s]));
+  assert.deepEqual(byName.phone, {
+    name: 'phone',
+    type: 'iphone_backup',
+    backupDir,
+    contactsDir: null,
+    searchIndexPath: path.join(appDir(), 'search-index-phone.db'),
+    merge: [],
+  });
+});
+
+test('Android exports are imported into the data folder and can be merged', () => {
+  const exportsDir = path.join(home, 'SMSBackupRestore');
+  fs.mkdirSync(exportsDir, { recursive: true });
+  fs.writeFileSync(path.join(exportsDir, 'sms-20240601000000.xml'), '<smses count="0"></smses>');
+  const file = writeConfig(path.join(home, 'android.json'), {
+    sources: { android: exportsDir, pixel: { android_backup: ['./old/sms-1.xml', './old/sms-2.xml'], merge: 'android' } },
+    merge: ['android', 'pixel'],
+  });
+
+  const byName = Object.fromEntries(loadConfig({ argv: ['--config', file], env: {}, home }).sources.map(s => [s.name, s]));
+  assert.deepEqual(byName.default.merge, ['android', 'pixel']);
+  assert.deepEqual(byName.android, {
+    name: 'android',
+    type: 'android',
+    androidBackups: [exportsDir],
+    importPath: path.join(appDir(), 'android-android.db'),
+    attachmentsDir: path.join(appDir(), 'android-android-attachments'),
+    contactsDir: path.join(home, 'Library', 'Application Support', 'AddressBook'),
+    searchIndexPath: path.join(appDir(), 'search-index-android.db'),
+    merge: [],
+  });
+  assert.deepEqual(byName.pixel.androidBackups, [path.join(home, 'old', 'sms-1.xml'), path.join(home, 'old', 'sms-2.xml')]);
+  assert.deepEqual(byName.pixel.merge, ['android']);
+
+  assert.throws(() => loadConfig({ argv: ['--merge', 'nowhere'], env: {}, home }), /Source "default" cannot merge "nowhere"/);
+  assert.throws(() => loadConfig({ argv: ['--config', file, '--merge', 'default'], env: {}, home }), /cannot merge "default"/);
+});
+
+test('unknown regions fall back to the default', () => {
+  assert.equal(loadConfig({ argv: ['--region', 'XX'], env: {}, home }).defaultRegion, 'US');
+});
+
+test('rejects malformed settings', () => {
+  assert.throws(() => loadConfig({ argv: ['--bogus'], env: {}, home }), /Unknown option: --bogus/);
+  assert.throws(() => loadConfig({ argv: ['--db'], env: {}, home }), /Missing value for --db/);
+  assert.throws(() => loadConfig({ argv: ['--source', '/no/name.db'], env: {}, home }), /Use name=path/);
+  assert.throws(() => loadConfig({ argv: ['--source', 'my archive=/a.db'], env: {}, home }), /Invalid source name/);
+  assert.throws(() => loadConfig({ argv: ['--default', 'limit'], env: {}, home }), /Invalid default/);
+  assert.throws(() => loadConfig({ argv: ['--default-source', 'nowhere'], env: {}, home }), /Default source "nowhere" is not configured/);
+  assert.throws(() => loadConfig({ argv: ['--config', path.join(home, 'missing.json')], env: {}, home }), /Cannot read config file/);
+
+  const broken = path.join(home, 'broken.json');
+  fs.writeFileSync(broken, '{ "default_region": ');
+  assert.throws(() => loadConfig({ env: { IMESSAGE_CONFIG: broken }, home }), /Cannot read config file .*broken\.json/);
+  const list = writeConfig(path.join(home, 'list.json'), ['not', 'an', 'object']);
+  assert.throws(() => loadConfig({ argv: ['--config', list], env: {}, home }), /must contain a JSON object/);
+});
+
+test('--help is reported, not treated as an error', () => {
+  assert.equal(loadConfig({ argv: ['--help'], env: {}, home }).help, true);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replyTargets, escalations, weekStart, percentile, conversationDynamics } from '../dynamics.js';
+import { localTime, messageTime } from '../time.js';
+
+const MINUTE_NS = 60n * 1000000000n;
+
+// Messages oldest first from [speaker, minutes after the first, text]
+function conversation(lines) {
+  const start = 700000000n * 1000000000n;
+  return lines.map(([speaker, minutes, text], i) => ({ ROWID: i + 1, speaker, text, date_key: String(start + BigInt(minutes) * MINUTE_NS) }));
+}
+
+test('a reply answers the last message by someone else within the window', () => {
+  const messages = conversation([
+    ['Bob', 0, 'Who is coming?'],
+    ['Carol', 1, 'Me'],
+    ['Carol', 2, 'And my brother'],
+    ['Bob', 200, 'Great'],
+  ]);
+  const targets = replyTargets(messages);
+  assert.equal(targets.get(messages[1]), messages[0]);
+  assert.equal(targets.get(messages[2]), messages[0], 'a run of messages answers the same one');
+  assert.equal(targets.has(messages[3]), false, 'over an hour later is not a reply');
+});
+
+test('escalations count hostile replies against the message they answered', () => {
+  const messages = conversation([
+    ['Bob', 0, 'You forgot again'],
+    ['Carol', 1, 'Shut up'],
+    ['Alice', 2, 'Calm down'],
+    ['Carol', 3, 'Shut up'],
+    ['Bob', 4, 'Fine'],
+  ]);
+  const [alice, bob, carol] = ['Alice', 'Bob', 'Carol'].map(name => escalations(messages, m => m.text === 'Shut up').find(e => e.participant === name));
+  assert.deepEqual([bob.hostile_replies_drawn, bob.messages, bob.rate], [1, 2, 0.5]);
+  assert.deepEqual([alice.hostile_replies_drawn, alice.rate], [1, 1]);
+  assert.deepEqual(alice.examples.map(([trigger, reply]) => [trigger.ROWID, reply.ROWID]), [[3, 4]]);
+  assert.equal(carol.hostile_replies_drawn, 0);
+  assert.equal(escalations(messages, m => m.text === 'Shut up')[0].participant, 'Alice', 'highest rate breaks the tie');
+});
+
+test('weeks start on Monday in the given time zone', () => {
+  const utc = localTime('UTC');
+  assert.equal(weekStart(Date.parse('2024-06-02T23:59:00Z'), utc), '2024-05-27');
+  assert.equal(weekStart(Date.parse('2024-06-03T00:00:00Z'), utc), '2024-06-03');
+  assert.equal(weekStart(Date.parse('2024-06-02T23:30:00Z'), localTime('Europe/Berlin')), '2024-06-03', 'already Monday in Berlin');
+});
+
+test('percentiles interpolate between values', () => {
+  assert.equal(percentile([], 0.5), null);
+  assert.equal(percentile([10, 1, 5], 0.5), 5);
+  assert.equal(percentile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(percentile([0, 10], 0.9), 9);
+});
+
+test('conversation dynamics: replies, starters, double texts, unanswered and sessions', () => {
+  const HOUR = 60;
+  const DAY = 24 * HOUR;
+  const messages = conversation([
+    // Conversation 1: Alice starts, you reply after 10 and 30 minutes
+    ['Alice', 0, 'Hi'],
+    ['You', 10, 'Hey'],
+    ['Alice', 12, 'Dinner?'],
+    ['You', 42, 'Sure'],
+    // Conversation 2: you start, nobody answers; you double-text the next day
+    ['You', DAY, 'Still on?'],
+    ['You', DAY + 20, 'Hello?'],
+    ['You', 2 * DAY, 'Guess not'],
+    ['Alice', 2 * DAY + 5, 'Sorry!'],
+  ]);
+  const endMs = messageTime(messages[messages.length - 1]) + 60000;
+  const result = conversationDynamics(messages, { gapHours: 6, endMs });
+  const [you, alice] = ['You', 'Alice'].map(name => result.participants.find(p => p.participant === name));
+
+  assert.deepEqual([you.replies, you.median_reply_minutes, you.p90_reply_minutes], [2, 20, 28]);
+  assert.deepEqual([alice.replies, alice.median_reply_minutes], [2, 3.5]);
+  assert.deepEqual([you.conversations_started, alice.conversations_started, you.started_share], [2, 1, 0.667]);
+  assert.equal(you.double_texts, 2, '"Hello?" after 20 minutes and "Guess not" the next day, not "Still on?" after "Sure"');
+  assert.equal(you.unanswered_messages, 2, '"Still on?" and "Hello?", not the closing "Sure"');
+  assert.equal(alice.unanswered_messages, 0);
+  assert.deepEqual([result.sessions.count, result.sessions.median_minutes, result.sessions.longest_minutes], [3, 20, 42]);
+
+  // Ending on "Guess not": unanswered only once a whole gap has passed
+  const opener = messages.slice(0, 7);
+  const lastMs = messageTime(opener[6]);
+  const unanswered = ms => conversationDynamics(opener, { gapHours: 6, endMs: ms }).participants.find(p => p.participant === 'You').unanswered_messages;
+  assert.equal(unanswered(lastMs + 60000), 2);
+  assert.equal(unanswered(lastMs + 7 * HOUR * 60000), 3);
+});
+
+test('conversation dynamics change month over month', () => {
+  const DAY = 24 * 60;
+  const messages = conversation([
+    ['You', 0, 'a'], ['Bob', 5, 'b'],
+    ['You', 40 * DAY, 'c'], ['Bob', 40 * DAY + 60, 'd'], ['You', 41 * DAY, 'e'],
+  ]);
+  const { monthly } = conversationDynamics(messages, { endMs: messageTime(messages[4]) + 1000 });
+  assert.equal(monthly.length, 2);
+  assert.equal(monthly[0].change, null);
+  assert.deepEqual(monthly[1].change, {
+    from: monthly[0].month,
+    messages: 1,
+    sessions: 1,
+    median_session_minutes: 25,
+    median_reply_minutes: { Bob: 55 },
+  });
+});
+
+test('monthly dynamics follow the time zone', () => {
+  // 2024-05-31 23:30 UTC is already June in Berlin and still May in New York
+  const messages = [{ speaker: 'Bob', date_key: String(BigInt(Date.parse('2024-05-31T23:30:00Z') - 978307200000) * 1000000n) }];
+  const monthOf = timeZone => conversationDynamics(messages, { timeZone }).monthly.map(m => m.month);
+  assert.deepEqual(monthOf('Europe/Berlin'), ['2024-06']);
+  assert.deepEqual(monthOf('America/New_York'), ['2024-05']);
+  assert.throws(() => conversationDynamics(messages, { timeZone: 'Mars/Olympus' }), /Unknown time zone/);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeAttributedBody, ATTACHMENT_CHAR } from '../typedstream.js';
+import { encodeAttributedBody } from '../fixtures/encoders.js';
+
+// Fixture bodies must decode back to what was encoded, or the end-to-end tests
+// would be testing the writer rather than the server
+
+test('encoded bodies decode to the same text', () => {
+  for (const text of ['Hello there', 'Can’t wait 😀 café', 'Привет, как дела?', '明天见 👋🏽', 'naïve façade — “quoted”']) {
+    assert.equal(decodeAttributedBody(encodeAttributedBody(text)).text, text);
+  }
+});
+
+test('long texts get a multi-byte length', () => {
+  const text = 'a'.repeat(200) + 'é'.repeat(40000);
+  assert.equal(decodeAttributedBody(encodeAttributedBody(text)).text, text);
+});
+
+test('attribute runs decode to the same mentions, links and attachments', () => {
+  const text = `${ATTACHMENT_CHAR}Hi @Bob see https://example.com`;
+  const decoded = decodeAttributedBody(encodeAttributedBody(text, [
+    { length: 1, attributes: { __kIMMessagePartAttributeName: 0, __kIMFileTransferGUIDAttributeName: 'AT-1', __kIMFilenameAttributeName: 'IMG_0001.heic' } },
+    { length: 3, attributes: { __kIMMessagePartAttributeName: 1 } },
+    { length: 4, attributes: { __kIMMessagePartAttributeName: 1, __kIMMentionConfirmedMention: '+15551234567' } },
+    { length: 5, attributes: { __kIMMessagePartAttributeName: 1 } },
+    { length: 19, attributes: { __kIMMessagePartAttributeName: 1, __kIMLinkAttributeName: 'https://example.com' } },
+  ]));
+
+  assert.equal(decoded.text, text);
+  assert.deepEqual(decoded.attachments, [{ guid: 'AT-1', filename: 'IMG_0001.heic', start: 0 }]);
+  assert.deepEqual(decoded.mentions, [{ handle: '+15551234567', text: '@Bob', start: 4, length: 4 }]);
+  assert.deepEqual(decoded.links.map(l => [l.url, l.text]), [['https://example.com', 'https://example.com']]);
+  assert.deepEqual(decoded.parts, [0, 1]);
+  assert.deepEqual(decoded.runs.map(r => r.text), [ATTACHMENT_CHAR, 'Hi ', '@Bob', ' see ', 'https://example.com']);
+});
@@ -0,0 +1,120 @@
+/**
+ * End-to-end tests of export_conversation: complete transcripts written to the
+ * export folder as Markdown, HTML, CSV and JSONL, including a conversation
+ * merged with an Android export that carries an image to embed.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { startFixtureServer } from './helpers.js';
+import { writeSmsBackup } from '../fixtures/android.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const BOB = '+44 7700 900123';
+const PHOTO = Buffer.from('fixture export photo\n');
+
+let exportDir;
+let fixture;
+let call;
+let exportsFolder;
+
+before(async () => {
+  const now = Date.now();
+  exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-export-'));
+  writeSmsBackup(path.join(exportDir, 'sms-20240601000000.xml'), [
+    { address: BOB, date: now - 3 * DAY, type: 1, body: '=HYPERLINK("http://example.com","totals, "final"")' },
+    {
+      mms: true, addresses: [BOB], from: BOB, box: 1, date: now - 2 * DAY, text: 'Match <photo>',
+      attachments: [{ name: 'IMG_20240501.jpg', mime: 'image/jpeg', data: PHOTO }],
+    },
+  ]);
+
+  fixture = await startFixtureServer({}, { argv: ['--source', `android=${exportDir}`, '--merge', 'android'] });
+  call = fixture.call;
+  exportsFolder = path.join(fixture.home, 'Documents', 'iMessage Exports');
+});
+
+after(async () => {
+  await fixture.close();
+  fs.rmSync(exportDir, { recursive: true, force: true });
+});
+
+test('exports a whole conversation as Markdown into the export folder', async () => {
+  const result = await call('export_conversation', { identifier: 'person:1' });
+  const read = await call('read_conversation', { identifier: 'person:1', days_back: 365, limit: 1000 });
+  assert.equal(path.dirname(result.path), exportsFolder);
+  assert.match(path.basename(result.path), /^Alice B\. Smith \(Ali\) \d{4}-\d{2}-\d{2}\.md$/);
+  assert.equal(result.format, 'markdown');
+  assert.equal(result.message_count, read.message_count);
+  assert.equal(result.undecodable_messages, 1);
+  assert.equal(result.first_message, read.messages[read.messages.length - 1].date);
+  assert.equal(result.last_message, read.messages[0].date);
+  assert.equal(result.messages_by_sender.You, read.messages.filter(m => m.is_from_me).length);
+  assert.equal(fs.statSync(result.path).mode & 0o777, 0o600);
+
+  const markdown = fs.readFileSync(result.path, 'utf8');
+  assert.equal(result.size_bytes, Buffer.byteLength(markdown));
+  assert.ok(markdown.startsWith('# Alice B. Smith (Ali)\n'));
+  assert.ok(markdown.indexOf('Hey, are we still on for dinner?') < markdown.indexOf('Can’t wait 😀 café'), 'oldest first');
+  assert.match(markdown, /\*\*\d\d:\d\d You:\*\* Yes! 7pm works {2}\n_❤️ Alice B\. Smith \(Ali\)_/);
+  assert.match(markdown, /See you at 8 {2}\n_edited_/);
+  assert.match(markdown, /📎 IMG\\_0001\.heic \(image, 2\.0 MB, not on disk\)/);
+
+  const again = await call('export_conversation', { identifier: 'person:1' });
+  assert.notEqual(again.path, result.path, 'an existing export is never replaced by default');
+  assert.match(again.path, / \(2\)\.md$/);
+});
+
+test('HTML transcripts quote replies and show reactions and thumbnails inline', async () => {
+  const group = await call('export_conversation', { identifier: fixture.manifest.chats.family.identifier, format: 'html' });
+  assert.equal(group.conversation, 'Family');
+  assert.equal(group.message_count, 4);
+  const html = fs.readFileSync(group.path, 'utf8');
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.match(html, /@media print/);
+  const [, thread] = html.match(/<div class="msg them" id="m-([^"]+)">\n {2}<div class="who">Bob Jones/);
+  assert.equal((html.match(new RegExp(`<a href="#m-${thread}">↩︎ Bob Jones: Who is bringing drinks\\?</a>`, 'g')) || []).length, 2);
+  assert.match(html, /<div class="reactions">👍 Bob Jones<\/div>/);
+  assert.match(html, /<div class="note">2 replies<\/div>/);
+
+  const bob = await call('export_conversation', { identifier: 'Bob', format: 'html', days_back: 30 });
+  assert.deepEqual(bob.sources, ['default', 'android']);
+  assert.equal(bob.thumbnails_embedded, 1);
+  const bobHtml = fs.readFileSync(bob.path, 'utf8');
+  assert.ok(bobHtml.includes(`<img src="data:image/jpeg;base64,${PHOTO.toString('base64')}" alt="IMG_20240501.jpg">`));
+  assert.ok(bobHtml.includes('Match &lt;photo&gt;'));
+  assert.ok(!bobHtml.includes('Match <photo>'));
+});
+
+test('CSV and JSONL exports hold one record per message', async () => {
+  const csv = await call('export_conversation', { identifier: 'Bob', format: 'csv', days_back: 30, path: 'bob.csv' });
+  assert.equal(csv.path, path.join(exportsFolder, 'bob.csv'));
+  const text = fs.readFileSync(csv.path, 'utf8');
+  assert.ok(text.startsWith('\uFEFFdate,sender,is_from_me,text,'));
+  const lines = text.trim().split('\r\n');
+  assert.equal(lines.length, csv.message_count + 1);
+  assert.ok(lines.some(line => line.includes(`,Bob Jones,false,"'=HYPERLINK(""http://example.com"",""totals, ""final"""")",SMS,android,`)),
+    'quoted, and not run as a formula');
+
+  const jsonl = await call('export_conversation', { identifier: 'Bob', format: 'jsonl', days_back: 30, path: 'archive/' });
+  assert.equal(path.dirname(jsonl.path), path.join(exportsFolder, 'archive'));
+  const records = fs.readFileSync(jsonl.path, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(records.length, jsonl.message_count);
+  assert.deepEqual(records.map(r => [r.sender, r.source]).slice(-1), [['Bob Jones', 'default']]);
+  assert.equal(records.find(r => r.text === 'Match <photo>').attachments[0].filename, 'IMG_20240501.jpg');
+});
+
+test('explicit paths are only replaced with overwrite', async () => {
+  const file = path.join(fixture.home, 'bob.md');
+  await call('export_conversation', { identifier: 'Bob', path: file });
+  await assert.rejects(call('export_conversation', { identifier: 'Bob', path: file }), /already exists\. Pass overwrite: true/);
+  const replaced = await call('export_conversation', { identifier: 'Bob', path: file, overwrite: true });
+  assert.equal(replaced.path, file);
+
+  await assert.rejects(call('export_conversation', { identifier: 'Bob', format: 'pdf' }), /Unknown export format: pdf/);
+  await assert.rejects(call('export_conversation', { identifier: 'Nobody Known' }), /Contact not found/);
+});
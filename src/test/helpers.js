@@ -0,0 +1,54 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { generateFixture } from '../fixtures/generate.js';
+import { loadConfig } from '../config.js';
+import { contacts, conversations } from './scenario.js';
+
+// Generate the scripted fixture in a temporary home directory and connect an MCP
+// client to a fresh server over an in-memory transport. argv are server flags;
+// IMESSAGE_* variables of the environment running the tests are ignored.
+export async function startFixtureServer(options = {}, { argv = [] } = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-test-'));
+  const manifest = await generateFixture(home, {
+    people: 0,
+    strangers: 0,
+    groups: 0,
+    messages: 0,
+    contacts,
+    conversations,
+    ...options,
+  });
+
+  // Default paths are derived from the home directory
+  process.env.HOME = home;
+  const { iMessageMCPServer } = await import('../index.js');
+  const server = new iMessageMCPServer(loadConfig({ argv, env: {}, home }));
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  const client = new Client({ name: 'imessage-mcp-tests', version: '1.0.0' });
+  await client.connect(clientTransport);
+
+  // Tool result text, parsed as JSON when it is JSON; tool errors throw
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    const text = result.content.map(c => c.text).join('\n');
+    if (text.startsWith('Error: ')) throw new Error(text.slice('Error: '.length));
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  };
+
+  const close = async () => {
+    await client.close();
+    await server.close();
+    fs.rmSync(home, { recursive: true, force: true });
+  };
+
+  return { client, call, manifest, home, close };
+}
@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { compileLexicon, loadLexicons, matchLexicons } from '../lexicons.js';
+import { startFixtureServer } from './helpers.js';
+
+const terms = (text, lexicons) => matchLexicons(text, lexicons).map(match => match.term);
+
+test('plain terms match whole words, regex terms match as written', () => {
+  const lexicon = compileLexicon({
+    name: 'test',
+    version: '1',
+    terms: ['mad', 'sick of', { term: 'shut (the f\\w* )?up', regex: true, weight: 3, category: 'dismissal' }, '❤'],
+  }, 'test');
+  assert.deepEqual(terms('I made it, hello', [lexicon]), []);
+  assert.deepEqual(terms('So MAD. Sick  of this', [lexicon]), ['mad', 'sick of']);
+  assert.deepEqual(terms('love❤️ you', [lexicon]), ['❤'], 'emoji need no word boundary');
+  assert.deepEqual(matchLexicons('Shut the fuck up', [lexicon]), [
+    { lexicon: 'test', version: '1', term: 'shut (the f\\w* )?up', category: 'dismissal', weight: 3, matched: 'Shut the fuck up' },
+  ]);
+  assert.deepEqual(matchLexicons('mad', [lexicon])[0], { lexicon: 'test', version: '1', term: 'mad', category: 'test', weight: 1, matched: 'mad' });
+});
+
+test('rejects lexicons without a version, terms or valid patterns', () => {
+  assert.throws(() => compileLexicon({ name: 'x', terms: ['a'] }, 'x.json'), /Lexicon "x" in x\.json needs a version/);
+  assert.throws(() => compileLexicon({ name: 'x', version: '1', terms: [] }, 'x.json'), /needs a non-empty terms list/);
+  assert.throws(() => compileLexicon({ name: 'x', version: '1', terms: [{ term: '(', regex: true }] }, 'x.json'), /Term "\(" .* is not a valid regex/);
+  assert.throws(() => compileLexicon({ name: 'x y', version: '1', terms: ['a'] }, 'x.json'), /Invalid lexicon name/);
+});
+
+test('built-in lexicons load and match their own kind of message', () => {
+  const { lexicons, errors } = loadLexicons();
+  assert.deepEqual(errors, []);
+  assert.deepEqual([...lexicons.keys()].sort(), ['affection', 'apology', 'financial-pressure', 'hostility', 'self-harm', 'threats']);
+  const lexiconsOf = text => [...new Set(matchLexicons(text, [...lexicons.values()]).map(match => match.lexicon))];
+  assert.deepEqual(lexiconsOf('I’ll kill you, watch your back'), ['threats']);
+  assert.deepEqual(lexiconsOf('I just want to die'), ['self-harm']);
+  assert.deepEqual(lexiconsOf('So sorry, my bad'), ['apology']);
+  assert.deepEqual(lexiconsOf('Love you ❤️'), ['affection']);
+  assert.deepEqual(lexiconsOf('Send me $200 in gift cards today'), ['financial-pressure']);
+  assert.deepEqual(lexiconsOf('See you at the café at 7'), []);
+});
+
+test('files in the lexicons folder add lexicons and replace built-ins', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-lexicons-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'hostility.json'), JSON.stringify({ version: '2.0.0', terms: ['grr'] }));
+    fs.writeFileSync(path.join(dir, 'chores.json'), JSON.stringify({ name: 'chores', version: '1', terms: ['dishes'] }));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ "name": ');
+    const { lexicons, errors } = loadLexicons(dir);
+    assert.equal(lexicons.get('hostility').version, '2.0.0');
+    assert.equal(lexicons.get('hostility').builtIn, false);
+    assert.equal(lexicons.get('chores').terms[0].term, 'dishes');
+    assert.equal(lexicons.get('threats').builtIn, true);
+    assert.deepEqual(errors.map(e => e.name), ['broken']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+let fixture;
+let call;
+let lexiconsDir;
+
+before(async () => {
+  fixture = await startFixtureServer();
+  call = fixture.call;
+  lexiconsDir = path.join(fixture.home, 'Library', 'Application Support', 'imessage-mcp-server', 'lexicons');
+  fs.mkdirSync(lexiconsDir, { recursive: true });
+  fs.writeFileSync(path.join(lexiconsDir, 'housing.json'), JSON.stringify({
+    name: 'housing',
+    version: '2024.1',
+    terms: [{ term: 'lease', weight: 2, category: 'contract' }, { term: 'documents?', regex: true }],
+  }));
+});
+
+after(async () => {
+  await fixture.close();
+});
+
+test('analyze_message_sentiment reports the lexicon and term behind each match', async () => {
+  const family = await call('analyze_message_sentiment', {
+    identifier: fixture.manifest.chats.family.identifier,
+    lexicons: ['hostility'],
+    group_by_date: false,
+  });
+  assert.equal(family.scoring, 'keywords');
+  assert.deepEqual(family.lexicons, [{ name: 'hostility', version: '1.0.0', terms: family.lexicons[0].terms, origin: 'built-in' }]);
+  assert.deepEqual(family.messages[0].matches.map(m => [m.lexicon, m.version, m.term, m.category]), [['hostility', '1.0.0', 'hate', 'anger']]);
+  assert.equal(family.messages[0].sender, 'Carol White');
+
+  const housing = await call('analyze_message_sentiment', { identifier: 'person:1', lexicons: ['housing', 'threats'], group_by_date: false });
+  assert.deepEqual(housing.lexicons.map(l => [l.name, l.version, l.origin]), [
+    ['housing', '2024.1', path.join(lexiconsDir, 'housing.json')],
+    ['threats', '1.0.0', 'built-in'],
+  ]);
+  const email = housing.messages.find(m => m.text === 'Sent you the lease documents by email');
+  assert.deepEqual(email.matches.map(m => [m.term, m.matched, m.weight]), [['lease', 'lease', 2], ['documents?', 'documents', 1]]);
+  assert.equal(email.weight, 3);
+
+  const daily = await call('analyze_message_sentiment', { identifier: 'person:1', lexicons: ['housing'] });
+  assert.equal(daily.daily_breakdown.reduce((sum, day) => sum + day.matched_messages, 0), housing.messages.length);
+  assert.ok(daily.daily_breakdown.every(day => day.messages_by_lexicon.housing === day.matched_messages));
+});
+
+test('analyze_message_sentiment explains unknown and broken lexicons', async () => {
+  await assert.rejects(call('analyze_message_sentiment', { identifier: 'person:1', lexicons: ['chores'] }),
+    /Unknown lexicon: chores\. Available: .*housing/);
+  fs.writeFileSync(path.join(lexiconsDir, 'threats.json'), JSON.stringify({ name: 'threats', terms: ['x'] }));
+  await assert.rejects(call('analyze_message_sentiment', { identifier: 'person:1', lexicons: ['threats'] }),
+    /Lexicon "threats" could not be loaded: .*needs a version/);
+  await assert.rejects(call('analyze_message_sentiment', { identifier: 'person:1', scoring: 'lexicon', lexicons: ['housing'] }),
+    /only apply to keyword scoring/);
+
+  const diagnostics = await call('get_diagnostics');
+  assert.equal(diagnostics.config.lexicons_dir, lexiconsDir);
+  assert.ok(diagnostics.config.lexicons.available.some(l => l.name === 'housing' && l.version === '2024.1'));
+  assert.deepEqual(diagnostics.config.lexicons.errors.map(e => e.file), [path.join(lexiconsDir, 'threats.json')]);
+});
@@ -0,0 +1,461 @@
+/**
+ * End-to-end tests: every tool, called through an MCP client over an in-memory
+ * transport, against a generated chat.db and AddressBook (see scenario.js).
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { startFixtureServer } from './helpers.js';
+import { toAppleTime } from '../fixtures/generate.js';
+import { encodeBinaryPlist } from '../fixtures/encoders.js';
+
+let fixture;
+let call;
+let ids;
+
+before(async () => {
+  fixture = await startFixtureServer();
+  call = fixture.call;
+  ids = fixture.manifest.messages;
+});
+
+after(async () => {
+  await fixture.close();
+});
+
+const ALICE = 'Alice B. Smith (Ali)';
+
+test('lists every tool', async () => {
+  const { tools } = await fixture.client.listTools();
+  assert.deepEqual(tools.map(t => t.name).sort(), [
+    'analyze_message_sentiment',
+    'export_conversation',
+    'get_conversation_stats',
+    'get_diagnostics',
+    'get_message_context',
+    'list_attachments',
+    'list_conversations',
+    'read_conversation',
+    'read_thread',
+    'search_and_read',
+    'search_contacts',
+    'search_messages',
+  ]);
+});
+
+test('unknown tools and contacts are reported as errors', async () => {
+  await assert.rejects(call('no_such_tool'), /Unknown tool/);
+  await assert.rejects(call('read_conversation', { identifier: 'Nobody Known' }), /Contact not found/);
+});
+
+test('search_contacts merges cards from every AddressBook source into one person', async () => {
+  const result = await call('search_contacts', { query: 'smith' });
+  assert.equal(result.people.length, 1);
+  const [alice] = result.people;
+  assert.equal(alice.identifier, 'person:1');
+  assert.equal(alice.name, ALICE);
+  assert.deepEqual(alice.emails, ['alice@example.com']);
+  assert.ok(alice.handles.includes('alice@example.com'));
+  assert.ok(alice.handles.includes('+15551234567'));
+});
+
+test('search_contacts finds people by nickname, organization and phone number format', async () => {
+  assert.equal((await call('search_contacts', { query: 'Ali' })).people[0]?.identifier, 'person:1');
+  assert.equal((await call('search_contacts', { query: 'acme' })).people[0]?.name, 'Acme Plumbing');
+
+  const byPhone = await call('search_contacts', { query: '555.123.4567' });
+  assert.deepEqual(byPhone.people.map(p => p.identifier), ['person:1']);
+  assert.deepEqual(byPhone.contacts.map(c => c.service).sort(), ['SMS', 'iMessage']);
+
+  // A fragment of a number is not a match
+  assert.equal((await call('search_contacts', { query: '555' })).contacts_found, 0);
+});
+
+test('read_conversation reads every handle of a person as one timeline', async () => {
+  const result = await call('read_conversation', { identifier: 'Alice' });
+  assert.equal(result.conversation, ALICE);
+  assert.equal(result.person, 'person:1');
+  assert.equal(result.undecodable_messages, 1);
+
+  const texts = result.messages.map(m => m.text);
+  assert.ok(texts.includes('Sent you the lease documents by email'));
+  assert.ok(texts.includes('Texting from the train'));
+  assert.ok(texts.includes('Can’t wait 😀 café'), 'attributedBody is decoded with emoji and accents');
+
+  const services = new Set(result.messages.map(m => m.service));
+  assert.deepEqual([...services].sort(), ['SMS', 'iMessage']);
+
+  // Newest first
+  const dates = result.messages.map(m => m.date);
+  assert.deepEqual(dates, [...dates].sort().reverse());
+});
+
+test('read_conversation folds reactions and shows edits, unsends and attachments', async () => {
+  const { messages } = await call('read_conversation', { identifier: 'person:1' });
+  const byText = text => messages.find(m => m.text === text);
+
+  assert.deepEqual(byText('Yes! 7pm works').reactions.map(r => [r.type, r.by]), [['loved', ALICE]]);
+  assert.ok(!messages.some(m => /^Loved /.test(m.text)), 'tapback rows are not separate messages');
+
+  const edited = byText('See you at 8');
+  assert.equal(edited.edited, true);
+  assert.deepEqual(edited.edit_history.map(e => e.text), ['See you at 7']);
+
+  const unsent = messages.find(m => m.unsent);
+  assert.equal(unsent.text, '[Message unsent]');
+
+  const photo = byText('Look at this');
+  assert.equal(photo.attachments.length, 1);
+  assert.equal(photo.attachments[0].filename, 'IMG_0001.heic');
+  assert.equal(photo.attachments[0].kind, 'image');
+});
+
+test('read_conversation accepts phone numbers in any format and emails', async () => {
+  for (const identifier of ['+1 (555) 123-4567', '5551234567', 'ALICE@example.com']) {
+    const result = await call('read_conversation', { identifier });
+    assert.equal(result.person, 'person:1', identifier);
+  }
+  const bob = await call('read_conversation', { identifier: '+447700900123' });
+  assert.equal(bob.conversation, 'Bob Jones');
+});
+
+test('read_conversation pages through history with cursors', async () => {
+  const seen = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    const result = await call('read_conversation', { identifier: 'person:1', limit: 4, cursor });
+    seen.push(...result.messages.map(m => `${m.date} ${m.text}`));
+    cursor = result.next_cursor;
+    if (!cursor) break;
+  }
+  assert.equal(cursor, null);
+  const all = await call('read_conversation', { identifier: 'person:1', limit: 100 });
+  assert.equal(seen.length, all.messages.length);
+  assert.equal(new Set(seen).size, seen.length, 'no message appears on two pages');
+
+  await assert.rejects(call('read_conversation', { identifier: 'person:1', cursor: 'bogus' }), /Invalid cursor/);
+});
+
+test('read_conversation limits by since and until', async () => {
+  const now = Date.parse(fixture.manifest.options.now);
+  const since = new Date(now - 250 * 60000).toISOString();
+  const result = await call('read_conversation', { identifier: 'person:1', since });
+  assert.deepEqual(result.messages.map(m => m.text), ['Not me', 'Texting from the train']);
+
+  const until = new Date(now - 250 * 60000).toISOString();
+  const older = await call('read_conversation', { identifier: 'person:1', since: new Date(now - 400 * 60000).toISOString(), until });
+  assert.deepEqual(older.messages.map(m => m.text), ['Sent you the lease documents by email']);
+});
+
+test('read_conversation reads group chats with sender names and threads', async () => {
+  const group = fixture.manifest.chats.family.identifier;
+  const result = await call('read_conversation', { identifier: group, threaded: true });
+  assert.equal(result.conversation, 'Family');
+  const root = result.messages.find(m => m.text === 'Who is bringing drinks?');
+  assert.equal(root.sender, 'Bob Jones');
+  assert.deepEqual(root.replies.map(r => r.text), ['Not me', 'I can']);
+});
+
+test('read_conversation minimal format is one line per message', async () => {
+  const text = await call('read_conversation', { identifier: 'Bob', format: 'minimal' });
+  assert.equal(typeof text, 'string');
+  assert.match(text, /Bob Jones: Cheers from London/);
+});
+
+test('read_thread returns the original message and its replies', async () => {
+  const result = await call('read_thread', { guid: ids.drinks.guid });
+  assert.equal(result.conversation, 'Family');
+  assert.equal(result.originator.text, 'Who is bringing drinks?');
+  assert.deepEqual(result.replies.map(r => [r.sender, r.text]), [[ALICE, 'Not me'], ['You', 'I can']]);
+  assert.deepEqual(result.replies[1].reactions.map(r => r.type), ['liked']);
+});
+
+test('search_and_read finds people and groups', async () => {
+  const family = await call('search_and_read', { query: 'Family' });
+  assert.equal(family.conversations[0].type, 'group');
+  assert.equal(family.conversations[0].message_count, 4);
+
+  const alice = await call('search_and_read', { query: 'Alice' });
+  const individual = alice.conversations.find(c => c.type === 'individual');
+  assert.equal(individual.name, ALICE);
+  assert.ok(individual.recent_messages.length > 0);
+});
+
+test('paged readers check limit', async () => {
+  const none = await call('search_and_read', { query: 'Bob', limit: 0 });
+  assert.ok(none.conversations.length > 0);
+  assert.ok(none.conversations.every(c => c.recent_messages.length === 0 && c.next_cursor === null));
+
+  const empty = await call('read_conversation', { identifier: 'Alice', limit: -1 });
+  assert.deepEqual(empty.messages, []);
+  assert.equal(empty.next_cursor, null);
+  await assert.rejects(call('read_conversation', { identifier: 'Alice', limit: 1.5 }), /limit must be a whole number/);
+  await assert.rejects(call('search_and_read', { query: 'Bob', limit: '5' }), /limit must be a whole number/);
+});
+
+test('search_messages runs full-text queries across conversations', async () => {
+  const result = await call('search_messages', { query: 'lease' });
+  assert.equal(result.total_matches, 2);
+  assert.deepEqual(result.results.map(r => r.message_id).sort((a, b) => a - b), [ids.lease.message_id, ids.email.message_id]);
+  assert.match(result.results[0].snippet, /\*\*lease\*\*/);
+
+  const group = fixture.manifest.chats.family.identifier;
+  assert.equal((await call('search_messages', { query: 'lease', identifier: group })).total_matches, 0);
+  const scoped = await call('search_messages', { query: 'drinks', identifier: group });
+  assert.deepEqual(scoped.results.map(r => r.message_id), [ids.drinks.message_id]);
+
+  const phrase = await call('search_messages', { query: '"lease documents"' });
+  assert.deepEqual(phrase.results.map(r => r.message_id), [ids.email.message_id]);
+});
+
+test('search_messages forgets text edited or unsent after it was indexed', async () => {
+  // A server of its own, as this changes its chat.db
+  const own = await startFixtureServer();
+  try {
+    const { drinks, email } = own.manifest.messages;
+    assert.equal((await own.call('search_messages', { query: 'drinks' })).total_matches, 1);
+    assert.equal((await own.call('search_messages', { query: 'documents' })).total_matches, 1);
+
+    const chatDb = await open({ filename: path.join(own.home, 'Library', 'Messages', 'chat.db'), driver: sqlite3.Database });
+    const now = toAppleTime(Date.now());
+    await chatDb.run(
+      `UPDATE message SET text = NULL, attributedBody = NULL, date_edited = ?, date_retracted = ?, message_summary_info = ? WHERE ROWID = ?`,
+      [now, now, encodeBinaryPlist({ rp: [0] }), drinks.message_id]
+    );
+    await chatDb.run(`UPDATE message SET text = ?, date_edited = ? WHERE ROWID = ?`, ['Sent you the contract by email', now, email.message_id]);
+    await chatDb.close();
+
+    const unsent = await own.call('search_messages', { query: 'drinks' });
+    assert.equal(unsent.total_matches, 0);
+    assert.equal((await own.call('search_messages', { query: 'documents' })).total_matches, 0);
+    assert.deepEqual((await own.call('search_messages', { query: 'contract' })).results.map(r => r.message_id), [email.message_id]);
+  } finally {
+    await own.close();
+  }
+});
+
+test('search_messages clamps limit and offset', async () => {
+  const first = await call('search_messages', { query: 'lease', limit: 1, offset: -3 });
+  assert.deepEqual([first.offset, first.next_offset, first.results.length], [0, 1, 1]);
+
+  const none = await call('search_messages', { query: 'lease', limit: 0 });
+  assert.deepEqual([none.results.length, none.next_offset], [0, null]);
+  await assert.rejects(call('search_messages', { query: 'lease', limit: 2.5 }), /limit must be a whole number/);
+});
+
+test('list_conversations lists chats with unread counts and people', async () => {
+  const result = await call('list_conversations', {});
+  const byIdentifier = new Map(result.conversations.map(c => [c.identifier, c]));
+
+  assert.equal(byIdentifier.get('+15550002222').unread, 1);
+  assert.equal(byIdentifier.get('+447700900123').person, 'person:2');
+  const family = byIdentifier.get(fixture.manifest.chats.family.identifier);
+  assert.equal(family.type, 'group');
+  assert.deepEqual(family.participants, [ALICE, 'Bob Jones', 'Carol White']);
+
+  const groups = await call('list_conversations', { type: 'group' });
+  assert.deepEqual(groups.conversations.map(c => c.name), ['Family']);
+  const unread = await call('list_conversations', { unread_only: true });
+  assert.deepEqual(unread.conversations.map(c => c.identifier), ['+15550002222']);
+});
+
+test('list_conversations clamps limit and offset', async () => {
+  const { total_conversations: total } = await call('list_conversations', {});
+  const first = await call('list_conversations', { limit: 2, offset: -5 });
+  assert.deepEqual([first.offset, first.limit, first.next_offset], [0, 2, 2]);
+
+  const none = await call('list_conversations', { limit: -1 });
+  assert.deepEqual([none.limit, none.conversations.length, none.next_offset], [0, 0, null]);
+  assert.ok(total > 2);
+  await assert.rejects(call('list_conversations', { offset: 0.5 }), /offset must be a whole number/);
+});
+
+test('get_conversation_stats counts messages and reactions', async () => {
+  const result = await call('get_conversation_stats', { identifier: 'person:1' });
+  assert.equal(result.person, 'person:1');
+  assert.equal(result.handles, 3);
+  assert.equal(result.stats.total_messages, 11);
+  assert.equal(result.stats.sent_messages, 3);
+
+  const alice = result.reactions.find(r => r.participant === ALICE);
+  assert.deepEqual(alice.given_by_type, { loved: 1 });
+
+  const group = await call('get_conversation_stats', { identifier: fixture.manifest.chats.family.identifier });
+  assert.equal(group.type, 'group');
+  assert.ok(group.participants.every(p => p.last_message === p.first_message), 'one message each');
+});
+
+test('get_conversation_stats describes reply times, who starts and unanswered messages', async () => {
+  const { dynamics } = await call('get_conversation_stats', { identifier: 'person:1' });
+  assert.equal(dynamics.session_gap_hours, 6);
+  assert.equal(dynamics.sessions.count, 1);
+  const you = dynamics.participants.find(p => p.participant === 'You');
+  assert.deepEqual([you.replies, you.median_reply_minutes, you.conversations_started], [3, 1, 0]);
+  assert.equal(dynamics.monthly.reduce((sum, m) => sum + m.messages, 0), 10, 'every message but the unsent one');
+
+  // Split at 90 minutes, the email and the SMS each start a conversation nobody answered;
+  // "Not me" in the group, 21 minutes after the SMS, is a double text
+  const split = await call('get_conversation_stats', { identifier: 'person:1', session_gap_hours: 1.5 });
+  const alice = split.dynamics.participants.find(p => p.participant === ALICE);
+  assert.equal(split.dynamics.sessions.count, 3);
+  assert.deepEqual([alice.conversations_started, alice.unanswered_messages, alice.double_texts], [3, 3, 2]);
+
+  const group = await call('get_conversation_stats', { identifier: fixture.manifest.chats.family.identifier });
+  assert.deepEqual(group.dynamics.participants.map(p => [p.participant, p.conversations_started]).find(([, started]) => started > 0), ['Bob Jones', 1]);
+  assert.equal(group.dynamics.participants.find(p => p.participant === 'Carol White').median_reply_minutes, 1);
+  await assert.rejects(call('get_conversation_stats', { identifier: 'person:1', session_gap_hours: 0 }), /Invalid session_gap_hours/);
+});
+
+test('get_conversation_stats maps activity by local hour and weekday', async () => {
+  const sum = heatmap => heatmap.flat().reduce((total, count) => total + count, 0);
+  const { rhythm } = await call('get_conversation_stats', { identifier: 'person:1', time_zone: 'UTC' });
+  assert.equal(rhythm.time_zone, 'UTC');
+  assert.equal(sum(rhythm.heatmap), 10);
+  assert.deepEqual(rhythm.participants.map(p => [p.participant, sum(p.heatmap)]), [[ALICE, 7], ['You', 3]]);
+
+  // Same messages, hours shifted by Kolkata's UTC+5:30
+  const activeHours = r => r.by_hour.flatMap((count, hour) => (count > 0 ? [hour] : []));
+  const utc = await call('get_conversation_stats', { identifier: fixture.manifest.chats.family.identifier, time_zone: 'UTC' });
+  const kolkata = await call('get_conversation_stats', { identifier: fixture.manifest.chats.family.identifier, time_zone: 'Asia/Kolkata' });
+  assert.equal(utc.rhythm.participants.length, 4);
+  assert.equal(sum(kolkata.rhythm.heatmap), sum(utc.rhythm.heatmap));
+  assert.ok(activeHours(kolkata.rhythm).every(hour => !activeHours(utc.rhythm).includes(hour)));
+
+  const text = await call('get_conversation_stats', { identifier: 'person:1', time_zone: 'UTC', format: 'minimal' });
+  assert.match(text, /^👤 Alice B\. Smith \(Ali\) \(10 msgs\)\n  UTC, /);
+  assert.match(text, /Late night \(23:00-05:00\): \d+%/);
+  assert.equal(text.split('\n').filter(line => /^Mon [.:\-=+*#%@]{24}$/.test(line)).length, 3, 'the conversation and each side');
+
+  await assert.rejects(call('get_conversation_stats', { identifier: 'person:1', time_zone: 'Mars/Olympus' }), /Unknown time zone: Mars\/Olympus/);
+});
+
+test('analyze_message_sentiment flags hostile messages with their ids', async () => {
+  const group = await call('analyze_message_sentiment', {
+    identifier: fixture.manifest.chats.family.identifier,
+    group_by_date: false,
+  });
+  assert.deepEqual(group.messages.map(m => [m.message_id, m.sender]), [[ids.late.message_id, 'Carol White']]);
+
+  const custom = await call('analyze_message_sentiment', { identifier: 'person:1', keywords: ['angry'], group_by_date: false });
+  assert.deepEqual(custom.messages.map(m => m.message_id), [ids.lease.message_id]);
+
+  const daily = await call('analyze_message_sentiment', { identifier: 'person:1', keywords: ['angry'], group_by_date: true });
+  assert.equal(daily.scoring, 'keywords');
+  assert.equal(daily.next_cursor, null);
+  assert.ok(JSON.stringify(daily).includes(String(ids.lease.message_id)));
+
+  const partial = await call('analyze_message_sentiment', { identifier: 'person:1', keywords: ['lea', 'ANGRY'], group_by_date: false });
+  assert.deepEqual(partial.messages.map(m => m.matches.map(match => match.term)), [['ANGRY']], 'keywords match whole words');
+});
+
+test('analyze_message_sentiment scores messages per speaker and per day', async () => {
+  const result = await call('analyze_message_sentiment', { identifier: 'person:1' });
+  assert.equal(result.scoring, 'lexicon');
+  assert.equal(result.keywords_searched, undefined);
+  assert.equal(result.summary.negative, 1);
+  const speakers = Object.fromEntries(result.by_speaker.map(s => [s.speaker, s]));
+  assert.deepEqual(Object.keys(speakers).sort(), [ALICE, 'You']);
+  assert.deepEqual(speakers[ALICE].worst_messages.map(m => m.message_id), [ids.lease.message_id]);
+  assert.ok(speakers[ALICE].worst_messages[0].compound < -0.5);
+  assert.ok(speakers.You.average_compound > 0, '"Yes! 7pm works" and "Can’t wait 😀"');
+  assert.deepEqual(speakers.You.worst_messages, []);
+  assert.equal(speakers[ALICE].weekly_trend.reduce((sum, w) => sum + w.messages, 0), speakers[ALICE].messages);
+  assert.deepEqual(result.daily_trend.flatMap(d => d.message_ids), [ids.lease.message_id]);
+  assert.equal(result.daily_trend.reduce((sum, d) => sum + d.messages, 0), result.summary.messages);
+
+  const negative = await call('analyze_message_sentiment', { identifier: fixture.manifest.chats.family.identifier, group_by_date: false });
+  assert.deepEqual(negative.messages.map(m => [m.message_id, m.sender, m.label]), [[ids.late.message_id, 'Carol White', 'negative']]);
+  assert.deepEqual(negative.messages[0].terms.map(t => t.term), ['frustrating', 'hate']);
+
+  const all = await call('analyze_message_sentiment', { identifier: fixture.manifest.chats.family.identifier, group_by_date: false, only_negative: false });
+  assert.equal(all.messages.length, 4);
+  assert.ok(all.messages.some(m => m.sender === 'You'));
+
+  // The unsent message is not scored as "[Message unsent]"
+  const alice = await call('analyze_message_sentiment', { identifier: 'person:1', group_by_date: false, only_negative: false });
+  assert.ok(!alice.messages.some(m => m.message_id === ids.unsent.message_id || m.text === '[Message unsent]'));
+  assert.equal(alice.summary.messages, alice.messages.length);
+  await assert.rejects(call('analyze_message_sentiment', { identifier: 'person:1', scoring: 'vibes' }), /Unknown scoring: vibes/);
+});
+
+test('analyze_message_sentiment breaks a group down by participant and shows who escalates', async () => {
+  const group = await call('analyze_message_sentiment', { identifier: fixture.manifest.chats.family.identifier });
+  const speakers = Object.fromEntries(group.by_speaker.map(s => [s.speaker, s]));
+  assert.deepEqual(Object.keys(speakers).sort(), ['Alice B. Smith (Ali)', 'Bob Jones', 'Carol White', 'You']);
+  assert.equal(speakers['Carol White'].negative, 1);
+  assert.deepEqual(speakers['Carol White'].worst_messages.map(m => m.message_id), [ids.late.message_id]);
+  assert.equal(speakers['Bob Jones'].negative, 0);
+
+  // Carol's "I hate being late" came right after "I can"
+  const [first, ...rest] = group.escalation;
+  assert.equal(first.participant, 'You');
+  assert.equal(first.hostile_replies_drawn, 1);
+  assert.deepEqual(first.replies_from, { 'Carol White': 1 });
+  assert.equal(first.rate, 1);
+  assert.deepEqual(first.examples.map(e => [e.message.text, e.hostile_reply.sender, e.hostile_reply.message_id]),
+    [['I can', 'Carol White', ids.late.message_id]]);
+  assert.ok(rest.every(entry => entry.hostile_replies_drawn === 0));
+
+  const keywords = await call('analyze_message_sentiment', { identifier: fixture.manifest.chats.family.identifier, scoring: 'keywords' });
+  assert.deepEqual(keywords.by_speaker.map(s => [s.speaker, s.matched_messages, s.worst_messages[0].terms]), [['Carol White', 1, ['hate']]]);
+  assert.match(keywords.daily_breakdown[0].sample_messages, /^Carol White: This is so frustrating/);
+  assert.deepEqual(keywords.escalation[0].replies_from, { 'Carol White': 1 });
+});
+
+test('get_message_context shows the messages around one message', async () => {
+  const result = await call('get_message_context', { message_id: String(ids.lease.message_id), before: 1, after: 1 });
+  assert.deepEqual(result.messages.map(m => m.message_id), [ids.yes.message_id, ids.lease.message_id, ids.edited.message_id]);
+  assert.equal(result.messages.find(m => m.is_target).text, 'I am so angry about the lease');
+
+  const byGuid = await call('get_message_context', { message_id: ids.lease.guid, before: 0, after: 0 });
+  assert.equal(byGuid.target_message_id, ids.lease.message_id);
+
+  await assert.rejects(call('get_message_context', { message_id: '999999' }), /not found/i);
+});
+
+test('get_message_context clamps before and after and rejects fractions', async () => {
+  const result = await call('get_message_context', { message_id: String(ids.lease.message_id), before: -3, after: 1 });
+  assert.deepEqual(result.messages.map(m => m.message_id), [ids.lease.message_id, ids.edited.message_id]);
+
+  await assert.rejects(call('get_message_context', { message_id: String(ids.lease.message_id), before: 1.5 }), /before must be a whole number/);
+  await assert.rejects(call('get_message_context', { message_id: String(ids.lease.message_id), after: '1' }), /after must be a whole number/);
+});
+
+test('list_attachments lists files by kind', async () => {
+  const result = await call('list_attachments', { identifier: 'Alice' });
+  assert.equal(result.total_attachments, 1);
+  assert.deepEqual(result.by_kind, { image: 1 });
+  assert.equal(result.attachments[0].message_id, ids.photo.message_id);
+
+  const none = await call('list_attachments', { identifier: 'Alice', type: 'video' });
+  assert.equal(none.total_attachments, 0);
+  await assert.rejects(call('list_attachments', { identifier: 'Alice', type: 'hologram' }), /Unknown attachment type/);
+});
+
+test('list_attachments counts days_back from until and clamps limit', async () => {
+  // The photo was sent about ten hours ago: one day back from tomorrow misses it
+  const tomorrow = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+  const dayBefore = await call('list_attachments', { identifier: 'Alice', until: tomorrow, days_back: 1 });
+  assert.equal(dayBefore.total_attachments, 0);
+  assert.equal(dayBefore.date_range.until, tomorrow);
+  const twoDaysBefore = await call('list_attachments', { identifier: 'Alice', until: tomorrow, days_back: 2 });
+  assert.equal(twoDaysBefore.total_attachments, 1);
+
+  const counted = await call('list_attachments', { identifier: 'Alice', limit: -1 });
+  assert.equal(counted.total_attachments, 1);
+  assert.deepEqual(counted.attachments, []);
+  await assert.rejects(call('list_attachments', { identifier: 'Alice', limit: 2.5 }), /limit must be a whole number/);
+});
+
+test('get_diagnostics reports contacts and the shared chat.db connection', async () => {
+  const result = await call('get_diagnostics');
+  assert.equal(result.default_region, 'US');
+  assert.equal(result.contacts.people, 4);
+  assert.equal(result.contacts.sources.length, 2);
+  assert.equal(result.messages_database.opens, 1, 'every tool call shares one connection');
+  assert.ok(result.messages_database.queries > 0);
+  assert.ok(result.messages_database.statement_cache_hits > 0);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, handleMatchKey, formatPhone, regionInfo } from '../phone.js';
+
+test('normalizes North American numbers in any common format', () => {
+  for (const value of ['(555) 123-4567', '555.123.4567', '5551234567', '1-555-123-4567', '+1 555 123 4567', '011 1 555 123 4567']) {
+    assert.equal(normalizePhone(value, 'US'), '+15551234567', value);
+  }
+});
+
+test('reads national numbers in the default region', () => {
+  assert.equal(normalizePhone('07700 900123', 'GB'), '+447700900123');
+  assert.equal(normalizePhone('030 1234567', 'DE'), '+49301234567');
+  assert.equal(normalizePhone('0412 345 678', 'AU'), '+61412345678');
+  assert.equal(normalizePhone('06 12 34 56 78', 'FR'), '+33612345678');
+  assert.equal(normalizePhone('06 12 34 56 78', 'fr'), '+33612345678', 'region codes are case-insensitive');
+});
+
+test('understands international call prefixes', () => {
+  assert.equal(normalizePhone('0049 30 1234567', 'GB'), '+49301234567');
+  assert.equal(normalizePhone('0011 44 7700 900123', 'AU'), '+447700900123');
+  assert.equal(normalizePhone('0044 7700 900123', 'AU'), '+447700900123', '00 works outside its home regions too');
+});
+
+test('drops the (0) trunk hint and extensions', () => {
+  assert.equal(normalizePhone('+44 (0)20 7946 0958', 'US'), '+442079460958');
+  assert.equal(normalizePhone('555-123-4567 x123', 'US'), '+15551234567');
+  assert.equal(normalizePhone('555-123-4567 ext. 4', 'US'), '+15551234567');
+});
+
+test('is not fooled by emails, short codes, fragments or text', () => {
+  assert.equal(normalizePhone('alice@example.com'), null);
+  assert.equal(normalizePhone('12345'), null);
+  assert.equal(normalizePhone('555'), null);
+  assert.equal(normalizePhone('123-4567', 'US'), null);
+  assert.equal(normalizePhone('call me'), null);
+  assert.equal(normalizePhone(''), null);
+  assert.equal(normalizePhone(null), null);
+});
+
+test('falls back to the US for unknown regions', () => {
+  assert.equal(regionInfo('zz'), null);
+  assert.equal(normalizePhone('(555) 123-4567', 'ZZ'), '+15551234567');
+  assert.deepEqual(regionInfo('gb'), { code: '44', trunk: '0', intl: '00' });
+});
+
+test('handleMatchKey gives phones, emails and short codes distinct keys', () => {
+  assert.equal(handleMatchKey('(555) 123-4567'), 'p:+15551234567');
+  assert.equal(handleMatchKey('+15551234567'), handleMatchKey('555.123.4567'));
+  assert.equal(handleMatchKey('07700 900123', 'GB'), handleMatchKey('+447700900123', 'US'));
+  assert.equal(handleMatchKey(' Alice@Example.COM '), 'e:alice@example.com');
+  assert.equal(handleMatchKey('12345'), 's:12345');
+  assert.equal(handleMatchKey('hello'), null);
+  assert.equal(handleMatchKey(''), null);
+});
+
+test('formatPhone uses national style at home and +code abroad', () => {
+  assert.equal(formatPhone('+15551234567', 'US'), '(555) 123-4567');
+  assert.equal(formatPhone('+15551234567', 'GB'), '+1 (555) 123-4567');
+  assert.equal(formatPhone('+447700900123', 'GB'), '07700900123');
+  assert.equal(formatPhone('+447700900123', 'US'), '+44 7700900123');
+  assert.equal(formatPhone('12345'), '12345', 'unparseable input is returned unchanged');
+});
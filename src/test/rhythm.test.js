@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { activityRhythm, asciiHeatmap } from '../rhythm.js';
+import { localTime, WEEKDAYS } from '../time.js';
+
+const APPLE_EPOCH_MS = 978307200000;
+
+// Messages from [speaker, UTC ISO time]
+const messages = lines => lines.map(([speaker, iso]) => ({
+  speaker,
+  date_key: String(BigInt(Date.parse(iso) - APPLE_EPOCH_MS) * 1000000n),
+}));
+
+const sample = messages([
+  ['Alice', '2024-06-03T22:30:00Z'], // Monday
+  ['You', '2024-06-03T23:10:00Z'],
+  ['Alice', '2024-06-04T01:00:00Z'], // Tuesday
+  ['Alice', '2024-06-05T12:00:00Z'], // Wednesday
+  ['You', '2024-06-10T09:00:00Z'], // the Monday after
+]);
+
+test('heatmaps count messages by local weekday and hour', () => {
+  const utc = activityRhythm(sample, { timeZone: 'UTC' });
+  assert.equal(utc.messages, 5);
+  assert.deepEqual([utc.heatmap[0][22], utc.heatmap[0][23], utc.heatmap[1][1], utc.heatmap[0][9]], [1, 1, 1, 1]);
+  assert.deepEqual(utc.by_weekday, { Mon: 3, Tue: 1, Wed: 1, Thu: 0, Fri: 0, Sat: 0, Sun: 0 });
+  assert.equal(utc.by_hour.reduce((sum, count) => sum + count, 0), 5);
+
+  // Tokyo is UTC+9: Monday 22:30 UTC is Tuesday 07:30
+  const tokyo = activityRhythm(sample, { timeZone: 'Asia/Tokyo' });
+  assert.equal(tokyo.time_zone, 'Asia/Tokyo');
+  assert.deepEqual([tokyo.heatmap[1][7], tokyo.heatmap[1][8], tokyo.heatmap[1][10], tokyo.heatmap[2][21]], [1, 1, 1, 1]);
+  assert.deepEqual(tokyo.by_weekday, { Mon: 1, Tue: 3, Wed: 1, Thu: 0, Fri: 0, Sat: 0, Sun: 0 });
+  assert.deepEqual(tokyo.peak, { weekday: 'Mon', hour: 18, messages: 1 }, 'ties go to the earliest hour of the week');
+});
+
+test('late-night share runs from 23:00 to 05:00 local time', () => {
+  const utc = activityRhythm(sample, { timeZone: 'UTC' });
+  assert.deepEqual([utc.late_night_messages, utc.late_night_ratio], [2, 0.4]);
+  assert.equal(utc.late_night_hours, '23:00-05:00');
+  const you = utc.participants.find(p => p.participant === 'You');
+  assert.deepEqual([you.messages, you.late_night_ratio], [2, 0.5]);
+  assert.equal(activityRhythm(sample, { timeZone: 'Asia/Tokyo' }).late_night_messages, 0);
+});
+
+test('streaks and gaps count local calendar days', () => {
+  const utc = activityRhythm(sample, { timeZone: 'UTC' });
+  assert.equal(utc.active_days, 4);
+  assert.deepEqual(utc.longest_streak, { days: 3, from: '2024-06-03', to: '2024-06-05' });
+  assert.deepEqual(utc.longest_gap, { days: 4, from: '2024-06-06', to: '2024-06-09' });
+
+  const alice = utc.participants.find(p => p.participant === 'Alice');
+  assert.deepEqual(alice.longest_streak, { days: 3, from: '2024-06-03', to: '2024-06-05' });
+  assert.equal(alice.longest_gap, null);
+
+  const empty = activityRhythm([], { timeZone: 'UTC' });
+  assert.deepEqual([empty.messages, empty.peak, empty.longest_streak, empty.participants], [0, null, null, []]);
+});
+
+test('ASCII heatmaps shade each hour against the busiest', () => {
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  heatmap[0][0] = 8;
+  heatmap[0][1] = 1;
+  heatmap[6][23] = 4;
+  const lines = asciiHeatmap(heatmap).split('\n');
+  assert.equal(lines.length, 8);
+  assert.equal(lines[0], '    0     6     12    18   23');
+  assert.equal(lines[1], `Mon @:${'.'.repeat(22)}`);
+  assert.equal(lines[7], `Sun ${'.'.repeat(23)}+`);
+  assert.ok(lines.slice(1).every(line => line.length === 28));
+});
+
+test('rejects unknown time zones', () => {
+  assert.throws(() => localTime('Mars/Olympus'), /Unknown time zone: Mars\/Olympus/);
+});
@@ -0,0 +1,74 @@
+/**
+ * Scripted fixture for the MCP tests: a handful of people covering multi-handle
+ * contacts, a card synced from a second AddressBook source, international and
+ * email-only contacts, a group chat with an inline-reply thread, and messages
+ * with reactions, attachments, edits, an unsend and an undecodable body.
+ */
+
+export const ICLOUD_SOURCE = '3F2A1B0C-1111-2222-3333-444455556666';
+
+export const contacts = [
+  { key: 'alice', first: 'Alice', last: 'Smith', phones: ['(555) 123-4567'], emails: ['alice@example.com'], sms: true },
+  // The same person synced from iCloud, with a middle name and nickname
+  { key: 'alice-icloud', first: 'Alice', middle: 'B.', last: 'Smith', nickname: 'Ali', phones: ['+1 555 123 4567'], source: ICLOUD_SOURCE },
+  { key: 'bob', first: 'Bob', last: 'Jones', phones: ['+44 7700 900123'] },
+  { key: 'carol', first: 'Carol', last: 'White', emails: ['carol@example.org'] },
+  { key: 'plumber', organization: 'Acme Plumbing', phones: ['555-000-1111'] },
+  { key: 'stranger', phones: ['+15550002222'], card: false },
+];
+
+export const conversations = [
+  {
+    key: 'alice',
+    with: 'alice',
+    messages: [
+      { id: 'dinner', from: 'alice', text: 'Hey, are we still on for dinner?', ago: 600, plain: true },
+      { id: 'yes', from: 'me', text: 'Yes! 7pm works', reactions: [{ from: 'alice', type: 'loved' }] },
+      { id: 'lease', from: 'alice', text: 'I am so angry about the lease' },
+      { id: 'edited', from: 'me', text: 'See you at 8', edits: ['See you at 7'] },
+      { id: 'unsent', from: 'alice', text: 'Oops wrong chat', unsent: true },
+      {
+        id: 'photo',
+        from: 'alice',
+        text: 'Look at this',
+        attachments: [{ name: 'IMG_0001.heic', mime: 'image/heic', uti: 'public.heic', bytes: 2048000 }],
+      },
+      { id: 'garbled', from: 'alice', undecodable: true },
+      { id: 'emoji', from: 'me', text: 'Can’t wait 😀 café' },
+    ],
+  },
+  {
+    key: 'alice-email',
+    with: 'alice',
+    via: 'alice@example.com',
+    messages: [{ id: 'email', from: 'alice', text: 'Sent you the lease documents by email', ago: 300 }],
+  },
+  {
+    key: 'alice-sms',
+    with: 'alice',
+    via: '+15551234567',
+    service: 'SMS',
+    messages: [{ id: 'sms', from: 'alice', text: 'Texting from the train', ago: 200, plain: true }],
+  },
+  {
+    key: 'family',
+    with: ['alice', 'bob', 'carol'],
+    name: 'Family',
+    messages: [
+      { id: 'drinks', from: 'bob', text: 'Who is bringing drinks?', ago: 180 },
+      { id: 'not-me', from: 'alice', text: 'Not me', replyTo: 'drinks' },
+      { id: 'i-can', from: 'me', text: 'I can', replyTo: 'drinks', reactions: [{ from: 'bob', type: 'liked' }] },
+      { id: 'late', from: 'carol', text: 'This is so frustrating, I hate being late' },
+    ],
+  },
+  {
+    key: 'bob',
+    with: 'bob',
+    messages: [{ id: 'london', from: 'bob', text: 'Cheers from London', ago: 120 }],
+  },
+  {
+    key: 'stranger',
+    with: 'stranger',
+    messages: [{ id: 'code', from: 'stranger', text: 'Your verification code is 123456', ago: 60, unread: true }],
+  },
+];
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreText, tokenize, summarizeScores } from '../sentiment.js';
+
+const compound = text => scoreText(text).compound;
+
+test('matches whole words only', () => {
+  assert.equal(compound('I made it to the party, hello everyone'), 0);
+  assert.equal(scoreText('So mad right now').label, 'negative');
+  assert.deepEqual(tokenize('“Great,” she said... :) wow😀').map(t => t.key), ['great', 'she', 'said', ':)', 'wow', '😀']);
+});
+
+test('negation flips and damps the words after it', () => {
+  assert.ok(compound('I am angry') < -0.05);
+  assert.ok(compound('I am not angry') > 0.05);
+  assert.ok(compound('I don’t hate you') > 0);
+  assert.ok(compound('This is not good at all') < 0);
+  assert.ok(compound('never so happy') > compound('happy'), '"never so" is emphatic');
+  assert.ok(compound('Can’t wait to see you') >= 0, '"can\'t wait" is not a negation');
+});
+
+test('intensifiers, capitals and punctuation add emphasis', () => {
+  assert.ok(compound('very good') > compound('good'));
+  assert.ok(compound('slightly good') < compound('good'));
+  assert.ok(compound('that was GOOD') > compound('that was good'));
+  assert.ok(compound('good!!!') > compound('good'));
+  assert.ok(compound('really annoying') < compound('annoying'));
+});
+
+test('after "but" counts more than before it', () => {
+  assert.equal(scoreText('The food was good but the service was terrible').label, 'negative');
+  assert.equal(scoreText('The service was terrible but the food was amazing').label, 'positive');
+});
+
+test('emoji and emoticons carry sentiment', () => {
+  assert.equal(scoreText('❤️').label, 'positive');
+  assert.equal(scoreText('ok 😡😡').label, 'negative');
+  assert.equal(scoreText(':(').label, 'negative');
+  assert.equal(scoreText('👍🏽').label, 'positive', 'skin tones are ignored');
+});
+
+test('reports the rated terms and summarizes scores', () => {
+  const score = scoreText('I hate waiting, so frustrating');
+  assert.deepEqual(score.terms.map(t => t.term), ['hate', 'frustrating']);
+  assert.ok(score.terms.every(t => t.valence < 0));
+  assert.equal(Math.round((score.positive + score.negative + score.neutral) * 100), 100);
+  assert.deepEqual(scoreText('Who is bringing drinks?'), { compound: 0, positive: 0, negative: 0, neutral: 1, label: 'neutral', terms: [] });
+
+  const summary = summarizeScores(['great', 'awful', 'the'].map(text => scoreText(text)));
+  assert.deepEqual([summary.messages, summary.positive, summary.negative, summary.neutral], [3, 1, 1, 1]);
+});
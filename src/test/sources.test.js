@@ -0,0 +1,116 @@
+/**
+ * End-to-end tests of the configuration: a second, archived message source
+ * selected with the source argument, configured default arguments and a disabled tool.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { startFixtureServer } from './helpers.js';
+import { generateFixture } from '../fixtures/generate.js';
+import { contacts } from './scenario.js';
+
+let archiveDir;
+let fixture;
+let call;
+
+before(async () => {
+  // An older export of the same account: its own chat.db, read with the main AddressBook
+  archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-mcp-archive-'));
+  await generateFixture(archiveDir, {
+    people: 0,
+    strangers: 0,
+    groups: 0,
+    messages: 0,
+    contacts,
+    conversations: [{
+      key: 'bob-archive',
+      with: 'bob',
+      messages: [{
+        id: 'old',
+        from: 'bob',
+        text: 'Archived hello from London',
+        ago: 400 * 24 * 60,
+        attachments: [{ name: 'IMG_0002.heic', mime: 'image/heic', uti: 'public.heic', bytes: 1024 }],
+      }],
+    }],
+  });
+
+  fixture = await startFixtureServer({}, {
+    argv: [
+      '--source', `archive=${path.join(archiveDir, 'Library', 'Messages')}`,
+      '--default', 'days_back=3650',
+      '--default', 'read_conversation.limit=2',
+      '--disable-tools', 'analyze_message_sentiment',
+    ],
+  });
+  call = fixture.call;
+});
+
+after(async () => {
+  await fixture.close();
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+test('tools take a source argument and show configured defaults', async () => {
+  const { tools } = await fixture.client.listTools();
+  assert.ok(!tools.some(t => t.name === 'analyze_message_sentiment'));
+
+  const read = tools.find(t => t.name === 'read_conversation').inputSchema.properties;
+  assert.deepEqual(read.source.enum, ['default', 'archive']);
+  assert.equal(read.limit.default, 2);
+  assert.equal(read.limit.description, 'Max messages, up to 500 (default: 2)');
+  assert.equal(read.days_back.default, 3650);
+  assert.ok(!('days_back' in tools.find(t => t.name === 'read_thread').inputSchema.properties));
+});
+
+test('disabled tools cannot be called', async () => {
+  await assert.rejects(call('analyze_message_sentiment', { identifier: 'Bob' }), /disabled in the server configuration/);
+});
+
+test('the source argument selects the message database', async () => {
+  const archived = await call('read_conversation', { identifier: 'Bob', source: 'archive' });
+  assert.equal(archived.conversation, 'Bob Jones', 'contacts come from the shared AddressBook');
+  assert.deepEqual(archived.messages.map(m => m.text), ['Archived hello from London']);
+
+  const current = (await call('read_conversation', { identifier: 'Bob' })).messages.map(m => m.text);
+  assert.ok(current.includes('Cheers from London'));
+  assert.ok(!current.includes('Archived hello from London'));
+
+  await assert.rejects(call('read_conversation', { identifier: 'Bob', source: 'nowhere' }), /Unknown source: nowhere/);
+});
+
+test('configured defaults apply when the call leaves an argument out', async () => {
+  const page = await call('read_conversation', { identifier: 'person:1' });
+  assert.equal(page.messages.length, 2);
+  assert.ok(page.next_cursor);
+  assert.equal((await call('read_conversation', { identifier: 'person:1', limit: 5 })).messages.length, 5);
+});
+
+test('each source has its own search index', async () => {
+  const archived = await call('search_messages', { query: 'archived', source: 'archive' });
+  assert.equal(archived.total_matches, 1);
+  assert.equal((await call('search_messages', { query: 'archived' })).total_matches, 0);
+
+  const dataDir = path.join(fixture.home, 'Library', 'Application Support', 'imessage-mcp-server');
+  assert.ok(fs.existsSync(path.join(dataDir, 'search-index.db')));
+  assert.ok(fs.existsSync(path.join(dataDir, 'search-index-archive.db')));
+});
+
+test('attachment paths point into the source\'s own Attachments folder', async () => {
+  const result = await call('list_attachments', { identifier: 'Bob', source: 'archive' });
+  assert.equal(result.total_attachments, 1);
+  assert.ok(result.attachments[0].path.startsWith(path.join(archiveDir, 'Library', 'Messages', 'Attachments') + path.sep));
+});
+
+test('get_diagnostics reports the selected source and the configuration', async () => {
+  const result = await call('get_diagnostics', { source: 'archive' });
+  assert.equal(result.source, 'archive');
+  assert.equal(result.messages_database.path, path.join(archiveDir, 'Library', 'Messages', 'chat.db'));
+  assert.deepEqual(result.config.sources.map(s => [s.name, s.chat_db_exists]), [['default', true], ['archive', true]]);
+  assert.equal(result.config.default_source, 'default');
+  assert.ok(!result.config.tools.includes('analyze_message_sentiment'));
+  assert.deepEqual(result.config.default_arguments.read_conversation, { days_back: 3650, limit: 2 });
+});
@@ -0,0 +1,75 @@
+/**
+ * attributedBody decoding against bodies in the byte layout Messages writes
+ * (test/fixtures/attributed-body/): NSNumber attributes typed through a C string,
+ * attribute keys shared by reference, and references past the one-byte range in
+ * many-runs.bin (80 mentions, two attachments and two links in one message).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodeAttributedBody, scanForString, parseTypedStream, TypedStreamError, ATTACHMENT_CHAR } from '../typedstream.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'attributed-body');
+const body = name => fs.readFileSync(path.join(FIXTURES, `${name}.bin`));
+
+test('decodes the text of an archived NSAttributedString', () => {
+  const decoded = decodeAttributedBody(body('hello'));
+  assert.equal(decoded.text, 'Hello');
+  assert.deepEqual(decoded.runs.map(r => [r.start, r.length]), [[0, 5]]);
+  assert.deepEqual(decoded.parts, [0]);
+});
+
+test('keeps emoji and accents intact, with run lengths in UTF-16 code units', () => {
+  const decoded = decodeAttributedBody(body('emoji-accents'));
+  assert.equal(decoded.text, 'Can’t wait 😀 café');
+  assert.deepEqual(decoded.runs.map(r => r.length), [decoded.text.length]);
+});
+
+test('collects mentions, links and attachment placeholders from attribute runs', () => {
+  assert.deepEqual(decodeAttributedBody(body('mention')).mentions, [{ handle: '+447700900123', text: '@Bob', start: 4, length: 4 }]);
+
+  const link = decodeAttributedBody(body('link'));
+  assert.deepEqual(link.links, [{ url: 'https://example.com/a?b=1', text: 'https://example.com/a?b=1', start: 4, length: 25 }]);
+
+  const photo = decodeAttributedBody(body('attachment'));
+  assert.equal(photo.text, `${ATTACHMENT_CHAR}Nice`);
+  assert.deepEqual(photo.attachments, [{ guid: 'at_0_6F1D2C3B-4A5E-4F60-8B7C-9D0E1F2A3B4C', filename: 'IMG_0001.HEIC', start: 0 }]);
+  assert.equal(photo.runs[0].attributes.__kIMBaseWritingDirectionAttributeName, -1);
+  assert.deepEqual(photo.parts, [0, 1]);
+});
+
+test('follows references past the first 110 and 238 objects', () => {
+  const decoded = decodeAttributedBody(body('many-runs'));
+  assert.equal(decoded.mentions.length, 80);
+  assert.deepEqual(decoded.mentions[79], { handle: '+15550000079', text: '@p79', start: 405, length: 4 });
+  assert.deepEqual(decoded.attachments.map(a => [a.guid, a.start]), [['at_0_A', 190], ['at_0_B', 410]]);
+  assert.deepEqual(decoded.links.map(l => [l.url, l.start]), [['https://example.com', 366], ['https://example.org', 411]]);
+});
+
+test('reads the stream header', () => {
+  const { version, systemVersion, values } = parseTypedStream(body('hello'));
+  assert.equal(version, 4);
+  assert.equal(systemVersion, 1000);
+  assert.ok(values.length > 0);
+});
+
+test('rejects data that is not a typedstream', () => {
+  assert.throws(() => decodeAttributedBody(Buffer.from('not a typedstream')), TypedStreamError);
+  assert.throws(() => decodeAttributedBody(Buffer.alloc(0)), TypedStreamError);
+});
+
+test('rejects truncated streams', () => {
+  const hello = body('hello');
+  assert.throws(() => decodeAttributedBody(hello.subarray(0, hello.length - 30)), TypedStreamError);
+});
+
+test('scanForString recovers the text of a damaged stream', () => {
+  const emoji = body('emoji-accents');
+  const damaged = Buffer.concat([emoji.subarray(0, emoji.length - 40), Buffer.from([0xff, 0xff])]);
+  assert.throws(() => decodeAttributedBody(damaged), TypedStreamError);
+  assert.equal(scanForString(damaged), 'Can’t wait 😀 café');
+  assert.equal(scanForString(Buffer.from('nothing here')), null);
+});
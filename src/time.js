@@ -0,0 +1,47 @@
+/**
+ * Message times and local calendars shared by the conversation analytics
+ * (dynamics.js, rhythm.js). Imports nothing, so both can import it.
+ *
+ * Messages carry date_key, Apple nanoseconds since 2001-01-01 as text, as
+ * Number cannot hold them exactly (see timeline.js).
+ */
+
+// Apple timestamps count from 2001-01-01T00:00:00Z
+const APPLE_EPOCH_MS = 978307200000;
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const messageTime = row => Number(BigInt(row.date_key) / 1000000n) + APPLE_EPOCH_MS;
+
+// Map of key -> items with that key, keys and items in the order first seen
+export function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+export const systemTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * A function from epoch milliseconds to the local { date: 'YYYY-MM-DD', weekday (0 = Monday), hour }
+ * in timeZone. Throws on a zone Intl does not know.
+ */
+export function localTime(timeZone) {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', weekday: 'short', hourCycle: 'h23',
+    });
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}. Use an IANA name, e.g. Europe/London or America/New_York`);
+  }
+  return ms => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, weekday: WEEKDAYS.indexOf(parts.weekday), hour: Number(parts.hour) };
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * One timeline from the messages of several sources, e.g. a person's iMessage
+ * history on the Mac and their SMS history from an Android export.
+ *
+ * A message can be in two sources: SMS forwarded to the Mac that was also backed
+ * up on the phone, or history restored onto a new phone before it was exported.
+ * Such copies rarely share an id, and their timestamps differ by the seconds the
+ * message took to reach each device, so a message from a later source is dropped
+ * as a duplicate when an earlier source has one with the same direction and text
+ * within DUPLICATE_WINDOW_NS. Each kept message absorbs at most one copy per
+ * source, so a message really sent twice stays twice.
+ *
+ * ROWIDs only order messages within one database, so messages at the same date
+ * are ordered by source precedence first and ROWID second.
+ */
+
+export const DUPLICATE_WINDOW_NS = 120n * 1000000000n;
+
+// Direction and whitespace-normalized text; messages without text are never merged
+function duplicateKey(row) {
+  const text = row.text ? row.text.replace(/\s+/g, ' ').trim() : '';
+  return text ? `${row.is_from_me === 1 ? 'me' : 'them'}:${text}` : null;
+}
+
+function newestFirst(a, b) {
+  if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+  if (a.order !== b.order) return a.order - b.order;
+  return b.row.ROWID - a.row.ROWID;
+}
+
+/**
+ * Merge timelines given in order of precedence as [{ source, rows, shown, partial }],
+ * rows carrying date_key (Apple nanoseconds as text), ROWID, is_from_me and text.
+ * shown holds the source's messages already returned on earlier pages: they absorb
+ * their copies but are not returned again. partial marks rows as only the newest of
+ * the source's messages; kept rows older than its last one are left out, as unread
+ * messages of that source could come before them. Returns the kept rows, newest first
+ * and tagged with their source name, the number of duplicates, and whether any
+ * timeline was partial.
+ */
+export function mergeTimelines(timelines, windowNs = DUPLICATE_WINDOW_NS) {
+  const kept = [];
+  const keptByKey = new Map(); // duplicate key -> [{ date, source, absorbed: Set of source indexes }]
+  let duplicates = 0;
+
+  // Whether row is a copy of a message already kept; if not, it is kept for later copies
+  const absorb = (row, sourceIndex) => {
+    const key = duplicateKey(row);
+    if (!key) return false;
+    const date = BigInt(row.date_key);
+    const candidates = keptByKey.get(key) || [];
+    const original = candidates.find(c => c.source !== sourceIndex && !c.absorbed.has(sourceIndex) &&
+      (c.date > date ? c.date - date : date - c.date) <= windowNs);
+    if (original) {
+      original.absorbed.add(sourceIndex);
+      return true;
+    }
+    candidates.push({ date, source: sourceIndex, absorbed: new Set() });
+    keptByKey.set(key, candidates);
+    return false;
+  };
+
+  timelines.forEach(({ shown = [] }, sourceIndex) => {
+    for (const row of shown) absorb(row, sourceIndex);
+  });
+
+  let cutoff = null;
+  timelines.forEach(({ source, rows, partial = false }, sourceIndex) => {
+    for (const row of rows) {
+      if (absorb(row, sourceIndex)) {
+        duplicates++;
+        continue;
+      }
+      kept.push({ row: { ...row, source }, date: BigInt(row.date_key), order: sourceIndex });
+    }
+    const last = rows[rows.length - 1];
+    if (partial && last) {
+      const end = { row: last, date: BigInt(last.date_key), order: sourceIndex };
+      if (!cutoff || newestFirst(end, cutoff) < 0) cutoff = end;
+    }
+  });
+
+  return {
+    rows: kept.sort(newestFirst).filter(k => !cutoff || newestFirst(k, cutoff) <= 0).map(k => k.row),
+    duplicates,
+    partial: timelines.some(t => t.partial),
+  };
+}
@@ -0,0 +1,321 @@
+/**
+ * Conversation transcripts for export_conversation: every message of a conversation,
+ * oldest first, rendered as Markdown, self-contained HTML, CSV or JSONL.
+ *
+ * A transcript is { title, type, person, date_range, exported_at, sources, messages },
+ * messages shaped like read_conversation's plus a sender name. Replies quote the message
+ * they answer when it is part of the transcript. The HTML file embeds image attachments
+ * as data: URIs so it can be archived or mailed on its own, and has print styles, so
+ * printing it (or saving it as PDF from the print dialog) gives a paginated transcript.
+ * Times are UTC, as everywhere in the server's output.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+// Format -> file extension
+export const EXPORT_FORMATS = { markdown: 'md', html: 'html', csv: 'csv', jsonl: 'jsonl' };
+
+// Images larger than this are linked from the HTML file instead of embedded
+export const THUMBNAIL_MAX_BYTES = 5 * 1024 * 1024;
+
+// Image types browsers display; HEIC and TIFF attachments are linked instead
+const EMBEDDABLE_IMAGES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+const REACTION_EMOJI = {
+  loved: '❤️',
+  liked: '👍',
+  disliked: '👎',
+  laughed: '😂',
+  emphasized: '‼️',
+  questioned: '❓',
+};
+
+const CSV_COLUMNS = [
+  'date', 'sender', 'is_from_me', 'text', 'service', 'source', 'attachments', 'reactions',
+  'reply_to', 'edited', 'unsent',
+];
+
+function reactionLabel(reaction) {
+  return `${REACTION_EMOJI[reaction.type] || reaction.type} ${reaction.by}`;
+}
+
+function fileUrl(file) {
+  return pathToFileURL(file).href;
+}
+
+// Messages are labelled with their source when more than one source contributed
+function showSources(transcript) {
+  return (transcript.sources?.length || 0) > 1;
+}
+
+// Originators by thread GUID, to quote them above their replies
+function threadIndex(messages) {
+  return new Map(messages.filter(m => m.thread).map(m => [m.thread, m]));
+}
+
+function snippet(text, length = 80) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return null;
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function metaLines(transcript) {
+  const { date_range: range } = transcript;
+  return [
+    `Messages: ${transcript.messages.length}`,
+    `Range: ${range.since} to ${range.until || transcript.exported_at} (UTC)`,
+    ...(showSources(transcript) ? [`Sources: ${transcript.sources.join(', ')}`] : []),
+    `Exported: ${transcript.exported_at}`,
+  ];
+}
+
+// Markdown: a heading per day, one paragraph per message
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_{}[\]<>#|~]/g, '\\$&');
+}
+
+function markdownMessage(msg, originators, withSource) {
+  const original = msg.reply_to ? originators.get(msg.reply_to) : null;
+  let quote = '';
+  if (original) quote = `> ↩︎ ${escapeMarkdown(original.sender)}: ${escapeMarkdown(snippet(original.text))}\n\n`;
+  else if (msg.reply_to) quote = '> ↩︎ Reply to an earlier message\n\n';
+
+  const lines = [];
+  const text = escapeMarkdown(msg.text).split('\n').join('  \n');
+  lines.push(`**${msg.date.slice(11, 16)} ${escapeMarkdown(msg.sender)}:** ${text}`);
+  for (const attachment of msg.attachments || []) {
+    const label = escapeMarkdown(attachment.filename || 'attachment');
+    const details = [attachment.kind, formatBytes(attachment.size_bytes)].filter(Boolean).join(', ');
+    lines.push(attachment.on_disk
+      ? `📎 [${label}](<${fileUrl(attachment.path)}>) (${details})`
+      : `📎 ${label} (${details}, not on disk)`);
+  }
+  const notes = [
+    ...(msg.reactions?.length ? [msg.reactions.map(reactionLabel).map(escapeMarkdown).join(' · ')] : []),
+    ...(msg.edited ? ['edited'] : []),
+    ...(msg.reply_count ? [`${msg.reply_count} ${msg.reply_count === 1 ? 'reply' : 'replies'}`] : []),
+    ...(withSource && msg.source ? [`from ${msg.source}`] : []),
+  ];
+  if (notes.length > 0) lines.push(`_${notes.join(' · ')}_`);
+  return `${quote}${lines.join('  \n')}`;
+}
+
+export function renderMarkdown(transcript) {
+  const originators = threadIndex(transcript.messages);
+  const out = [`# ${escapeMarkdown(transcript.title)}`, '', ...metaLines(transcript).map(line => `- ${line}`)];
+  let day = null;
+  for (const msg of transcript.messages) {
+    if (msg.date.slice(0, 10) !== day) {
+      day = msg.date.slice(0, 10);
+      out.push('', `## ${day}`);
+    }
+    out.push('', markdownMessage(msg, originators, showSources(transcript)));
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// HTML: chat bubbles with reactions, reply quotes and image thumbnails inline
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+  body { font: 15px/1.4 -apple-system, BlinkMacSystemFont, "Helvetica Neue", Arial, sans-serif; color: #1c1c1e; background: #f2f2f7; margin: 0; }
+  header, main { max-width: 760px; margin: 0 auto; padding: 16px 24px; }
+  header { border-bottom: 1px solid #d1d1d6; }
+  h1 { font-size: 22px; margin: 0 0 6px; }
+  .meta { color: #6e6e73; font-size: 13px; margin: 0; }
+  h2 { font-size: 13px; font-weight: 600; color: #6e6e73; text-align: center; margin: 24px 0 8px; }
+  .msg { display: flex; flex-direction: column; align-items: flex-start; margin: 6px 0; break-inside: avoid; }
+  .msg.me { align-items: flex-end; }
+  .who { font-size: 12px; color: #6e6e73; margin: 0 12px 2px; }
+  .bubble { max-width: 75%; padding: 8px 12px; border-radius: 18px; background: #e5e5ea; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .me .bubble { background: #0a84ff; color: #fff; }
+  .me.sms .bubble { background: #30d158; }
+  .reply-to { max-width: 70%; margin: 0 12px 2px; padding-left: 8px; border-left: 3px solid #c7c7cc; font-size: 13px; color: #6e6e73; }
+  .reply-to a { color: inherit; text-decoration: none; }
+  figure { margin: 4px 12px; max-width: 75%; }
+  figure img { display: block; max-width: 100%; max-height: 320px; border-radius: 12px; }
+  figcaption { font-size: 12px; color: #6e6e73; }
+  .reactions { font-size: 13px; margin: 2px 12px 0; }
+  .note { font-size: 12px; color: #8e8e93; margin: 0 12px; }
+  @page { margin: 15mm; }
+  @media print {
+    body { background: #fff; }
+    header, main { max-width: none; padding: 0; }
+    .bubble { border: 1px solid #d1d1d6; }
+    .me .bubble, .me.sms .bubble { background: #e8f1ff; color: #1c1c1e; }
+    a { color: inherit; }
+  }
+`;
+
+// An embeddable image as a data: URI, or null to link the file instead
+function thumbnail(attachment) {
+  const mime = (attachment.mime_type || '').toLowerCase();
+  if (attachment.kind !== 'image' || !attachment.on_disk || !EMBEDDABLE_IMAGES.has(mime)) return null;
+  try {
+    if (fs.statSync(attachment.path).size > THUMBNAIL_MAX_BYTES) return null;
+    return `data:${mime};base64,${fs.readFileSync(attachment.path).toString('base64')}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function htmlAttachment(attachment, stats) {
+  const name = escapeHtml(attachment.filename || 'attachment');
+  const details = [attachment.kind, formatBytes(attachment.size_bytes)].filter(Boolean).join(', ');
+  const image = thumbnail(attachment);
+  if (image) {
+    stats.thumbnails++;
+    return `<figure><img src="${image}" alt="${name}"><figcaption>${name}</figcaption></figure>`;
+  }
+  const label = attachment.on_disk
+    ? `<a href="${escapeHtml(fileUrl(attachment.path))}">${name}</a>`
+    : `${name} (not on disk)`;
+  return `<figure><figcaption>📎 ${label} · ${escapeHtml(details)}</figcaption></figure>`;
+}
+
+function htmlMessage(msg, originators, stats, withSource) {
+  const classes = ['msg', msg.is_from_me ? 'me' : 'them', ...(msg.service === 'SMS' ? ['sms'] : [])];
+  const parts = [];
+  const who = [msg.sender, msg.date.slice(11, 16), ...(withSource && msg.source ? [msg.source] : [])].map(escapeHtml).join(' · ');
+  parts.push(`<div class="who">${who}</div>`);
+
+  const original = msg.reply_to ? originators.get(msg.reply_to) : null;
+  if (original) {
+    parts.push(`<div class="reply-to"><a href="#m-${escapeHtml(original.thread)}">↩︎ ${escapeHtml(original.sender)}: ${escapeHtml(snippet(original.text))}</a></div>`);
+  } else if (msg.reply_to) {
+    parts.push('<div class="reply-to">↩︎ Reply to an earlier message</div>');
+  }
+
+  parts.push(`<div class="bubble">${escapeHtml(msg.text)}</div>`);
+  for (const attachment of msg.attachments || []) parts.push(htmlAttachment(attachment, stats));
+  if (msg.reactions?.length) {
+    parts.push(`<div class="reactions">${msg.reactions.map(r => escapeHtml(reactionLabel(r))).join(' · ')}</div>`);
+  }
+  const notes = [
+    ...(msg.edited ? ['edited'] : []),
+    ...(msg.reply_count ? [`${msg.reply_count} ${msg.reply_count === 1 ? 'reply' : 'replies'}`] : []),
+  ];
+  if (notes.length > 0) parts.push(`<div class="note">${notes.join(' · ')}</div>`);
+
+  const id = msg.thread ? ` id="m-${escapeHtml(msg.thread)}"` : '';
+  return `<div class="${classes.join(' ')}"${id}>\n  ${parts.join('\n  ')}\n</div>`;
+}
+
+// Returns { content, thumbnails }: the document and the number of images embedded in it
+export function renderHtml(transcript) {
+  const originators = threadIndex(transcript.messages);
+  const stats = { thumbnails: 0 };
+  const body = [];
+  let day = null;
+  for (const msg of transcript.messages) {
+    if (msg.date.slice(0, 10) !== day) {
+      day = msg.date.slice(0, 10);
+      body.push(`<h2>${day}</h2>`);
+    }
+    body.push(htmlMessage(msg, originators, stats, showSources(transcript)));
+  }
+
+  const content = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(transcript.title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<header>',
+    `<h1>${escapeHtml(transcript.title)}</h1>`,
+    `<p class="meta">${metaLines(transcript).map(escapeHtml).join(' · ')}</p>`,
+    '</header>',
+    '<main>',
+    ...body,
+    '</main>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+  return { content, thumbnails: stats.thumbnails };
+}
+
+// CSV (RFC 4180, with a byte order mark so spreadsheets read it as UTF-8): one row per message
+
+// Cells a spreadsheet would run as a formula are prefixed with a quote
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function renderCsv(transcript) {
+  const rows = transcript.messages.map(msg => [
+    msg.date,
+    msg.sender,
+    msg.is_from_me,
+    msg.text,
+    msg.service,
+    msg.source || null,
+    (msg.attachments || []).map(a => a.path || a.filename).join('; '),
+    (msg.reactions || []).map(r => `${r.type} by ${r.by}`).join('; '),
+    msg.reply_to || null,
+    Boolean(msg.edited),
+    Boolean(msg.unsent),
+  ].map(csvCell).join(','));
+  return `\uFEFF${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+// JSONL: one message object per line
+
+export function renderJsonl(transcript) {
+  return transcript.messages.map(msg => JSON.stringify(msg)).join('\n') + (transcript.messages.length > 0 ? '\n' : '');
+}
+
+// Render a transcript: { content, thumbnails } (thumbnails only counted for HTML)
+export function renderTranscript(transcript, format) {
+  switch (format) {
+    case 'markdown':
+      return { content: renderMarkdown(transcript), thumbnails: 0 };
+    case 'html':
+      return renderHtml(transcript);
+    case 'csv':
+      return { content: renderCsv(transcript), thumbnails: 0 };
+    case 'jsonl':
+      return { content: renderJsonl(transcript), thumbnails: 0 };
+    default:
+      throw new Error(`Unknown export format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+}
+
+// Default file name: the conversation title and the export date, made safe for any file system
+export function transcriptFileName(title, format, date = new Date()) {
+  const name = title.replace(/[/\\:*?"<>|\x00-\x1f]/g, '-').replace(/\s+/g, ' ').trim().slice(0, 100) || 'Conversation';
+  return `${name} ${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format]}`;
+}
+
+// A path that does not exist yet: file, or "file (2)", "file (3)", ...
+export function uniquePath(file) {
+  const ext = path.extname(file);
+  const base = file.slice(0, file.length - ext.length);
+  let candidate = file;
+  for (let n = 2; fs.existsSync(candidate); n++) candidate = `${base} (${n})${ext}`;
+  return candidate;
+}
@@ -0,0 +1,419 @@
+/**
+ * Decoder for the NSArchiver "typedstream" format used by message.attributedBody.
+ *
+ * Since macOS Ventura most messages no longer populate message.text and store
+ * their content only as an archived NSAttributedString. This module walks the
+ * archive the same way NSUnarchiver does (shared strings, object/class
+ * references, typed values) and turns it back into the string plus its
+ * attribute runs (mentions, links, attachment placeholders, message parts).
+ */
+
+// Stream tags (signed bytes in the original format)
+const TAG_INT16 = 0x81;
+const TAG_INT32 = 0x82;
+const TAG_FLOAT = 0x83;
+const TAG_NEW = 0x84;
+const TAG_NIL = 0x85;
+const TAG_END = 0x86;
+
+// References to earlier strings and objects are signed integers counting from -110,
+// so the first 238 fit in one byte (0x92..0x7f) and later ones use the int16/int32 tags
+const FIRST_REFERENCE = -110;
+
+// Unicode OBJECT REPLACEMENT CHARACTER that marks inline attachments
+export const ATTACHMENT_CHAR = '\uFFFC';
+
+export class TypedStreamError extends Error {
+  constructor(message, offset) {
+    super(offset === undefined ? message : `${message} (at byte ${offset})`);
+    this.name = 'TypedStreamError';
+    this.offset = offset;
+  }
+}
+
+class TypedStreamReader {
+  constructor(buffer) {
+    this.buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+    this.pos = 0;
+    this.littleEndian = true;
+    this.strings = []; // shared C strings: type encodings and class names
+    this.objects = []; // objects, classes and C strings, in order of first appearance
+  }
+
+  peek() {
+    if (this.pos >= this.buf.length) {
+      throw new TypedStreamError('Unexpected end of stream', this.pos);
+    }
+    return this.buf[this.pos];
+  }
+
+  next() {
+    const byte = this.peek();
+    this.pos++;
+    return byte;
+  }
+
+  take(length) {
+    if (length < 0 || this.pos + length > this.buf.length) {
+      throw new TypedStreamError(`Cannot read ${length} bytes`, this.pos);
+    }
+    const slice = this.buf.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return slice;
+  }
+
+  readInt(signed) {
+    const tag = this.next();
+    if (tag === TAG_INT16) {
+      const bytes = this.take(2);
+      if (signed) return this.littleEndian ? bytes.readInt16LE(0) : bytes.readInt16BE(0);
+      return this.littleEndian ? bytes.readUInt16LE(0) : bytes.readUInt16BE(0);
+    }
+    if (tag === TAG_INT32) {
+      const bytes = this.take(4);
+      if (signed) return this.littleEndian ? bytes.readInt32LE(0) : bytes.readInt32BE(0);
+      return this.littleEndian ? bytes.readUInt32LE(0) : bytes.readUInt32BE(0);
+    }
+    return signed && tag > 0x7f ? tag - 0x100 : tag;
+  }
+
+  readFloat(double) {
+    if (this.peek() !== TAG_FLOAT) return this.readInt(true);
+    this.pos++;
+    const bytes = this.take(double ? 8 : 4);
+    if (double) return this.littleEndian ? bytes.readDoubleLE(0) : bytes.readDoubleBE(0);
+    return this.littleEndian ? bytes.readFloatLE(0) : bytes.readFloatBE(0);
+  }
+
+  readReference(table, kind) {
+    const start = this.pos;
+    const index = this.readInt(true) - FIRST_REFERENCE;
+    if (index < 0 || index >= table.length) {
+      throw new TypedStreamError(`Invalid ${kind} reference ${index}`, start);
+    }
+    return table[index];
+  }
+
+  // Shared strings are written once and referenced by index afterwards
+  readSharedString() {
+    const tag = this.peek();
+    if (tag === TAG_NIL) {
+      this.pos++;
+      return null;
+    }
+    if (tag === TAG_NEW) {
+      this.pos++;
+      const length = this.readInt(false);
+      const value = this.take(length).toString('latin1');
+      this.strings.push(value);
+      return value;
+    }
+    return this.readReference(this.strings, 'string');
+  }
+
+  // Length-prefixed bytes written inline, e.g. the UTF-8 payload of an NSString
+  readUnsharedString() {
+    if (this.peek() === TAG_NIL) {
+      this.pos++;
+      return null;
+    }
+    return this.take(this.readInt(false)).toString('utf8');
+  }
+
+  // C strings ("*", such as the type of an NSNumber) wrap a shared string and are
+  // referenced through the object table afterwards
+  readCString() {
+    const tag = this.peek();
+    if (tag === TAG_NIL) {
+      this.pos++;
+      return null;
+    }
+    if (tag !== TAG_NEW) return this.readReference(this.objects, 'C string');
+
+    this.pos++;
+    const value = this.readSharedString();
+    this.objects.push(value);
+    return value;
+  }
+
+  readHeader() {
+    const version = this.readInt(false);
+    const signatureLength = this.readInt(false);
+    const signature = this.take(signatureLength).toString('latin1');
+    if (signature === 'typedstream') {
+      this.littleEndian = false;
+    } else if (signature !== 'streamtyped') {
+      throw new TypedStreamError(`Not a typedstream (signature "${signature}")`, 0);
+    }
+    const systemVersion = this.readInt(false);
+    return { version, systemVersion };
+  }
+
+  readClass() {
+    const tag = this.peek();
+    if (tag === TAG_NIL) {
+      this.pos++;
+      return null;
+    }
+    if (tag !== TAG_NEW) return this.readReference(this.objects, 'class');
+
+    this.pos++;
+    const cls = { isClass: true, name: this.readSharedString(), version: this.readInt(true), superclass: null };
+    this.objects.push(cls);
+    cls.superclass = this.readClass();
+    return cls;
+  }
+
+  readObject() {
+    const tag = this.peek();
+    if (tag === TAG_NIL) {
+      this.pos++;
+      return null;
+    }
+    if (tag !== TAG_NEW) return this.readReference(this.objects, 'object');
+
+    this.pos++;
+    // Register before decoding so self-references resolve to this object
+    const object = { className: null, classVersion: 0, values: [] };
+    this.objects.push(object);
+    const cls = this.readClass();
+    object.className = cls?.name ?? null;
+    object.classVersion = cls?.version ?? 0;
+
+    while (this.peek() !== TAG_END) {
+      object.values.push(...this.readTypedGroup());
+    }
+    this.pos++;
+    return object;
+  }
+
+  // A type encoding string followed by one value per encoded type
+  readTypedGroup() {
+    const encoding = this.readSharedString();
+    if (!encoding) throw new TypedStreamError('Missing type encoding', this.pos);
+    return this.readValues(encoding);
+  }
+
+  readValues(encoding) {
+    const values = [];
+    let i = 0;
+    while (i < encoding.length) {
+      const type = encoding[i];
+      if (type === '[') {
+        const close = encoding.indexOf(']', i);
+        const match = /^\[(\d+)(.+)\]$/.exec(encoding.slice(i, close + 1));
+        if (!match) throw new TypedStreamError(`Unsupported array type ${encoding}`, this.pos);
+        const count = parseInt(match[1], 10);
+        if (match[2] === 'c' || match[2] === 'C') {
+          values.push(Buffer.from(this.take(count)));
+        } else {
+          const items = [];
+          for (let n = 0; n < count; n++) items.push(...this.readValues(match[2]));
+          values.push(items);
+        }
+        i = close + 1;
+        continue;
+      }
+      if (type === '{') {
+        const close = encoding.indexOf('}', i);
+        const body = encoding.slice(i + 1, close);
+        const fields = body.includes('=') ? body.slice(body.indexOf('=') + 1) : body;
+        values.push(this.readValues(fields));
+        i = close + 1;
+        continue;
+      }
+      values.push(this.readValue(type));
+      i++;
+    }
+    return values;
+  }
+
+  readValue(type) {
+    switch (type) {
+      case '@':
+        return this.readObject();
+      case '#':
+        return this.readClass();
+      case '+':
+        return this.readUnsharedString();
+      case '*':
+        return this.readCString();
+      case ':':
+      case '%':
+        return this.readSharedString();
+      // chars are always one literal byte, never tagged
+      case 'c':
+        return this.take(1).readInt8(0);
+      case 'C':
+        return this.take(1).readUInt8(0);
+      case 's':
+      case 'i':
+      case 'l':
+      case 'q':
+        return this.readInt(true);
+      case 'S':
+      case 'I':
+      case 'L':
+      case 'Q':
+        return this.readInt(false);
+      case 'f':
+        return this.readFloat(false);
+      case 'd':
+        return this.readFloat(true);
+      default:
+        throw new TypedStreamError(`Unsupported type encoding "${type}"`, this.pos);
+    }
+  }
+}
+
+// Parse a typedstream into its top-level decoded values (objects keep their raw values)
+export function parseTypedStream(buffer) {
+  const reader = new TypedStreamReader(buffer);
+  const header = reader.readHeader();
+  const values = [];
+  while (reader.pos < reader.buf.length) {
+    if (reader.peek() === TAG_END) {
+      reader.pos++;
+      continue;
+    }
+    values.push(...reader.readTypedGroup());
+  }
+  return { ...header, values };
+}
+
+const STRING_CLASSES = new Set(['NSString', 'NSMutableString']);
+const ATTRIBUTED_CLASSES = new Set(['NSAttributedString', 'NSMutableAttributedString']);
+const DICTIONARY_CLASSES = new Set(['NSDictionary', 'NSMutableDictionary']);
+const ARRAY_CLASSES = new Set(['NSArray', 'NSMutableArray']);
+
+// Convert a decoded Foundation object into a plain JavaScript value
+export function toPlainValue(value, seen = new Set()) {
+  if (value === null || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(v => toPlainValue(v, seen));
+  if (value.isClass) return value.name;
+  if (seen.has(value)) return null;
+  seen.add(value);
+
+  const { className, values } = value;
+  let result;
+  if (STRING_CLASSES.has(className)) {
+    result = values.find(v => typeof v === 'string') ?? '';
+  } else if (className === 'NSNumber' || className === 'NSValue') {
+    result = values.find(v => typeof v === 'number') ?? null;
+  } else if (DICTIONARY_CLASSES.has(className)) {
+    result = {};
+    const entries = values.slice(1);
+    for (let i = 0; i + 1 < entries.length; i += 2) {
+      result[String(toPlainValue(entries[i], seen))] = toPlainValue(entries[i + 1], seen);
+    }
+  } else if (ARRAY_CLASSES.has(className)) {
+    result = values.slice(1).map(v => toPlainValue(v, seen));
+  } else if (className === 'NSURL') {
+    // NSURL archives a relative flag, its base URL and the string
+    const strings = values.map(v => toPlainValue(v, seen)).filter(v => typeof v === 'string');
+    result = strings[strings.length - 1] ?? null;
+  } else if (className === 'NSData' || className === 'NSMutableData') {
+    result = values.find(v => Buffer.isBuffer(v)) ?? null;
+  } else if (ATTRIBUTED_CLASSES.has(className)) {
+    result = decodeAttributedString(value).text;
+  } else {
+    result = { class: className, values: values.map(v => toPlainValue(v, seen)) };
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+// Split an archived NSAttributedString into its text and attribute runs
+function decodeAttributedString(object) {
+  const [stringObject, ...runValues] = object.values;
+  const text = typeof stringObject === 'string' ? stringObject : (toPlainValue(stringObject) ?? '');
+
+  const dictionaries = new Map();
+  const runs = [];
+  let offset = 0;
+  let i = 0;
+  while (i + 1 < runValues.length) {
+    const id = runValues[i];
+    const length = runValues[i + 1];
+    i += 2;
+    if (typeof id !== 'number' || typeof length !== 'number') break;
+    // The attribute dictionary follows the first run that uses it
+    if (!dictionaries.has(id) && i < runValues.length && typeof runValues[i] === 'object') {
+      dictionaries.set(id, toPlainValue(runValues[i]) || {});
+      i++;
+    }
+    runs.push({
+      start: offset,
+      length,
+      text: text.slice(offset, offset + length),
+      attributes: dictionaries.get(id) || {},
+    });
+    offset += length;
+  }
+
+  return { text, runs };
+}
+
+// Collect the attributes iMessage uses for mentions, links and attachments
+function summarizeRuns(runs) {
+  const mentions = [];
+  const links = [];
+  const attachments = [];
+  const parts = new Set();
+
+  for (const run of runs) {
+    const attrs = run.attributes;
+    if (attrs.__kIMMessagePartAttributeName !== undefined) {
+      parts.add(attrs.__kIMMessagePartAttributeName);
+    }
+    if (attrs.__kIMMentionConfirmedMention) {
+      mentions.push({ handle: attrs.__kIMMentionConfirmedMention, text: run.text, start: run.start, length: run.length });
+    }
+    if (attrs.__kIMLinkAttributeName) {
+      links.push({ url: String(attrs.__kIMLinkAttributeName), text: run.text, start: run.start, length: run.length });
+    }
+    if (attrs.__kIMFileTransferGUIDAttributeName) {
+      attachments.push({
+        guid: attrs.__kIMFileTransferGUIDAttributeName,
+        filename: attrs.__kIMFilenameAttributeName || null,
+        start: run.start,
+      });
+    }
+  }
+
+  return { mentions, links, attachments, parts: [...parts] };
+}
+
+// Decode an attributedBody blob into { text, runs, mentions, links, attachments, parts }
+export function decodeAttributedBody(buffer) {
+  const { values } = parseTypedStream(buffer);
+  const root = values.find(v => v && typeof v === 'object' && !Buffer.isBuffer(v));
+  if (!root) throw new TypedStreamError('No archived object found');
+
+  if (ATTRIBUTED_CLASSES.has(root.className)) {
+    const { text, runs } = decodeAttributedString(root);
+    return { text, runs, ...summarizeRuns(runs) };
+  }
+  if (STRING_CLASSES.has(root.className)) {
+    const text = toPlainValue(root);
+    return { text, runs: [], mentions: [], links: [], attachments: [], parts: [] };
+  }
+  throw new TypedStreamError(`Unexpected root object ${root.className}`);
+}
+
+// Last-resort recovery for streams the decoder rejects: the first NSString
+// payload is written as type "+" (0x84 0x01 0x2B) followed by a length and UTF-8 bytes
+export function scanForString(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  const marker = buf.indexOf(Buffer.from([TAG_NEW, 0x01, 0x2b]));
+  if (marker === -1) return null;
+
+  const reader = new TypedStreamReader(buf);
+  reader.pos = marker + 3;
+  try {
+    return reader.take(reader.readInt(false)).toString('utf8');
+  } catch (e) {
+    return null;
+  }
+}